@@ -0,0 +1,106 @@
+/**
+ * Mock Server Scenarios
+ * Deterministic traffic, incident and weather conditions served by the mock server.
+ *
+ * traffic.segments - stretches of road around a center [lng, lat]; any point within
+ *   radiusKm reports the segment's speeds
+ * incidents - TomTom incident properties (iconCategory, magnitudeOfDelay, ...) at a point
+ * weather.default - conditions at every hour not covered by the timeline
+ * weather.timeline - conditions from one time of day (UTC) until another, every day,
+ *   optionally limited to an area
+ */
+
+const SF_MARKET_STREET = [-122.4194, 37.7749];
+
+const CLEAR_WEATHER = {
+  weatherCode: 0,
+  temperature: 18,
+  humidity: 60,
+  precipitation: 0,
+  precipitationProbability: 0,
+  windSpeed: 12,
+  windDirection: 270,
+  visibility: 24000
+};
+
+module.exports = {
+  clear: {
+    description: 'Free-flowing traffic, no incidents, clear skies',
+    traffic: { freeFlowSpeed: 50, segments: [] },
+    incidents: [],
+    weather: { default: CLEAR_WEATHER, timeline: [] }
+  },
+
+  jam: {
+    description: 'Jam on Market Street, San Francisco',
+    traffic: {
+      freeFlowSpeed: 50,
+      segments: [
+        { name: 'Market Street', center: SF_MARKET_STREET, radiusKm: 1.5, currentSpeed: 8, freeFlowSpeed: 50 }
+      ]
+    },
+    incidents: [
+      {
+        id: 'jam-market-street',
+        coordinates: SF_MARKET_STREET,
+        iconCategory: 7,
+        magnitudeOfDelay: 4,
+        description: 'Stationary traffic',
+        delay: 1500,
+        from: 'Van Ness Avenue',
+        to: 'Embarcadero',
+        length: 2800,
+        roadNumbers: []
+      }
+    ],
+    weather: { default: CLEAR_WEATHER, timeline: [] }
+  },
+
+  closure: {
+    description: 'Market Street closed between Van Ness Avenue and 5th Street',
+    traffic: {
+      freeFlowSpeed: 50,
+      segments: [
+        { name: 'Market Street', center: SF_MARKET_STREET, radiusKm: 1, currentSpeed: 5, freeFlowSpeed: 50, roadClosure: true }
+      ]
+    },
+    incidents: [
+      {
+        id: 'closure-market-street',
+        coordinates: SF_MARKET_STREET,
+        iconCategory: 6,
+        magnitudeOfDelay: 4,
+        description: 'Closed',
+        delay: 0,
+        from: 'Van Ness Avenue',
+        to: '5th Street',
+        length: 1200,
+        roadNumbers: []
+      }
+    ],
+    weather: { default: CLEAR_WEATHER, timeline: [] }
+  },
+
+  storm: {
+    description: 'Thunderstorm from 14:00 to 17:00 UTC',
+    traffic: { freeFlowSpeed: 50, segments: [] },
+    incidents: [],
+    weather: {
+      default: CLEAR_WEATHER,
+      timeline: [
+        {
+          from: '14:00',
+          to: '17:00',
+          weatherCode: 95,
+          temperature: 14,
+          humidity: 95,
+          precipitation: 15,
+          precipitationProbability: 90,
+          windSpeed: 75,
+          windDirection: 230,
+          visibility: 1500
+        }
+      ]
+    }
+  }
+};
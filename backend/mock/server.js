@@ -0,0 +1,337 @@
+/**
+ * Mock Server
+ * Stand-in for the TomTom traffic/routing and Open-Meteo forecast APIs for tests
+ * and offline development. Conditions come from a named scenario and a fixed clock,
+ * so every response is deterministic.
+ *
+ * Run with `npm run mock`, then point the services at it:
+ *   TOMTOM_API_URL=http://localhost:5055
+ *   OPENMETEO_API_URL=http://localhost:5055/v1/forecast
+ */
+
+const express = require('express');
+const scenarios = require('./scenarios');
+const { haversineDistance } = require('../src/utils/geo');
+const { logger } = require('../src/utils/logger');
+
+const HOUR_MS = 3600000;
+// Roads are on average this much longer than the straight line between two points
+const ROAD_FACTOR = 1.3;
+// Length reported for a flow segment
+const SEGMENT_KM = 0.5;
+// Pieces a leg is cut into to find the speed along it
+const LEG_SAMPLES = 10;
+const FORECAST_DAYS = 3;
+
+/**
+ * Minutes since midnight of an "HH:MM" time of day
+ */
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Open-Meteo style local time, e.g. "2026-03-02T14:00"
+ */
+const localTime = date => date.toISOString().slice(0, 16);
+
+class MockState {
+  /**
+   * @param {Object} options - scenario (name or definition), now (fixed clock; defaults to the real time)
+   */
+  constructor(options = {}) {
+    this.requests = [];
+    this.setScenario(options.scenario || 'clear');
+    this.setClock(options.now);
+  }
+
+  setScenario(scenario) {
+    if (typeof scenario === 'string') {
+      if (!scenarios[scenario]) throw new Error(`Unknown scenario: ${scenario}`);
+      this.scenarioName = scenario;
+      this.scenario = scenarios[scenario];
+    } else {
+      this.scenarioName = scenario.name || 'custom';
+      this.scenario = scenario;
+    }
+  }
+
+  setClock(now) {
+    this.fixedNow = now ? new Date(now) : null;
+  }
+
+  now() {
+    return this.fixedNow ? new Date(this.fixedNow) : new Date();
+  }
+
+  /**
+   * Speeds at a point: the slowest segment covering it, or free flow
+   */
+  flowAt([lng, lat]) {
+    const traffic = this.scenario.traffic || {};
+    const freeFlowSpeed = traffic.freeFlowSpeed || 50;
+    const segments = (traffic.segments || [])
+      .filter(segment => haversineDistance(segment.center, [lng, lat]) <= segment.radiusKm)
+      .sort((a, b) => a.currentSpeed - b.currentSpeed);
+
+    return segments[0] || { currentSpeed: freeFlowSpeed, freeFlowSpeed, roadClosure: false };
+  }
+
+  /**
+   * Road length and travel times of a straight leg, slowed wherever a segment covers it
+   */
+  leg(from, to) {
+    const lengthKm = haversineDistance(from, to) * ROAD_FACTOR;
+    let travelHours = 0;
+    let freeFlowHours = 0;
+
+    for (let i = 0; i < LEG_SAMPLES; i++) {
+      const fraction = (i + 0.5) / LEG_SAMPLES;
+      const flow = this.flowAt([from[0] + (to[0] - from[0]) * fraction, from[1] + (to[1] - from[1]) * fraction]);
+      travelHours += lengthKm / LEG_SAMPLES / flow.currentSpeed;
+      freeFlowHours += lengthKm / LEG_SAMPLES / flow.freeFlowSpeed;
+    }
+
+    const travelTimeInSeconds = Math.round(travelHours * 3600);
+    const noTrafficTravelTimeInSeconds = Math.round(freeFlowHours * 3600);
+    return {
+      lengthInMeters: Math.round(lengthKm * 1000),
+      travelTimeInSeconds,
+      noTrafficTravelTimeInSeconds,
+      trafficDelayInSeconds: travelTimeInSeconds - noTrafficTravelTimeInSeconds
+    };
+  }
+
+  /**
+   * Weather at a point and moment: the timeline entry covering its time of day, or the default
+   */
+  weatherAt([lng, lat], date) {
+    const weather = this.scenario.weather || {};
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+    const entry = (weather.timeline || []).find(period =>
+      minutes >= minutesOf(period.from) && minutes < minutesOf(period.to) &&
+      (!period.center || haversineDistance(period.center, [lng, lat]) <= period.radiusKm)
+    );
+    return { ...weather.default, ...entry };
+  }
+}
+
+/**
+ * TomTom answers requests without a key with 403
+ */
+const requireKey = (req, res, next) => {
+  if (!req.query.key) {
+    return res.status(403).json({ detailedError: { code: 'Forbidden', message: 'You are not allowed to access this endpoint' } });
+  }
+  next();
+};
+
+const parseLatLng = value => value.split(',').map(Number);
+
+/**
+ * Express app serving the mock APIs; the state is exposed as app.locals.mock
+ * @param {Object} options - scenario, now
+ */
+const createMockServer = (options = {}) => {
+  const state = new MockState(options);
+  const app = express();
+  app.use(express.json());
+  app.locals.mock = state;
+
+  app.use((req, res, next) => {
+    if (!req.path.startsWith('/__mock')) state.requests.push({ method: req.method, path: req.path, query: req.query });
+    next();
+  });
+
+  // TomTom Traffic Flow
+  app.get('/traffic/services/4/flowSegmentData/absolute/:zoom/json', requireKey, (req, res) => {
+    if (!req.query.point) return res.status(400).json({ error: 'point is required' });
+
+    const [lat, lng] = parseLatLng(req.query.point);
+    const flow = state.flowAt([lng, lat]);
+    res.json({
+      flowSegmentData: {
+        frc: 'FRC3',
+        currentSpeed: flow.currentSpeed,
+        freeFlowSpeed: flow.freeFlowSpeed,
+        currentTravelTime: Math.round((SEGMENT_KM / flow.currentSpeed) * 3600),
+        freeFlowTravelTime: Math.round((SEGMENT_KM / flow.freeFlowSpeed) * 3600),
+        confidence: 1,
+        roadClosure: Boolean(flow.roadClosure),
+        coordinates: { coordinate: [{ latitude: lat, longitude: lng }] }
+      }
+    });
+  });
+
+  // TomTom Incident Details
+  app.get('/traffic/services/5/incidentDetails', requireKey, (req, res) => {
+    const [minLng, minLat, maxLng, maxLat] = (req.query.bbox || '').split(',').map(Number);
+    const now = state.now();
+
+    const incidents = (state.scenario.incidents || [])
+      .filter(({ coordinates: [lng, lat] }) => lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat)
+      .map(incident => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: incident.coordinates },
+        properties: {
+          id: incident.id,
+          iconCategory: incident.iconCategory,
+          magnitudeOfDelay: incident.magnitudeOfDelay,
+          events: [{ description: incident.description, code: incident.iconCategory }],
+          startTime: incident.startTime || new Date(now.getTime() - HOUR_MS).toISOString(),
+          endTime: incident.endTime || new Date(now.getTime() + 2 * HOUR_MS).toISOString(),
+          from: incident.from,
+          to: incident.to,
+          length: incident.length,
+          delay: incident.delay,
+          roadNumbers: incident.roadNumbers || []
+        }
+      }));
+
+    res.json({ incidents });
+  });
+
+  // TomTom Calculate Route
+  app.get('/routing/1/calculateRoute/:locations/json', requireKey, (req, res) => {
+    const points = req.params.locations.split(':').map(location => {
+      const [lat, lng] = parseLatLng(location);
+      return [lng, lat];
+    });
+    if (points.length < 2 || points.some(point => point.some(Number.isNaN))) {
+      return res.status(400).json({ error: { description: 'Invalid locations' } });
+    }
+
+    const departure = req.query.departAt && req.query.departAt !== 'now' ? new Date(req.query.departAt) : state.now();
+    const legs = points.slice(1).map((to, index) => {
+      const from = points[index];
+      return {
+        summary: state.leg(from, to),
+        points: [from, to].map(([lng, lat]) => ({ latitude: lat, longitude: lng }))
+      };
+    });
+    const total = field => legs.reduce((sum, leg) => sum + leg.summary[field], 0);
+    const travelTimeInSeconds = total('travelTimeInSeconds');
+
+    res.json({
+      routes: [{
+        summary: {
+          lengthInMeters: total('lengthInMeters'),
+          travelTimeInSeconds,
+          trafficDelayInSeconds: total('trafficDelayInSeconds'),
+          departureTime: departure.toISOString(),
+          arrivalTime: new Date(departure.getTime() + travelTimeInSeconds * 1000).toISOString(),
+          noTrafficTravelTimeInSeconds: total('noTrafficTravelTimeInSeconds'),
+          historicTrafficTravelTimeInSeconds: travelTimeInSeconds,
+          liveTrafficIncidentsTravelTimeInSeconds: travelTimeInSeconds
+        },
+        legs
+      }]
+    });
+  });
+
+  // TomTom Matrix Routing v2 (synchronous)
+  app.post('/routing/matrix/2', requireKey, (req, res) => {
+    const toPoint = ({ point }) => [point.longitude, point.latitude];
+    const origins = (req.body.origins || []).map(toPoint);
+    const destinations = (req.body.destinations || []).map(toPoint);
+
+    const data = origins.flatMap((origin, originIndex) => destinations.map((destination, destinationIndex) => {
+      const { lengthInMeters, travelTimeInSeconds } = state.leg(origin, destination);
+      return { originIndex, destinationIndex, routeSummary: { lengthInMeters, travelTimeInSeconds } };
+    }));
+
+    res.json({ data, statistics: { totalCount: data.length, successes: data.length, failures: 0 } });
+  });
+
+  // Open-Meteo Forecast
+  app.get('/v1/forecast', (req, res) => {
+    const lat = parseFloat(req.query.latitude);
+    const lng = parseFloat(req.query.longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) {
+      return res.status(400).json({ error: true, reason: 'latitude and longitude are required' });
+    }
+
+    const now = state.now();
+    const current = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS);
+    const midnight = new Date(now);
+    midnight.setUTCHours(0, 0, 0, 0);
+    const hours = Array.from({ length: FORECAST_DAYS * 24 }, (_, i) => new Date(midnight.getTime() + i * HOUR_MS));
+    const hourly = hours.map(hour => state.weatherAt([lng, lat], hour));
+    const weather = state.weatherAt([lng, lat], now);
+    const days = Array.from({ length: FORECAST_DAYS }, (_, day) => hourly.slice(day * 24, day * 24 + 24));
+
+    res.json({
+      latitude: lat,
+      longitude: lng,
+      timezone: 'GMT',
+      elevation: 0,
+      current_units: { temperature_2m: '°C', wind_speed_10m: 'km/h', precipitation: 'mm' },
+      current: {
+        time: localTime(current),
+        temperature_2m: weather.temperature,
+        relative_humidity_2m: weather.humidity,
+        apparent_temperature: weather.temperature,
+        precipitation: weather.precipitation,
+        weather_code: weather.weatherCode,
+        wind_speed_10m: weather.windSpeed,
+        wind_direction_10m: weather.windDirection,
+        visibility: weather.visibility
+      },
+      // Starts at midnight like Open-Meteo, so the next hours come after the current one
+      hourly: {
+        time: hours.map(localTime),
+        temperature_2m: hourly.map(w => w.temperature),
+        precipitation_probability: hourly.map(w => w.precipitationProbability),
+        weather_code: hourly.map(w => w.weatherCode),
+        visibility: hourly.map(w => w.visibility)
+      },
+      daily: {
+        time: days.map((_, day) => localTime(new Date(midnight.getTime() + day * 24 * HOUR_MS)).slice(0, 10)),
+        weather_code: days.map(day => Math.max(...day.map(w => w.weatherCode))),
+        temperature_2m_max: days.map(day => Math.max(...day.map(w => w.temperature))),
+        temperature_2m_min: days.map(day => Math.min(...day.map(w => w.temperature))),
+        precipitation_sum: days.map(day => day.reduce((sum, w) => sum + w.precipitation, 0)),
+        precipitation_probability_max: days.map(day => Math.max(...day.map(w => w.precipitationProbability)))
+      }
+    });
+  });
+
+  // Scenario control
+  app.get('/__mock/scenario', (req, res) => {
+    res.json({
+      scenario: state.scenarioName,
+      now: state.now().toISOString(),
+      available: Object.entries(scenarios).map(([name, scenario]) => ({ name, description: scenario.description }))
+    });
+  });
+
+  /**
+   * Body: { scenario: name or definition, now: ISO date or null for the real time }
+   */
+  app.put('/__mock/scenario', (req, res) => {
+    try {
+      if (req.body.scenario) state.setScenario(req.body.scenario);
+      if (req.body.now !== undefined) state.setClock(req.body.now);
+      state.requests = [];
+      res.json({ scenario: state.scenarioName, now: state.now().toISOString() });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json({ requests: state.requests });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORT, 10) || 5055;
+  createMockServer({ scenario: process.env.MOCK_SCENARIO, now: process.env.MOCK_NOW }).listen(port, () => {
+    logger.info(`Mock TomTom/Open-Meteo server on port ${port} (scenario: ${process.env.MOCK_SCENARIO || 'clear'})`);
+  });
+}
+
+module.exports = { createMockServer, MockState };
@@ -180,18 +180,95 @@ const getDriverAnalytics = asyncHandler(async (req, res) => {
         totalRoutes: { $sum: 1 },
         completedRoutes: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
         totalDistance: { $sum: '$metrics.totalDistance' },
-        totalStops: { $sum: '$metrics.totalStops' }
+        totalStops: { $sum: '$metrics.totalStops' },
+        totalDuration: { $sum: '$metrics.totalDuration' }
       }
     },
     { $sort: { completedRoutes: -1 } }
   ]);
 
+  // Work per driver and day, for the same spreads the optimizer balances
+  const dailyWork = await RoutePlan.aggregate([
+    { $match: { companyId, 'driver.id': { $exists: true }, scheduledDate: { $gte: startDate }, status: { $ne: 'cancelled' } } },
+    {
+      $lookup: {
+        from: 'deliveries',
+        let: { ids: '$deliveries' },
+        pipeline: [
+          { $match: { $expr: { $in: ['$_id', '$$ids'] } } },
+          { $project: { revenue: 1 } }
+        ],
+        as: 'deliveryRevenue'
+      }
+    },
+    {
+      $group: {
+        _id: {
+          driver: '$driver.id',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$scheduledDate' } }
+        },
+        stops: { $sum: '$metrics.totalStops' },
+        duration: { $sum: '$metrics.totalDuration' },
+        revenue: { $sum: { $sum: '$deliveryRevenue.revenue' } }
+      }
+    }
+  ]);
+
   res.status(200).json({
     success: true,
-    data: { drivers: driverPerformance }
+    data: {
+      drivers: driverPerformance,
+      workload: workloadSpread(dailyWork)
+    }
   });
 });
 
+/**
+ * Workload spread across drivers: between the busiest and the idlest driver over
+ * the whole period, and between the drivers working on each day
+ * @param {Array} dailyWork - { _id: { driver, day }, stops, duration, revenue }
+ */
+const workloadSpread = (dailyWork) => {
+  const metrics = ['stops', 'duration', 'revenue'];
+  const spreadOf = (values) => {
+    const min = values.length ? Math.min(...values) : 0;
+    const max = values.length ? Math.max(...values) : 0;
+    return { min: round(min), max: round(max), spread: round(max - min) };
+  };
+
+  const byDriver = {};
+  const byDay = {};
+  dailyWork.forEach(entry => {
+    const driver = entry._id.driver.toString();
+    byDriver[driver] = byDriver[driver] || { stops: 0, duration: 0, revenue: 0 };
+    metrics.forEach(metric => { byDriver[driver][metric] += entry[metric]; });
+    (byDay[entry._id.day] = byDay[entry._id.day] || []).push(entry);
+  });
+
+  const period = metrics.reduce((spread, metric) => ({
+    ...spread,
+    [metric]: spreadOf(Object.values(byDriver).map(work => work[metric]))
+  }), {});
+
+  // Days with a single driver have nothing to balance
+  const days = Object.entries(byDay)
+    .filter(([, entries]) => entries.length > 1)
+    .map(([day, entries]) => ({ day, durationSpread: spreadOf(entries.map(entry => entry.duration)).spread }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  const worstDay = days.reduce((worst, day) => (!worst || day.durationSpread > worst.durationSpread ? day : worst), null);
+
+  return {
+    period,
+    daily: {
+      days,
+      averageDurationSpread: days.length ? round(days.reduce((sum, day) => sum + day.durationSpread, 0) / days.length) : 0,
+      worstDay
+    }
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
 /**
  * @desc    Get cost analysis
  * @route   GET /api/analytics/costs
@@ -222,10 +299,73 @@ const getCostAnalytics = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get CO2 emissions, by vehicle and by day
+ * @route   GET /api/analytics/emissions
+ * @access  Private
+ */
+const getEmissionsAnalytics = asyncHandler(async (req, res) => {
+  const companyId = req.user.companyId;
+  const days = parseInt(req.query.days) || 30;
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  // Cancelled routes were never driven
+  const match = { companyId, scheduledDate: { $gte: startDate }, status: { $ne: 'cancelled' } };
+  const totals = {
+    routes: { $sum: 1 },
+    co2Emissions: { $sum: '$metrics.co2Emissions' },
+    distance: { $sum: '$metrics.totalDistance' },
+    stops: { $sum: '$metrics.totalStops' }
+  };
+
+  const [summary] = await RoutePlan.aggregate([
+    { $match: match },
+    { $group: { _id: null, ...totals } }
+  ]);
+
+  const byVehicle = await RoutePlan.aggregate([
+    { $match: match },
+    { $group: { _id: { vehicleType: '$vehicle.type', fuelType: '$vehicle.fuelType' }, ...totals } },
+    { $sort: { co2Emissions: -1 } }
+  ]);
+
+  const dailyTrends = await RoutePlan.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$scheduledDate' } },
+        routes: { $sum: 1 },
+        co2Emissions: { $sum: '$metrics.co2Emissions' },
+        distance: { $sum: '$metrics.totalDistance' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Intensity per km and per stop, the figures reported to customers
+  const intensity = group => ({
+    ...group,
+    co2Emissions: Math.round(group.co2Emissions * 10) / 10,
+    co2PerKm: group.distance > 0 ? Math.round((group.co2Emissions / group.distance) * 1000) / 1000 : 0,
+    co2PerStop: group.stops > 0 ? Math.round((group.co2Emissions / group.stops) * 100) / 100 : 0
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary: summary ? intensity(summary) : {},
+      byVehicle: byVehicle.map(intensity),
+      dailyTrends
+    }
+  });
+});
+
 module.exports = {
   getDashboard,
   getRouteAnalytics,
   getDeliveryAnalytics,
   getDriverAnalytics,
-  getCostAnalytics
+  getCostAnalytics,
+  getEmissionsAnalytics
 };
@@ -111,7 +111,8 @@ const updateDetails = asyncHandler(async (req, res) => {
   const fieldsToUpdate = {
     name: req.body.name,
     phone: req.body.phone,
-    preferences: req.body.preferences
+    preferences: req.body.preferences,
+    homeLocation: req.body.homeLocation
   };
 
   // Remove undefined fields
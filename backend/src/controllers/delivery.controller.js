@@ -3,8 +3,10 @@
  * Handles delivery CRUD operations
  */
 
-const { Delivery, RoutePlan } = require('../models');
+const { Delivery, RoutePlan, CompanySettings } = require('../models');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const ZoneService = require('../services/zone.service');
+const GeocodingService = require('../services/geocoding.service');
 
 /**
  * @desc    Get all deliveries
@@ -35,6 +37,23 @@ const getDeliveries = asyncHandler(async (req, res) => {
     query.routePlanId = { $exists: false };
   }
 
+  // Filter by zone, or deliveries outside every zone
+  if (req.query.zoneId === 'none') {
+    query.zoneId = null;
+  } else if (req.query.zoneId) {
+    query.zoneId = req.query.zoneId;
+  }
+
+  // Filter by address check, e.g. deliveries whose pin is far from their address
+  if (req.query.geocoding) {
+    query['geocoding.status'] = req.query.geocoding;
+  }
+
+  // Filter by distance from a point
+  if (req.query.near) {
+    query.location = Delivery.inArea(req.query.near.split(',').map(Number), parseFloat(req.query.radiusKm));
+  }
+
   // Filter by date range
   if (req.query.startDate || req.query.endDate) {
     query['timeWindow.earliest'] = {};
@@ -57,6 +76,7 @@ const getDeliveries = asyncHandler(async (req, res) => {
 
   const deliveries = await Delivery.find(query)
     .populate('routePlanId', 'name status')
+    .populate('zoneId', 'name color')
     .skip(skip)
     .limit(limit)
     .sort({ 'timeWindow.earliest': 1, priorityScore: -1 });
@@ -142,28 +162,60 @@ const createDelivery = asyncHandler(async (req, res) => {
     customer,
     requirements,
     serviceTime,
+    revenue,
     externalOrderId,
-    tags
+    tags,
+    stopType,
+    pairedDeliveryId
   } = req.body;
 
+  // A pickup can be linked to one drop-off and vice versa
+  let pairedDelivery = null;
+  if (pairedDeliveryId) {
+    pairedDelivery = await Delivery.findOne({ _id: pairedDeliveryId, companyId: req.user.companyId });
+
+    if (!pairedDelivery) {
+      throw new ApiError('Paired delivery not found', 400);
+    }
+    if (pairedDelivery.stopType === (stopType || 'dropoff')) {
+      throw new ApiError('A pickup can only be paired with a drop-off', 400);
+    }
+    if (pairedDelivery.pairedDeliveryId) {
+      throw new ApiError('Paired delivery is already linked to another stop', 400);
+    }
+  }
+
+  const settings = await CompanySettings.forCompany(req.user.companyId);
+  const located = await GeocodingService.locate({ address, location }, settings.geocoding?.toObject());
+
   const delivery = await Delivery.create({
-    address,
-    location,
+    ...located,
     timeWindow,
     packageDetails,
+    stopType: stopType || 'dropoff',
+    pairedDeliveryId: pairedDelivery?._id,
     priority: priority || 'normal',
     customer,
     requirements,
     serviceTime: serviceTime || 10,
+    revenue,
     externalOrderId,
     tags,
+    zoneId: await ZoneService.zoneFor(req.user.companyId, located.location.coordinates),
     companyId: req.user.companyId,
     createdBy: req.user.id
   });
 
+  if (pairedDelivery) {
+    pairedDelivery.pairedDeliveryId = delivery._id;
+    await pairedDelivery.save();
+  }
+
   res.status(201).json({
     success: true,
-    message: 'Delivery created successfully',
+    message: delivery.geocoding?.status === 'mismatch'
+      ? `Delivery created; its location is ${delivery.geocoding.distanceKm} km from the address`
+      : 'Delivery created successfully',
     data: { delivery }
   });
 });
@@ -184,14 +236,31 @@ const createBulkDeliveries = asyncHandler(async (req, res) => {
     throw new ApiError('Maximum 100 deliveries per bulk operation', 400);
   }
 
-  // Add company and user info to each delivery
-  const deliveriesWithMeta = deliveries.map(d => ({
-    ...d,
-    companyId: req.user.companyId,
-    createdBy: req.user.id
-  }));
+  // One at a time, to stay within geocoder rate limits
+  const settings = await CompanySettings.forCompany(req.user.companyId);
+  const deliveriesWithMeta = [];
+  const errors = [];
+  for (const [index, d] of deliveries.entries()) {
+    try {
+      const located = await GeocodingService.locate(d, settings.geocoding?.toObject());
+      deliveriesWithMeta.push({
+        ...d,
+        ...located,
+        companyId: req.user.companyId,
+        createdBy: req.user.id
+      });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      errors.push({ field: `deliveries[${index}]`, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError('Some deliveries could not be located', 400, errors);
+  }
 
   const created = await Delivery.insertMany(deliveriesWithMeta, { ordered: false });
+  await ZoneService.assignDeliveries(req.user.companyId, { _id: { $in: created.map(d => d._id) } });
 
   res.status(201).json({
     success: true,
@@ -221,7 +290,7 @@ const updateDelivery = asyncHandler(async (req, res) => {
 
   const allowedUpdates = [
     'address', 'location', 'timeWindow', 'packageDetails', 'priority',
-    'customer', 'requirements', 'serviceTime', 'status', 'tags',
+    'customer', 'requirements', 'serviceTime', 'revenue', 'status', 'tags',
     'externalOrderId', 'notes'
   ];
 
@@ -232,6 +301,23 @@ const updateDelivery = asyncHandler(async (req, res) => {
     }
   });
 
+  // Re-check the address against the location; an edited address keeps the
+  // delivery where it is unless new coordinates are sent too
+  if (updates.address || updates.location) {
+    const current = delivery.toObject();
+    const settings = await CompanySettings.forCompany(req.user.companyId);
+    const located = await GeocodingService.locate({
+      address: { ...current.address, ...updates.address },
+      location: updates.location || current.location
+    }, settings.geocoding?.toObject());
+    Object.assign(updates, located);
+  }
+
+  // A moved delivery may fall in another zone
+  if (updates.location) {
+    updates.zoneId = await ZoneService.zoneFor(req.user.companyId, updates.location.coordinates);
+  }
+
   delivery = await Delivery.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
@@ -267,6 +353,14 @@ const deleteDelivery = asyncHandler(async (req, res) => {
     });
   }
 
+  // Unlink the other stop of a pickup/drop-off pair
+  if (delivery.pairedDeliveryId) {
+    await Delivery.updateOne(
+      { _id: delivery.pairedDeliveryId },
+      { $unset: { pairedDeliveryId: 1 } }
+    );
+  }
+
   await delivery.deleteOne();
 
   res.status(200).json({
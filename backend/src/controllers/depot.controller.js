@@ -0,0 +1,147 @@
+/**
+ * Depot Controller
+ * Handles company depot CRUD operations
+ */
+
+const { Depot, RoutePlan } = require('../models');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const findDepot = async (req) => {
+  const depot = await Depot.findOne({ _id: req.params.id, companyId: req.user.companyId });
+
+  if (!depot) {
+    throw new ApiError('Depot not found', 404);
+  }
+
+  return depot;
+};
+
+// A company has at most one default depot
+const clearOtherDefaults = (depot) => Depot.updateMany(
+  { companyId: depot.companyId, _id: { $ne: depot._id }, isDefault: true },
+  { $set: { isDefault: false } }
+);
+
+/**
+ * @desc    Get company depots
+ * @route   GET /api/depots
+ * @access  Private
+ */
+const getDepots = asyncHandler(async (req, res) => {
+  const query = { companyId: req.user.companyId };
+  if (req.query.active === 'true') {
+    query.isActive = true;
+  }
+
+  const depots = await Depot.find(query).sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { depots }
+  });
+});
+
+/**
+ * @desc    Get single depot
+ * @route   GET /api/depots/:id
+ * @access  Private
+ */
+const getDepot = asyncHandler(async (req, res) => {
+  const depot = await findDepot(req);
+
+  res.status(200).json({
+    success: true,
+    data: { depot }
+  });
+});
+
+/**
+ * @desc    Create depot
+ * @route   POST /api/depots
+ * @access  Private/Admin
+ */
+const createDepot = asyncHandler(async (req, res) => {
+  const { name, address, location, isDefault, isActive, notes } = req.body;
+
+  const depot = await Depot.create({
+    name,
+    address,
+    location: { type: 'Point', coordinates: location.coordinates },
+    isDefault: isDefault || false,
+    isActive: isActive !== false,
+    notes,
+    companyId: req.user.companyId,
+    createdBy: req.user.id
+  });
+
+  if (depot.isDefault) await clearOtherDefaults(depot);
+
+  logger.info(`Depot ${depot._id} created by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Depot created successfully',
+    data: { depot }
+  });
+});
+
+/**
+ * @desc    Update depot
+ * @route   PUT /api/depots/:id
+ * @access  Private/Admin
+ */
+const updateDepot = asyncHandler(async (req, res) => {
+  const depot = await findDepot(req);
+
+  const allowedUpdates = ['name', 'address', 'location', 'isDefault', 'isActive', 'notes'];
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      depot[field] = req.body[field];
+    }
+  });
+
+  await depot.save();
+  if (depot.isDefault) await clearOtherDefaults(depot);
+
+  res.status(200).json({
+    success: true,
+    message: 'Depot updated successfully',
+    data: { depot }
+  });
+});
+
+/**
+ * @desc    Delete depot
+ * @route   DELETE /api/depots/:id
+ * @access  Private/Admin
+ */
+const deleteDepot = asyncHandler(async (req, res) => {
+  const depot = await findDepot(req);
+
+  // Routes keep their own copy of the locations, but planned ones should be moved first
+  const plannedRoutes = await RoutePlan.countDocuments({
+    companyId: req.user.companyId,
+    status: { $in: ['draft', 'planned', 'in_progress'] },
+    $or: [{ startDepot: depot._id }, { endDepot: depot._id }]
+  });
+
+  if (plannedRoutes > 0) {
+    throw new ApiError(`Depot is used by ${plannedRoutes} open route(s); deactivate it instead`, 409);
+  }
+
+  await depot.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Depot deleted successfully'
+  });
+});
+
+module.exports = {
+  getDepots,
+  getDepot,
+  createDepot,
+  updateDepot,
+  deleteDepot
+};
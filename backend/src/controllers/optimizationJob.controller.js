@@ -0,0 +1,142 @@
+/**
+ * Optimization Job Controller
+ * Submit, poll, stream and cancel background route optimizations
+ */
+
+const { OptimizationJob } = require('../models');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const OptimizationWorker = require('../services/optimizationWorker.service');
+const { logger } = require('../utils/logger');
+
+// Keeps proxies from closing an idle progress stream
+const HEARTBEAT_MS = 15000;
+
+const findJob = async (req) => {
+  const job = await OptimizationJob.findOne({
+    _id: req.params.id,
+    companyId: req.user.companyId
+  });
+
+  if (!job) {
+    throw new ApiError('Optimization job not found', 404);
+  }
+
+  return job;
+};
+
+/**
+ * @desc    Queue a route optimization
+ * @route   POST /api/optimization-jobs
+ * @access  Private (Admin, Dispatcher)
+ */
+const submitJob = asyncHandler(async (req, res) => {
+  const job = await OptimizationWorker.submit(req.body, req.user);
+
+  logger.info(`Optimization job ${job._id} queued by user ${req.user.id}`);
+
+  res.status(202).json({
+    success: true,
+    message: 'Optimization job queued',
+    data: { job }
+  });
+});
+
+/**
+ * @desc    Get recent optimization jobs
+ * @route   GET /api/optimization-jobs
+ * @access  Private (Admin, Dispatcher)
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const jobs = await OptimizationJob.find({ companyId: req.user.companyId })
+    .select('-result -request')
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    data: { jobs }
+  });
+});
+
+/**
+ * @desc    Get an optimization job with its progress and result
+ * @route   GET /api/optimization-jobs/:id
+ * @access  Private (Admin, Dispatcher)
+ */
+const getJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req);
+
+  res.status(200).json({
+    success: true,
+    data: { job }
+  });
+});
+
+/**
+ * @desc    Stream job progress as server-sent events until the job finishes
+ * @route   GET /api/optimization-jobs/:id/stream
+ * @access  Private (Admin, Dispatcher)
+ */
+const streamJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (current) => {
+    if (closed) return;
+    res.write(`event: ${current.isFinished ? current.status : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(current)}\n\n`);
+    if (current.isFinished) close();
+  };
+
+  unsubscribe = OptimizationWorker.subscribe(job._id, send);
+  req.on('close', close);
+  send(job);
+});
+
+/**
+ * @desc    Cancel a queued or running optimization job
+ * @route   POST /api/optimization-jobs/:id/cancel
+ * @access  Private (Admin, Dispatcher)
+ */
+const cancelJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req);
+
+  if (job.isFinished) {
+    throw new ApiError(`Optimization job already ${job.status}`, 400);
+  }
+
+  const updated = await OptimizationWorker.cancel(job);
+
+  logger.info(`Optimization job ${job._id} cancellation requested by user ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: updated.status === 'cancelled' ? 'Optimization job cancelled' : 'Cancellation requested',
+    data: { job: updated }
+  });
+});
+
+module.exports = {
+  submitJob,
+  getJobs,
+  getJob,
+  streamJob,
+  cancelJob
+};
@@ -0,0 +1,52 @@
+/**
+ * Planner Controller
+ * Handles the weekly planning view
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const PlannerService = require('../services/planner.service');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 86400000;
+
+/**
+ * @desc    Get a week of routes and unrouted deliveries by day
+ * @route   GET /api/planner/week?start=YYYY-MM-DD
+ * @access  Private
+ */
+const getWeek = asyncHandler(async (req, res) => {
+  // Defaults to the current week, starting on Monday
+  const today = new Date();
+  const start = req.query.start
+    ? new Date(req.query.start)
+    : new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+
+  const week = await PlannerService.week(req.user.companyId, start);
+
+  res.status(200).json({
+    success: true,
+    data: week
+  });
+});
+
+/**
+ * @desc    Move a delivery to another day and optionally onto a route
+ * @route   POST /api/planner/move
+ * @access  Private/Admin/Dispatcher
+ */
+const moveDelivery = asyncHandler(async (req, res) => {
+  const { deliveries, to } = await PlannerService.move(req.user.companyId, req.body);
+
+  logger.info(`Delivery ${req.body.deliveryId} moved to ${req.body.date} by user ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: to ? `Delivery moved to ${to.name}` : `Delivery moved to ${req.body.date}`,
+    data: { deliveries, route: to }
+  });
+});
+
+module.exports = {
+  getWeek,
+  moveDelivery
+};
@@ -3,12 +3,19 @@
  * Handles route plan CRUD and optimization
  */
 
-const { RoutePlan, Delivery, RealTimeUpdate, User } = require('../models');
+const { RoutePlan, Delivery, RealTimeUpdate, User, CompanySettings, Depot } = require('../models');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const AIRouteService = require('../services/aiRoute.service');
-const TomTomService = require('../services/tomtom.service');
-const WeatherService = require('../services/weather.service');
+const RoutingService = require('../services/routing.service');
+const OptimizationService = require('../services/optimization.service');
 const RealTimeUpdateService = require('../services/realTimeUpdate.service');
+const CapacityService = require('../services/capacity.service');
+const RouteSolverService = require('../services/routeSolver.service');
+const HoursOfServiceService = require('../services/hoursOfService.service');
+const CostService = require('../services/cost.service');
+const EmissionsService = require('../services/emissions.service');
+const QualificationService = require('../services/qualification.service');
+const SimulationService = require('../services/simulation.service');
+const TimelineService = require('../services/timeline.service');
 const { logger } = require('../utils/logger');
 
 /**
@@ -82,7 +89,8 @@ const getRoute = asyncHandler(async (req, res) => {
   const route = await RoutePlan.findById(req.params.id)
     .populate('deliveries')
     .populate('driver.id', 'name email phone')
-    .populate('userId', 'name email');
+    .populate('userId', 'name email')
+    .populate('startDepot endDepot', 'name address location');
 
   if (!route) {
     throw new ApiError('Route not found', 404);
@@ -120,7 +128,13 @@ const createRoute = asyncHandler(async (req, res) => {
     driverId,
     optimizationSettings,
     tags,
-    notes
+    notes,
+    route: waypoints,
+    startTime,
+    endTime,
+    metrics,
+    aiOptimization,
+    sequenceConstraints
   } = req.body;
 
   // Validate deliveries exist
@@ -136,10 +150,21 @@ const createRoute = asyncHandler(async (req, res) => {
     }
   }
 
+  // Preserve the requested stop order
+  const orderedDeliveries = (deliveryIds || []).map(id => deliveries.find(d => d._id.toString() === id));
+  checkStopOrder(orderedDeliveries);
+  checkSequenceConstraints(orderedDeliveries, sequenceConstraints);
+  const capacityCheck = checkCapacity(vehicle, orderedDeliveries);
+  const settings = await CompanySettings.forCompany(req.user.companyId);
+  const hoursOfServiceCheck = checkHoursOfService({ startTime, endTime, route: waypoints }, settings.hoursOfService);
+  const alternatives = (aiOptimization?.alternatives || []).map(toStoredAlternative);
+  checkAlternatives(alternatives, orderedDeliveries);
+
   // Get driver info if provided
   let driver = null;
+  let driverUser = null;
   if (driverId) {
-    const driverUser = await User.findById(driverId);
+    driverUser = await User.findById(driverId);
     if (driverUser) {
       driver = {
         id: driverUser._id,
@@ -148,14 +173,37 @@ const createRoute = asyncHandler(async (req, res) => {
       };
     }
   }
+  // Routes saved without a vehicle get the default, unequipped one
+  checkQualifications(orderedDeliveries, { vehicle: vehicle || {}, driver: driverUser, date: scheduledDate });
+  const ends = await resolveRouteEnds(req.body, req.user.companyId, driverUser);
+  const emissionFactors = settings.emissionFactors?.toObject();
+  const co2Emissions = EmissionsService.routeEmissions({ metrics, vehicle, capacityCheck }, emissionFactors, settings.costProfile);
 
   const route = await RoutePlan.create({
     userId: req.user.id,
     name,
     description,
-    deliveries: deliveries.map(d => d._id),
+    deliveries: orderedDeliveries.map(d => d._id),
+    route: waypoints,
+    sequenceConstraints,
+    ...ends,
     scheduledDate,
+    startTime,
+    endTime,
     vehicle,
+    capacityCheck,
+    hoursOfServiceCheck,
+    // Cost and emissions come from the company settings rather than the request
+    metrics: { ...metrics, co2Emissions },
+    cost: CostService.routeCost({ metrics, vehicle }, settings.costProfile),
+    aiOptimization: aiOptimization && {
+      model: aiOptimization.model,
+      confidence: aiOptimization.confidence,
+      reasoning: aiOptimization.reasoning,
+      activeLabel: aiOptimization.activeLabel,
+      activeSource: aiOptimization.activeSource,
+      alternatives
+    },
     driver,
     optimizationSettings,
     tags,
@@ -170,6 +218,7 @@ const createRoute = asyncHandler(async (req, res) => {
       { _id: { $in: deliveries.map(d => d._id) } },
       { routePlanId: route._id, status: 'assigned' }
     );
+    await TimelineService.updateArrivals(route.route);
   }
 
   const populatedRoute = await RoutePlan.findById(route._id).populate('deliveries');
@@ -182,88 +231,204 @@ const createRoute = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Optimize route using AI
+ * Start and end of a new route; depot and home locations are copied onto the
+ * route so later edits to them do not move planned routes
+ */
+const resolveRouteEnds = async (body, companyId, driverUser) => {
+  const { startDepot, endDepot, endType = 'start' } = body;
+  const depotIds = [startDepot, endType === 'depot' && endDepot].filter(Boolean);
+  const depots = depotIds.length > 0 ? await Depot.find({ _id: { $in: depotIds }, companyId }) : [];
+  const depotPoint = (depotId) => {
+    const depot = depots.find(d => d._id.toString() === depotId);
+    if (!depot) {
+      throw new ApiError(`Depot ${depotId} not found`, 400);
+    }
+    return { coordinates: depot.location.coordinates, address: depot.address?.fullAddress || depot.name };
+  };
+
+  const startLocation = body.startLocation?.coordinates
+    ? body.startLocation
+    : startDepot ? depotPoint(startDepot) : undefined;
+
+  let endLocation;
+  if (endType === 'start') {
+    endLocation = startLocation;
+  } else if (endType === 'depot') {
+    endLocation = body.endLocation?.coordinates ? body.endLocation : endDepot ? depotPoint(endDepot) : undefined;
+  } else if (endType === 'home') {
+    endLocation = body.endLocation?.coordinates ? body.endLocation : driverUser?.homeLocation?.coordinates?.length
+      ? { coordinates: driverUser.homeLocation.coordinates, address: driverUser.homeLocation.address }
+      : undefined;
+    if (!endLocation) {
+      throw new ApiError('Routes ending at the driver\'s home need a driver with a home location', 400);
+    }
+  }
+
+  return {
+    startDepot: startDepot || undefined,
+    startLocation,
+    endType,
+    endDepot: endType === 'depot' ? endDepot || undefined : undefined,
+    endLocation
+  };
+};
+
+/**
+ * @desc    Optimize route (VRPTW solver by default, AI sequencing on request)
  * @route   POST /api/routes/optimize
  * @access  Private
  */
 const optimizeRoute = asyncHandler(async (req, res) => {
-  const {
-    deliveryIds,
-    startLocation,
-    endLocation,
-    vehicleType,
-    optimizationPriority,
-    constraints
-  } = req.body;
+  const { message, data } = await OptimizationService.optimize(req.body, req.user);
 
-  // Get deliveries
-  const deliveries = await Delivery.find({
-    _id: { $in: deliveryIds },
-    companyId: req.user.companyId
+  res.status(200).json({
+    success: true,
+    message,
+    data
   });
+});
 
-  if (deliveries.length === 0) {
-    throw new ApiError('No valid deliveries found', 400);
+/**
+ * Refuse deliveries the driver is not certified, or the vehicle not equipped, for
+ */
+const checkQualifications = (deliveries, assignment) => {
+  const violations = QualificationService.checkRoute(deliveries, assignment);
+  if (violations.length > 0) {
+    throw new ApiError('Driver or vehicle is not qualified for some deliveries', 400, violations);
   }
+};
 
-  logger.info(`Optimizing route with ${deliveries.length} deliveries`);
+/**
+ * Check the load of a route against its vehicle; overloaded routes are rejected
+ * with one error per exceeded dimension
+ */
+const checkCapacity = (vehicle, deliveries) => {
+  const capacityCheck = CapacityService.checkRoute(vehicle, deliveries);
+  if (!capacityCheck.withinCapacity) {
+    throw new ApiError('Deliveries exceed vehicle capacity', 400, capacityCheck.violations);
+  }
+  return capacityCheck;
+};
 
-  // Get real-time data for optimization
-  let trafficData = null;
-  let weatherData = null;
+/**
+ * Check planned times against the company hours-of-service rules; violating
+ * plans are rejected or returned flagged, depending on the company setting
+ */
+const checkHoursOfService = (plan, rules) => {
+  if (!plan.route || plan.route.length === 0) return undefined;
 
-  try {
-    // Get traffic data if we have coordinates
-    if (startLocation?.coordinates) {
-      const [lng, lat] = startLocation.coordinates;
-      trafficData = await TomTomService.getTrafficFlow(lat, lng);
-    }
-  } catch (error) {
-    logger.warn(`Could not fetch traffic data: ${error.message}`);
+  const hoursOfServiceCheck = HoursOfServiceService.checkPlan(plan, rules);
+  if (!hoursOfServiceCheck.compliant && hoursOfServiceCheck.enforcement === 'reject') {
+    throw new ApiError('Route violates driver hours-of-service rules', 400, hoursOfServiceCheck.violations);
   }
+  return hoursOfServiceCheck;
+};
 
-  try {
-    // Get weather data
-    if (startLocation?.coordinates) {
-      const [lng, lat] = startLocation.coordinates;
-      weatherData = await WeatherService.getWeather(lat, lng);
-    }
-  } catch (error) {
-    logger.warn(`Could not fetch weather data: ${error.message}`);
+/**
+ * Estimate fuel or energy, CO2 and cost of a route anew from its distance,
+ * duration and vehicle
+ */
+const repriceRoute = (route, settings) => {
+  const emissionFactors = settings.emissionFactors?.toObject();
+  const consumption = EmissionsService.routeConsumption({
+    metrics: { totalDistance: route.metrics?.totalDistance },
+    vehicle: route.vehicle,
+    capacityCheck: route.capacityCheck
+  }, emissionFactors, settings.costProfile);
+
+  route.set('metrics.estimatedFuelConsumption', Math.round((consumption.fuel || 0) * 10) / 10);
+  route.set('metrics.estimatedEnergyConsumption', Math.round((consumption.energy || 0) * 10) / 10);
+  route.set('metrics.co2Emissions', EmissionsService.routeEmissions(route, emissionFactors, settings.costProfile));
+  route.cost = CostService.routeCost(route, settings.costProfile);
+};
+
+/**
+ * Reject routes that visit a drop-off before its pickup
+ */
+const checkStopOrder = (deliveries) => {
+  const ids = deliveries.map(d => d._id.toString());
+  const errors = deliveries
+    .map((delivery, index) => ({ delivery, index }))
+    .filter(({ delivery, index }) => delivery.stopType === 'dropoff' && delivery.pairedDeliveryId &&
+      ids.indexOf(delivery.pairedDeliveryId.toString()) > index)
+    .map(({ delivery }) => ({
+      field: 'deliveryIds',
+      message: `Drop-off for ${delivery.customer?.name || delivery._id} comes before its pickup`
+    }));
+
+  if (errors.length > 0) {
+    throw new ApiError('Pickups must come before their drop-offs', 400, errors);
   }
+};
 
-  // Call AI optimization service
-  const result = await AIRouteService.optimizeRoute({
-    deliveries,
-    startLocation,
-    endLocation: endLocation || startLocation,
-    vehicleType: vehicleType || 'van',
-    constraints,
-    trafficData,
-    weatherData,
-    optimizationPriority: optimizationPriority || 'balanced'
-  });
+/**
+ * Reject sequence constraints on stops that are not on the route, or a stop
+ * order that breaks them
+ */
+const checkSequenceConstraints = (deliveries, constraints) => {
+  if (!constraints || constraints.length === 0) return;
+
+  const ids = deliveries.map(d => d._id.toString());
+  const resolved = RouteSolverService.resolveConstraints(constraints, ids);
+  if (resolved.unknown.length > 0) {
+    throw new ApiError('Sequence constraints refer to deliveries that are not on the route', 400,
+      [...new Set(resolved.unknown)].map(id => ({ field: 'sequenceConstraints', message: `Delivery ${id} is not on the route` })));
+  }
 
-  res.status(200).json({
-    success: true,
-    message: 'Route optimized successfully',
-    data: {
-      optimizedRoute: result.optimizedRoute,
-      aiModel: result.aiModel,
-      confidence: result.confidence,
-      conditions: {
-        traffic: trafficData ? {
-          congestionLevel: trafficData.congestionLevel,
-          currentSpeed: trafficData.currentSpeed
-        } : null,
-        weather: weatherData ? {
-          condition: weatherData.current?.condition,
-          temperature: weatherData.current?.temperature
-        } : null
-      }
-    }
-  });
-});
+  const names = deliveries.map(d => d.customer?.name);
+  const violations = RouteSolverService.constraintViolations(resolved, ids.map((id, index) => index));
+  if (violations.length > 0) {
+    throw new ApiError('Stop order breaks the sequence constraints', 400, violations.map(violation => ({
+      field: 'sequenceConstraints',
+      message: RouteSolverService.describeConstraintViolation(violation, names)
+    })));
+  }
+};
+
+/**
+ * Stored form of an alternative plan as returned by the optimizer
+ */
+const toStoredAlternative = (plan) => {
+  const metrics = plan.estimatedMetrics || {};
+  return {
+    label: plan.label,
+    source: plan.source,
+    deliveries: plan.deliveryIds,
+    route: plan.route,
+    startTime: plan.startTime,
+    endTime: plan.endTime,
+    distance: metrics.totalDistance,
+    duration: metrics.totalDuration,
+    cost: metrics.cost,
+    costBreakdown: metrics.costBreakdown,
+    fuel: metrics.fuelEstimate,
+    energy: metrics.energyEstimate,
+    chargingTime: metrics.chargingTime,
+    co2Emissions: metrics.co2Emissions,
+    timeWindowViolations: metrics.timeWindowViolations,
+    lateMinutes: metrics.lateMinutes,
+    confidence: plan.confidence,
+    warnings: plan.warnings
+  };
+};
+
+/**
+ * Reject alternatives that do not visit exactly the route's deliveries
+ */
+const checkAlternatives = (alternatives, deliveries) => {
+  const ids = deliveries.map(d => d._id.toString()).sort().join(',');
+  const errors = alternatives
+    .map((alternative, index) => ({ alternative, index }))
+    .filter(({ alternative }) => (alternative.deliveries || []).map(String).sort().join(',') !== ids)
+    .map(({ alternative, index }) => ({
+      field: `aiOptimization.alternatives[${index}]`,
+      message: `Alternative ${alternative.label || index + 1} does not visit the route's deliveries`
+    }));
+
+  if (errors.length > 0) {
+    throw new ApiError('Alternatives must cover the same deliveries as the route', 400, errors);
+  }
+};
 
 /**
  * @desc    Update route plan
@@ -306,21 +471,178 @@ const updateRoute = asyncHandler(async (req, res) => {
   }
 
   // Update other allowed fields
-  const allowedUpdates = ['name', 'status', 'vehicle', 'scheduledDate', 'description', 'notes'];
+  const allowedUpdates = ['name', 'status', 'vehicle', 'scheduledDate', 'description', 'notes', 'route', 'startTime', 'endTime', 'sequenceConstraints'];
   allowedUpdates.forEach(field => {
     if (req.body[field] !== undefined) {
       route[field] = req.body[field];
     }
   });
 
+  // Re-check the load and stop order whenever stops, vehicle or sequence constraints change
+  if (req.body.deliveryIds || req.body.vehicle !== undefined || req.body.sequenceConstraints) {
+    const deliveries = await Delivery.find({ _id: { $in: route.deliveries } });
+    const orderedDeliveries = route.deliveries
+      .map(id => deliveries.find(d => d._id.equals(id)))
+      .filter(Boolean);
+    checkStopOrder(orderedDeliveries);
+
+    // Constraints on stops taken off the route go with them
+    let constraints = route.sequenceConstraints.map(constraint => constraint.toObject());
+    if (req.body.deliveryIds && req.body.sequenceConstraints === undefined) {
+      const onRoute = new Set(orderedDeliveries.map(d => d._id.toString()));
+      constraints = constraints.filter(constraint =>
+        [constraint.deliveryId, constraint.otherDeliveryId, ...(constraint.deliveryIds || [])]
+          .every(id => !id || onRoute.has(id.toString())));
+      route.sequenceConstraints = constraints;
+    }
+    checkSequenceConstraints(orderedDeliveries, constraints);
+
+    route.capacityCheck = checkCapacity(route.vehicle, orderedDeliveries);
+  }
+
+  // Re-check qualifications whenever stops, vehicle, driver or day change
+  if (req.body.deliveryIds || req.body.vehicle !== undefined || req.body.driver || req.body.scheduledDate) {
+    const deliveries = await Delivery.find({ _id: { $in: route.deliveries } });
+    const driverUser = route.driver?.id ? await User.findById(route.driver.id) : null;
+    checkQualifications(deliveries, { vehicle: route.vehicle, driver: driverUser, date: route.scheduledDate });
+  }
+
+  // Another vehicle may have other cost rates and emissions; consumption
+  // estimated for the previous vehicle no longer applies
+  if (req.body.vehicle !== undefined) {
+    repriceRoute(route, await CompanySettings.forCompany(route.companyId));
+  }
+
+  // A new stop order or start time is re-timed along the legs, unless planned waypoints come with it
+  const retime = (req.body.deliveryIds || req.body.startTime) && req.body.route === undefined;
+  let timeline = null;
+  let timelineStale = false;
+  if (retime || req.body.route || req.body.endTime) {
+    const settings = await CompanySettings.forCompany(route.companyId);
+    if (retime) {
+      try {
+        timeline = await TimelineService.refresh(route, { routing: settings.routing?.toObject() });
+      } catch (error) {
+        // The stops still take their new order, without times until the route is re-timed
+        logger.warn(`Route ${route._id} could not be re-timed: ${error.message}`);
+        route.route = TimelineService.untimed(route, await TimelineService.deliveriesOf(route));
+        timelineStale = true;
+      }
+    }
+    route.hoursOfServiceCheck = checkHoursOfService(route, settings.hoursOfService);
+  }
+
   await route.save();
+  if (timeline) await TimelineService.updateArrivals(timeline.route);
 
   // Populate deliveries for response
   const populatedRoute = await RoutePlan.findById(route._id).populate('deliveries');
 
   res.status(200).json({
     success: true,
-    message: 'Route updated successfully',
+    message: timelineStale ? 'Route updated; stop times could not be recomputed' : 'Route updated successfully',
+    data: { route: populatedRoute, timelineStale }
+  });
+});
+
+/**
+ * @desc    Make a stored alternative the active plan; the replaced plan becomes an alternative
+ * @route   POST /api/routes/:id/alternatives/:alternativeId/promote
+ * @access  Private
+ */
+const promoteAlternative = asyncHandler(async (req, res) => {
+  const route = await RoutePlan.findById(req.params.id);
+
+  if (!route) {
+    throw new ApiError('Route not found', 404);
+  }
+
+  if (route.companyId !== req.user.companyId) {
+    throw new ApiError('Not authorized to update this route', 403);
+  }
+
+  if (!['draft', 'planned'].includes(route.status)) {
+    throw new ApiError('Only draft or planned routes can switch plans', 400);
+  }
+
+  const alternative = route.aiOptimization?.alternatives?.id(req.params.alternativeId);
+  if (!alternative) {
+    throw new ApiError('Alternative not found', 404);
+  }
+
+  const promoted = alternative.toObject();
+  const deliveries = await Delivery.find({ _id: { $in: promoted.deliveries } });
+  const orderedDeliveries = promoted.deliveries
+    .map(id => deliveries.find(d => d._id.equals(id)))
+    .filter(Boolean);
+
+  // The route's stops may have changed since the alternative was simulated
+  const sameStops = (ids) => ids.map(String).sort().join(',');
+  if (orderedDeliveries.length !== promoted.deliveries.length || sameStops(promoted.deliveries) !== sameStops(route.deliveries)) {
+    throw new ApiError('Alternative no longer matches the route\'s deliveries', 409);
+  }
+  checkStopOrder(orderedDeliveries);
+  // Constraints may have been set since the alternative was simulated
+  checkSequenceConstraints(orderedDeliveries, route.sequenceConstraints.map(constraint => constraint.toObject()));
+  const capacityCheck = checkCapacity(route.vehicle, orderedDeliveries);
+
+  const previous = {
+    label: route.aiOptimization.activeLabel || 'Previous plan',
+    source: route.aiOptimization.activeSource,
+    deliveries: [...route.deliveries],
+    route: route.route.map(waypoint => waypoint.toObject()),
+    startTime: route.startTime,
+    endTime: route.endTime,
+    distance: route.metrics.totalDistance,
+    duration: route.metrics.totalDuration,
+    cost: route.cost?.total,
+    costBreakdown: route.cost?.breakdown,
+    fuel: route.metrics.estimatedFuelConsumption,
+    energy: route.metrics.estimatedEnergyConsumption,
+    chargingTime: route.metrics.chargingTime,
+    co2Emissions: route.metrics.co2Emissions,
+    timeWindowViolations: route.metrics.timeWindowViolations,
+    lateMinutes: route.metrics.lateMinutes,
+    confidence: route.aiOptimization.confidence,
+    warnings: []
+  };
+
+  route.deliveries = promoted.deliveries;
+  route.route = promoted.route;
+  route.startTime = promoted.startTime;
+  route.endTime = promoted.endTime;
+  route.set({
+    'metrics.totalDistance': promoted.distance,
+    'metrics.totalDuration': promoted.duration,
+    'metrics.estimatedFuelConsumption': promoted.fuel || 0,
+    'metrics.estimatedEnergyConsumption': promoted.energy || 0,
+    'metrics.chargingTime': promoted.chargingTime || 0,
+    'metrics.co2Emissions': promoted.co2Emissions,
+    'metrics.timeWindowViolations': promoted.timeWindowViolations,
+    'metrics.lateMinutes': promoted.lateMinutes,
+    'cost.total': promoted.cost,
+    'cost.breakdown': promoted.costBreakdown
+  });
+  route.capacityCheck = capacityCheck;
+
+  const settings = await CompanySettings.forCompany(route.companyId);
+  route.hoursOfServiceCheck = checkHoursOfService(route, settings.hoursOfService);
+
+  route.aiOptimization.activeLabel = promoted.label;
+  route.aiOptimization.activeSource = promoted.source;
+  route.aiOptimization.confidence = promoted.confidence;
+  alternative.set(previous);
+
+  await route.save();
+  await TimelineService.updateArrivals(route.route);
+
+  logger.info(`Route ${route._id} switched to alternative plan "${route.aiOptimization.activeLabel}"`);
+
+  const populatedRoute = await RoutePlan.findById(route._id).populate('deliveries');
+
+  res.status(200).json({
+    success: true,
+    message: 'Alternative plan promoted',
     data: { route: populatedRoute }
   });
 });
@@ -411,6 +733,10 @@ const completeRoute = asyncHandler(async (req, res) => {
 
   route.status = 'completed';
   route.actualEndTime = new Date();
+  // Final cost pays the driver for the time the route actually took
+  const settings = await CompanySettings.forCompany(route.companyId);
+  route.cost = CostService.routeCost(route, settings.costProfile);
+  route.set('metrics.co2Emissions', EmissionsService.routeEmissions(route, settings.emissionFactors?.toObject(), settings.costProfile));
   await route.save();
 
   // Update all deliveries to delivered
@@ -429,7 +755,7 @@ const completeRoute = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get route directions from TomTom
+ * @desc    Get route directions from the company's routing provider
  * @route   POST /api/routes/:id/directions
  * @access  Private
  */
@@ -440,38 +766,47 @@ const getRouteDirections = asyncHandler(async (req, res) => {
     throw new ApiError('Route not found', 404);
   }
 
-  const { startLocation } = req.body;
+  // The route's own start and end unless the request gives a start
+  const startLocation = req.body.startLocation || route.startLocation;
+  const endLocation = route.endLocation;
 
   // Build waypoints from deliveries
   const waypoints = [];
-  
-  if (startLocation) {
+  const fromStart = Boolean(startLocation?.coordinates?.length);
+  const stops = route.deliveries.filter(delivery => delivery.location?.coordinates?.length);
+
+  if (fromStart) {
     waypoints.push({
       lat: startLocation.coordinates[1],
       lng: startLocation.coordinates[0]
     });
   }
 
-  for (const delivery of route.deliveries) {
-    if (delivery.location?.coordinates) {
-      waypoints.push({
-        lat: delivery.location.coordinates[1],
-        lng: delivery.location.coordinates[0]
-      });
-    }
+  for (const delivery of stops) {
+    waypoints.push({
+      lat: delivery.location.coordinates[1],
+      lng: delivery.location.coordinates[0]
+    });
+  }
+
+  if (endLocation?.coordinates?.length) {
+    waypoints.push({
+      lat: endLocation.coordinates[1],
+      lng: endLocation.coordinates[0]
+    });
   }
 
   if (waypoints.length < 2) {
     throw new ApiError('Not enough waypoints for directions', 400);
   }
 
-  // Get directions from TomTom
-  const directions = await TomTomService.calculateRoute(waypoints, {
-    vehicleType: route.vehicle?.type,
-    priority: route.optimizationSettings?.priority,
-    avoidTolls: route.optimizationSettings?.avoidTolls,
-    avoidHighways: route.optimizationSettings?.avoidHighways,
-    avoidFerries: route.optimizationSettings?.avoidFerries
+  // Falls back along the company's provider chain, down to a straight-line estimate
+  const settings = await CompanySettings.forCompany(route.companyId);
+  const routing = settings.routing?.toObject();
+  const departureTime = TimelineService.plannedDeparture(route, stops);
+  const directions = await RoutingService.route(waypoints, {
+    ...TimelineService.routeOptions(route, departureTime),
+    settings: routing
   });
 
   // Update route with geometry
@@ -481,7 +816,19 @@ const getRouteDirections = asyncHandler(async (req, res) => {
     totalDistance: directions.summary.lengthInMeters / 1000,
     totalDuration: directions.summary.travelTimeInSeconds / 60
   };
+
+  // Stop times follow the legs; routes under way are re-timed from where the driver is
+  let timeline;
+  if (['in_progress', 'delayed'].includes(route.status)) {
+    timeline = await TimelineService.refresh(route, { routing });
+  } else {
+    timeline = TimelineService.build(route, stops, directions.legs, { departureTime, fromStart });
+    TimelineService.apply(route, timeline);
+  }
+  // Flagged rather than refused: the directions describe the route as it is
+  route.hoursOfServiceCheck = HoursOfServiceService.checkPlan(route, settings.hoursOfService);
   await route.save();
+  if (timeline) await TimelineService.updateArrivals(timeline.route);
 
   res.status(200).json({
     success: true,
@@ -511,7 +858,40 @@ const getRouteUpdates = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Trigger route re-optimization
+ * @desc    What-if simulation of a route with another departure, traffic or
+ *          weather delays, vehicle, driver or stop order; nothing is saved
+ * @route   POST /api/routes/:id/simulate
+ * @access  Private/Admin/Dispatcher
+ */
+const simulateRoute = asyncHandler(async (req, res) => {
+  const route = await RoutePlan.findById(req.params.id);
+
+  if (!route) {
+    throw new ApiError('Route not found', 404);
+  }
+
+  if (route.companyId !== req.user.companyId) {
+    throw new ApiError('Not authorized to access this route', 403);
+  }
+
+  const { departureTime, trafficMultiplier, weatherMultiplier, vehicle, driverId, deliveryIds } = req.body;
+  const result = await SimulationService.simulateRoute(route, {
+    departureTime,
+    trafficMultiplier,
+    weatherMultiplier,
+    vehicle,
+    driverId,
+    deliveryIds
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Trigger route re-optimization; a new plan is stored as a proposal, not applied
  * @route   POST /api/routes/:id/reoptimize
  * @access  Private
  */
@@ -526,16 +906,99 @@ const reoptimizeRoute = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Switch a route to its proposed re-optimization; stops already delivered keep their place
+ * @route   POST /api/routes/:id/reoptimize/apply
+ * @access  Private
+ */
+const applyReoptimization = asyncHandler(async (req, res) => {
+  const route = await RoutePlan.findById(req.params.id);
+
+  if (!route) {
+    throw new ApiError('Route not found', 404);
+  }
+
+  const proposal = route.reoptimization;
+  if (!proposal?.deliveries?.length) {
+    throw new ApiError('No re-optimization has been proposed for this route', 404);
+  }
+
+  const deliveries = await Delivery.find({ _id: { $in: route.deliveries } });
+  const routeDeliveries = route.deliveries
+    .map(id => deliveries.find(d => d._id.equals(id)))
+    .filter(Boolean);
+  const served = routeDeliveries.filter(d => d.status === 'delivered');
+
+  // Stops may have been delivered, added or removed since the proposal was made
+  const sameStops = (ids) => ids.map(String).sort().join(',');
+  const remaining = routeDeliveries.filter(d => d.status !== 'delivered').map(d => d._id);
+  if (sameStops(proposal.deliveries) !== sameStops(remaining)) {
+    throw new ApiError('Re-optimization no longer matches the route\'s remaining deliveries', 409);
+  }
+
+  const orderedDeliveries = [
+    ...served,
+    ...proposal.deliveries.map(id => routeDeliveries.find(d => d._id.equals(id)))
+  ];
+  checkStopOrder(orderedDeliveries);
+  checkSequenceConstraints(orderedDeliveries, route.sequenceConstraints.map(constraint => constraint.toObject()));
+  route.capacityCheck = checkCapacity(route.vehicle, orderedDeliveries);
+
+  // Waypoints already driven, breaks and charging included, stay ahead of the new plan
+  const lastServed = served.length ? served[served.length - 1]._id : null;
+  let drivenCount = lastServed ? route.route.findIndex(waypoint => lastServed.equals(waypoint.deliveryId)) + 1 : 0;
+  while (drivenCount < route.route.length && !route.route[drivenCount].deliveryId &&
+    route.route[drivenCount].departureTime <= new Date()) {
+    drivenCount++;
+  }
+  const driven = route.route.slice(0, drivenCount).map(waypoint => waypoint.toObject());
+  const planned = proposal.route.map(waypoint => waypoint.toObject());
+
+  route.deliveries = orderedDeliveries.map(d => d._id);
+  route.route = [...driven, ...planned].map((waypoint, index) => ({ ...waypoint, sequence: index + 1 }));
+  route.endTime = proposal.endTime;
+  route.set({
+    'metrics.totalDistance': Math.max(0, Math.round(((route.metrics.totalDistance || 0) + proposal.distanceChange) * 10) / 10),
+    'metrics.totalDuration': Math.max(0, (route.metrics.totalDuration || 0) + proposal.durationChange),
+    'metrics.chargingTime': route.route
+      .filter(waypoint => waypoint.type === 'charging')
+      .reduce((sum, waypoint) => sum + (waypoint.serviceTime || 0), 0),
+    'metrics.timeWindowViolations': proposal.timeWindowViolations,
+    'metrics.lateMinutes': proposal.lateMinutes
+  });
+
+  const settings = await CompanySettings.forCompany(route.companyId);
+  repriceRoute(route, settings);
+  route.hoursOfServiceCheck = checkHoursOfService(route, settings.hoursOfService);
+  route.reoptimization = undefined;
+
+  await route.save();
+  await TimelineService.updateArrivals(planned);
+
+  logger.info(`Route ${route._id} switched to its re-optimized plan by user ${req.user.id}`);
+
+  const populatedRoute = await RoutePlan.findById(route._id).populate('deliveries');
+
+  res.status(200).json({
+    success: true,
+    message: 'Re-optimized plan applied',
+    data: { route: populatedRoute }
+  });
+});
+
 module.exports = {
   getRoutes,
   getRoute,
   createRoute,
   optimizeRoute,
   updateRoute,
+  promoteAlternative,
   deleteRoute,
   startRoute,
   completeRoute,
   getRouteDirections,
   getRouteUpdates,
-  reoptimizeRoute
+  simulateRoute,
+  reoptimizeRoute,
+  applyReoptimization
 };
\ No newline at end of file
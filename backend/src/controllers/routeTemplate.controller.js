@@ -0,0 +1,196 @@
+/**
+ * Route Template Controller
+ * Handles recurring route templates and generating their draft routes
+ */
+
+const { RouteTemplate, RoutePlan, User, Zone } = require('../models');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const RouteTemplateService = require('../services/routeTemplate.service');
+const RecurrenceService = require('../services/recurrence.service');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 86400000;
+
+const findTemplate = async (req) => {
+  const template = await RouteTemplate.findOne({ _id: req.params.id, companyId: req.user.companyId });
+
+  if (!template) {
+    throw new ApiError('Route template not found', 404);
+  }
+
+  return template;
+};
+
+/**
+ * Copy the request onto a template, checking its driver, zones and depots
+ * belong to the company
+ */
+const applyTemplate = async (template, body, companyId) => {
+  const fields = ['name', 'description', 'schedule', 'leadDays', 'deliveryFilter', 'vehicle', 'startDepot',
+    'startLocation', 'endType', 'endDepot', 'endLocation', 'optimizationSettings', 'isActive'];
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      template[field] = body[field];
+    }
+  });
+
+  let driverUser = null;
+  if (body.driverId) {
+    driverUser = await User.findOne({ _id: body.driverId, companyId, role: 'driver' });
+    if (!driverUser) {
+      throw new ApiError(`Driver ${body.driverId} not found`, 400);
+    }
+    template.driver = { id: driverUser._id, name: driverUser.name, phone: driverUser.phone };
+  } else if (body.driverId === null) {
+    template.driver = undefined;
+  } else if (template.driver?.id) {
+    driverUser = await User.findById(template.driver.id);
+  }
+
+  const zoneIds = template.deliveryFilter?.zoneIds || [];
+  if (zoneIds.length > 0) {
+    const zones = await Zone.find({ _id: { $in: zoneIds }, companyId });
+    const missing = zoneIds.find(id => !zones.some(zone => zone._id.equals(id)));
+    if (missing) {
+      throw new ApiError(`Zone ${missing} not found`, 400);
+    }
+  }
+
+  // Throws for depots of other companies and home ends without a home
+  await RouteTemplateService.resolveEnds(template, driverUser);
+};
+
+/**
+ * @desc    Get company route templates
+ * @route   GET /api/route-templates
+ * @access  Private
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const query = { companyId: req.user.companyId };
+  if (req.query.active === 'true') {
+    query.isActive = true;
+  }
+
+  const templates = await RouteTemplate.find(query).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { templates }
+  });
+});
+
+/**
+ * @desc    Get single route template with its next runs
+ * @route   GET /api/route-templates/:id
+ * @access  Private
+ */
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  const from = new Date();
+  const nextRuns = RecurrenceService.occurrences(
+    template.schedule.rrule,
+    template.schedule.startDate,
+    from,
+    new Date(from.getTime() + 60 * DAY_MS)
+  ).slice(0, 10);
+  const routes = await RoutePlan.find({ templateId: template._id, scheduledDate: { $gte: new Date(RecurrenceService.dayOf(from)) } })
+    .select('name status scheduledDate deliveries')
+    .sort({ scheduledDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { template, nextRuns, routes }
+  });
+});
+
+/**
+ * @desc    Create route template and generate its first draft routes
+ * @route   POST /api/route-templates
+ * @access  Private/Admin/Dispatcher
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const template = new RouteTemplate({
+    companyId: req.user.companyId,
+    createdBy: req.user.id
+  });
+  await applyTemplate(template, req.body, req.user.companyId);
+  await template.save();
+
+  const generated = template.isActive ? await RouteTemplateService.generate(template) : null;
+
+  logger.info(`Route template ${template._id} created by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Route template created successfully',
+    data: { template, generated }
+  });
+});
+
+/**
+ * @desc    Update route template; routes already generated are kept
+ * @route   PUT /api/route-templates/:id
+ * @access  Private/Admin/Dispatcher
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  await applyTemplate(template, req.body, req.user.companyId);
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Route template updated successfully',
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Delete route template; its generated routes stay as ordinary routes
+ * @route   DELETE /api/route-templates/:id
+ * @access  Private/Admin/Dispatcher
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  await RoutePlan.updateMany({ templateId: template._id }, { $unset: { templateId: 1 } });
+  await template.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Route template deleted successfully'
+  });
+});
+
+/**
+ * @desc    Generate draft routes of a template now
+ * @route   POST /api/route-templates/:id/generate
+ * @access  Private/Admin/Dispatcher
+ */
+const generateRoutes = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+
+  if (!template.isActive) {
+    throw new ApiError('Route template is paused', 400);
+  }
+
+  const generated = await RouteTemplateService.generate(template, { from: req.body.from, to: req.body.to });
+
+  logger.info(`Route template ${template._id} generated ${generated.created.length} route(s) for user ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: `${generated.created.length} route(s) created, ${generated.updated.length} updated`,
+    data: { generated }
+  });
+});
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  generateRoutes
+};
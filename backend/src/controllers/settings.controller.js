@@ -0,0 +1,59 @@
+/**
+ * Settings Controller
+ * Company-wide planning rules
+ */
+
+const { CompanySettings } = require('../models');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Settings sections an admin may change
+const SETTINGS_SECTIONS = ['hoursOfService', 'costProfile', 'emissionFactors', 'llm', 'routing', 'geocoding'];
+
+/**
+ * @desc    Get company settings
+ * @route   GET /api/settings
+ * @access  Private
+ */
+const getSettings = asyncHandler(async (req, res) => {
+  const settings = await CompanySettings.forCompany(req.user.companyId);
+
+  res.status(200).json({
+    success: true,
+    data: { settings }
+  });
+});
+
+/**
+ * @desc    Update company settings
+ * @route   PUT /api/settings
+ * @access  Private/Admin
+ */
+const updateSettings = asyncHandler(async (req, res) => {
+  // Set individual fields so partial updates keep the other values
+  const updates = { updatedBy: req.user.id };
+  SETTINGS_SECTIONS.forEach(section => {
+    Object.entries(req.body[section] || {}).forEach(([field, value]) => {
+      updates[`${section}.${field}`] = value;
+    });
+  });
+
+  const settings = await CompanySettings.findOneAndUpdate(
+    { companyId: req.user.companyId },
+    { $set: updates },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info(`Settings updated for company ${req.user.companyId} by user ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Settings updated successfully',
+    data: { settings }
+  });
+});
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
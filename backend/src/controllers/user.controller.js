@@ -3,8 +3,9 @@
  * Admin-level user management operations
  */
 
-const { User } = require('../models');
+const { User, RoutePlan } = require('../models');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const QualificationService = require('../services/qualification.service');
 
 /**
  * @desc    Get all users (with pagination)
@@ -135,7 +136,9 @@ const updateUser = asyncHandler(async (req, res) => {
     role: req.body.role,
     phone: req.body.phone,
     isActive: req.body.isActive,
-    preferences: req.body.preferences
+    preferences: req.body.preferences,
+    homeLocation: req.body.homeLocation,
+    skills: req.body.skills
   };
 
   // Remove undefined fields
@@ -186,16 +189,25 @@ const deleteUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get drivers for assignment
+ * @desc    Get drivers for assignment; with ?routeId only those qualified for its deliveries
  * @route   GET /api/users/drivers
  * @access  Private
  */
 const getDrivers = asyncHandler(async (req, res) => {
-  const drivers = await User.find({
+  let drivers = await User.find({
     companyId: req.user.companyId,
     role: 'driver',
     isActive: true
-  }).select('name email phone');
+  }).select('name email phone skills');
+
+  if (req.query.routeId) {
+    const route = await RoutePlan.findOne({ _id: req.query.routeId, companyId: req.user.companyId }).populate('deliveries');
+    if (!route) {
+      throw new ApiError('Route not found', 404);
+    }
+    drivers = drivers.filter(driver =>
+      QualificationService.checkRoute(route.deliveries, { driver, date: route.scheduledDate }).length === 0);
+  }
 
   res.status(200).json({
     success: true,
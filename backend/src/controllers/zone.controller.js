@@ -0,0 +1,146 @@
+/**
+ * Zone Controller
+ * Handles company delivery zone CRUD operations
+ */
+
+const { Zone, Delivery } = require('../models');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const ZoneService = require('../services/zone.service');
+const { logger } = require('../utils/logger');
+
+const findZone = async (req) => {
+  const zone = await Zone.findOne({ _id: req.params.id, companyId: req.user.companyId });
+
+  if (!zone) {
+    throw new ApiError('Zone not found', 404);
+  }
+
+  return zone;
+};
+
+/**
+ * @desc    Get company zones with their open delivery counts
+ * @route   GET /api/zones
+ * @access  Private
+ */
+const getZones = asyncHandler(async (req, res) => {
+  const query = { companyId: req.user.companyId };
+  if (req.query.active === 'true') {
+    query.isActive = true;
+  }
+
+  const zones = await Zone.find(query).sort({ name: 1 });
+  const counts = await Delivery.aggregate([
+    { $match: { companyId: req.user.companyId, zoneId: { $ne: null }, status: { $in: ['pending', 'assigned'] } } },
+    { $group: { _id: '$zoneId', count: { $sum: 1 } } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      zones: zones.map(zone => ({
+        ...zone.toObject(),
+        openDeliveries: counts.find(c => c._id.toString() === zone._id.toString())?.count || 0
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Get single zone
+ * @route   GET /api/zones/:id
+ * @access  Private
+ */
+const getZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req);
+
+  res.status(200).json({
+    success: true,
+    data: { zone }
+  });
+});
+
+/**
+ * @desc    Create zone
+ * @route   POST /api/zones
+ * @access  Private/Admin/Dispatcher
+ */
+const createZone = asyncHandler(async (req, res) => {
+  const { name, color, area, isActive, notes } = req.body;
+
+  const zone = await Zone.create({
+    name,
+    color,
+    area: { type: 'Polygon', coordinates: area.coordinates },
+    isActive: isActive !== false,
+    notes,
+    companyId: req.user.companyId,
+    createdBy: req.user.id
+  });
+
+  await ZoneService.rezone(zone);
+
+  logger.info(`Zone ${zone._id} created by user ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Zone created successfully',
+    data: { zone }
+  });
+});
+
+/**
+ * @desc    Update zone
+ * @route   PUT /api/zones/:id
+ * @access  Private/Admin/Dispatcher
+ */
+const updateZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req);
+
+  const allowedUpdates = ['name', 'color', 'isActive', 'notes'];
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      zone[field] = req.body[field];
+    }
+  });
+  if (req.body.area) {
+    zone.area = { type: 'Polygon', coordinates: req.body.area.coordinates };
+  }
+
+  // Redrawn or (de)activated zones move open deliveries in or out; a new name
+  // can change which of two overlapping zones wins
+  const rezone = zone.isModified('area') || zone.isModified('isActive') || zone.isModified('name');
+  await zone.save();
+  if (rezone) await ZoneService.rezone(zone);
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone updated successfully',
+    data: { zone }
+  });
+});
+
+/**
+ * @desc    Delete zone
+ * @route   DELETE /api/zones/:id
+ * @access  Private/Admin/Dispatcher
+ */
+const deleteZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req);
+
+  await zone.deleteOne();
+  await ZoneService.rezone(zone, true);
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone deleted successfully'
+  });
+});
+
+module.exports = {
+  getZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone
+};
@@ -8,9 +8,10 @@ const { logger } = require('../utils/logger');
  * Custom API Error class
  */
 class ApiError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
     this.statusCode = statusCode;
+    this.errors = errors;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -69,6 +70,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(error.errors && { errors: error.errors }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       error: err
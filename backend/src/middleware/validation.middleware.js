@@ -4,6 +4,10 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const RecurrenceService = require('../services/recurrence.service');
+
+// Each departure slot is planned from its own travel time matrix
+const MAX_DEPARTURE_SLOTS = 24;
 
 /**
  * Handle validation errors
@@ -23,6 +27,155 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Check one dispatcher sequence constraint: a pinned position, a group kept
+ * back-to-back, or a before/after rule between two deliveries
+ */
+const checkSequenceConstraint = (constraint) => {
+  const isId = value => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value);
+  const { type, deliveryId, deliveryIds, otherDeliveryId, position } = constraint || {};
+
+  switch (type) {
+    case 'pin':
+      if (!isId(deliveryId) || !Number.isInteger(position) || position < 1) {
+        throw new Error('A pin needs a deliveryId and a position of 1 or more');
+      }
+      break;
+    case 'group':
+      if (!Array.isArray(deliveryIds) || deliveryIds.length < 2 || !deliveryIds.every(isId)) {
+        throw new Error('A group needs at least two deliveryIds');
+      }
+      break;
+    case 'before':
+    case 'after':
+      if (!isId(deliveryId) || !isId(otherDeliveryId) || deliveryId === otherDeliveryId) {
+        throw new Error(`A ${type} rule needs two different deliveries: deliveryId and otherDeliveryId`);
+      }
+      break;
+    default:
+      throw new Error('Sequence constraint type must be pin, group, before or after');
+  }
+  return true;
+};
+
+/**
+ * Check [longitude, latitude] coordinates
+ */
+const checkCoordinates = (coords) => {
+  const [lng, lat] = coords;
+  if (typeof lng !== 'number' || lng < -180 || lng > 180) throw new Error('Invalid longitude');
+  if (typeof lat !== 'number' || lat < -90 || lat > 90) throw new Error('Invalid latitude');
+  return true;
+};
+
+/**
+ * Check the chargers of an electric vehicle profile
+ */
+const checkChargers = (chargers) => {
+  chargers.forEach(charger => {
+    if (!Array.isArray(charger?.coordinates) || charger.coordinates.length !== 2) {
+      throw new Error('Each charger needs [longitude, latitude] coordinates');
+    }
+    checkCoordinates(charger.coordinates);
+    if (charger.powerKw !== undefined && !(typeof charger.powerKw === 'number' && charger.powerKw > 0)) {
+      throw new Error('Charger power must be a positive number of kW');
+    }
+  });
+  return true;
+};
+
+/**
+ * Check the departure slots a single-route optimization should compare
+ */
+const checkDepartureSearch = (search, { req }) => {
+  if (req.body.vehicles?.length) {
+    throw new Error('Departure search is only available when optimizing a single route');
+  }
+  const from = new Date(search?.from);
+  const to = new Date(search?.to);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new Error('Departure search needs from and to times');
+  }
+  if (to < from) throw new Error('Departure search cannot end before it starts');
+
+  const interval = parseInt(search.intervalMinutes, 10) || 60;
+  if ((to - from) / (interval * 60000) + 1 > MAX_DEPARTURE_SLOTS) {
+    throw new Error(`Departure search compares at most ${MAX_DEPARTURE_SLOTS} slots; widen the interval or narrow the range`);
+  }
+  return true;
+};
+
+// Fuel and electric range of a vehicle profile, for each of the given body prefixes
+const vehicleEnergyRules = prefixes => [
+  body(prefixes.map(prefix => `${prefix}.fuelType`))
+    .optional()
+    .isIn(['petrol', 'diesel', 'electric', 'hybrid']).withMessage('Fuel type must be petrol, diesel, electric or hybrid'),
+  body(prefixes.map(prefix => `${prefix}.batteryCapacity`))
+    .optional()
+    .isFloat({ min: 1 }).withMessage('Battery capacity must be at least 1 kWh')
+    .toFloat(),
+  body(prefixes.map(prefix => `${prefix}.consumptionPerKm`))
+    .optional()
+    .isFloat({ gt: 0, max: 5 }).withMessage('Consumption must be between 0 and 5 kWh per km')
+    .toFloat(),
+  body(prefixes.map(prefix => `${prefix}.chargers`))
+    .optional()
+    .isArray({ max: 50 }).withMessage('Chargers must be an array of at most 50 locations')
+    .bail()
+    .custom(checkChargers)
+];
+
+// Equipment a vehicle needs for hazardous and perishable deliveries
+const vehicleCapabilityRules = prefixes => [
+  body(prefixes.flatMap(prefix => [`${prefix}.capabilities.hazmat`, `${prefix}.capabilities.refrigerated`]))
+    .optional()
+    .isBoolean().withMessage('Vehicle capabilities must be booleans')
+    .toBoolean()
+];
+
+const isDepotChoice = value => value === 'auto' || /^[a-f\d]{24}$/i.test(value);
+
+// Where a route starts and ends: a location, a depot (or 'auto' to let the
+// optimizer choose), and back to the start, another depot, the driver's home or nowhere
+const routeEndpointRules = [
+  body(['startLocation.coordinates', 'endLocation.coordinates'])
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail()
+    .custom(checkCoordinates),
+  body('startDepotId')
+    .optional()
+    .custom(isDepotChoice).withMessage('Start depot must be a depot ID or auto'),
+  body('vehicles.*.startDepotId')
+    .optional()
+    .isMongoId().withMessage('Invalid depot ID'),
+  body('endType')
+    .optional()
+    .isIn(['start', 'depot', 'home', 'open']).withMessage('End type must be start, depot, home or open'),
+  body('endDepotId')
+    .if(body('endType').equals('depot'))
+    .isMongoId().withMessage('A depot end needs a valid endDepotId'),
+  body('driverId')
+    .optional()
+    .isMongoId().withMessage('Invalid driver ID')
+];
+
+const sequenceConstraintRules = [
+  body('sequenceConstraints')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Sequence constraints must be an array of at most 100 constraints')
+    .bail()
+    .custom(constraints => constraints.every(checkSequenceConstraint))
+];
+
+/**
+ * Sequence constraint validation
+ */
+const validateSequenceConstraints = [
+  ...sequenceConstraintRules,
+  handleValidationErrors
+];
+
 /**
  * User registration validation
  */
@@ -65,13 +218,21 @@ const validateLogin = [
  * Delivery validation
  */
 const validateDelivery = [
+  // Either may be left out: the location is geocoded from the address, missing address fields from the location
   body('address.street')
+    .if(body('location.coordinates').not().exists())
     .trim()
-    .notEmpty().withMessage('Street address is required'),
+    .notEmpty().withMessage('Street address is required without coordinates'),
   body('address.city')
+    .if(body('location.coordinates').not().exists())
     .trim()
-    .notEmpty().withMessage('City is required'),
+    .notEmpty().withMessage('City is required without coordinates'),
+  body('address.*')
+    .optional()
+    .isString().withMessage('Address fields must be text')
+    .trim(),
   body('location.coordinates')
+    .optional()
     .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
     .custom((coords) => {
       const [lng, lat] = coords;
@@ -97,9 +258,19 @@ const validateDelivery = [
   body('priority')
     .optional()
     .isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('stopType')
+    .optional()
+    .isIn(['pickup', 'dropoff']).withMessage('Stop type must be pickup or dropoff'),
+  body('pairedDeliveryId')
+    .optional()
+    .isMongoId().withMessage('Invalid paired delivery ID'),
   body('packageDetails.type')
     .optional()
     .isIn(['standard', 'fragile', 'perishable', 'hazardous', 'oversized']).withMessage('Invalid package type'),
+  body('revenue')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Revenue must be a positive number')
+    .toFloat(),
   handleValidationErrors
 ];
 
@@ -117,12 +288,57 @@ const validateRoutePlan = [
   body('deliveries')
     .optional()
     .isArray().withMessage('Deliveries must be an array'),
+  body('route')
+    .optional()
+    .isArray().withMessage('Route waypoints must be an array'),
+  body('startTime')
+    .optional()
+    .isISO8601().withMessage('Invalid start time format'),
+  body('endTime')
+    .optional()
+    .isISO8601().withMessage('Invalid end time format'),
   body('vehicle.type')
     .optional()
     .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body('vehicle.capacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle capacity must be a positive number')
+    .toFloat(),
+  body('vehicle.volumeCapacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle volume capacity must be a positive number')
+    .toFloat(),
+  ...vehicleEnergyRules(['vehicle']),
+  ...vehicleCapabilityRules(['vehicle']),
   body('optimizationSettings.priority')
     .optional()
     .isIn(['time', 'distance', 'cost', 'balanced']).withMessage('Invalid optimization priority'),
+  body(['metrics.totalDistance', 'metrics.totalDuration', 'metrics.estimatedFuelConsumption', 'metrics.estimatedEnergyConsumption', 'metrics.chargingTime', 'metrics.co2Emissions', 'cost.total'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Route metrics must be positive numbers')
+    .toFloat(),
+  body('aiOptimization.alternatives')
+    .optional()
+    .isArray({ max: 5 }).withMessage('Alternatives must be an array of at most 5 plans'),
+  body('aiOptimization.alternatives.*.deliveryIds')
+    .isArray().withMessage('Each alternative needs its delivery order'),
+  body('aiOptimization.alternatives.*.deliveryIds.*')
+    .isMongoId().withMessage('Invalid delivery ID'),
+  body('aiOptimization.alternatives.*.route')
+    .optional()
+    .isArray().withMessage('Alternative waypoints must be an array'),
+  body(['startDepot', 'endDepot'])
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid depot ID'),
+  body(['startLocation.coordinates', 'endLocation.coordinates'])
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail()
+    .custom(checkCoordinates),
+  body('endType')
+    .optional()
+    .isIn(['start', 'depot', 'home', 'open']).withMessage('End type must be start, depot, home or open'),
+  ...sequenceConstraintRules,
   handleValidationErrors
 ];
 
@@ -134,18 +350,424 @@ const validateOptimizationRequest = [
     .isArray({ min: 1 }).withMessage('At least one delivery is required'),
   body('deliveryIds.*')
     .isMongoId().withMessage('Invalid delivery ID'),
-  body('startLocation')
-    .notEmpty().withMessage('Start location is required'),
-  body('startLocation.coordinates')
-    .isArray({ min: 2, max: 2 }).withMessage('Start coordinates must be [longitude, latitude]'),
-  body('endLocation')
-    .optional(),
+  ...routeEndpointRules,
   body('vehicleType')
     .optional()
     .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
   body('optimizationPriority')
     .optional()
     .isIn(['time', 'distance', 'cost', 'balanced']).withMessage('Invalid optimization priority'),
+  body('engine')
+    .optional()
+    .isIn(['solver', 'ai']).withMessage('Invalid optimization engine'),
+  body('departureTime')
+    .optional()
+    .isISO8601().withMessage('Invalid departure time format'),
+  body('departureSearch')
+    .optional()
+    .custom(checkDepartureSearch),
+  body('departureSearch.intervalMinutes')
+    .optional()
+    .isInt({ min: 15, max: 240 }).withMessage('Departure interval must be between 15 and 240 minutes')
+    .toInt(),
+  body('vehicle.capacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle capacity must be a positive number')
+    .toFloat(),
+  body('vehicle.volumeCapacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle volume capacity must be a positive number')
+    .toFloat(),
+  body('vehicles')
+    .optional()
+    .isArray({ min: 1, max: 50 }).withMessage('Vehicles must be an array of 1 to 50 vehicles'),
+  body('vehicles.*.type')
+    .optional()
+    .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body('vehicles.*.capacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle capacity must be a positive number')
+    .toFloat(),
+  body('vehicles.*.volumeCapacity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle volume capacity must be a positive number')
+    .toFloat(),
+  body('vehicles.*.driverId')
+    .optional()
+    .isMongoId().withMessage('Invalid driver ID'),
+  body('vehicles.*.zoneIds')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Vehicle zones must be an array of zone IDs'),
+  body('vehicles.*.zoneIds.*')
+    .isMongoId().withMessage('Invalid zone ID'),
+  body('zoneClustering')
+    .optional()
+    .isBoolean().withMessage('Zone clustering must be a boolean')
+    .toBoolean(),
+  body('balancing.metric')
+    .optional()
+    .isIn(['stops', 'duration', 'drivingTime', 'revenue']).withMessage('Balancing metric must be stops, duration, drivingTime or revenue'),
+  body('balancing.weight')
+    .optional()
+    .isFloat({ min: 0, max: 10 }).withMessage('Balancing weight must be between 0 and 10')
+    .toFloat(),
+  ...vehicleEnergyRules(['vehicle', 'vehicles.*']),
+  ...vehicleCapabilityRules(['vehicle', 'vehicles.*']),
+  ...sequenceConstraintRules,
+  handleValidationErrors
+];
+
+/**
+ * What-if simulation validation
+ */
+const validateSimulation = [
+  body('departureTime')
+    .optional()
+    .isISO8601().withMessage('Invalid departure time format'),
+  body(['trafficMultiplier', 'weatherMultiplier'])
+    .optional()
+    .isFloat({ min: 0.5, max: 5 }).withMessage('Delay multipliers must be between 0.5 and 5')
+    .toFloat(),
+  body('vehicle.type')
+    .optional()
+    .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body(['vehicle.capacity', 'vehicle.volumeCapacity'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle capacity must be a positive number')
+    .toFloat(),
+  ...vehicleEnergyRules(['vehicle']),
+  ...vehicleCapabilityRules(['vehicle']),
+  body('driverId')
+    .optional()
+    .isMongoId().withMessage('Invalid driver ID'),
+  body('deliveryIds')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Stop order must list the route\'s deliveries'),
+  body('deliveryIds.*')
+    .isMongoId().withMessage('Invalid delivery ID'),
+  handleValidationErrors
+];
+
+/**
+ * Depot validation
+ */
+const validateDepot = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Depot name is required')
+    .isLength({ max: 100 }).withMessage('Depot name cannot exceed 100 characters'),
+  body('location.coordinates')
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail()
+    .custom(checkCoordinates),
+  body(['isDefault', 'isActive'])
+    .optional()
+    .isBoolean().withMessage('Depot flags must be booleans')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * Check the rings of a GeoJSON polygon: each closed, with at least three corners
+ */
+const checkPolygon = (rings) => {
+  rings.forEach(ring => {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      throw new Error('Each ring needs at least 4 positions, the last repeating the first');
+    }
+    ring.forEach(position => {
+      if (!Array.isArray(position) || position.length !== 2) {
+        throw new Error('Positions must be [longitude, latitude]');
+      }
+      checkCoordinates(position);
+    });
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new Error('Each ring must end where it starts');
+    }
+  });
+  return true;
+};
+
+/**
+ * Zone validation
+ */
+const validateZone = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Zone name is required')
+    .isLength({ max: 100 }).withMessage('Zone name cannot exceed 100 characters'),
+  body('color')
+    .optional()
+    .isHexColor().withMessage('Zone colour must be a hex colour'),
+  body('area.coordinates')
+    .isArray({ min: 1, max: 10 }).withMessage('Zone area must be a polygon of 1 to 10 rings')
+    .bail()
+    .custom(checkPolygon),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('Zone flags must be booleans')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * Route template validation
+ */
+const validateRouteTemplate = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Template name is required')
+    .isLength({ max: 200 }).withMessage('Template name cannot exceed 200 characters'),
+  body('schedule.rrule')
+    .notEmpty().withMessage('Schedule rule is required')
+    .bail()
+    .custom(rule => RecurrenceService.parse(rule) && true),
+  body('schedule.startDate')
+    .notEmpty().withMessage('Schedule start date is required')
+    .isISO8601().withMessage('Invalid date format'),
+  body('schedule.departureTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Departure time must be HH:MM'),
+  body('leadDays')
+    .optional()
+    .isInt({ min: 1, max: 60 }).withMessage('Lead days must be between 1 and 60')
+    .toInt(),
+  body('deliveryFilter.zoneIds')
+    .optional()
+    .isArray().withMessage('Zones must be an array'),
+  body('deliveryFilter.zoneIds.*')
+    .isMongoId().withMessage('Invalid zone ID'),
+  body('deliveryFilter.tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+  body('vehicle.type')
+    .optional()
+    .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body(['vehicle.capacity', 'vehicle.volumeCapacity'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Vehicle capacity must be a positive number')
+    .toFloat(),
+  ...vehicleEnergyRules(['vehicle']),
+  ...vehicleCapabilityRules(['vehicle']),
+  body('driverId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid driver ID'),
+  body(['startDepot', 'endDepot'])
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid depot ID'),
+  body(['startLocation.coordinates', 'endLocation.coordinates'])
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail()
+    .custom(checkCoordinates),
+  body('endType')
+    .optional()
+    .isIn(['start', 'depot', 'home', 'open']).withMessage('End type must be start, depot, home or open'),
+  body('optimizationSettings.priority')
+    .optional()
+    .isIn(['time', 'distance', 'cost', 'balanced']).withMessage('Invalid optimization priority'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('Template flags must be booleans')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+/**
+ * Template generation range validation
+ */
+const validateGenerationRange = [
+  body(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+  body('to')
+    .optional()
+    .custom((to, { req }) => {
+      const from = req.body.from ? new Date(req.body.from) : new Date();
+      if (new Date(to) < from) throw new Error('End date must be after start date');
+      if (new Date(to) - from > 92 * 86400000) throw new Error('Routes can be generated at most 92 days ahead');
+      return true;
+    }),
+  handleValidationErrors
+];
+
+/**
+ * Weekly planner validation
+ */
+const validatePlannerWeek = [
+  query('start')
+    .optional()
+    .isISO8601().withMessage('Invalid start date format'),
+  handleValidationErrors
+];
+
+const validatePlannerMove = [
+  body('deliveryId')
+    .isMongoId().withMessage('Invalid delivery ID'),
+  body('date')
+    .notEmpty().withMessage('Date is required')
+    .isISO8601().withMessage('Invalid date format'),
+  body('routePlanId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid route ID'),
+  handleValidationErrors
+];
+
+/**
+ * Delivery list filter validation
+ */
+const validateDeliveryFilters = [
+  query('geocoding')
+    .optional()
+    .isIn(['geocoded', 'reverse_geocoded', 'verified', 'mismatch', 'unverified']).withMessage('Invalid geocoding status'),
+  query('zoneId')
+    .optional()
+    .custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value)).withMessage('Zone must be a zone ID or none'),
+  query('near')
+    .optional()
+    .custom(value => {
+      const coords = String(value).split(',').map(Number);
+      if (coords.length !== 2 || coords.some(Number.isNaN)) throw new Error('Near must be longitude,latitude');
+      return checkCoordinates(coords);
+    }),
+  query('radiusKm')
+    .if(query('near').exists())
+    .isFloat({ gt: 0, max: 500 }).withMessage('Radius must be between 0 and 500 km'),
+  handleValidationErrors
+];
+
+/**
+ * Driver home location validation
+ */
+const validateHomeLocation = [
+  body('homeLocation.coordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]')
+    .bail()
+    .custom(checkCoordinates),
+  handleValidationErrors
+];
+
+/**
+ * Driver skills validation
+ */
+const validateDriverSkills = [
+  body('skills')
+    .optional()
+    .isArray({ max: 10 }).withMessage('Skills must be an array'),
+  body('skills.*.name')
+    .isIn(['hazmat', 'ageVerification']).withMessage('Skill must be hazmat or ageVerification'),
+  body('skills.*.certifiedUntil')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Certification expiry must be a valid date'),
+  handleValidationErrors
+];
+
+/**
+ * Company settings validation
+ */
+const validateSettings = [
+  body('hoursOfService.enabled')
+    .optional()
+    .isBoolean().withMessage('Hours-of-service enabled must be a boolean')
+    .toBoolean(),
+  body('hoursOfService.maxShiftMinutes')
+    .optional()
+    .isInt({ min: 60, max: 1440 }).withMessage('Maximum shift must be between 60 and 1440 minutes')
+    .toInt(),
+  body('hoursOfService.maxContinuousDrivingMinutes')
+    .optional()
+    .isInt({ min: 30, max: 1440 }).withMessage('Maximum continuous driving must be between 30 and 1440 minutes')
+    .toInt(),
+  body('hoursOfService.breakMinutes')
+    .optional()
+    .isInt({ min: 5, max: 240 }).withMessage('Break must be between 5 and 240 minutes')
+    .toInt(),
+  body('hoursOfService.enforcement')
+    .optional()
+    .isIn(['reject', 'flag']).withMessage('Enforcement must be reject or flag'),
+  body('costProfile.currency')
+    .optional()
+    .isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body([
+    'costProfile.fuelPricePerLitre',
+    'costProfile.fuelLitresPerKm',
+    'costProfile.electricityPricePerKwh',
+    'costProfile.driverHourlyWage',
+    'costProfile.overtimeAfterMinutes',
+    'costProfile.maintenancePerKm'
+  ])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Cost rates must be positive numbers')
+    .toFloat(),
+  body('costProfile.overtimeMultiplier')
+    .optional()
+    .isFloat({ min: 1, max: 5 }).withMessage('Overtime multiplier must be between 1 and 5')
+    .toFloat(),
+  body('costProfile.vehicleOverrides')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Vehicle overrides must be an array of at most 100 entries'),
+  body('costProfile.vehicleOverrides.*')
+    .custom(override => Boolean(override?.vehicleType || override?.licensePlate))
+    .withMessage('Each vehicle override needs a vehicleType or licensePlate'),
+  body('costProfile.vehicleOverrides.*.vehicleType')
+    .optional()
+    .isIn(['car', 'van', 'truck', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body([
+    'costProfile.vehicleOverrides.*.fuelPricePerLitre',
+    'costProfile.vehicleOverrides.*.fuelLitresPerKm',
+    'costProfile.vehicleOverrides.*.electricityPricePerKwh',
+    'costProfile.vehicleOverrides.*.driverHourlyWage',
+    'costProfile.vehicleOverrides.*.maintenancePerKm'
+  ])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Cost rates must be positive numbers')
+    .toFloat(),
+  body([
+    'emissionFactors.petrolKgCo2PerLitre',
+    'emissionFactors.dieselKgCo2PerLitre',
+    'emissionFactors.hybridKgCo2PerLitre',
+    'emissionFactors.gridKgCo2PerKwh'
+  ])
+    .optional()
+    .isFloat({ min: 0, max: 10 }).withMessage('Emission factors must be between 0 and 10 kg CO2')
+    .toFloat(),
+  body('emissionFactors.fullLoadUplift.*')
+    .isFloat({ min: 0, max: 1 }).withMessage('Full load uplift must be between 0 and 1')
+    .toFloat(),
+  // null clears a choice so the server default applies again
+  body('llm.provider')
+    .optional({ values: 'null' })
+    .isIn(['openai', 'anthropic', 'ollama']).withMessage('Invalid LLM provider'),
+  body('llm.model')
+    .optional({ values: 'null' })
+    .isString().withMessage('LLM model must be a string')
+    .trim()
+    .isLength({ max: 100 }).withMessage('LLM model name is too long'),
+  body('llm.timeoutMs')
+    .optional({ values: 'null' })
+    .isInt({ min: 1000, max: 300000 }).withMessage('LLM timeout must be between 1000 and 300000 ms')
+    .toInt(),
+  body('llm.maxRetries')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 5 }).withMessage('LLM retries must be between 0 and 5')
+    .toInt(),
+  body('routing.provider')
+    .optional({ values: 'null' })
+    .isIn(['tomtom', 'osrm', 'graphhopper', 'haversine']).withMessage('Invalid routing provider'),
+  body('routing.fallback')
+    .optional({ values: 'null' })
+    .isArray({ max: 3 }).withMessage('Routing fallback must be a list of at most 3 providers'),
+  body('routing.fallback.*')
+    .isIn(['tomtom', 'osrm', 'graphhopper', 'haversine']).withMessage('Invalid routing provider'),
+  body('geocoding.provider')
+    .optional({ values: 'null' })
+    .isIn(['tomtom', 'nominatim', 'gazetteer']).withMessage('Invalid geocoder'),
+  body('geocoding.mismatchThresholdKm')
+    .optional()
+    .isFloat({ min: 0.05, max: 100 }).withMessage('Mismatch threshold must be between 0.05 and 100 km')
+    .toFloat(),
   handleValidationErrors
 ];
 
@@ -200,6 +822,18 @@ module.exports = {
   validateDelivery,
   validateRoutePlan,
   validateOptimizationRequest,
+  validateSequenceConstraints,
+  validateSimulation,
+  validateDepot,
+  validateZone,
+  validateRouteTemplate,
+  validateGenerationRange,
+  validatePlannerWeek,
+  validatePlannerMove,
+  validateDeliveryFilters,
+  validateHomeLocation,
+  validateDriverSkills,
+  validateSettings,
   validateObjectId,
   validatePagination,
   validateDateRange
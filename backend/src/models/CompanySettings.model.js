@@ -0,0 +1,114 @@
+/**
+ * CompanySettings Model
+ * Stores per-company planning rules
+ */
+
+const mongoose = require('mongoose');
+
+// Rates that differ for one vehicle type, or for the vehicle with a license plate
+const vehicleCostOverrideSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    enum: ['car', 'van', 'truck', 'motorcycle']
+  },
+  licensePlate: { type: String, trim: true },
+  fuelPricePerLitre: { type: Number, min: 0 },
+  fuelLitresPerKm: { type: Number, min: 0 },
+  electricityPricePerKwh: { type: Number, min: 0 },
+  driverHourlyWage: { type: Number, min: 0 },
+  maintenancePerKm: { type: Number, min: 0 }
+}, { _id: false });
+
+const companySettingsSchema = new mongoose.Schema({
+  companyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Driver hours-of-service rules applied to every route
+  hoursOfService: {
+    enabled: { type: Boolean, default: true },
+    maxShiftMinutes: { type: Number, default: 600, min: 60 },
+    maxContinuousDrivingMinutes: { type: Number, default: 270, min: 30 },
+    breakMinutes: { type: Number, default: 45, min: 5 },
+    // reject: refuse violating routes, flag: save them with the violations recorded
+    enforcement: {
+      type: String,
+      enum: ['reject', 'flag'],
+      default: 'flag'
+    }
+  },
+  // Rates used to price routes and by the 'cost' optimization priority
+  costProfile: {
+    currency: { type: String, default: 'USD', uppercase: true, trim: true },
+    fuelPricePerLitre: { type: Number, default: 1.5, min: 0 },
+    fuelLitresPerKm: { type: Number, default: 0.1, min: 0 },
+    electricityPricePerKwh: { type: Number, default: 0.2, min: 0 },
+    driverHourlyWage: { type: Number, default: 25, min: 0 },
+    // Minutes of a shift paid at the regular wage, the rest at the multiplier
+    overtimeAfterMinutes: { type: Number, default: 480, min: 0 },
+    overtimeMultiplier: { type: Number, default: 1.5, min: 1 },
+    maintenancePerKm: { type: Number, default: 0.05, min: 0 },
+    vehicleOverrides: [vehicleCostOverrideSchema]
+  },
+  // CO2 per litre of fuel or kWh of grid electricity, used for route emissions
+  emissionFactors: {
+    petrolKgCo2PerLitre: { type: Number, default: 2.31, min: 0 },
+    dieselKgCo2PerLitre: { type: Number, default: 2.68, min: 0 },
+    hybridKgCo2PerLitre: { type: Number, default: 2.31, min: 0 },
+    gridKgCo2PerKwh: { type: Number, default: 0.4, min: 0 },
+    // Extra fuel or energy a fully loaded vehicle uses over running empty
+    fullLoadUplift: {
+      car: { type: Number, default: 0.1, min: 0, max: 1 },
+      van: { type: Number, default: 0.15, min: 0, max: 1 },
+      truck: { type: Number, default: 0.3, min: 0, max: 1 },
+      motorcycle: { type: Number, default: 0.05, min: 0, max: 1 }
+    }
+  },
+  // Language model used for AI sequencing and route explanations;
+  // unset fields fall back to the server's provider configuration
+  llm: {
+    provider: {
+      type: String,
+      enum: ['openai', 'anthropic', 'ollama']
+    },
+    model: { type: String, trim: true },
+    timeoutMs: { type: Number, min: 1000, max: 300000 },
+    maxRetries: { type: Number, min: 0, max: 5 }
+  },
+  // Routing backend for directions, travel matrices and traffic; providers in
+  // the fallback list are tried in order when it fails, then a straight-line estimate
+  routing: {
+    provider: {
+      type: String,
+      enum: ['tomtom', 'osrm', 'graphhopper', 'haversine']
+    },
+    fallback: {
+      type: [{ type: String, enum: ['tomtom', 'osrm', 'graphhopper', 'haversine'] }],
+      default: undefined
+    }
+  },
+  // Geocoder for delivery addresses; the offline gazetteer is tried when it fails
+  geocoding: {
+    provider: {
+      type: String,
+      enum: ['tomtom', 'nominatim', 'gazetteer']
+    },
+    // Deliveries further than this from their geocoded address are flagged
+    mismatchThresholdKm: { type: Number, default: 1, min: 0.05, max: 100 }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Settings of a company, falling back to the defaults when none are saved
+companySettingsSchema.statics.forCompany = async function(companyId) {
+  const settings = await this.findOne({ companyId });
+  return settings || new this({ companyId });
+};
+
+module.exports = mongoose.model('CompanySettings', companySettingsSchema);
@@ -26,6 +26,35 @@ const deliverySchema = new mongoose.Schema({
       required: true
     }
   },
+  // How the address and location were checked against each other on creation and edit
+  geocoding: {
+    status: {
+      type: String,
+      enum: ['geocoded', 'reverse_geocoded', 'verified', 'mismatch', 'unverified']
+    },
+    // 0-1, from the geocoder's match
+    confidence: { type: Number, min: 0, max: 1 },
+    precision: {
+      type: String,
+      enum: ['address', 'street', 'postalCode', 'city']
+    },
+    provider: String,
+    // Between the delivery coordinates and the geocoded address
+    distanceKm: Number,
+    checkedAt: Date
+  },
+  // Stop type: drop-offs are loaded at the depot unless paired with a pickup,
+  // unpaired pickups (returns) are brought back to the depot
+  stopType: {
+    type: String,
+    enum: ['pickup', 'dropoff'],
+    default: 'dropoff'
+  },
+  // Linked stop of a pickup→dropoff pair (the drop-off of a pickup and vice versa)
+  pairedDeliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
   // Time window constraints
   timeWindow: {
     earliest: { type: Date, required: true },
@@ -69,6 +98,12 @@ const deliverySchema = new mongoose.Schema({
     ageVerification: { type: Boolean, default: false },
     contactlessDelivery: { type: Boolean, default: false }
   },
+  // Amount charged for the delivery; fleet optimizations can balance it across drivers
+  revenue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Service time estimate (time at stop)
   serviceTime: {
     type: Number,
@@ -112,6 +147,11 @@ const deliverySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'RoutePlan'
   },
+  // Zone the delivery location falls in, set on creation and when zones change
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  },
   // Sequence in route
   sequenceInRoute: Number,
   // ETA
@@ -147,6 +187,7 @@ const deliverySchema = new mongoose.Schema({
 deliverySchema.index({ location: '2dsphere' });
 deliverySchema.index({ companyId: 1, status: 1 });
 deliverySchema.index({ routePlanId: 1 });
+deliverySchema.index({ companyId: 1, zoneId: 1 });
 deliverySchema.index({ trackingNumber: 1 });
 deliverySchema.index({ 'timeWindow.earliest': 1 });
 deliverySchema.index({ priority: 1 });
@@ -203,15 +244,18 @@ deliverySchema.virtual('isOverdue').get(function() {
   return new Date() > new Date(this.timeWindow.latest);
 });
 
+// Static method for the location condition of deliveries within a radius
+deliverySchema.statics.inArea = function(coordinates, radiusKm) {
+  return {
+    $geoWithin: {
+      $centerSphere: [coordinates, radiusKm / 6378.1] // Convert km to radians
+    }
+  };
+};
+
 // Static method to find deliveries in area
 deliverySchema.statics.findInArea = function(coordinates, radiusKm) {
-  return this.find({
-    location: {
-      $geoWithin: {
-        $centerSphere: [coordinates, radiusKm / 6378.1] // Convert km to radians
-      }
-    }
-  });
+  return this.find({ location: this.inArea(coordinates, radiusKm) });
 };
 
 module.exports = mongoose.model('Delivery', deliverySchema);
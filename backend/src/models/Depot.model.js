@@ -0,0 +1,60 @@
+/**
+ * Depot Model
+ * Company warehouses and hubs that routes start from and return to
+ */
+
+const mongoose = require('mongoose');
+
+const depotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Depot name is required'],
+    trim: true,
+    maxlength: [100, 'Depot name cannot exceed 100 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: { type: String, default: 'USA' },
+    fullAddress: String
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  // Used when an optimization names neither a start location nor a depot
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive depots are kept for old routes but not offered to the optimizer
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  companyId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+depotSchema.index({ companyId: 1, isActive: 1 });
+depotSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('Depot', depotSchema);
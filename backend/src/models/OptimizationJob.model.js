@@ -0,0 +1,62 @@
+/**
+ * OptimizationJob Model
+ * Route optimization requests run in the background by the optimization worker
+ */
+
+const mongoose = require('mongoose');
+
+const optimizationJobSchema = new mongoose.Schema({
+  companyId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Body of the POST /api/routes/optimize request
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  progress: {
+    stage: { type: String, default: 'queued' },
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    message: { type: String, default: 'Waiting for a worker' }
+  },
+  // Response data of the optimize endpoint, once completed
+  result: mongoose.Schema.Types.Mixed,
+  message: String,
+  error: {
+    message: String,
+    statusCode: Number,
+    errors: mongoose.Schema.Types.Mixed
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+optimizationJobSchema.index({ status: 1, createdAt: 1 });
+optimizationJobSchema.index({ companyId: 1, createdAt: -1 });
+optimizationJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 86400 }); // Auto-delete after 7 days
+
+// Finished jobs no longer change
+optimizationJobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+module.exports = mongoose.model('OptimizationJob', optimizationJobSchema);
@@ -6,6 +6,16 @@
 const mongoose = require('mongoose');
 
 const waypointSchema = new mongoose.Schema({
+  // Delivery stop, or a driver break or charging stop inserted by the optimizer
+  type: {
+    type: String,
+    enum: ['delivery', 'break', 'charging'],
+    default: 'delivery'
+  },
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
   location: {
     type: {
       type: String,
@@ -36,6 +46,99 @@ const costBreakdownSchema = new mongoose.Schema({
   other: { type: Number, default: 0 }
 }, { _id: false });
 
+// Start or end point of a route, copied from the depot or driver home it came from
+const endpointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    default: undefined
+  },
+  address: String
+}, { _id: false });
+
+// Charging point an electric vehicle may detour to
+const chargerSchema = new mongoose.Schema({
+  name: String,
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  powerKw: Number
+}, { _id: false });
+
+// Dispatcher rule on the stop order, honoured by the optimizer:
+// pin a stop to a position, keep a group back-to-back, or order two stops
+const sequenceConstraintSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['pin', 'group', 'before', 'after'],
+    required: true
+  },
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
+  // group members
+  deliveryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  }],
+  // the stop deliveryId comes before or after
+  otherDeliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
+  position: { type: Number, min: 1 } // 1-based stop position of a pin
+}, { _id: false });
+
+// Another simulated plan for the same deliveries, kept for comparison and promotion
+const alternativeSchema = new mongoose.Schema({
+  label: String,
+  source: {
+    type: String,
+    enum: ['solver', 'ai', 'manual']
+  },
+  deliveries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  }],
+  route: [waypointSchema],
+  startTime: Date,
+  endTime: Date,
+  distance: Number, // in kilometers
+  duration: Number, // in minutes
+  cost: Number,
+  costBreakdown: costBreakdownSchema,
+  fuel: Number, // in liters
+  energy: Number, // in kWh, electric vehicles
+  chargingTime: Number, // in minutes
+  co2Emissions: Number, // in kg
+  timeWindowViolations: Number,
+  lateMinutes: Number,
+  confidence: Number,
+  warnings: [String]
+});
+
+// Re-optimized plan of the stops still to serve, proposed until a dispatcher applies it
+const reoptimizationSchema = new mongoose.Schema({
+  reason: String,
+  proposedAt: Date,
+  deliveries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  }],
+  route: [waypointSchema],
+  endTime: Date,
+  distanceChange: Number, // in kilometers, against the current order of the same stops
+  durationChange: Number, // in minutes
+  timeWindowViolations: Number,
+  lateMinutes: Number
+}, { _id: false });
+
 const routePlanSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -58,6 +161,25 @@ const routePlanSchema = new mongoose.Schema({
     ref: 'Delivery'
   }],
   route: [waypointSchema],
+  sequenceConstraints: [sequenceConstraintSchema],
+  // Route endpoints
+  startDepot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
+  },
+  startLocation: endpointSchema,
+  // start: back to the start, depot: at endDepot, home: at the driver's home,
+  // open: wherever the last stop is
+  endType: {
+    type: String,
+    enum: ['start', 'depot', 'home', 'open'],
+    default: 'start'
+  },
+  endDepot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
+  },
+  endLocation: endpointSchema,
   // Route geometry for map display (polyline)
   routeGeometry: {
     type: {
@@ -78,7 +200,13 @@ const routePlanSchema = new mongoose.Schema({
     totalDuration: { type: Number, default: 0 }, // in minutes
     totalStops: { type: Number, default: 0 },
     estimatedFuelConsumption: { type: Number, default: 0 }, // in liters
-    co2Emissions: { type: Number, default: 0 } // in kg
+    // Electric vehicles report energy and charging instead of fuel
+    estimatedEnergyConsumption: { type: Number, default: 0 }, // in kWh
+    chargingTime: { type: Number, default: 0 }, // in minutes
+    chargingStops: { type: Number, default: 0 },
+    co2Emissions: { type: Number, default: 0 }, // in kg
+    timeWindowViolations: { type: Number, default: 0 }, // stops reached after their window
+    lateMinutes: { type: Number, default: 0 }
   },
   // Vehicle assignment
   vehicle: {
@@ -89,13 +217,57 @@ const routePlanSchema = new mongoose.Schema({
       default: 'van'
     },
     licensePlate: String,
-    capacity: Number,
+    capacity: Number, // in kg
+    volumeCapacity: Number, // in cubic meters
     fuelType: {
       type: String,
       enum: ['petrol', 'diesel', 'electric', 'hybrid'],
       default: 'diesel'
+    },
+    // Electric vehicles
+    batteryCapacity: Number, // in kWh
+    consumptionPerKm: Number, // in kWh
+    chargers: [chargerSchema],
+    // Equipment for hazardous and perishable deliveries
+    capabilities: {
+      hazmat: { type: Boolean, default: false },
+      refrigerated: { type: Boolean, default: false }
     }
   },
+  // Load of the assigned deliveries against vehicle capacity
+  capacityCheck: {
+    weight: Number, // in kg
+    volume: Number, // in cubic meters
+    weightCapacity: Number,
+    volumeCapacity: Number,
+    withinCapacity: Boolean,
+    violations: [{
+      _id: false,
+      dimension: { type: String, enum: ['weight', 'volume'] },
+      field: String,
+      load: Number,
+      capacity: Number,
+      excess: Number,
+      message: String
+    }],
+    checkedAt: Date
+  },
+  // Planned times against the company hours-of-service rules
+  hoursOfServiceCheck: {
+    compliant: Boolean,
+    enforcement: { type: String, enum: ['reject', 'flag'] },
+    shiftDuration: Number, // in minutes
+    longestDrivingStretch: Number, // in minutes
+    breaks: Number,
+    violations: [{
+      _id: false,
+      rule: { type: String, enum: ['max_shift', 'max_continuous_driving'] },
+      limit: Number,
+      actual: Number,
+      message: String
+    }],
+    checkedAt: Date
+  },
   // Driver assignment
   driver: {
     id: {
@@ -140,14 +312,22 @@ const routePlanSchema = new mongoose.Schema({
   aiOptimization: {
     model: String,
     confidence: Number,
-    alternatives: [{
-      route: [waypointSchema],
-      cost: Number,
-      duration: Number,
-      distance: Number
-    }],
+    // Label and source of the plan currently in use
+    activeLabel: String,
+    activeSource: {
+      type: String,
+      enum: ['solver', 'ai', 'manual']
+    },
+    alternatives: [alternativeSchema],
     reasoning: String
   },
+  // Pending re-optimization proposal
+  reoptimization: reoptimizationSchema,
+  // Recurring template the route was generated from
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RouteTemplate'
+  },
   // Tags for organization
   tags: [String],
   // Notes
@@ -173,6 +353,7 @@ routePlanSchema.index({ companyId: 1 });
 routePlanSchema.index({ scheduledDate: 1 });
 routePlanSchema.index({ 'driver.id': 1 });
 routePlanSchema.index({ status: 1, scheduledDate: 1 });
+routePlanSchema.index({ templateId: 1, scheduledDate: 1 });
 
 
 // Virtual for progress percentage
@@ -193,7 +374,8 @@ routePlanSchema.virtual('isDelayed').get(function() {
 // Pre-save middleware to update metrics
 routePlanSchema.pre('save', function(next) {
   if (this.route && this.route.length > 0) {
-    this.metrics.totalStops = this.route.length;
+    this.metrics.totalStops = this.route.filter(wp => wp.type === 'delivery').length;
+    this.metrics.chargingStops = this.route.filter(wp => wp.type === 'charging').length;
   }
   next();
 });
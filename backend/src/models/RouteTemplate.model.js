@@ -0,0 +1,151 @@
+/**
+ * RouteTemplate Model
+ * A route that runs on a recurring schedule, such as a weekly milk run; draft
+ * route plans are generated from it ahead of each day it runs
+ */
+
+const mongoose = require('mongoose');
+
+const endpointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    default: undefined
+  },
+  address: String
+}, { _id: false });
+
+// Charging point an electric vehicle may detour to
+const chargerSchema = new mongoose.Schema({
+  name: String,
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  powerKw: Number
+}, { _id: false });
+
+const routeTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  schedule: {
+    // RRULE subset, e.g. FREQ=WEEKLY;BYDAY=MO,TH
+    rrule: {
+      type: String,
+      required: [true, 'Schedule rule is required']
+    },
+    // First day of the series
+    startDate: {
+      type: Date,
+      required: true
+    },
+    departureTime: {
+      type: String,
+      default: '08:00' // HH:MM, UTC
+    }
+  },
+  // How many days ahead draft routes are generated
+  leadDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+    max: 60
+  },
+  // Which of the day's unassigned deliveries a generated route takes
+  deliveryFilter: {
+    zoneIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    }],
+    tags: [String]
+  },
+  vehicle: {
+    id: String,
+    type: {
+      type: String,
+      enum: ['car', 'van', 'truck', 'motorcycle'],
+      default: 'van'
+    },
+    licensePlate: String,
+    capacity: Number, // in kg
+    volumeCapacity: Number, // in cubic meters
+    fuelType: {
+      type: String,
+      enum: ['petrol', 'diesel', 'electric', 'hybrid'],
+      default: 'diesel'
+    },
+    // Electric vehicles
+    batteryCapacity: Number, // in kWh
+    consumptionPerKm: Number, // in kWh
+    chargers: [chargerSchema],
+    // Equipment for hazardous and perishable deliveries
+    capabilities: {
+      hazmat: { type: Boolean, default: false },
+      refrigerated: { type: Boolean, default: false }
+    }
+  },
+  driver: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    phone: String
+  },
+  startDepot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
+  },
+  startLocation: endpointSchema,
+  endType: {
+    type: String,
+    enum: ['start', 'depot', 'home', 'open'],
+    default: 'start'
+  },
+  endDepot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
+  },
+  endLocation: endpointSchema,
+  optimizationSettings: {
+    priority: {
+      type: String,
+      enum: ['time', 'distance', 'cost', 'balanced'],
+      default: 'balanced'
+    }
+  },
+  // Paused templates generate nothing
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last day draft routes have been generated for
+  generatedUntil: Date,
+  companyId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+routeTemplateSchema.index({ companyId: 1, isActive: 1 });
+
+module.exports = mongoose.model('RouteTemplate', routeTemplateSchema);
@@ -0,0 +1,57 @@
+/**
+ * TravelTime Model
+ * Cached travel distance and duration between two coordinates for a weekday and
+ * time-of-day bucket, per routing provider
+ */
+
+const mongoose = require('mongoose');
+
+const travelTimeSchema = new mongoose.Schema({
+  // Coordinates rounded to ~1 m, as "lng,lat"
+  originKey: {
+    type: String,
+    required: true
+  },
+  destinationKey: {
+    type: String,
+    required: true
+  },
+  // Day of the week (UTC, 0 = Sunday)
+  weekday: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Minutes since midnight (UTC) at the start of the bucket
+  bucket: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1439
+  },
+  distanceKm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['tomtom', 'osrm', 'graphhopper'],
+    default: 'tomtom'
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+travelTimeSchema.index({ originKey: 1, destinationKey: 1, weekday: 1, bucket: 1, source: 1 }, { unique: true });
+travelTimeSchema.index({ fetchedAt: 1 }, { expireAfterSeconds: 7 * 86400 }); // Traffic patterns drift, refetch weekly
+
+module.exports = mongoose.model('TravelTime', travelTimeSchema);
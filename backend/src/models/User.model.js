@@ -46,6 +46,24 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Where a driver's routes may end instead of returning to a depot
+  homeLocation: {
+    address: String,
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  // Driver skills; certified ones lapse after certifiedUntil
+  skills: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['hazmat', 'ageVerification'],
+      required: true
+    },
+    certifiedUntil: Date
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -121,6 +139,8 @@ userSchema.virtual('profile').get(function() {
     companyId: this.companyId,
     phone: this.phone,
     avatar: this.avatar,
+    homeLocation: this.homeLocation,
+    skills: this.skills,
     isActive: this.isActive,
     preferences: this.preferences
   };
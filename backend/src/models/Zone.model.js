@@ -0,0 +1,69 @@
+/**
+ * Zone Model
+ * Company delivery areas drawn as polygons; deliveries are tagged with the zone
+ * they fall in and routes can be kept within one zone
+ */
+
+const mongoose = require('mongoose');
+
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  // Fill colour on the map editor
+  color: {
+    type: String,
+    default: '#2563eb'
+  },
+  // GeoJSON polygon: an outer ring of [longitude, latitude] positions, closed
+  // by repeating the first position, and optional holes
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: [[[Number]]],
+      required: true
+    }
+  },
+  // Inactive zones keep their deliveries' history but no longer take new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  companyId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+zoneSchema.index({ companyId: 1, isActive: 1 });
+zoneSchema.index({ area: '2dsphere' });
+
+// Static method to find the active zone a point falls in; where zones overlap
+// the first by name wins
+zoneSchema.statics.findContaining = function(companyId, coordinates) {
+  return this.findOne({
+    companyId,
+    isActive: true,
+    area: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates }
+      }
+    }
+  }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Zone', zoneSchema);
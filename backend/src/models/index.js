@@ -7,10 +7,22 @@ const User = require('./User.model');
 const RoutePlan = require('./RoutePlan.model');
 const Delivery = require('./Delivery.model');
 const RealTimeUpdate = require('./RealTimeUpdate.model');
+const CompanySettings = require('./CompanySettings.model');
+const TravelTime = require('./TravelTime.model');
+const OptimizationJob = require('./OptimizationJob.model');
+const Depot = require('./Depot.model');
+const Zone = require('./Zone.model');
+const RouteTemplate = require('./RouteTemplate.model');
 
 module.exports = {
   User,
   RoutePlan,
   Delivery,
-  RealTimeUpdate
+  RealTimeUpdate,
+  CompanySettings,
+  TravelTime,
+  OptimizationJob,
+  Depot,
+  Zone,
+  RouteTemplate
 };
@@ -9,7 +9,8 @@ const {
   getRouteAnalytics,
   getDeliveryAnalytics,
   getDriverAnalytics,
-  getCostAnalytics
+  getCostAnalytics,
+  getEmissionsAnalytics
 } = require('../controllers/analytics.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
 
@@ -21,5 +22,6 @@ router.get('/routes', getRouteAnalytics);
 router.get('/deliveries', getDeliveryAnalytics);
 router.get('/drivers', authorize('admin', 'dispatcher'), getDriverAnalytics);
 router.get('/costs', authorize('admin'), getCostAnalytics);
+router.get('/emissions', getEmissionsAnalytics);
 
 module.exports = router;
@@ -14,13 +14,13 @@ const {
   forgotPassword
 } = require('../controllers/auth.controller');
 const { protect } = require('../middleware/auth.middleware');
-const { validateRegister, validateLogin } = require('../middleware/validation.middleware');
+const { validateRegister, validateLogin, validateHomeLocation } = require('../middleware/validation.middleware');
 
 router.post('/register', validateRegister, register);
 router.post('/login', validateLogin, login);
 router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
-router.put('/updatedetails', protect, updateDetails);
+router.put('/updatedetails', protect, validateHomeLocation, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.post('/forgotpassword', forgotPassword);
 
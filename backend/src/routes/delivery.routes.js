@@ -21,7 +21,8 @@ const { protect, authorize, optionalAuth } = require('../middleware/auth.middlew
 const { 
   validateDelivery, 
   validateObjectId,
-  validatePagination 
+  validatePagination,
+  validateDeliveryFilters
 } = require('../middleware/validation.middleware');
 
 // Public tracking endpoint
@@ -41,7 +42,7 @@ router.post('/bulk', authorize('admin', 'dispatcher'), createBulkDeliveries);
 
 // CRUD routes
 router.route('/')
-  .get(validatePagination, getDeliveries)
+  .get(validatePagination, validateDeliveryFilters, getDeliveries)
   .post(authorize('admin', 'dispatcher'), validateDelivery, createDelivery);
 
 router.route('/:id')
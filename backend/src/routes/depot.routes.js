@@ -0,0 +1,29 @@
+/**
+ * Depot Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getDepots,
+  getDepot,
+  createDepot,
+  updateDepot,
+  deleteDepot
+} = require('../controllers/depot.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validateDepot, validateObjectId } = require('../middleware/validation.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getDepots)
+  .post(authorize('admin'), validateDepot, createDepot);
+
+router.route('/:id')
+  .get(validateObjectId('id'), getDepot)
+  .put(authorize('admin'), validateObjectId('id'), validateDepot, updateDepot)
+  .delete(authorize('admin'), validateObjectId('id'), deleteDepot);
+
+module.exports = router;
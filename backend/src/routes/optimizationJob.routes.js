@@ -0,0 +1,29 @@
+/**
+ * Optimization Job Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  submitJob,
+  getJobs,
+  getJob,
+  streamJob,
+  cancelJob
+} = require('../controllers/optimizationJob.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validateOptimizationRequest, validateObjectId } = require('../middleware/validation.middleware');
+
+// All routes require authentication; optimization is for dispatchers and admins
+router.use(protect);
+router.use(authorize('admin', 'dispatcher'));
+
+router.route('/')
+  .get(getJobs)
+  .post(validateOptimizationRequest, submitJob);
+
+router.get('/:id', validateObjectId('id'), getJob);
+router.get('/:id/stream', validateObjectId('id'), streamJob);
+router.post('/:id/cancel', validateObjectId('id'), cancelJob);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Planner Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getWeek, moveDelivery } = require('../controllers/planner.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validatePlannerWeek, validatePlannerMove } = require('../middleware/validation.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/week', validatePlannerWeek, getWeek);
+router.post('/move', authorize('admin', 'dispatcher'), validatePlannerMove, moveDelivery);
+
+module.exports = router;
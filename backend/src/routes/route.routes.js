@@ -10,17 +10,22 @@ const {
   createRoute,
   optimizeRoute,
   updateRoute,
+  promoteAlternative,
   deleteRoute,
   startRoute,
   completeRoute,
   getRouteDirections,
   getRouteUpdates,
-  reoptimizeRoute
+  simulateRoute,
+  reoptimizeRoute,
+  applyReoptimization
 } = require('../controllers/route.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
 const { 
   validateRoutePlan, 
   validateOptimizationRequest, 
+  validateSequenceConstraints,
+  validateSimulation,
   validateObjectId,
   validatePagination 
 } = require('../middleware/validation.middleware');
@@ -38,7 +43,7 @@ router.route('/')
 
 router.route('/:id')
   .get(validateObjectId('id'), getRoute)
-  .put(authorize('admin', 'dispatcher'), validateObjectId('id'), updateRoute)
+  .put(authorize('admin', 'dispatcher'), validateObjectId('id'), validateSequenceConstraints, updateRoute)
   .delete(authorize('admin', 'dispatcher'), validateObjectId('id'), deleteRoute);
 
 // Route actions
@@ -46,6 +51,9 @@ router.post('/:id/start', validateObjectId('id'), startRoute);
 router.post('/:id/complete', validateObjectId('id'), completeRoute);
 router.post('/:id/directions', validateObjectId('id'), getRouteDirections);
 router.get('/:id/updates', validateObjectId('id'), getRouteUpdates);
+router.post('/:id/simulate', authorize('admin', 'dispatcher'), validateObjectId('id'), validateSimulation, simulateRoute);
 router.post('/:id/reoptimize', authorize('admin', 'dispatcher'), validateObjectId('id'), reoptimizeRoute);
+router.post('/:id/reoptimize/apply', authorize('admin', 'dispatcher'), validateObjectId('id'), applyReoptimization);
+router.post('/:id/alternatives/:alternativeId/promote', authorize('admin', 'dispatcher'), validateObjectId('id'), validateObjectId('alternativeId'), promoteAlternative);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Route Template Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  generateRoutes
+} = require('../controllers/routeTemplate.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validateRouteTemplate, validateGenerationRange, validateObjectId } = require('../middleware/validation.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getTemplates)
+  .post(authorize('admin', 'dispatcher'), validateRouteTemplate, createTemplate);
+
+router.route('/:id')
+  .get(validateObjectId('id'), getTemplate)
+  .put(authorize('admin', 'dispatcher'), validateObjectId('id'), validateRouteTemplate, updateTemplate)
+  .delete(authorize('admin', 'dispatcher'), validateObjectId('id'), deleteTemplate);
+
+router.post('/:id/generate', authorize('admin', 'dispatcher'), validateObjectId('id'), validateGenerationRange, generateRoutes);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Settings Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSettings, updateSettings } = require('../controllers/settings.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validateSettings } = require('../middleware/validation.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getSettings)
+  .put(authorize('admin'), validateSettings, updateSettings);
+
+module.exports = router;
@@ -14,7 +14,7 @@ const {
   toggleUserStatus
 } = require('../controllers/user.controller');
 const { protect, authorize } = require('../middleware/auth.middleware');
-const { validateObjectId, validatePagination } = require('../middleware/validation.middleware');
+const { validateObjectId, validatePagination, validateHomeLocation, validateDriverSkills } = require('../middleware/validation.middleware');
 
 // All routes require authentication
 router.use(protect);
@@ -29,7 +29,7 @@ router.route('/')
 
 router.route('/:id')
   .get(authorize('admin'), validateObjectId('id'), getUser)
-  .put(authorize('admin'), validateObjectId('id'), updateUser)
+  .put(authorize('admin'), validateObjectId('id'), validateHomeLocation, validateDriverSkills, updateUser)
   .delete(authorize('admin'), validateObjectId('id'), deleteUser);
 
 router.patch('/:id/toggle-status', authorize('admin'), validateObjectId('id'), toggleUserStatus);
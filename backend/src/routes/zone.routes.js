@@ -0,0 +1,29 @@
+/**
+ * Zone Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../controllers/zone.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { validateZone, validateObjectId } = require('../middleware/validation.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(getZones)
+  .post(authorize('admin', 'dispatcher'), validateZone, createZone);
+
+router.route('/:id')
+  .get(validateObjectId('id'), getZone)
+  .put(authorize('admin', 'dispatcher'), validateObjectId('id'), validateZone, updateZone)
+  .delete(authorize('admin', 'dispatcher'), validateObjectId('id'), deleteZone);
+
+module.exports = router;
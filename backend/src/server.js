@@ -19,6 +19,12 @@ const routeRoutes = require('./routes/route.routes');
 const deliveryRoutes = require('./routes/delivery.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const exportRoutes = require('./routes/export.routes');
+const settingsRoutes = require('./routes/settings.routes');
+const optimizationJobRoutes = require('./routes/optimizationJob.routes');
+const depotRoutes = require('./routes/depot.routes');
+const zoneRoutes = require('./routes/zone.routes');
+const routeTemplateRoutes = require('./routes/routeTemplate.routes');
+const plannerRoutes = require('./routes/planner.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -26,6 +32,8 @@ const { logger } = require('./utils/logger');
 
 // Import services for cron jobs
 const RealTimeUpdateService = require('./services/realTimeUpdate.service');
+const OptimizationWorker = require('./services/optimizationWorker.service');
+const RouteTemplateService = require('./services/routeTemplate.service');
 
 const app = express();
 
@@ -83,6 +91,12 @@ app.use('/api/routes', routeRoutes);
 app.use('/api/deliveries', deliveryRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/optimization-jobs', optimizationJobRoutes);
+app.use('/api/depots', depotRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/route-templates', routeTemplateRoutes);
+app.use('/api/planner', plannerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -107,6 +121,12 @@ app.get('/api', (req, res) => {
       deliveries: '/api/deliveries',
       analytics: '/api/analytics',
       export: '/api/export',
+      settings: '/api/settings',
+      optimizationJobs: '/api/optimization-jobs',
+      depots: '/api/depots',
+      zones: '/api/zones',
+      routeTemplates: '/api/route-templates',
+      planner: '/api/planner',
       health: '/api/health'
     }
   });
@@ -139,6 +159,17 @@ cron.schedule('*/5 * * * *', async () => {
   }
 });
 
+// Generate draft routes of recurring templates every night
+cron.schedule('0 2 * * *', async () => {
+  logger.info('Generating routes from templates...');
+  try {
+    await RouteTemplateService.generateAll();
+    logger.info('Route generation completed');
+  } catch (error) {
+    logger.error(`Route generation failed: ${error.message}`);
+  }
+});
+
 // ===========================================
 // Server Startup
 // ===========================================
@@ -146,6 +177,9 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+
+  // Background route optimizations
+  await OptimizationWorker.start();
   
   app.listen(PORT, () => {
     logger.info(`
@@ -165,6 +199,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  OptimizationWorker.stop();
   mongoose.connection.close(false, () => {
     logger.info('MongoDB connection closed.');
     process.exit(0);
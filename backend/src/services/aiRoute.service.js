@@ -1,98 +1,671 @@
 /**
  * AI Route Optimization Service
- * Uses Euron AI API for intelligent route optimization
+ * Sequences routes with the local VRPTW solver and uses an LLM to explain them
  */
 
-const axios = require('axios');
+const RouteSolverService = require('./routeSolver.service');
+const CapacityService = require('./capacity.service');
+const HoursOfServiceService = require('./hoursOfService.service');
+const LLMService = require('./llm.service');
+const MatrixService = require('./matrix.service');
+const SolverThreadService = require('./solverThread.service');
 const { logger } = require('../utils/logger');
 
+const UNASSIGNED_REASONS = {
+  exceeds_vehicle_capacity: 'Package weight or volume exceeds the capacity of every vehicle',
+  insufficient_capacity: 'No vehicle has enough remaining capacity',
+  exceeds_vehicle_range: 'No electric vehicle can reach it within its battery range and chargers',
+  exceeds_shift_length: 'No driver can fit it within the maximum shift length',
+  time_window_conflict: 'No vehicle can reach it within its time window',
+  no_qualified_vehicle: 'No vehicle and driver are equipped and certified for it',
+  no_vehicle_in_zone: 'No vehicle covers its zone, or every route already serves another zone'
+};
+
+const PLAN_LABELS = {
+  distance: 'Shortest distance',
+  time: 'Fastest',
+  cost: 'Lowest cost',
+  balanced: 'Balanced'
+};
+
+// Objectives the solver re-solves for to offer alternatives to the requested one
+const ALTERNATIVE_PRIORITIES = ['distance', 'time', 'cost', 'balanced'];
+const MAX_ALTERNATIVES = 3;
+
+const MINUTE_MS = 60000;
+const DEFAULT_DEPARTURE_INTERVAL = 60;
+
 class AIRouteService {
-  constructor() {
-    this.apiKey = process.env.EURON_API_KEY;
-    this.apiUrl = process.env.EURON_API_URL || 'https://api.euron.one/api/v1/euri/chat/completions';
-    this.model = 'gpt-4.1-nano';
+  /**
+   * Generate optimized route
+   * The VRPTW solver is the default engine; engine 'ai' lets the LLM sequence the stops
+   */
+  async optimizeRoute(params) {
+    const result = params.engine === 'ai'
+      ? await this.optimizeWithAI(params)
+      : await this.optimizeWithSolver(params);
+
+    if (params.departureSearch) {
+      await this.reportProgress(params, 'departures', 90, 'Comparing departure times');
+      result.optimizedRoute.departureOptions = await this.searchDepartures(params, params.departureSearch);
+    }
+    return result;
   }
 
   /**
-   * Generate optimized route using AI
+   * Sequence with the local solver, then ask the LLM to explain the result
    */
-  async optimizeRoute(params) {
-    const {
+  async optimizeWithSolver(params) {
+    const { deliveries, optimizationPriority, hoursOfService } = params;
+
+    await this.reportProgress(params, 'matrix', 30, 'Building travel time matrix');
+    const problem = await this.buildRouteProblem(params);
+    await this.reportProgress(params, 'solving', 50, 'Sequencing stops');
+    const priority = optimizationPriority || 'balanced';
+    const solution = await this.runSolver(params, 'solve', problem);
+    const optimizedRoute = this.buildOptimizedRoute(deliveries, problem, solution, hoursOfService);
+    optimizedRoute.label = PLAN_LABELS[priority];
+    optimizedRoute.source = 'solver';
+
+    await this.reportProgress(params, 'alternatives', 65, 'Simulating alternative plans');
+    optimizedRoute.alternatives = await this.buildAlternatives(deliveries, problem, optimizedRoute, hoursOfService,
+      ALTERNATIVE_PRIORITIES
+        .filter(other => other !== priority)
+        .map(other => ({ label: PLAN_LABELS[other], source: 'solver', solve: () => this.solveFor(params, problem, other) })));
+
+    await this.reportProgress(params, 'explaining', 80, 'Explaining the route');
+    const explanation = await this.explainRoute(optimizedRoute, params);
+    if (explanation) optimizedRoute.reasoning = explanation.reasoning;
+
+    return {
+      success: true,
+      optimizedRoute,
+      engine: 'vrptw-solver',
+      aiModel: explanation ? explanation.model : 'vrptw-solver',
+      confidence: this.measureConfidence(solution.schedule),
+      reasoning: optimizedRoute.reasoning
+    };
+  }
+
+  /**
+   * Split deliveries across several vehicles with the solver
+   * Returns one plan per vehicle that received stops, plus unassigned deliveries
+   */
+  async optimizeFleet(params) {
+    const { deliveries, vehicles, startLocation, endLocation, depots, returnToStart, departureTime, optimizationPriority, hoursOfService, sequenceConstraints, costProfile, emissionFactors, zoneClustering, balancing, routing } = params;
+
+    await this.reportProgress(params, 'matrix', 30, 'Building travel time matrix');
+    const problem = await this.buildProblem({
       deliveries,
+      vehicles,
       startLocation,
       endLocation,
+      depots,
+      returnToStart,
+      departureTime,
+      optimizationPriority: optimizationPriority || 'balanced',
+      hoursOfService,
+      sequenceConstraints,
+      costProfile,
+      emissionFactors,
+      zoneClustering,
+      balancing,
+      routing
+    });
+    await this.reportProgress(params, 'solving', 50, `Assigning stops to ${vehicles.length} vehicles`);
+    const solution = await this.runSolver(params, 'solveFleet', problem);
+
+    await this.reportProgress(params, 'explaining', 80, 'Explaining the routes');
+    const plans = await Promise.all(
+      solution.routes
+        .filter(route => route.sequence.length > 0)
+        .map(async route => {
+          const optimizedRoute = this.buildOptimizedRoute(deliveries, problem, route, hoursOfService);
+          const explanation = await this.explainRoute(optimizedRoute, params);
+          if (explanation) optimizedRoute.reasoning = explanation.reasoning;
+
+          return {
+            vehicle: vehicles[route.vehicle.index],
+            optimizedRoute,
+            confidence: this.measureConfidence(route.schedule)
+          };
+        })
+    );
+
+    const unassigned = solution.unassigned.map(({ stopIndex, reason }) => {
+      const delivery = deliveries[stopIndex];
+      return {
+        deliveryId: delivery._id,
+        customer: delivery.customer?.name,
+        reason,
+        message: UNASSIGNED_REASONS[reason]
+      };
+    });
+
+    return {
+      success: true,
+      plans,
+      unassigned,
+      engine: 'vrptw-solver',
+      summary: {
+        vehiclesAvailable: vehicles.length,
+        vehiclesUsed: plans.length,
+        assignedDeliveries: deliveries.length - unassigned.length,
+        unassignedDeliveries: unassigned.length,
+        totalDistance: Math.round(plans.reduce((sum, plan) => sum + plan.optimizedRoute.estimatedMetrics.totalDistance, 0) * 10) / 10,
+        longestDuration: Math.max(0, ...plans.map(plan => plan.optimizedRoute.estimatedMetrics.totalDuration)),
+        balancing: problem.balancing,
+        workload: this.workloadSummary(solution.workload)
+      }
+    };
+  }
+
+  /**
+   * Let the LLM propose the sequence, falling back to the solver on failure
+   * The proposal is checked, repaired and re-simulated; its own metrics are not trusted
+   */
+  async optimizeWithAI(params) {
+    const {
+      deliveries,
       vehicleType,
+      vehicle,
       constraints,
       trafficData,
       weatherData,
-      optimizationPriority
+      optimizationPriority,
+      hoursOfService,
+      sequenceConstraints,
+      llm
     } = params;
 
+    // The depot is settled first so the LLM sequences from the actual start
+    const problem = await this.buildRouteProblem(params);
+    const ends = RouteSolverService.routeEnds(problem, problem.vehicles[0]);
+
+    await this.reportProgress(params, 'ai', 20, 'Waiting for the AI sequence');
+
+    let completion;
+    let proposal;
     try {
       const prompt = this.buildOptimizationPrompt({
         deliveries,
-        startLocation,
-        endLocation: endLocation || startLocation,
+        startLocation: ends.start,
+        endLocation: ends.end,
         vehicleType: vehicleType || 'van',
+        vehicle,
         constraints: constraints || {},
         trafficData,
         weatherData,
-        optimizationPriority: optimizationPriority || 'balanced'
+        optimizationPriority: optimizationPriority || 'balanced',
+        sequenceConstraints
       });
 
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            { role: 'system', content: this.getSystemPrompt() },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.3,
-          max_tokens: 4000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 60000
-        }
-      );
+      completion = await this.requestCompletion([
+        { role: 'system', content: this.getSystemPrompt() },
+        { role: 'user', content: prompt }
+      ], { llm });
+      proposal = this.parseAIResponse(completion.content);
+    } catch (error) {
+      logger.error(`AI Route Optimization error: ${error.message}`);
+      logger.info('Falling back to VRPTW solver');
+      const result = await this.optimizeWithSolver(params);
+      result.optimizedRoute.warnings.push('AI sequencing unavailable - using VRPTW solver');
+      return result;
+    }
+
+    await this.reportProgress(params, 'repairing', 60, 'Checking the AI sequence');
+    const repaired = await this.runSolver(params, 'repair', problem, proposal.sequence);
+
+    const optimizedRoute = this.buildOptimizedRoute(deliveries, problem, repaired, hoursOfService);
+    optimizedRoute.label = 'AI sequence';
+    optimizedRoute.source = 'ai';
+    optimizedRoute.reasoning = proposal.reasoning;
+    optimizedRoute.sequenceCheck = this.describeRepair(proposal.sequence, repaired);
+    optimizedRoute.warnings.unshift(...optimizedRoute.sequenceCheck.repairs, ...proposal.warnings);
+
+    // The solver's own plan first, then the LLM's alternatives after the same repair
+    await this.reportProgress(params, 'alternatives', 70, 'Simulating alternative plans');
+    const priority = optimizationPriority || 'balanced';
+    optimizedRoute.alternatives = await this.buildAlternatives(deliveries, problem, optimizedRoute, hoursOfService, [
+      { label: PLAN_LABELS[priority], source: 'solver', solve: () => this.runSolver(params, 'solve', problem) },
+      ...proposal.alternativeSequences.map((sequence, index) => ({
+        label: `AI alternative ${index + 1}`,
+        source: 'ai',
+        solve: () => this.runSolver(params, 'repair', problem, sequence)
+      }))
+    ]);
+
+    return {
+      success: true,
+      optimizedRoute,
+      engine: 'ai',
+      aiModel: completion.model,
+      confidence: this.measureConfidence(repaired.schedule),
+      reasoning: optimizedRoute.reasoning
+    };
+  }
+
+  /**
+   * Plan the route for each departure slot from travel times predicted for that
+   * time of day, and recommend the slot with the least lateness, then the shortest duration
+   * @param {Object} params - Optimization parameters, as for optimizeRoute
+   * @param {Object} search - from, to, intervalMinutes between slots
+   * @returns {Promise<Object>} { slots, recommended } where recommended is one of the slots
+   */
+  async searchDepartures(params, { from, to, intervalMinutes = DEFAULT_DEPARTURE_INTERVAL }) {
+    const slots = [];
+
+    for (let time = new Date(from).getTime(); time <= new Date(to).getTime(); time += intervalMinutes * MINUTE_MS) {
+      const problem = await this.buildRouteProblem({ ...params, departureTime: new Date(time) });
+      const { sequence, schedule } = await this.runSolver(params, 'solve', problem);
+
+      slots.push({
+        departureTime: new Date(time),
+        // The vehicle is held at the depot when leaving at the slot would only mean waiting at the first stop
+        startTime: new Date(schedule.startTime),
+        endTime: new Date(schedule.endTime),
+        totalDuration: Math.round(schedule.totalDuration),
+        drivingTime: Math.round(schedule.drivingTime),
+        lateStops: schedule.lateStops,
+        lateMinutes: Math.round(schedule.totalLateness),
+        sequence,
+        travelTimeSource: problem.matrix.source || 'estimate'
+      });
+    }
+
+    const recommended = slots.reduce((best, slot) => (
+      !best || slot.lateMinutes < best.lateMinutes ||
+      (slot.lateMinutes === best.lateMinutes && slot.totalDuration < best.totalDuration)
+        ? slot
+        : best
+    ), null);
+
+    return { slots, recommended };
+  }
+
+  /**
+   * Solve the problem again under another priority's objective
+   */
+  solveFor(params, problem, optimizationPriority) {
+    return this.runSolver(params, 'solve', { ...problem, objective: RouteSolverService.objectiveWeights(optimizationPriority) });
+  }
+
+  /**
+   * Run a RouteSolverService method in a solver thread, abandoned when params.signal aborts
+   */
+  runSolver(params, method, ...args) {
+    return SolverThreadService.run(method, args, { signal: params.signal });
+  }
+
+  /**
+   * Simulate candidate plans like the chosen one, skipping repeated sequences
+   * @param {Array} candidates - { label, source, solve } where solve() resolves to a solver solution
+   * @returns {Array} Alternatives with their waypoints, feasibility and estimated metrics
+   */
+  async buildAlternatives(deliveries, problem, optimizedRoute, hoursOfService, candidates) {
+    const seen = new Set([optimizedRoute.sequence.join(',')]);
+    const alternatives = [];
+
+    for (const { label, source, solve } of candidates) {
+      if (alternatives.length >= MAX_ALTERNATIVES) break;
+
+      const solution = await solve();
+      const key = solution.sequence.join(',');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const plan = this.buildOptimizedRoute(deliveries, problem, solution, hoursOfService);
+      alternatives.push({
+        label,
+        source,
+        sequence: plan.sequence,
+        deliveryIds: plan.deliveries.map(d => d._id),
+        reasoning: plan.reasoning,
+        estimatedMetrics: plan.estimatedMetrics,
+        confidence: this.measureConfidence(solution.schedule),
+        feasibility: plan.feasibility,
+        route: plan.route,
+        startTime: plan.startTime,
+        endTime: plan.endTime,
+        capacityCheck: plan.capacityCheck,
+        hoursOfServiceCheck: plan.hoursOfServiceCheck,
+        warnings: plan.warnings
+      });
+    }
+
+    return alternatives;
+  }
+
+  /**
+   * Pass a stage to the caller's onProgress callback, which may throw to stop the run
+   */
+  async reportProgress(params, stage, percent, message) {
+    if (params.onProgress) await params.onProgress(stage, percent, message);
+  }
+
+  /**
+   * Send a chat completion request through the company's LLM provider
+   * @param {Object} options - llm (CompanySettings.llm), temperature, maxTokens, timeout
+   * @returns {Promise<{content: string, model: string, provider: string}>}
+   */
+  async requestCompletion(messages, options = {}) {
+    const { llm, ...requestOptions } = options;
+    return LLMService.complete(messages, { ...requestOptions, settings: llm });
+  }
+
+  /**
+   * Ask the LLM for a short dispatcher-facing explanation of a solved route
+   * Returns { reasoning, model }, or null when no provider is configured or the call fails
+   */
+  async explainRoute(optimizedRoute, params) {
+    try {
+      if (!LLMService.isAvailable(params.llm)) return null;
+
+      const completion = await this.requestCompletion([
+        { role: 'system', content: 'You are a logistics dispatcher assistant. Explain a delivery route produced by a routing solver in 2-3 plain sentences. Do not propose a different order.' },
+        { role: 'user', content: this.buildExplanationPrompt(optimizedRoute, params) }
+      ], { llm: params.llm, maxTokens: 300, timeout: 20000 });
+
+      const reasoning = completion.content.trim();
+      return reasoning ? { reasoning, model: completion.model } : null;
+    } catch (error) {
+      logger.warn(`AI route explanation unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  buildExplanationPrompt(optimizedRoute, params) {
+    const { trafficData, weatherData, optimizationPriority } = params;
+
+    const stops = optimizedRoute.deliveries.map((d, index) => ({
+      stop: index + 1,
+      customer: d.customer?.name,
+      priority: d.priority,
+      timeWindow: { earliest: d.timeWindow?.earliest, latest: d.timeWindow?.latest },
+      eta: optimizedRoute.feasibility.stops[index]?.arrivalTime,
+      lateMinutes: optimizedRoute.feasibility.stops[index]?.lateness
+    }));
+
+    return `EXPLAIN ROUTE
+Priority: ${optimizationPriority || 'balanced'}
+Metrics: ${JSON.stringify(optimizedRoute.estimatedMetrics)}
+Traffic: ${trafficData ? trafficData.congestionLevel : 'N/A'}
+Weather: ${weatherData ? weatherData.current?.condition : 'N/A'}
+
+STOPS:
+${JSON.stringify(stops, null, 2)}`;
+  }
+
+  /**
+   * Single-route problem of an optimization request, started from the best
+   * candidate depot when the request leaves the choice to the optimizer
+   */
+  async buildRouteProblem(params) {
+    const problem = await this.buildProblem({
+      deliveries: params.deliveries,
+      vehicles: params.vehicle ? [params.vehicle] : undefined,
+      vehicleType: params.vehicleType,
+      startLocation: params.startLocation,
+      endLocation: params.endLocation,
+      depots: params.depots,
+      returnToStart: params.returnToStart,
+      departureTime: params.departureTime,
+      optimizationPriority: params.optimizationPriority || 'balanced',
+      hoursOfService: params.hoursOfService,
+      sequenceConstraints: params.sequenceConstraints,
+      costProfile: params.costProfile,
+      emissionFactors: params.emissionFactors,
+      routing: params.routing
+    });
+
+    return this.runSolver(params, 'chooseDepot', problem);
+  }
+
+  /**
+   * Solver problem over travel times from the matrix service
+   * The time-of-day bucket follows the departure, or the earliest window when none is given
+   */
+  async buildProblem(params) {
+    const windowStarts = params.deliveries
+      .map(d => d.timeWindow?.earliest && new Date(d.timeWindow.earliest).getTime())
+      .filter(Boolean);
+    const departureTime = params.departureTime || (windowStarts.length ? new Date(Math.min(...windowStarts)) : new Date());
+
+    const matrix = await MatrixService.getMatrix(RouteSolverService.problemLocations(params), {
+      departureTime,
+      vehicleType: params.vehicleType,
+      settings: params.routing
+    });
+
+    return RouteSolverService.buildProblem({ ...params, matrix });
+  }
+
+  /**
+   * Shape a solver solution like an AI optimization result
+   */
+  buildOptimizedRoute(deliveries, problem, solution, hoursOfService) {
+    const { sequence, schedule } = solution;
+    const feasibility = RouteSolverService.formatSchedule(problem, schedule);
+
+    const optimizedDeliveries = sequence.map((idx, seqNum) => ({
+      ...(deliveries[idx].toObject ? deliveries[idx].toObject() : deliveries[idx]),
+      sequenceInRoute: seqNum + 1,
+      originalIndex: idx,
+      estimatedArrival: feasibility.stops[seqNum].arrivalTime
+    }));
+
+    const warnings = feasibility.stops
+      .filter(stop => !stop.withinWindow)
+      .map(stop => `Stop ${stop.sequence} (${optimizedDeliveries[stop.sequence - 1].customer?.name || 'delivery'}) is reached ${Math.round(stop.lateness)} min after its time window closes`);
+
+    const capacityCheck = CapacityService.checkLoad(
+      { capacity: schedule.capacity.weight, volumeCapacity: schedule.capacity.volume },
+      schedule.peakLoad
+    );
+    capacityCheck.violations.forEach(violation => warnings.push(violation.message));
+    if (schedule.pairingViolations > 0) {
+      warnings.push(`${schedule.pairingViolations} pickup/drop-off pair(s) could not be kept in order`);
+    }
+    const names = deliveries.map(d => d.customer?.name);
+    RouteSolverService.constraintViolations(problem.constraints, sequence)
+      .forEach(violation => warnings.push(RouteSolverService.describeConstraintViolation(violation, names)));
+
+    const route = this.buildWaypoints(optimizedDeliveries, feasibility);
+    const hoursOfServiceCheck = HoursOfServiceService.checkPlan(
+      { startTime: feasibility.startTime, endTime: feasibility.endTime, route },
+      hoursOfService
+    );
+    hoursOfServiceCheck.violations.forEach(violation => warnings.push(violation.message));
+    if (schedule.outOfRange) {
+      warnings.push(`Battery runs ${feasibility.rangeShortfall} kWh short of finishing the route with no charger in reach`);
+    }
+
+    const estimatedMetrics = this.simulatedMetrics(schedule);
+    const { totalDistance } = estimatedMetrics;
+    const ends = RouteSolverService.routeEnds(problem, schedule);
 
-      const aiResponse = response.data.choices[0].message.content;
-      const optimizedRoute = this.parseAIResponse(aiResponse, deliveries);
+    return {
+      sequence,
+      deliveries: optimizedDeliveries,
+      reasoning: `Time-window aware insertion improved with relocate, or-opt and 2-opt moves: ${sequence.length} stops, ${totalDistance} km, ` +
+        (schedule.lateStops === 0 ? 'all stops within their time windows' : `${schedule.lateStops} stop(s) outside their time windows`),
+      estimatedMetrics,
+      travelTimeSource: problem.matrix.source || 'estimate',
+      feasibility,
+      route,
+      startLocation: ends.start,
+      endLocation: ends.end,
+      startTime: feasibility.startTime,
+      endTime: feasibility.endTime,
+      cost: schedule.cost,
+      capacityCheck,
+      hoursOfServiceCheck,
+      warnings,
+      alternatives: []
+    };
+  }
+
+  /**
+   * Distance, time, cost, emissions and lateness of a simulated schedule
+   * Electric routes report the kWh used and time spent charging instead of fuel
+   */
+  simulatedMetrics(schedule) {
+    const timing = {
+      totalDistance: Math.round(schedule.totalDistance * 10) / 10,
+      totalDuration: Math.round(schedule.totalDuration),
+      totalWaitTime: Math.round(schedule.totalWait)
+    };
+    const pricing = {
+      cost: schedule.cost.total,
+      costBreakdown: schedule.cost.breakdown
+    };
+    const lateness = {
+      timeWindowViolations: schedule.lateStops,
+      lateMinutes: Math.round(schedule.totalLateness)
+    };
 
+    if (schedule.electric) {
+      const energy = schedule.energyUsed;
       return {
-        success: true,
-        optimizedRoute,
-        aiModel: this.model,
-        confidence: this.calculateConfidence(optimizedRoute, deliveries),
-        reasoning: optimizedRoute.reasoning
+        ...timing,
+        energyEstimate: Math.round(energy * 10) / 10,
+        chargingTime: Math.round(schedule.chargingTime),
+        chargingStops: schedule.charges.length,
+        ...pricing,
+        co2Emissions: schedule.co2,
+        ...lateness
       };
-    } catch (error) {
-      logger.error(`AI Route Optimization error: ${error.message}`);
-      logger.info('Falling back to basic route optimization');
-      return this.fallbackOptimization(deliveries, startLocation, endLocation, optimizationPriority);
     }
+
+    return {
+      ...timing,
+      fuelEstimate: Math.round(schedule.fuelUsed * 10) / 10,
+      ...pricing,
+      co2Emissions: schedule.co2,
+      ...lateness
+    };
+  }
+
+  /**
+   * RoutePlan waypoints for the stops, with the driver breaks and charging stops in between
+   */
+  buildWaypoints(optimizedDeliveries, feasibility) {
+    const breakWaypoints = afterSequence => [
+      ...feasibility.breaks
+        .filter(entry => entry.afterSequence === afterSequence)
+        .map(entry => ({
+          type: 'break',
+          location: { type: 'Point', coordinates: entry.coordinates },
+          address: entry.enRoute ? 'Driver break (en route)' : 'Driver break',
+          arrivalTime: entry.start,
+          departureTime: entry.end,
+          serviceTime: entry.duration
+        })),
+      ...(feasibility.charges || [])
+        .filter(entry => entry.afterSequence === afterSequence)
+        .map(entry => ({
+          type: 'charging',
+          location: { type: 'Point', coordinates: entry.coordinates },
+          address: entry.name ? `Charging at ${entry.name}` : 'Charging stop',
+          arrivalTime: entry.start,
+          departureTime: entry.end,
+          serviceTime: entry.duration
+        }))
+    ].sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+    const waypoints = [...breakWaypoints(0)];
+    feasibility.stops.forEach((stop, index) => {
+      const delivery = optimizedDeliveries[index];
+      waypoints.push({
+        type: 'delivery',
+        deliveryId: delivery._id,
+        location: { type: 'Point', coordinates: delivery.location?.coordinates },
+        address: delivery.address?.fullAddress || delivery.address?.street || delivery.customer?.name || 'Stop',
+        arrivalTime: stop.arrivalTime,
+        departureTime: stop.departureTime,
+        waitTime: stop.waitTime,
+        serviceTime: delivery.serviceTime || 10
+      }, ...breakWaypoints(stop.sequence));
+    });
+
+    return waypoints.map((waypoint, index) => ({ ...waypoint, sequence: index + 1 }));
+  }
+
+  /**
+   * What the repair step changed in an LLM sequence, as stored on the optimized route
+   */
+  describeRepair(proposed, repaired) {
+    const { check } = repaired;
+    const repairs = [];
+
+    if (check.invalid.length > 0) {
+      repairs.push(`AI sequence referenced ${check.invalid.length} unknown stop(s); they were dropped`);
+    }
+    if (check.duplicates.length > 0) {
+      repairs.push(`AI sequence repeated ${check.duplicates.length} stop(s); duplicates were removed`);
+    }
+    if (check.missing.length > 0) {
+      repairs.push(`AI sequence omitted ${check.missing.length} stop(s); they were inserted at their cheapest positions`);
+    }
+    if (repaired.reorderedPairs.length > 0) {
+      repairs.push(`AI sequence put ${repaired.reorderedPairs.length} drop-off(s) before their pickup; the pairs were reinserted`);
+    }
+    if (repaired.searched) {
+      repairs.push('AI sequence broke time window, capacity, range, shift or sequence constraints; it was locally re-optimized');
+    }
+
+    return {
+      complete: check.complete,
+      invalidIndices: check.invalid,
+      duplicateIndices: check.duplicates,
+      missingIndices: check.missing,
+      proposedSequence: proposed,
+      repaired: repaired.changed,
+      repairs
+    };
+  }
+
+  /**
+   * Workload spread of a fleet plan, rounded for reporting; durations in minutes
+   */
+  workloadSummary(workload) {
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return Object.entries(workload).reduce((summary, [metric, { min, max, spread }]) => {
+      const digits = metric === 'revenue' ? 2 : metric === 'stops' ? 0 : 1;
+      return { ...summary, [metric]: { min: round(min, digits), max: round(max, digits), spread: round(spread, digits) } };
+    }, {});
+  }
+
+  /**
+   * Confidence from measured feasibility: the share of stops served inside their
+   * time windows, halved when the route breaks capacity, battery range, pickup/drop-off
+   * order, the shift limit or a sequence constraint
+   */
+  measureConfidence(schedule) {
+    if (schedule.stops.length === 0) return 1;
+    const onTime = schedule.stops.filter(stop => stop.withinWindow).length;
+    const hardViolation = schedule.overloaded || schedule.outOfRange || schedule.pairingViolations > 0 ||
+      schedule.shiftOverrun > 0 || schedule.constraintViolations > 0;
+    return Math.round((onTime / schedule.stops.length) * (hardViolation ? 0.5 : 1) * 100) / 100;
   }
 
   getSystemPrompt() {
     return `You are an expert logistics route optimization AI. Analyze delivery data and generate the most efficient route sequence.
 
 Respond with valid JSON containing:
-1. "sequence": Array of delivery indices in optimal order (0-indexed)
+1. "sequence": Array of delivery indices in optimal order (0-indexed), each index exactly once
 2. "reasoning": Brief explanation of optimization logic
-3. "estimatedMetrics": Object with totalDistance (km), totalDuration (minutes), fuelEstimate (liters)
-4. "warnings": Array of any concerns
-5. "alternativeSequences": Array of 1-2 alternatives with metrics
+3. "warnings": Array of any concerns
+4. "alternativeSequences": Array of 1-2 alternative sequences, each an array of delivery indices
 
 Consider: time windows, priority levels, geographic clustering, traffic, weather, vehicle capacity.
+Every pickup must come before its paired drop-off. Honour every listed sequence constraint exactly. Distances and times are computed from your sequence, so do not estimate them.
 Respond with valid JSON only.`;
   }
 
   buildOptimizationPrompt(params) {
-    const { deliveries, startLocation, endLocation, vehicleType, constraints, trafficData, weatherData, optimizationPriority } = params;
+    const { deliveries, startLocation, endLocation, vehicleType, vehicle, constraints, trafficData, weatherData, optimizationPriority, sequenceConstraints } = params;
+    const capacity = CapacityService.vehicleCapacity(vehicle);
 
     const deliveryData = deliveries.map((d, index) => ({
       index,
@@ -101,18 +674,22 @@ Respond with valid JSON only.`;
       timeWindow: { earliest: d.timeWindow?.earliest, latest: d.timeWindow?.latest },
       priority: d.priority,
       serviceTime: d.serviceTime || 10,
-      packageType: d.packageDetails?.type || 'standard'
+      packageType: d.packageDetails?.type || 'standard',
+      stopType: d.stopType || 'dropoff',
+      pairedWith: d.pairedDeliveryId ? deliveries.findIndex(p => p._id?.toString() === d.pairedDeliveryId.toString()) : undefined,
+      load: CapacityService.deliveryLoad(d)
     }));
 
     return `OPTIMIZE ROUTE
 Start: ${JSON.stringify(startLocation)}
-End: ${JSON.stringify(endLocation)}
-Vehicle: ${vehicleType}
-Priority: ${optimizationPriority}
+End: ${endLocation ? JSON.stringify(endLocation) : 'none, the route ends at its last stop'}
+Vehicle: ${vehicleType}${vehicle?.fuelType ? ` (${vehicle.fuelType})` : ''}
+Capacity: ${JSON.stringify({ weightKg: capacity.weight, volumeM3: capacity.volume })}
+${this.buildRangePrompt(vehicle)}Priority: ${optimizationPriority}
 
 DELIVERIES (${deliveries.length}):
 ${JSON.stringify(deliveryData, null, 2)}
-
+${this.buildConstraintPrompt(deliveries, sequenceConstraints)}
 CONDITIONS:
 Traffic: ${trafficData ? JSON.stringify({ congestionLevel: trafficData.congestionLevel, incidents: trafficData.incidents?.length || 0 }) : 'N/A'}
 Weather: ${weatherData ? JSON.stringify({ condition: weatherData.current?.condition, visibility: weatherData.current?.visibility }) : 'N/A'}
@@ -120,7 +697,36 @@ Weather: ${weatherData ? JSON.stringify({ condition: weatherData.current?.condit
 Return optimal delivery sequence as JSON.`;
   }
 
-  parseAIResponse(aiResponse, deliveries) {
+  /**
+   * Battery range line for electric vehicles, or nothing; charging stops are planned by the solver
+   */
+  buildRangePrompt(vehicle) {
+    if (vehicle?.fuelType !== 'electric' || !vehicle.batteryCapacity) return '';
+    const { perKm } = RouteSolverService.vehicleEnergy(vehicle, []);
+    return `Range: about ${Math.round(vehicle.batteryCapacity / perKm)} km per charge; charging stops are added to your sequence automatically\n`;
+  }
+
+  /**
+   * Sequence constraints as prompt lines over delivery indices, or nothing when there are none
+   */
+  buildConstraintPrompt(deliveries, sequenceConstraints) {
+    const { pins, groups, precedences } = RouteSolverService.resolveConstraints(
+      sequenceConstraints,
+      deliveries.map(d => d._id?.toString())
+    );
+    const lines = [
+      ...pins.map(pin => `- Delivery ${pin.stopIndex} must be stop number ${pin.position + 1} of the sequence`),
+      ...groups.map(group => `- Deliveries ${group.join(', ')} must be visited back-to-back, in any order`),
+      ...precedences.map(([first, second]) => `- Delivery ${first} must come before delivery ${second}`)
+    ];
+
+    return lines.length > 0 ? `\nSEQUENCE CONSTRAINTS:\n${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Extract the proposal from the LLM answer; the sequence is checked by the solver, not here
+   */
+  parseAIResponse(aiResponse) {
     try {
       let jsonStr = aiResponse;
       const jsonMatch = aiResponse.match(/```(?:json)?\s*([\s\S]*?)```/);
@@ -132,22 +738,13 @@ Return optimal delivery sequence as JSON.`;
         throw new Error('Invalid sequence in AI response');
       }
 
-      const validIndices = parsed.sequence.every(idx => Number.isInteger(idx) && idx >= 0 && idx < deliveries.length);
-      if (!validIndices) throw new Error('Invalid delivery indices');
-
-      const optimizedDeliveries = parsed.sequence.map((idx, seqNum) => ({
-        ...(deliveries[idx].toObject ? deliveries[idx].toObject() : deliveries[idx]),
-        sequenceInRoute: seqNum + 1,
-        originalIndex: idx
-      }));
-
       return {
         sequence: parsed.sequence,
-        deliveries: optimizedDeliveries,
         reasoning: parsed.reasoning || 'AI-optimized route',
-        estimatedMetrics: parsed.estimatedMetrics || {},
-        warnings: parsed.warnings || [],
-        alternativeSequences: parsed.alternativeSequences || []
+        warnings: Array.isArray(parsed.warnings) ? parsed.warnings.filter(warning => typeof warning === 'string') : [],
+        alternativeSequences: (Array.isArray(parsed.alternativeSequences) ? parsed.alternativeSequences : [])
+          .map(alternative => (Array.isArray(alternative) ? alternative : alternative?.sequence))
+          .filter(Array.isArray)
       };
     } catch (error) {
       logger.error(`Failed to parse AI response: ${error.message}`);
@@ -155,89 +752,6 @@ Return optimal delivery sequence as JSON.`;
     }
   }
 
-  calculateConfidence(optimizedRoute, originalDeliveries) {
-    let confidence = 0.7;
-    if (optimizedRoute.deliveries.every(d => d.timeWindow?.earliest && d.timeWindow?.latest)) confidence += 0.1;
-    if (optimizedRoute.reasoning?.length > 20) confidence += 0.1;
-    if (optimizedRoute.estimatedMetrics?.totalDistance) confidence += 0.1;
-    return Math.min(confidence, 1);
-  }
-
-  fallbackOptimization(deliveries, startLocation, endLocation, priority) {
-    logger.info('Using fallback nearest-neighbor optimization');
-
-    const sortedDeliveries = [...deliveries].map((d, idx) => ({ ...d, originalIndex: idx }));
-    const priorityGroups = {
-      urgent: sortedDeliveries.filter(d => d.priority === 'urgent'),
-      high: sortedDeliveries.filter(d => d.priority === 'high'),
-      normal: sortedDeliveries.filter(d => d.priority === 'normal'),
-      low: sortedDeliveries.filter(d => d.priority === 'low')
-    };
-
-    const optimizedSequence = [];
-    let currentLocation = startLocation?.coordinates || [0, 0];
-
-    for (const priorityLevel of ['urgent', 'high', 'normal', 'low']) {
-      const remaining = [...priorityGroups[priorityLevel]];
-      while (remaining.length > 0) {
-        let nearestIdx = 0;
-        let nearestDist = Infinity;
-        for (let i = 0; i < remaining.length; i++) {
-          const dist = this.calculateDistance(currentLocation, remaining[i].location?.coordinates || [0, 0]);
-          if (dist < nearestDist) { nearestDist = dist; nearestIdx = i; }
-        }
-        const nearest = remaining.splice(nearestIdx, 1)[0];
-        optimizedSequence.push(nearest.originalIndex);
-        currentLocation = nearest.location?.coordinates || currentLocation;
-      }
-    }
-
-    let totalDistance = 0;
-    let prevCoords = startLocation?.coordinates || [0, 0];
-    for (const idx of optimizedSequence) {
-      const coords = deliveries[idx].location?.coordinates || prevCoords;
-      totalDistance += this.calculateDistance(prevCoords, coords);
-      prevCoords = coords;
-    }
-    if (endLocation?.coordinates) totalDistance += this.calculateDistance(prevCoords, endLocation.coordinates);
-
-    const optimizedDeliveries = optimizedSequence.map((idx, seqNum) => ({
-      ...(deliveries[idx].toObject ? deliveries[idx].toObject() : deliveries[idx]),
-      sequenceInRoute: seqNum + 1,
-      originalIndex: idx
-    }));
-
-    return {
-      success: true,
-      optimizedRoute: {
-        sequence: optimizedSequence,
-        deliveries: optimizedDeliveries,
-        reasoning: 'Fallback optimization using nearest-neighbor with priority grouping',
-        estimatedMetrics: {
-          totalDistance: Math.round(totalDistance * 10) / 10,
-          totalDuration: Math.round((totalDistance / 40) * 60),
-          fuelEstimate: Math.round(totalDistance * 0.1 * 10) / 10
-        },
-        warnings: ['Using fallback optimization - AI service unavailable']
-      },
-      aiModel: 'fallback-nearest-neighbor',
-      confidence: 0.6
-    };
-  }
-
-  calculateDistance(coords1, coords2) {
-    if (!coords1 || !coords2) return 0;
-    const [lon1, lat1] = coords1;
-    const [lon2, lat2] = coords2;
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  }
-
   async analyzeRoute(route, trafficData, weatherData) {
     const issues = [];
     const suggestions = [];
@@ -268,7 +782,7 @@ Return optimal delivery sequence as JSON.`;
   }
 
   async reoptimizeRoute(currentRoute, newConditions) {
-    const { trafficUpdate, weatherUpdate, completedDeliveries } = newConditions;
+    const { trafficUpdate, weatherUpdate, completedDeliveries, hoursOfService, costProfile, emissionFactors, llm, routing } = newConditions;
 
     const remainingDeliveries = currentRoute.deliveries.filter(
       d => !completedDeliveries?.includes(d._id?.toString())
@@ -288,26 +802,65 @@ Return optimal delivery sequence as JSON.`;
     }
 
     const currentPosition = currentRoute.route?.[0]?.location?.coordinates || currentRoute.startLocation?.coordinates;
+    // Open routes end at their last stop, the others at their stored end or back at the start
+    const endLocation = currentRoute.endType === 'open'
+      ? null
+      : [currentRoute.endLocation, currentRoute.startLocation].find(point => point?.coordinates?.length) || null;
 
-    const result = await this.optimizeRoute({
+    const params = {
       deliveries: remainingDeliveries,
       startLocation: { coordinates: currentPosition },
-      endLocation: currentRoute.endLocation,
+      endLocation,
+      departureTime: new Date(),
       vehicleType: currentRoute.vehicle?.type,
+      vehicle: currentRoute.vehicle,
       trafficData: trafficUpdate,
       weatherData: weatherUpdate,
-      optimizationPriority: currentRoute.optimizationSettings?.priority || 'balanced'
-    });
+      optimizationPriority: currentRoute.optimizationSettings?.priority || 'balanced',
+      hoursOfService,
+      costProfile,
+      emissionFactors,
+      sequenceConstraints: this.remainingConstraints(
+        currentRoute.sequenceConstraints,
+        currentRoute.deliveries.length - remainingDeliveries.length
+      ),
+      llm,
+      routing
+    };
+    const result = await this.optimizeRoute(params);
+
+    // The remaining stops in their current order, over the same travel times
+    const problem = await this.buildRouteProblem(params);
+    const current = RouteSolverService.simulate(problem, remainingDeliveries.map((d, index) => index));
+    const metrics = result.optimizedRoute.estimatedMetrics;
 
     return {
       reoptimizationNeeded: true,
       reason: 'Conditions changed significantly',
       newRoute: result.optimizedRoute,
+      // Change to the whole route's distance and duration once the new plan is applied
+      distanceChange: Math.round((metrics.totalDistance - current.totalDistance) * 10) / 10,
+      durationChange: Math.round(metrics.totalDuration - current.totalDuration),
       timeSaved: result.optimizedRoute?.estimatedMetrics?.totalDuration 
         ? (currentRoute.metrics?.totalDuration || 0) - result.optimizedRoute.estimatedMetrics.totalDuration
+        : null,
+      costSaved: currentRoute.cost?.total
+        ? Math.round((currentRoute.cost.total - result.optimizedRoute.cost.total) * 100) / 100
         : null
     };
   }
+
+  /**
+   * Sequence constraints of a route over its remaining stops; pinned positions
+   * count from the first stop still to be served, constraints on completed stops drop out
+   */
+  remainingConstraints(sequenceConstraints, completedCount) {
+    return (sequenceConstraints || [])
+      .map(constraint => (constraint.toObject ? constraint.toObject() : constraint))
+      .map(constraint => (constraint.type === 'pin'
+        ? { ...constraint, position: Math.max(1, constraint.position - completedCount) }
+        : constraint));
+  }
 }
 
 module.exports = new AIRouteService();
@@ -0,0 +1,111 @@
+/**
+ * Capacity Service
+ * Checks delivery loads against vehicle weight and volume capacity
+ */
+
+const DIMENSIONS = [
+  { key: 'weight', field: 'capacity', unit: 'kg' },
+  { key: 'volume', field: 'volumeCapacity', unit: 'm³' }
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+class CapacityService {
+  /**
+   * Load of a delivery; packageDetails weight and volume are per package
+   */
+  deliveryLoad(delivery) {
+    const quantity = delivery.packageDetails?.quantity || 1;
+    return {
+      weight: (delivery.packageDetails?.weight || 0) * quantity,
+      volume: (delivery.packageDetails?.volume || 0) * quantity
+    };
+  }
+
+  /**
+   * Vehicle limits, null where the vehicle has none configured
+   */
+  vehicleCapacity(vehicle) {
+    return DIMENSIONS.reduce((capacity, { key, field }) => ({
+      ...capacity,
+      [key]: Number.isFinite(vehicle?.[field]) ? vehicle[field] : null
+    }), {});
+  }
+
+  /**
+   * Highest on-board load when the deliveries are visited in the given order.
+   * Drop-offs are loaded at the depot unless their pickup comes earlier on the
+   * route, in which case they unload what the pickup loaded
+   */
+  peakLoad(deliveries) {
+    const ids = deliveries.map(delivery => delivery._id?.toString());
+    let start = { weight: 0, volume: 0 };
+
+    const changes = deliveries.map((delivery, index) => {
+      const load = this.deliveryLoad(delivery);
+      if (delivery.stopType === 'pickup') return load;
+
+      const pickupIndex = delivery.pairedDeliveryId ? ids.indexOf(delivery.pairedDeliveryId.toString()) : -1;
+      if (pickupIndex !== -1 && pickupIndex < index) {
+        return this.scale(this.deliveryLoad(deliveries[pickupIndex]), -1);
+      }
+
+      start = this.add(start, load);
+      return this.scale(load, -1);
+    });
+
+    let load = start;
+    let peak = start;
+    changes.forEach(change => {
+      load = this.add(load, change);
+      peak = { weight: Math.max(peak.weight, load.weight), volume: Math.max(peak.volume, load.volume) };
+    });
+
+    return peak;
+  }
+
+  add(a, b) {
+    return { weight: a.weight + b.weight, volume: a.volume + b.volume };
+  }
+
+  scale(load, factor) {
+    return { weight: load.weight * factor, volume: load.volume * factor };
+  }
+
+  /**
+   * Compare a load with vehicle capacity and describe each exceeded dimension
+   */
+  checkLoad(vehicle, load) {
+    const capacity = this.vehicleCapacity(vehicle);
+
+    const violations = DIMENSIONS
+      .filter(({ key }) => capacity[key] !== null && load[key] > capacity[key])
+      .map(({ key, field, unit }) => ({
+        dimension: key,
+        field: `vehicle.${field}`,
+        load: round(load[key]),
+        capacity: capacity[key],
+        excess: round(load[key] - capacity[key]),
+        message: `Load of ${round(load[key])} ${unit} exceeds vehicle ${key} capacity of ${capacity[key]} ${unit}`
+      }));
+
+    return {
+      weight: round(load.weight),
+      volume: round(load.volume),
+      weightCapacity: capacity.weight,
+      volumeCapacity: capacity.volume,
+      withinCapacity: violations.length === 0,
+      violations,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Check the deliveries of a route, in stop order, against its vehicle
+   */
+  checkRoute(vehicle, deliveries) {
+    return this.checkLoad(vehicle, this.peakLoad(deliveries));
+  }
+}
+
+module.exports = new CapacityService();
@@ -0,0 +1,97 @@
+/**
+ * Cost Service
+ * Prices routes from the company cost profile: fuel or electricity, driver wages
+ * with overtime, and per-km maintenance
+ */
+
+// Rates used where neither the company profile nor a vehicle override sets one;
+// the same as the CompanySettings defaults
+const DEFAULT_RATES = {
+  currency: 'USD',
+  fuelPricePerLitre: 1.5,
+  fuelLitresPerKm: 0.1,
+  electricityPricePerKwh: 0.2,
+  driverHourlyWage: 25,
+  overtimeAfterMinutes: 480,
+  overtimeMultiplier: 1.5,
+  maintenancePerKm: 0.05
+};
+
+// Rates a vehicle override may change
+const VEHICLE_RATES = ['fuelPricePerLitre', 'fuelLitresPerKm', 'electricityPricePerKwh', 'driverHourlyWage', 'maintenancePerKm'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class CostService {
+  /**
+   * Rates for a vehicle: the defaults, then the company profile, then overrides for
+   * the vehicle's type and finally for its license plate
+   * @param {Object} costProfile - CompanySettings.costProfile (plain object), optional
+   * @param {Object} vehicle - Vehicle profile (type, licensePlate), optional
+   */
+  ratesFor(costProfile, vehicle) {
+    const rates = { ...DEFAULT_RATES };
+    Object.keys(DEFAULT_RATES).forEach(key => {
+      if (costProfile?.[key] !== undefined && costProfile[key] !== null) rates[key] = costProfile[key];
+    });
+
+    const overrides = costProfile?.vehicleOverrides || [];
+    const matching = [
+      overrides.find(override => override.vehicleType && !override.licensePlate && override.vehicleType === vehicle?.type),
+      overrides.find(override => override.licensePlate && override.licensePlate === vehicle?.licensePlate)
+    ].filter(Boolean);
+
+    matching.forEach(override => VEHICLE_RATES.forEach(key => {
+      if (override[key] !== undefined && override[key] !== null) rates[key] = override[key];
+    }));
+
+    return rates;
+  }
+
+  /**
+   * Cost of driving a distance over a shift; energy (kWh) is given for electric vehicles,
+   * and fuel (litres) where it is known more precisely than from the rate per km
+   * @returns {Object} { total, currency, breakdown } in the shape of RoutePlan.cost
+   */
+  estimate(rates, { distance = 0, duration = 0, energy = null, fuel = null }) {
+    const regularMinutes = Math.min(duration, rates.overtimeAfterMinutes);
+    const overtimeMinutes = Math.max(0, duration - rates.overtimeAfterMinutes);
+    const wagePerMinute = rates.driverHourlyWage / 60;
+
+    const breakdown = {
+      fuel: energy !== null
+        ? energy * rates.electricityPricePerKwh
+        : (fuel ?? distance * rates.fuelLitresPerKm) * rates.fuelPricePerLitre,
+      tolls: 0,
+      labor: regularMinutes * wagePerMinute + overtimeMinutes * wagePerMinute * rates.overtimeMultiplier,
+      maintenance: distance * rates.maintenancePerKm,
+      other: 0
+    };
+    Object.keys(breakdown).forEach(key => { breakdown[key] = roundMoney(breakdown[key]); });
+
+    return {
+      total: roundMoney(Object.values(breakdown).reduce((sum, value) => sum + value, 0)),
+      currency: rates.currency,
+      breakdown
+    };
+  }
+
+  /**
+   * Cost of a stored route from its metrics. Completed routes are paid for the
+   * time they actually took
+   */
+  routeCost(route, costProfile) {
+    const metrics = route.metrics || {};
+    const actualMinutes = route.actualStartTime && route.actualEndTime
+      ? (new Date(route.actualEndTime) - new Date(route.actualStartTime)) / 60000
+      : null;
+
+    return this.estimate(this.ratesFor(costProfile, route.vehicle), {
+      distance: metrics.totalDistance || 0,
+      duration: actualMinutes ?? (metrics.totalDuration || 0),
+      energy: route.vehicle?.fuelType === 'electric' ? metrics.estimatedEnergyConsumption || 0 : null
+    });
+  }
+}
+
+module.exports = new CostService();
@@ -0,0 +1,91 @@
+/**
+ * Emissions Service
+ * CO2 of a route from the fuel or electricity it uses, with consumption rising
+ * with the payload on board
+ */
+
+const CostService = require('./cost.service');
+
+// Factors used where the company sets none; the same as the CompanySettings defaults
+const DEFAULT_FACTORS = {
+  petrolKgCo2PerLitre: 2.31,
+  dieselKgCo2PerLitre: 2.68,
+  hybridKgCo2PerLitre: 2.31,
+  gridKgCo2PerKwh: 0.4,
+  // Extra consumption with a full payload over running empty
+  fullLoadUplift: { car: 0.1, van: 0.15, truck: 0.3, motorcycle: 0.05 }
+};
+
+// Matches RoutePlan.vehicle defaults
+const DEFAULT_FUEL_TYPE = 'diesel';
+const DEFAULT_VEHICLE_TYPE = 'van';
+const DEFAULT_KWH_PER_KM = 0.2;
+
+class EmissionsService {
+  /**
+   * Emission profile of a vehicle: CO2 per litre or kWh it burns, and how much
+   * more it uses fully loaded
+   * @param {Object} emissionFactors - CompanySettings.emissionFactors (plain object), optional
+   * @param {Object} vehicle - Vehicle profile (type, fuelType), optional
+   */
+  profileFor(emissionFactors, vehicle) {
+    const factors = { ...DEFAULT_FACTORS };
+    Object.keys(DEFAULT_FACTORS).forEach(key => {
+      if (emissionFactors?.[key] !== undefined && emissionFactors[key] !== null) factors[key] = emissionFactors[key];
+    });
+
+    const fuelType = vehicle?.fuelType || DEFAULT_FUEL_TYPE;
+    const uplift = { ...DEFAULT_FACTORS.fullLoadUplift, ...factors.fullLoadUplift };
+
+    return {
+      fuelType,
+      kgCo2PerUnit: fuelType === 'electric' ? factors.gridKgCo2PerKwh : factors[`${fuelType}KgCo2PerLitre`],
+      fullLoadUplift: uplift[vehicle?.type || DEFAULT_VEHICLE_TYPE] ?? 0
+    };
+  }
+
+  /**
+   * Consumption per km relative to running empty, for the share of the weight
+   * capacity on board
+   */
+  loadMultiplier(profile, loadRatio) {
+    return 1 + profile.fullLoadUplift * Math.min(1, Math.max(0, loadRatio || 0));
+  }
+
+  /**
+   * CO2 in kg of the litres of fuel or, for electric vehicles, kWh used
+   */
+  co2(profile, { fuel = 0, energy = 0 }) {
+    const used = profile.fuelType === 'electric' ? energy : fuel;
+    return Math.round((used || 0) * profile.kgCo2PerUnit * 10) / 10;
+  }
+
+  /**
+   * Litres of fuel or, for electric vehicles, kWh a stored route uses. The optimizer's
+   * estimates already follow the load stop by stop; without them, consumption comes
+   * from the cost profile with the vehicle carrying half its peak load on average
+   * @returns {Object} { fuel } or { energy }
+   */
+  routeConsumption(route, emissionFactors, costProfile) {
+    const metrics = route.metrics || {};
+    const vehicle = route.vehicle || {};
+    const profile = this.profileFor(emissionFactors, vehicle);
+    const capacityCheck = route.capacityCheck || {};
+    const averageLoad = capacityCheck.weightCapacity ? capacityCheck.weight / capacityCheck.weightCapacity / 2 : 0;
+    const distance = (metrics.totalDistance || 0) * this.loadMultiplier(profile, averageLoad);
+
+    if (profile.fuelType === 'electric') {
+      return { energy: metrics.estimatedEnergyConsumption || distance * (vehicle.consumptionPerKm || DEFAULT_KWH_PER_KM) };
+    }
+    return { fuel: metrics.estimatedFuelConsumption || distance * CostService.ratesFor(costProfile, vehicle).fuelLitresPerKm };
+  }
+
+  /**
+   * CO2 in kg of a stored route
+   */
+  routeEmissions(route, emissionFactors, costProfile) {
+    return this.co2(this.profileFor(emissionFactors, route.vehicle), this.routeConsumption(route, emissionFactors, costProfile));
+  }
+}
+
+module.exports = new EmissionsService();
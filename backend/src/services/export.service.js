@@ -61,7 +61,27 @@ class ExportService {
         doc.text(`Total Distance: ${metrics.totalDistance || 0} km`);
         doc.text(`Estimated Duration: ${this.formatDuration(metrics.totalDuration || 0)}`);
         doc.text(`Total Stops: ${metrics.totalStops || 0}`);
-        doc.text(`Estimated Fuel: ${metrics.estimatedFuelConsumption || 0} liters`);
+        if (routePlan.vehicle?.fuelType === 'electric') {
+          doc.text(`Estimated Energy: ${metrics.estimatedEnergyConsumption || 0} kWh`);
+          doc.text(`Charging: ${metrics.chargingStops || 0} stop(s), ${this.formatDuration(metrics.chargingTime || 0)}`);
+        } else {
+          doc.text(`Estimated Fuel: ${metrics.estimatedFuelConsumption || 0} liters`);
+        }
+
+        doc.moveDown(2);
+
+        // Emissions, as reported to customers
+        const co2 = metrics.co2Emissions || 0;
+        doc.fontSize(16).font('Helvetica-Bold').text('CO2 Emissions', { underline: true });
+        doc.moveDown();
+        doc.fontSize(11).font('Helvetica');
+        doc.text(`Total: ${co2} kg CO2 (${routePlan.vehicle?.fuelType || 'diesel'})`);
+        if (metrics.totalDistance) {
+          doc.text(`Per km: ${(co2 / metrics.totalDistance).toFixed(3)} kg CO2`);
+        }
+        if (metrics.totalStops) {
+          doc.text(`Per stop: ${(co2 / metrics.totalStops).toFixed(2)} kg CO2`);
+        }
 
         doc.moveDown(2);
 
@@ -95,7 +115,7 @@ class ExportService {
               doc.addPage();
             }
 
-            doc.fontSize(12).font('Helvetica-Bold').text(`Stop ${index + 1}`, { continued: true });
+            doc.fontSize(12).font('Helvetica-Bold').text(`Stop ${index + 1} - ${this.stopTypeLabel(delivery)}`, { continued: true });
             if (delivery.priority && delivery.priority !== 'normal') {
               doc.fontSize(10).font('Helvetica').text(` [${delivery.priority.toUpperCase()}]`);
             } else {
@@ -110,6 +130,11 @@ class ExportService {
             if (delivery.customer?.name) {
               doc.text(`Customer: ${delivery.customer.name}`);
             }
+
+            const linkedStop = this.linkedStopNumber(deliveries, delivery);
+            if (linkedStop) {
+              doc.text(delivery.stopType === 'pickup' ? `Deliver at: Stop ${linkedStop}` : `Picked up at: Stop ${linkedStop}`);
+            }
             
             if (delivery.timeWindow) {
               const earliest = new Date(delivery.timeWindow.earliest).toLocaleTimeString();
@@ -154,6 +179,8 @@ class ExportService {
 
       const data = deliveries.map((delivery, index) => ({
         'Stop #': index + 1,
+        'Stop Type': this.stopTypeLabel(delivery),
+        'Linked Stop #': this.linkedStopNumber(deliveries, delivery) || '',
         'Tracking Number': delivery.trackingNumber || '',
         'Customer Name': delivery.customer?.name || '',
         'Address': delivery.address?.fullAddress || delivery.address?.street || '',
@@ -175,6 +202,8 @@ class ExportService {
       // Add summary row
       data.push({
         'Stop #': 'SUMMARY',
+        'Stop Type': '',
+        'Linked Stop #': '',
         'Tracking Number': '',
         'Customer Name': `Total Stops: ${deliveries.length}`,
         'Address': `Total Distance: ${routePlan.metrics?.totalDistance || 0} km`,
@@ -247,6 +276,7 @@ class ExportService {
           summary: `📦 Stop ${index + 1}: ${delivery.customer?.name || 'Delivery'}`,
           description: [
             `Tracking: ${delivery.trackingNumber || 'N/A'}`,
+            `Type: ${this.stopTypeLabel(delivery)}`,
             `Priority: ${delivery.priority || 'normal'}`,
             `Package: ${delivery.packageDetails?.type || 'standard'}`,
             delivery.packageDetails?.specialInstructions ? `Instructions: ${delivery.packageDetails.specialInstructions}` : '',
@@ -277,7 +307,9 @@ class ExportService {
     try {
       const data = deliveries.map((delivery, index) => ({
         '#': index + 1,
+        'Stop Type': this.stopTypeLabel(delivery),
         'Tracking Number': delivery.trackingNumber || '',
+        'Paired Tracking Number': deliveries.find(d => delivery.pairedDeliveryId && d._id?.toString() === delivery.pairedDeliveryId.toString())?.trackingNumber || '',
         'Customer': delivery.customer?.name || '',
         'Phone': delivery.customer?.phone || '',
         'Email': delivery.customer?.email || '',
@@ -312,6 +344,23 @@ class ExportService {
     }
   }
 
+  /**
+   * Human readable stop type
+   */
+  stopTypeLabel(delivery) {
+    return delivery.stopType === 'pickup' ? 'Pickup' : 'Drop-off';
+  }
+
+  /**
+   * 1-based stop number of the other half of a pickup/drop-off pair on the same route
+   */
+  linkedStopNumber(deliveries, delivery) {
+    if (!delivery.pairedDeliveryId) return null;
+    const pairedId = delivery.pairedDeliveryId.toString();
+    const index = deliveries.findIndex(d => d._id?.toString() === pairedId);
+    return index === -1 ? null : index + 1;
+  }
+
   /**
    * Format duration in minutes to human readable
    */
@@ -0,0 +1,194 @@
+/**
+ * Geocoding Service
+ * Fills in delivery coordinates or addresses and checks that the two agree
+ */
+
+const TomTomGeocoder = require('./geocoding/tomtom.provider');
+const NominatimGeocoder = require('./geocoding/nominatim.provider');
+const GazetteerGeocoder = require('./geocoding/gazetteer.provider');
+const { ApiError } = require('../middleware/errorHandler');
+const { haversineDistance } = require('../utils/geo');
+const { logger } = require('../utils/logger');
+
+const int = value => (value === undefined || value === '' ? undefined : parseInt(value, 10));
+
+// Adapter configuration, read from the environment when the geocoder is first used
+const PROVIDERS = {
+  tomtom: () => new TomTomGeocoder(),
+  nominatim: () => new NominatimGeocoder({
+    baseUrl: process.env.NOMINATIM_URL,
+    userAgent: process.env.NOMINATIM_USER_AGENT,
+    timeout: int(process.env.NOMINATIM_TIMEOUT_MS) || 10000
+  }),
+  gazetteer: () => new GazetteerGeocoder({ path: process.env.GAZETTEER_PATH })
+};
+
+// Offline, so a lookup is always possible
+const LAST_RESORT = 'gazetteer';
+
+const DEFAULT_MISMATCH_KM = 1;
+
+// A coarse match only places an address somewhere in its street, postal code or city
+const PRECISION_RADIUS_KM = {
+  address: 0,
+  street: 0.5,
+  postalCode: 3,
+  city: 15
+};
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country', 'fullAddress'];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+class GeocodingService {
+  constructor() {
+    this.providers = {};
+  }
+
+  get providerNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Geocoder used when a company has not chosen one
+   */
+  get defaultProvider() {
+    return process.env.GEOCODER || LAST_RESORT;
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      if (!PROVIDERS[name]) throw new Error(`Unknown geocoder: ${name}`);
+      this.providers[name] = PROVIDERS[name]();
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Replace a geocoder instance, e.g. with a stub in tests
+   */
+  setProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  reset() {
+    this.providers = {};
+  }
+
+  /**
+   * Configured geocoders to try, in order, for a company's geocoding settings
+   * @param {Object} settings - CompanySettings.geocoding: provider, mismatchThresholdKm
+   */
+  chain(settings = {}) {
+    return [...new Set([settings?.provider || this.defaultProvider, LAST_RESORT])]
+      .map(name => this.getProvider(name))
+      .filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * First match from the chain; geocoders that fail or find nothing are skipped
+   * @returns {Promise<Object|null>} result with the name of the geocoder as provider
+   */
+  async lookup(operation, input, settings) {
+    for (const provider of this.chain(settings)) {
+      try {
+        const result = await provider[operation](input);
+        if (result) return { ...result, provider: provider.name };
+      } catch (error) {
+        logger.warn(`Geocoder ${provider.name} failed ${operation} (${error.message}), trying the next one`);
+      }
+    }
+    return null;
+  }
+
+  forward(address, settings) {
+    return this.lookup('forward', address, settings);
+  }
+
+  reverse(coordinates, settings) {
+    return this.lookup('reverse', coordinates, settings);
+  }
+
+  /**
+   * Complete a delivery's address and location from whichever the client sent
+   * - address only: the location is geocoded from it
+   * - coordinates only, or an incomplete address: missing address fields come from reverse geocoding
+   * - both: the address is geocoded and the delivery flagged when its coordinates are too far away
+   * @param {Object} input - address, location
+   * @param {Object} settings - CompanySettings.geocoding
+   * @returns {Promise<Object>} { address, location, geocoding }
+   */
+  async locate({ address = {}, location } = {}, settings = {}) {
+    const coordinates = location?.coordinates?.length === 2 ? location.coordinates.map(Number) : null;
+    const complete = Boolean(address.street && address.city);
+
+    if (!coordinates) {
+      const match = complete ? await this.forward(address, settings) : null;
+      if (!match) {
+        throw new ApiError('Address could not be geocoded; send location.coordinates', 400);
+      }
+
+      return {
+        address: this.merge(address, match.address),
+        location: { type: 'Point', coordinates: match.coordinates },
+        geocoding: this.record('geocoded', match)
+      };
+    }
+
+    if (!complete) {
+      const match = await this.reverse(coordinates, settings);
+      const merged = this.merge(address, match?.address);
+      if (!merged.street || !merged.city) {
+        throw new ApiError('No street address found at the coordinates; send address.street and address.city', 400);
+      }
+
+      return {
+        address: merged,
+        location: { type: 'Point', coordinates },
+        geocoding: this.record('reverse_geocoded', match, haversineDistance(coordinates, match.coordinates))
+      };
+    }
+
+    // A failed check never blocks the delivery
+    const match = await this.forward(address, settings);
+    if (!match) {
+      return {
+        address,
+        location: { type: 'Point', coordinates },
+        geocoding: { status: 'unverified', checkedAt: new Date() }
+      };
+    }
+
+    const distanceKm = haversineDistance(coordinates, match.coordinates);
+    const allowedKm = (settings?.mismatchThresholdKm ?? DEFAULT_MISMATCH_KM) + (PRECISION_RADIUS_KM[match.precision] ?? 0);
+    return {
+      address: this.merge(address, { fullAddress: match.address?.fullAddress }),
+      location: { type: 'Point', coordinates },
+      geocoding: this.record(distanceKm > allowedKm ? 'mismatch' : 'verified', match, distanceKm)
+    };
+  }
+
+  /**
+   * Fields the client sent win over geocoded ones
+   */
+  merge(address = {}, found = {}) {
+    const merged = { ...address };
+    ADDRESS_FIELDS.forEach(field => {
+      if (!merged[field] && found?.[field]) merged[field] = found[field];
+    });
+    return merged;
+  }
+
+  record(status, match, distanceKm) {
+    return {
+      status,
+      confidence: match.confidence ?? null,
+      precision: match.precision,
+      provider: match.provider,
+      distanceKm: distanceKm === undefined ? undefined : round(distanceKm),
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = new GeocodingService();
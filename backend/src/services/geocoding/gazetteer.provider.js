@@ -0,0 +1,142 @@
+/**
+ * Gazetteer Geocoding Provider
+ * Offline lookups in a list of known places: the bundled city list, or a JSON file
+ * of entries { street?, city, state?, postalCode?, country?, coordinates: [lng, lat] }
+ */
+
+const fs = require('fs');
+const GeocodingProvider = require('./geocodingProvider');
+const { haversineDistance } = require('../../utils/geo');
+
+// Street-name abbreviations spelled out before comparing
+const ABBREVIATIONS = {
+  st: 'street',
+  ave: 'avenue',
+  av: 'avenue',
+  blvd: 'boulevard',
+  rd: 'road',
+  dr: 'drive',
+  ln: 'lane',
+  ct: 'court',
+  pl: 'place',
+  hwy: 'highway',
+  pkwy: 'parkway',
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west'
+};
+
+const COUNTRIES = { us: 'usa', 'united states': 'usa', 'united states of america': 'usa' };
+
+const normalize = value => String(value || '')
+  .toLowerCase()
+  .replace(/[.,#]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => ABBREVIATIONS[word] || word)
+  .join(' ');
+
+const normalizeCountry = value => {
+  const country = normalize(value);
+  return COUNTRIES[country] || country;
+};
+
+class GazetteerGeocoder extends GeocodingProvider {
+  /**
+   * @param {Object} config - path (JSON file replacing the bundled list), entries, maxReverseKm
+   */
+  constructor(config = {}) {
+    super({ name: 'gazetteer', ...config });
+    this.path = config.path;
+    this.entries = config.entries || null;
+    this.maxReverseKm = config.maxReverseKm || 25;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Entries are read on first use
+   */
+  places() {
+    if (!this.entries) {
+      this.entries = this.path
+        ? JSON.parse(fs.readFileSync(this.path, 'utf8'))
+        : require('./gazetteer.json');
+    }
+    return this.entries;
+  }
+
+  async forward(address) {
+    let best = null;
+
+    this.places().forEach(entry => {
+      const match = this.match(entry, address);
+      if (match && (!best || match.confidence > best.confidence)) best = { entry, ...match };
+    });
+
+    return best ? this.toResult(best.entry, best.confidence, best.precision) : null;
+  }
+
+  async reverse(coordinates) {
+    let nearest = null;
+
+    this.places().forEach(entry => {
+      const distanceKm = haversineDistance(coordinates, entry.coordinates);
+      if (distanceKm <= this.maxReverseKm && (!nearest || distanceKm < nearest.distanceKm)) {
+        nearest = { entry, distanceKm };
+      }
+    });
+    if (!nearest) return null;
+
+    // Less sure the further the nearest known place is
+    const precision = nearest.entry.street ? 'address' : 'city';
+    const base = precision === 'address' ? 0.9 : 0.5;
+    const confidence = base * Math.max(0.2, 1 - nearest.distanceKm / this.maxReverseKm);
+    return this.toResult(nearest.entry, Math.round(confidence * 100) / 100, precision);
+  }
+
+  /**
+   * How well an entry matches an address, or null when it does not
+   */
+  match(entry, address) {
+    const sameCity = normalize(entry.city) === normalize(address.city);
+    const sameState = !address.state || !entry.state || normalize(entry.state) === normalize(address.state);
+    const sameCountry = !address.country || !entry.country || normalizeCountry(entry.country) === normalizeCountry(address.country);
+    if (!sameState || !sameCountry) return null;
+
+    if (entry.street) {
+      return sameCity && normalize(entry.street) === normalize(address.street)
+        ? { confidence: 0.95, precision: 'address' }
+        : null;
+    }
+    if (entry.postalCode && address.postalCode && entry.postalCode === String(address.postalCode).trim()) {
+      return { confidence: 0.7, precision: 'postalCode' };
+    }
+    if (sameCity) {
+      return { confidence: address.state && entry.state ? 0.5 : 0.4, precision: 'city' };
+    }
+    return null;
+  }
+
+  toResult(entry, confidence, precision) {
+    const region = [entry.state, entry.postalCode].filter(Boolean).join(' ');
+    return {
+      coordinates: entry.coordinates,
+      address: {
+        street: entry.street,
+        city: entry.city,
+        state: entry.state,
+        postalCode: entry.postalCode,
+        country: entry.country,
+        fullAddress: [entry.street, entry.city, region, entry.country].filter(Boolean).join(', ')
+      },
+      confidence,
+      precision
+    };
+  }
+}
+
+module.exports = GazetteerGeocoder;
@@ -0,0 +1,51 @@
+/**
+ * Geocoding Provider
+ * Base adapter for forward (address → coordinates) and reverse geocoding
+ */
+
+class GeocodingProvider {
+  /**
+   * @param {Object} config - name, baseUrl, timeout (ms)
+   */
+  constructor(config = {}) {
+    this.name = config.name;
+    this.baseUrl = config.baseUrl;
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Whether the adapter has what it needs to make requests
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Best match for an address
+   * @param {Object} address - street, city, state, postalCode, country
+   * @returns {Promise<Object|null>} { coordinates: [lng, lat], address, confidence (0-1),
+   * precision: 'address' | 'street' | 'postalCode' | 'city' }
+   */
+  async forward() {
+    throw new Error(`${this.name} geocoder does not implement forward()`);
+  }
+
+  /**
+   * Address at a location
+   * @param {Array} coordinates - [lng, lat]
+   * @returns {Promise<Object|null>} { coordinates: [lng, lat], address, confidence (0-1), precision }
+   */
+  async reverse() {
+    throw new Error(`${this.name} geocoder does not implement reverse()`);
+  }
+
+  /**
+   * Single-line form of an address, e.g. "1 Main St, Springfield, IL 62701, USA"
+   */
+  formatQuery(address = {}) {
+    const region = [address.state, address.postalCode].filter(Boolean).join(' ');
+    return [address.street, address.city, region, address.country].filter(Boolean).join(', ');
+  }
+}
+
+module.exports = GeocodingProvider;
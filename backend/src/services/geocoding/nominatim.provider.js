@@ -0,0 +1,73 @@
+/**
+ * Nominatim Geocoding Provider
+ * OpenStreetMap search, self-hosted or public (which asks for at most one request a second)
+ */
+
+const axios = require('axios');
+const GeocodingProvider = require('./geocodingProvider');
+
+const CONFIDENCE = { address: 0.9, street: 0.7, postalCode: 0.5, city: 0.4 };
+
+class NominatimGeocoder extends GeocodingProvider {
+  constructor(config = {}) {
+    super({ name: 'nominatim', ...config });
+    this.userAgent = config.userAgent || 'FleetFlow';
+  }
+
+  async forward(address) {
+    const results = await this.get('/search', {
+      street: address.street,
+      city: address.city,
+      state: address.state,
+      postalcode: address.postalCode,
+      country: address.country,
+      limit: 1
+    });
+    return results[0] ? this.toResult(results[0]) : null;
+  }
+
+  async reverse([lng, lat]) {
+    const result = await this.get('/reverse', { lat, lon: lng });
+    // Places in the sea and other empty spots come back as { error }
+    return result && !result.error ? this.toResult(result) : null;
+  }
+
+  async get(path, params) {
+    const response = await axios.get(`${this.baseUrl.replace(/\/$/, '')}${path}`, {
+      params: { ...params, format: 'jsonv2', addressdetails: 1 },
+      headers: { 'User-Agent': this.userAgent },
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  toResult(place) {
+    const address = place.address || {};
+    const precision = this.precisionOf(place.place_rank);
+    return {
+      coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
+      address: {
+        street: [address.house_number, address.road].filter(Boolean).join(' ') || undefined,
+        city: address.city || address.town || address.village || address.hamlet,
+        state: address.state,
+        postalCode: address.postcode,
+        country: address.country_code?.toUpperCase(),
+        fullAddress: place.display_name
+      },
+      confidence: CONFIDENCE[precision],
+      precision
+    };
+  }
+
+  /**
+   * Nominatim ranks places from countries (4) down to houses (30)
+   */
+  precisionOf(placeRank = 0) {
+    if (placeRank >= 30) return 'address';
+    if (placeRank >= 26) return 'street';
+    if (placeRank >= 21) return 'postalCode';
+    return 'city';
+  }
+}
+
+module.exports = NominatimGeocoder;
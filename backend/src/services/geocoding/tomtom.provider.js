@@ -0,0 +1,27 @@
+/**
+ * TomTom Geocoding Provider
+ * Search API geocoding through the TomTom client
+ */
+
+const GeocodingProvider = require('./geocodingProvider');
+const TomTomService = require('../tomtom.service');
+
+class TomTomGeocoder extends GeocodingProvider {
+  constructor(config = {}) {
+    super({ name: 'tomtom', ...config });
+  }
+
+  isConfigured() {
+    return TomTomService.isConfigured();
+  }
+
+  forward(address) {
+    return TomTomService.geocode(this.formatQuery(address));
+  }
+
+  reverse([lng, lat]) {
+    return TomTomService.reverseGeocode(lat, lng);
+  }
+}
+
+module.exports = TomTomGeocoder;
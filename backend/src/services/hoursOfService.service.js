@@ -0,0 +1,84 @@
+/**
+ * Hours of Service
+ * Checks planned routes against company shift, driving and break rules
+ */
+
+const MINUTE_MS = 60000;
+// Rounding slack when comparing planned times with the limits
+const TOLERANCE_MINUTES = 1;
+
+class HoursOfServiceService {
+  /**
+   * Check a plan's waypoints, as produced by the optimizer, against the rules.
+   * Driving is the time between leaving one waypoint and arriving at the next;
+   * breaks, and charging stops or waits at least as long as a break, reset the
+   * continuous driving clock
+   */
+  checkPlan(plan, rules) {
+    const result = {
+      compliant: true,
+      enforcement: rules?.enforcement || 'flag',
+      shiftDuration: 0,
+      longestDrivingStretch: 0,
+      breaks: 0,
+      violations: [],
+      checkedAt: new Date()
+    };
+
+    if (!rules || rules.enabled === false || !plan.startTime || !plan.endTime) {
+      return result;
+    }
+
+    const startTime = new Date(plan.startTime).getTime();
+    const endTime = new Date(plan.endTime).getTime();
+    let previous = startTime;
+    let driving = 0;
+    let longest = 0;
+
+    const addDriving = (until) => {
+      driving += Math.max(0, (until - previous) / MINUTE_MS);
+      longest = Math.max(longest, driving);
+    };
+
+    for (const waypoint of plan.route || []) {
+      const arrival = new Date(waypoint.arrivalTime).getTime();
+      const departure = new Date(waypoint.departureTime || waypoint.arrivalTime).getTime();
+      addDriving(arrival);
+
+      const restMinutes = waypoint.type === 'break' || waypoint.type === 'charging'
+        ? (departure - arrival) / MINUTE_MS
+        : waypoint.waitTime || 0;
+      if (waypoint.type === 'break') result.breaks++;
+      if (restMinutes >= rules.breakMinutes) driving = 0;
+
+      previous = departure;
+    }
+    addDriving(endTime);
+
+    result.shiftDuration = Math.round((endTime - startTime) / MINUTE_MS);
+    result.longestDrivingStretch = Math.round(longest);
+
+    if (result.shiftDuration > rules.maxShiftMinutes + TOLERANCE_MINUTES) {
+      result.violations.push({
+        rule: 'max_shift',
+        limit: rules.maxShiftMinutes,
+        actual: result.shiftDuration,
+        message: `Shift of ${result.shiftDuration} min exceeds the ${rules.maxShiftMinutes} min maximum`
+      });
+    }
+
+    if (result.longestDrivingStretch > rules.maxContinuousDrivingMinutes + TOLERANCE_MINUTES) {
+      result.violations.push({
+        rule: 'max_continuous_driving',
+        limit: rules.maxContinuousDrivingMinutes,
+        actual: result.longestDrivingStretch,
+        message: `${result.longestDrivingStretch} min of driving without a ${rules.breakMinutes} min break exceeds the ${rules.maxContinuousDrivingMinutes} min limit`
+      });
+    }
+
+    result.compliant = result.violations.length === 0;
+    return result;
+  }
+}
+
+module.exports = new HoursOfServiceService();
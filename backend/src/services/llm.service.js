@@ -0,0 +1,118 @@
+/**
+ * LLM Service
+ * Selects the language model provider and model for each company
+ */
+
+const OpenAIProvider = require('./llm/openai.provider');
+const AnthropicProvider = require('./llm/anthropic.provider');
+const OllamaProvider = require('./llm/ollama.provider');
+const FakeProvider = require('./llm/fake.provider');
+
+const int = value => (value === undefined || value === '' ? undefined : parseInt(value, 10));
+
+// Adapter configuration, read from the environment when the provider is first used
+const PROVIDERS = {
+  openai: () => new OpenAIProvider({
+    name: 'openai',
+    apiUrl: process.env.OPENAI_API_URL || process.env.EURON_API_URL || 'https://api.euron.one/api/v1/euri/chat/completions',
+    apiKey: process.env.OPENAI_API_KEY || process.env.EURON_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4.1-nano',
+    timeout: int(process.env.OPENAI_TIMEOUT_MS) || 60000,
+    maxRetries: int(process.env.OPENAI_MAX_RETRIES) ?? 2
+  }),
+  anthropic: () => new AnthropicProvider({
+    name: 'anthropic',
+    apiUrl: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    timeout: int(process.env.ANTHROPIC_TIMEOUT_MS) || 60000,
+    maxRetries: int(process.env.ANTHROPIC_MAX_RETRIES) ?? 2
+  }),
+  ollama: () => new OllamaProvider({
+    name: 'ollama',
+    apiUrl: process.env.OLLAMA_API_URL || 'http://localhost:11434/api/chat',
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    // Local models are slow to answer but rarely fail transiently
+    timeout: int(process.env.OLLAMA_TIMEOUT_MS) || 120000,
+    maxRetries: int(process.env.OLLAMA_MAX_RETRIES) ?? 0
+  }),
+  fake: () => new FakeProvider()
+};
+
+class LLMService {
+  constructor() {
+    this.providers = {};
+  }
+
+  get providerNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Provider used when a company has not chosen one
+   */
+  get defaultProvider() {
+    return process.env.LLM_PROVIDER || 'openai';
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      if (!PROVIDERS[name]) throw new Error(`Unknown LLM provider: ${name}`);
+      this.providers[name] = PROVIDERS[name]();
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Replace a provider instance, e.g. with a FakeProvider in tests
+   */
+  setProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  reset() {
+    this.providers = {};
+  }
+
+  /**
+   * Provider and request options for a company's LLM settings
+   * @param {Object} settings - CompanySettings.llm: provider, model, timeoutMs, maxRetries
+   */
+  resolve(settings = {}) {
+    const provider = this.getProvider(settings?.provider || this.defaultProvider);
+    return {
+      provider,
+      options: {
+        model: settings?.model || undefined,
+        timeout: settings?.timeoutMs || undefined,
+        maxRetries: settings?.maxRetries ?? undefined
+      }
+    };
+  }
+
+  isAvailable(settings) {
+    return this.resolve(settings).provider.isConfigured();
+  }
+
+  /**
+   * Run a chat completion with the company's provider
+   * Per-call options (timeout, maxTokens, ...) override the company settings
+   * @returns {Promise<{content: string, model: string, provider: string}>}
+   */
+  async complete(messages, options = {}) {
+    const { settings, ...callOptions } = options;
+    const { provider, options: companyOptions } = this.resolve(settings);
+
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider ${provider.name} is not configured`);
+    }
+
+    const merged = { ...companyOptions };
+    Object.entries(callOptions).forEach(([key, value]) => {
+      if (value !== undefined) merged[key] = value;
+    });
+    return provider.complete(messages, merged);
+  }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,46 @@
+/**
+ * Anthropic-Style Provider
+ * Messages API with a separate system prompt and content blocks
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+const API_VERSION = '2023-06-01';
+
+class AnthropicProvider extends LLMProvider {
+  async send(messages, request) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        model: request.model,
+        system: system || undefined,
+        messages: messages
+          .filter(message => message.role !== 'system')
+          .map(({ role, content }) => ({ role, content })),
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': API_VERSION
+        },
+        timeout: request.timeout
+      }
+    );
+
+    return response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,49 @@
+/**
+ * Fake Provider
+ * Canned responses for tests and offline development
+ */
+
+const LLMProvider = require('./llmProvider');
+
+class FakeProvider extends LLMProvider {
+  /**
+   * @param {Object} config - responses: replies returned in order (strings, Errors or
+   * functions of the messages); once used up, a default reply is generated from the prompt
+   */
+  constructor(config = {}) {
+    super({ name: 'fake', model: 'fake', maxRetries: 0, retryDelay: 0, ...config });
+    this.responses = [...(config.responses || [])];
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(messages, request) {
+    this.calls.push({ messages, request });
+
+    const next = this.responses.length > 0 ? this.responses.shift() : this.defaultResponse;
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next.call(this, messages, request) : next;
+  }
+
+  /**
+   * Keep the stops in the given order, or give a fixed explanation
+   */
+  defaultResponse(messages) {
+    const prompt = messages[messages.length - 1]?.content || '';
+    const count = prompt.match(/DELIVERIES \((\d+)\)/);
+
+    if (!count) return 'Stops are served in the order that keeps every delivery inside its time window.';
+
+    return JSON.stringify({
+      sequence: Array.from({ length: parseInt(count[1], 10) }, (_, index) => index),
+      reasoning: 'Deliveries kept in their listed order',
+      warnings: [],
+      alternativeSequences: []
+    });
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,79 @@
+/**
+ * LLM Provider
+ * Base adapter with per-provider timeout and retry handling
+ */
+
+const { logger } = require('../../utils/logger');
+
+// HTTP statuses worth another attempt
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class LLMProvider {
+  /**
+   * @param {Object} config - name, apiUrl, apiKey, model, timeout (ms), maxRetries, retryDelay (ms)
+   */
+  constructor(config = {}) {
+    this.name = config.name;
+    this.apiUrl = config.apiUrl;
+    this.apiKey = config.apiKey;
+    this.model = config.model;
+    this.timeout = config.timeout || 60000;
+    this.maxRetries = config.maxRetries ?? 2;
+    this.retryDelay = config.retryDelay ?? 1000;
+  }
+
+  /**
+   * Whether the adapter has what it needs to make requests
+   */
+  isConfigured() {
+    return Boolean(this.apiUrl && this.apiKey);
+  }
+
+  /**
+   * Send a chat conversation and return the reply text with the model that produced it
+   * @param {Array} messages - [{ role: 'system' | 'user' | 'assistant', content }]
+   * @param {Object} options - model, timeout, maxRetries, temperature, maxTokens
+   */
+  async complete(messages, options = {}) {
+    const request = {
+      ...options,
+      model: options.model || this.model,
+      timeout: options.timeout || this.timeout,
+      temperature: options.temperature ?? 0.3,
+      maxTokens: options.maxTokens || 4000
+    };
+    const maxRetries = options.maxRetries ?? this.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const content = await this.send(messages, request);
+        return { content, model: request.model, provider: this.name };
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isRetryable(error)) throw error;
+
+        const delay = this.retryDelay * 2 ** attempt;
+        logger.warn(`${this.name} request failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Timeouts, network errors, rate limits and server errors are retried
+   */
+  isRetryable(error) {
+    if (!error.response) return true;
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+
+  /**
+   * Perform one request; implemented by each adapter
+   */
+  async send() {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,36 @@
+/**
+ * Ollama-Style Provider
+ * Local chat endpoint; no API key required
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+class OllamaProvider extends LLMProvider {
+  isConfigured() {
+    return Boolean(this.apiUrl);
+  }
+
+  async send(messages, request) {
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        model: request.model,
+        messages,
+        stream: false,
+        options: {
+          temperature: request.temperature,
+          num_predict: request.maxTokens
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: request.timeout
+      }
+    );
+
+    return response.data.message.content;
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,32 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat completions API (OpenAI, Euron and other compatible gateways)
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+class OpenAIProvider extends LLMProvider {
+  async send(messages, request) {
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        model: request.model,
+        messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        timeout: request.timeout
+      }
+    );
+
+    return response.data.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
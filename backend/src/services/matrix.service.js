@@ -0,0 +1,223 @@
+/**
+ * Matrix Service
+ * N×N travel distance and duration tables for the route solver.
+ * Uses the company's routing providers, cached in MongoDB per coordinate pair,
+ * weekday, time-of-day bucket and provider, and a haversine road-factor estimate when offline.
+ */
+
+const mongoose = require('mongoose');
+const { TravelTime } = require('../models');
+const RoutingService = require('./routing.service');
+const { haversineDistance } = require('../utils/geo');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60000;
+const DAY_MINUTES = 1440;
+// Roads are on average this much longer than the straight line between two points
+const ROAD_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 40;
+// Cells per provider request
+const MAX_MATRIX_CELLS = 200;
+// Decimal places kept in cache keys (~1 m)
+const COORDINATE_PRECISION = 5;
+
+class MatrixService {
+  constructor() {
+    this.roadFactor = ROAD_FACTOR;
+    this.speedKmh = AVERAGE_SPEED_KMH;
+    this.bucketMinutes = parseInt(process.env.MATRIX_BUCKET_MINUTES, 10) || 60;
+  }
+
+  /**
+   * Build distance (km) and duration (minutes) tables between all locations
+   * @param {Array} locations - Array of [lng, lat] pairs
+   * @param {Object} options - departureTime (selects the weekday and time-of-day bucket), vehicleType,
+   * settings (CompanySettings.routing)
+   * @returns {Object} { distances, durations, source: provider name | 'estimate' | 'mixed', weekday, bucket, stats }
+   */
+  async getMatrix(locations, options = {}) {
+    // Estimates are filled in below rather than fetched, so they are never cached
+    const providers = RoutingService.providersFor('matrix', { settings: options.settings, estimates: false });
+    const bucket = this.timeBucket(options.departureTime);
+    const weekday = this.weekday(options.departureTime);
+    const keys = locations.map(coordinates => this.coordinateKey(coordinates));
+    const points = new Map(keys.map((key, index) => [key, locations[index]]));
+    const uniqueKeys = [...points.keys()];
+    const stats = { cached: 0, fetched: 0, estimated: 0 };
+
+    const cells = await this.readCache(uniqueKeys, { weekday, bucket }, providers.map(provider => provider.name));
+    stats.cached = cells.size;
+
+    const missing = [];
+    uniqueKeys.forEach(origin => uniqueKeys.forEach(destination => {
+      if (origin !== destination && !cells.has(this.pairKey(origin, destination))) {
+        missing.push([origin, destination]);
+      }
+    }));
+
+    if (missing.length > 0 && providers.length > 0) {
+      try {
+        const fetched = await this.fetchCells(missing, points, { weekday, bucket }, options);
+        fetched.forEach(cell => cells.set(this.pairKey(cell.originKey, cell.destinationKey), cell));
+        stats.fetched = fetched.length;
+        await this.writeCache(fetched, { weekday, bucket });
+      } catch (error) {
+        logger.warn(`Travel matrix falling back to estimates: ${error.message}`);
+      }
+    }
+
+    const distances = [];
+    const durations = [];
+    const sources = new Set();
+    keys.forEach((origin, i) => {
+      distances.push([]);
+      durations.push([]);
+      keys.forEach((destination, j) => {
+        let cell = origin === destination ? { distanceKm: 0, durationMinutes: 0 } : cells.get(this.pairKey(origin, destination));
+        if (!cell) {
+          cell = this.estimate(locations[i], locations[j]);
+          stats.estimated++;
+        }
+        if (cell.source) sources.add(cell.source);
+        distances[i].push(cell.distanceKm);
+        durations[i].push(cell.durationMinutes);
+      });
+    });
+
+    const routed = stats.cached + stats.fetched > 0;
+    const single = sources.size === 1 ? [...sources][0] : 'mixed';
+    const source = stats.estimated === 0 && routed ? single : routed ? 'mixed' : 'estimate';
+
+    return { distances, durations, source, weekday, bucket, stats };
+  }
+
+  /**
+   * Straight-line distance stretched by the road factor, at the average speed
+   */
+  estimate(from, to) {
+    const distanceKm = haversineDistance(from, to) * this.roadFactor;
+    return { distanceKm, durationMinutes: (distanceKm / this.speedKmh) * 60 };
+  }
+
+  /**
+   * Start of the time-of-day bucket (minutes since midnight UTC) of a departure
+   */
+  timeBucket(departureTime) {
+    const date = departureTime ? new Date(departureTime) : new Date();
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+    return Math.floor(minutes / this.bucketMinutes) * this.bucketMinutes;
+  }
+
+  /**
+   * Day of the week (UTC, 0 = Sunday) of a departure; traffic differs between weekdays
+   */
+  weekday(departureTime) {
+    return (departureTime ? new Date(departureTime) : new Date()).getUTCDay();
+  }
+
+  /**
+   * Next moment at the middle of a bucket on the given weekday; traffic-aware
+   * providers only accept departures in the future
+   */
+  bucketDeparture(bucket, weekday, now = Date.now()) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(0, 0, 0, 0);
+    const daysAhead = (weekday - midnight.getUTCDay() + 7) % 7;
+    let departure = midnight.getTime() + (daysAhead * DAY_MINUTES + bucket + this.bucketMinutes / 2) * MINUTE_MS;
+    while (departure <= now) departure += 7 * DAY_MINUTES * MINUTE_MS;
+    return new Date(departure);
+  }
+
+  coordinateKey(coordinates) {
+    const [lng, lat] = coordinates || [0, 0];
+    return `${Number(lng).toFixed(COORDINATE_PRECISION)},${Number(lat).toFixed(COORDINATE_PRECISION)}`;
+  }
+
+  pairKey(originKey, destinationKey) {
+    return `${originKey}|${destinationKey}`;
+  }
+
+  /**
+   * The cache is skipped while the database is not connected
+   */
+  cacheAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Cached cells of the given providers only, so a company never gets another provider's times
+   */
+  async readCache(keys, { weekday, bucket }, sources) {
+    const cells = new Map();
+    if (!this.cacheAvailable() || sources.length === 0) return cells;
+
+    try {
+      const cached = await TravelTime.find({
+        weekday,
+        bucket,
+        source: { $in: sources },
+        originKey: { $in: keys },
+        destinationKey: { $in: keys }
+      }).lean();
+      cached.forEach(cell => cells.set(this.pairKey(cell.originKey, cell.destinationKey), cell));
+    } catch (error) {
+      logger.warn(`Travel time cache read failed: ${error.message}`);
+    }
+
+    return cells;
+  }
+
+  async writeCache(cells, { weekday, bucket }) {
+    if (cells.length === 0 || !this.cacheAvailable()) return;
+
+    try {
+      await TravelTime.bulkWrite(cells.map(cell => ({
+        updateOne: {
+          filter: { originKey: cell.originKey, destinationKey: cell.destinationKey, weekday, bucket, source: cell.source },
+          update: {
+            $set: {
+              distanceKm: cell.distanceKm,
+              durationMinutes: cell.durationMinutes,
+              fetchedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      logger.warn(`Travel time cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request the missing pairs from the routing providers, a block of origins at a time
+   */
+  async fetchCells(missing, points, { weekday, bucket }, options) {
+    const origins = [...new Set(missing.map(([origin]) => origin))];
+    const destinations = [...new Set(missing.map(([, destination]) => destination))];
+    const wanted = new Set(missing.map(([origin, destination]) => this.pairKey(origin, destination)));
+    const originsPerRequest = Math.max(1, Math.floor(MAX_MATRIX_CELLS / destinations.length));
+    const departureTime = this.bucketDeparture(bucket, weekday);
+    const cells = [];
+
+    for (let start = 0; start < origins.length; start += originsPerRequest) {
+      const block = origins.slice(start, start + originsPerRequest);
+      const { cells: results, provider } = await RoutingService.matrix(
+        block.map(key => points.get(key)),
+        destinations.map(key => points.get(key)),
+        { departureTime, vehicleType: options.vehicleType, settings: options.settings, estimates: false }
+      );
+
+      results.forEach(result => {
+        const originKey = block[result.originIndex];
+        const destinationKey = destinations[result.destinationIndex];
+        if (!wanted.has(this.pairKey(originKey, destinationKey))) return;
+        cells.push({ originKey, destinationKey, distanceKm: result.distanceKm, durationMinutes: result.durationMinutes, source: provider });
+      });
+    }
+
+    return cells;
+  }
+}
+
+module.exports = new MatrixService();
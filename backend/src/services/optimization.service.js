@@ -0,0 +1,358 @@
+/**
+ * Optimization Service
+ * Runs a route optimization request: loads deliveries, depots and live conditions,
+ * then sequences one route or splits them across a fleet
+ */
+
+const { Delivery, User, CompanySettings, Depot, Zone } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const AIRouteService = require('./aiRoute.service');
+const RouteSolverService = require('./routeSolver.service');
+const RoutingService = require('./routing.service');
+const WeatherService = require('./weather.service');
+const QualificationService = require('./qualification.service');
+const { logger } = require('../utils/logger');
+
+class OptimizationService {
+  /**
+   * Optimize the deliveries of a POST /api/routes/optimize request
+   * @param {Object} request - Validated request body
+   * @param {Object} user - Requesting user (companyId)
+   * @param {Function} onProgress - async (stage, percent, message) callback; throwing from it aborts the run
+   * @param {Object} options - signal (AbortSignal) abandoning the solver mid-solve
+   * @returns {Object} { message, data } as returned by the optimize endpoint
+   */
+  async optimize(request, user, onProgress, { signal } = {}) {
+    const {
+      deliveryIds,
+      driverId,
+      vehicleType,
+      optimizationPriority,
+      constraints,
+      engine,
+      departureTime,
+      departureSearch,
+      vehicle,
+      vehicles,
+      sequenceConstraints,
+      zoneClustering,
+      balancing
+    } = request;
+    const progress = async (stage, percent, message) => {
+      if (onProgress) await onProgress(stage, percent, message);
+    };
+
+    await progress('loading', 5, 'Loading deliveries');
+
+    // Get deliveries
+    const deliveries = await Delivery.find({
+      _id: { $in: deliveryIds },
+      companyId: user.companyId
+    });
+
+    if (deliveries.length === 0) {
+      throw new ApiError('No valid deliveries found', 400);
+    }
+
+    const { unknown } = RouteSolverService.resolveConstraints(sequenceConstraints, deliveries.map(d => d._id.toString()));
+    if (unknown.length > 0) {
+      throw new ApiError('Sequence constraints refer to deliveries outside this optimization', 400,
+        [...new Set(unknown)].map(id => ({ field: 'sequenceConstraints', message: `Delivery ${id} is not being optimized` })));
+    }
+
+    // A single vehicle and its driver have to be qualified for every delivery; fleets share them out
+    if (!vehicles?.length) {
+      const driverUser = driverId ? await this.findDriver(driverId, user.companyId) : null;
+      const violations = QualificationService.checkRoute(deliveries, { vehicle: vehicle || {}, driver: driverUser, date: departureTime });
+      if (violations.length > 0) {
+        throw new ApiError('Driver or vehicle is not qualified for some deliveries', 400, violations);
+      }
+    }
+
+    const endpoints = await this.resolveEndpoints(request, user.companyId);
+    const { startLocation, endLocation, depots, returnToStart, endType } = endpoints;
+    // Conditions are fetched around the start, or the first candidate depot
+    const origin = startLocation || depots[0];
+
+    logger.info(`Optimizing route with ${deliveries.length} deliveries`);
+
+    const settings = await CompanySettings.forCompany(user.companyId);
+    const hoursOfService = settings.hoursOfService.toObject();
+    const llm = settings.llm?.toObject();
+    const costProfile = settings.costProfile?.toObject();
+    const emissionFactors = settings.emissionFactors?.toObject();
+    const routing = settings.routing?.toObject();
+
+    await progress('conditions', 15, 'Fetching traffic and weather');
+
+    // Get real-time data for optimization
+    let trafficData = null;
+    let weatherData = null;
+
+    try {
+      // Get traffic data if we have coordinates
+      if (origin?.coordinates) {
+        const [lng, lat] = origin.coordinates;
+        trafficData = await RoutingService.trafficFlow(lat, lng, { settings: routing });
+      }
+    } catch (error) {
+      logger.warn(`Could not fetch traffic data: ${error.message}`);
+    }
+
+    try {
+      // Get weather data
+      if (origin?.coordinates) {
+        const [lng, lat] = origin.coordinates;
+        weatherData = await WeatherService.getWeather(lat, lng);
+      }
+    } catch (error) {
+      logger.warn(`Could not fetch weather data: ${error.message}`);
+    }
+
+    const conditions = {
+      traffic: trafficData ? {
+        congestionLevel: trafficData.congestionLevel,
+        currentSpeed: trafficData.currentSpeed
+      } : null,
+      weather: weatherData ? {
+        condition: weatherData.current?.condition,
+        temperature: weatherData.current?.temperature
+      } : null
+    };
+
+    // Split across a fleet when several vehicles are supplied
+    if (vehicles && vehicles.length > 0) {
+      const fleetVehicles = await this.resolveFleetVehicles(vehicles, user.companyId, endType, departureTime);
+
+      const result = await AIRouteService.optimizeFleet({
+        deliveries,
+        vehicles: fleetVehicles,
+        startLocation,
+        endLocation,
+        depots,
+        returnToStart,
+        trafficData,
+        weatherData,
+        optimizationPriority: optimizationPriority || 'balanced',
+        departureTime,
+        hoursOfService,
+        sequenceConstraints,
+        costProfile,
+        emissionFactors,
+        zoneClustering,
+        balancing,
+        llm,
+        routing,
+        onProgress: progress,
+        signal
+      });
+
+      return {
+        message: `Optimized ${result.plans.length} routes for ${fleetVehicles.length} vehicles`,
+        data: {
+          plans: result.plans.map(plan => ({
+            vehicle: plan.vehicle.vehicle,
+            driver: plan.vehicle.driver,
+            deliveryIds: plan.optimizedRoute.deliveries.map(d => d._id),
+            optimizedRoute: plan.optimizedRoute,
+            confidence: plan.confidence
+          })),
+          unassigned: result.unassigned,
+          summary: result.summary,
+          engine: result.engine,
+          endType,
+          conditions
+        }
+      };
+    }
+
+    // Call optimization service
+    const result = await AIRouteService.optimizeRoute({
+      deliveries,
+      startLocation,
+      endLocation,
+      depots,
+      returnToStart,
+      vehicleType: vehicleType || 'van',
+      vehicle,
+      constraints,
+      trafficData,
+      weatherData,
+      optimizationPriority: optimizationPriority || 'balanced',
+      engine: engine || 'solver',
+      departureTime,
+      departureSearch,
+      hoursOfService,
+      sequenceConstraints,
+      costProfile,
+      emissionFactors,
+      llm,
+      routing,
+      onProgress: progress,
+      signal
+    });
+
+    return {
+      message: 'Route optimized successfully',
+      data: {
+        optimizedRoute: result.optimizedRoute,
+        engine: result.engine,
+        aiModel: result.aiModel,
+        confidence: result.confidence,
+        endType,
+        conditions
+      }
+    };
+  }
+
+  /**
+   * Where the routes of a request start and end
+   * A start location wins over a start depot; with neither, routes start at the
+   * company's default depot, or the optimizer chooses among the active depots
+   * (always so for startDepotId 'auto')
+   * @returns {Object} { startLocation, endLocation, depots, returnToStart, endType }
+   */
+  async resolveEndpoints(request, companyId) {
+    const { startLocation, endLocation, startDepotId, endDepotId, driverId } = request;
+    const endType = request.endType || (endLocation?.coordinates ? 'depot' : 'start');
+    const endpoints = { endType, depots: [], returnToStart: false };
+
+    if (startLocation?.coordinates) {
+      endpoints.startLocation = startLocation;
+    } else if (startDepotId && startDepotId !== 'auto') {
+      endpoints.startLocation = this.depotPoint(await this.findDepot(startDepotId, companyId));
+    } else {
+      const depots = await Depot.find({ companyId, isActive: true });
+      if (depots.length === 0) {
+        throw new ApiError('A start location or an active depot is required', 400);
+      }
+
+      const preferred = !startDepotId && depots.find(depot => depot.isDefault);
+      if (preferred) {
+        endpoints.startLocation = this.depotPoint(preferred);
+      } else {
+        endpoints.depots = depots.map(depot => this.depotPoint(depot));
+      }
+    }
+
+    if (endLocation?.coordinates) {
+      endpoints.endLocation = endLocation;
+    } else if (endType === 'start') {
+      endpoints.returnToStart = true;
+    } else if (endType === 'depot') {
+      endpoints.endLocation = this.depotPoint(await this.findDepot(endDepotId, companyId));
+    } else if (endType === 'home' && !request.vehicles?.length) {
+      endpoints.endLocation = await this.driverHome(driverId, companyId);
+    }
+
+    return endpoints;
+  }
+
+  async findDepot(depotId, companyId) {
+    const depot = await Depot.findOne({ _id: depotId, companyId });
+    if (!depot) {
+      throw new ApiError(`Depot ${depotId} not found`, 400);
+    }
+    return depot;
+  }
+
+  depotPoint(depot) {
+    return {
+      id: depot._id.toString(),
+      coordinates: depot.location.coordinates,
+      address: depot.address?.fullAddress || depot.name
+    };
+  }
+
+  /**
+   * End point of a route that finishes at its driver's home
+   */
+  homePoint(driverUser) {
+    if (!driverUser.homeLocation?.coordinates?.length) {
+      throw new ApiError(`Driver ${driverUser.name} has no home location`, 400);
+    }
+    return {
+      coordinates: driverUser.homeLocation.coordinates,
+      address: driverUser.homeLocation.address
+    };
+  }
+
+  async driverHome(driverId, companyId) {
+    if (!driverId) {
+      throw new ApiError('Ending at the driver\'s home needs a driverId', 400);
+    }
+    return this.homePoint(await this.findDriver(driverId, companyId));
+  }
+
+  async findDriver(driverId, companyId) {
+    const driverUser = await User.findOne({ _id: driverId, companyId, role: 'driver' });
+    if (!driverUser) {
+      throw new ApiError(`Driver ${driverId} not found`, 400);
+    }
+    return driverUser;
+  }
+
+  /**
+   * Attach driver details, start depots, home ends, the deliveries they are
+   * qualified for and the zones they cover to the vehicles of a fleet optimization request
+   */
+  async resolveFleetVehicles(vehicles, companyId, endType, departureTime) {
+    const driverIds = vehicles.map(v => v.driverId).filter(Boolean);
+    const drivers = driverIds.length > 0
+      ? await User.find({ _id: { $in: driverIds }, companyId, role: 'driver' })
+      : [];
+    const depotIds = vehicles.map(v => v.startDepotId).filter(Boolean);
+    const depots = depotIds.length > 0
+      ? await Depot.find({ _id: { $in: depotIds }, companyId })
+      : [];
+    const zoneIds = [...new Set(vehicles.flatMap(v => v.zoneIds || []))];
+    const zones = zoneIds.length > 0
+      ? await Zone.find({ _id: { $in: zoneIds }, companyId })
+      : [];
+    const unknownZone = zoneIds.find(id => !zones.some(zone => zone._id.toString() === id));
+    if (unknownZone) {
+      throw new ApiError(`Zone ${unknownZone} not found`, 400);
+    }
+
+    return vehicles.map(({ driverId, startDepotId, zoneIds: vehicleZones, ...vehicle }, index) => {
+      const driverUser = driverId ? drivers.find(d => d._id.toString() === driverId) : null;
+      if (driverId && !driverUser) {
+        throw new ApiError(`Driver ${driverId} not found`, 400);
+      }
+      if (endType === 'home' && !driverUser) {
+        throw new ApiError(`Vehicle ${index + 1} needs a driver to end at the driver's home`, 400);
+      }
+
+      const depot = startDepotId ? depots.find(d => d._id.toString() === startDepotId) : null;
+      if (startDepotId && !depot) {
+        throw new ApiError(`Depot ${startDepotId} not found`, 400);
+      }
+
+      return {
+        // Type and plate pick the vehicle's cost and emission overrides
+        type: vehicle.type || 'van',
+        licensePlate: vehicle.licensePlate,
+        capacity: vehicle.capacity,
+        volumeCapacity: vehicle.volumeCapacity,
+        fuelType: vehicle.fuelType,
+        batteryCapacity: vehicle.batteryCapacity,
+        consumptionPerKm: vehicle.consumptionPerKm,
+        chargers: vehicle.chargers,
+        // Deliveries the vehicle is equipped, and its driver certified, for
+        serves: QualificationService.served(vehicle, driverUser, departureTime),
+        // Territory of the vehicle; without one it takes stops in any zone
+        zones: vehicleZones?.length ? vehicleZones : null,
+        startLocation: depot ? this.depotPoint(depot) : undefined,
+        endLocation: endType === 'home' ? this.homePoint(driverUser) : undefined,
+        vehicle: { type: 'van', ...vehicle },
+        driver: driverUser ? {
+          id: driverUser._id,
+          name: driverUser.name,
+          phone: driverUser.phone
+        } : null
+      };
+    });
+  }
+}
+
+module.exports = new OptimizationService();
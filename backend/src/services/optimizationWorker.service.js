@@ -0,0 +1,212 @@
+/**
+ * Optimization Worker
+ * Runs queued optimization jobs in the background, one at a time,
+ * recording progress and honouring cancellation. The solver runs in its own
+ * thread, so a cancelled job running here stops mid-solve; jobs running in
+ * another process stop at their next stage
+ */
+
+const EventEmitter = require('events');
+const { OptimizationJob } = require('../models');
+const OptimizationService = require('./optimization.service');
+const { logger } = require('../utils/logger');
+
+// How often to look for jobs queued by other processes or missed notifications
+const POLL_INTERVAL_MS = 5000;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Optimization job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class OptimizationWorker extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.timer = null;
+    this.draining = false;
+    // Job running in this process: { id, controller } aborting its solver
+    this.running = null;
+  }
+
+  /**
+   * Start processing; jobs left running by a previous process are queued again
+   */
+  async start() {
+    if (this.timer) return;
+
+    const { modifiedCount } = await OptimizationJob.updateMany(
+      { status: 'running' },
+      { $set: { status: 'queued', progress: { stage: 'queued', percent: 0, message: 'Restarted after a server restart' } } }
+    );
+    if (modifiedCount > 0) logger.info(`Re-queued ${modifiedCount} interrupted optimization job(s)`);
+
+    this.timer = setInterval(() => this.drain(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.drain();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue an optimization request and wake the worker
+   */
+  async submit(request, user) {
+    const job = await OptimizationJob.create({
+      companyId: user.companyId,
+      createdBy: user.id,
+      request
+    });
+
+    this.publish(job);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  /**
+   * Cancel a job: queued jobs and ones solving in this process stop at once,
+   * others at their next stage
+   */
+  async cancel(job) {
+    const update = job.status === 'queued'
+      ? {
+        status: 'cancelled',
+        cancelRequested: true,
+        completedAt: new Date(),
+        'progress.message': 'Cancelled'
+      }
+      : { cancelRequested: true };
+
+    const updated = await OptimizationJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: update },
+      { new: true }
+    );
+
+    if (updated?.status === 'running' && this.running?.id === updated._id.toString()) {
+      this.running.controller.abort();
+    }
+
+    // The job moved on in the meantime; report its current state
+    const current = updated || await OptimizationJob.findById(job._id);
+    this.publish(current);
+    return current;
+  }
+
+  /**
+   * Run queued jobs until none are left
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.run(job);
+      }
+    } catch (error) {
+      logger.error(`Optimization worker error: ${error.message}`);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Atomically take the oldest queued job
+   */
+  claimNext() {
+    return OptimizationJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'running',
+          startedAt: new Date(),
+          progress: { stage: 'starting', percent: 0, message: 'Starting optimization' }
+        }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    logger.info(`Running optimization job ${job._id}`);
+    this.publish(job);
+    const controller = new AbortController();
+    this.running = { id: job._id.toString(), controller };
+
+    const onProgress = async (stage, percent, message) => {
+      const current = await OptimizationJob.findByIdAndUpdate(
+        job._id,
+        { $set: { progress: { stage, percent, message } } },
+        { new: true }
+      );
+      this.publish(current);
+      if (current.cancelRequested) throw new JobCancelledError();
+    };
+
+    let update = null;
+    try {
+      const { message, data } = await OptimizationService.optimize(
+        job.request,
+        { id: job.createdBy, companyId: job.companyId },
+        onProgress,
+        { signal: controller.signal }
+      );
+      update = {
+        status: 'completed',
+        message,
+        result: data,
+        progress: { stage: 'completed', percent: 100, message }
+      };
+    } catch (error) {
+      if (!(error instanceof JobCancelledError) && !controller.signal.aborted) {
+        logger.error(`Optimization job ${job._id} failed: ${error.message}`);
+        update = {
+          status: 'failed',
+          error: { message: error.message, statusCode: error.statusCode || 500, errors: error.errors },
+          'progress.message': error.message
+        };
+      }
+    }
+
+    this.running = null;
+
+    // A cancellation that arrives after the last stage still wins
+    const finished = (update && await OptimizationJob.findOneAndUpdate(
+      { _id: job._id, cancelRequested: false },
+      { $set: { ...update, completedAt: new Date() } },
+      { new: true }
+    )) || await OptimizationJob.findByIdAndUpdate(
+      job._id,
+      { $set: { status: 'cancelled', 'progress.message': 'Cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+
+    logger.info(`Optimization job ${job._id} ${finished.status}`);
+    this.publish(finished);
+    return finished;
+  }
+
+  /**
+   * Notify listeners (progress streams) of a job's new state
+   */
+  publish(job) {
+    if (job) this.emit(`job:${job._id}`, job);
+  }
+
+  /**
+   * Listen for updates of one job; returns the unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(`job:${jobId}`, listener);
+    return () => this.off(`job:${jobId}`, listener);
+  }
+}
+
+module.exports = new OptimizationWorker();
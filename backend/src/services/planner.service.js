@@ -0,0 +1,214 @@
+/**
+ * Planner Service
+ * A week of routes and unrouted deliveries by day, and moving deliveries
+ * between days and routes
+ */
+
+const { RoutePlan, Delivery, User, CompanySettings } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const RecurrenceService = require('./recurrence.service');
+const CapacityService = require('./capacity.service');
+const QualificationService = require('./qualification.service');
+const TimelineService = require('./timeline.service');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 86400000;
+
+// Routes still open to changes from the planner
+const EDITABLE_ROUTES = ['draft', 'planned'];
+
+const DELIVERY_FIELDS = 'trackingNumber customer.name address.fullAddress timeWindow priority status stopType pairedDeliveryId packageDetails.weight packageDetails.volume zoneId routePlanId';
+
+class PlannerService {
+  /**
+   * Seven days from a start date, each with its routes and the pending
+   * deliveries whose window opens that day without a route
+   * @param {string} companyId - Company to plan for
+   * @param {Date} start - First day of the week
+   */
+  async week(companyId, start) {
+    const from = RecurrenceService.dayOf(start);
+    const to = new Date(from + 7 * DAY_MS);
+
+    const [routes, unassigned] = await Promise.all([
+      RoutePlan.find({ companyId, scheduledDate: { $gte: new Date(from), $lt: to }, status: { $ne: 'cancelled' } })
+        .select('name status scheduledDate startTime vehicle driver templateId capacityCheck deliveries')
+        .populate('deliveries', DELIVERY_FIELDS)
+        .sort({ startTime: 1, name: 1 }),
+      Delivery.find({ companyId, status: 'pending', routePlanId: null, 'timeWindow.earliest': { $gte: new Date(from), $lt: to } })
+        .select(DELIVERY_FIELDS)
+        .populate('zoneId', 'name color')
+        .sort({ 'timeWindow.earliest': 1 })
+    ]);
+
+    const days = Array.from({ length: 7 }, (_, i) => {
+      const dayStart = from + i * DAY_MS;
+      const inDay = date => date && new Date(date).getTime() >= dayStart && new Date(date).getTime() < dayStart + DAY_MS;
+      return {
+        date: new Date(dayStart).toISOString().slice(0, 10),
+        routes: routes.filter(route => inDay(route.scheduledDate)),
+        unassigned: unassigned.filter(delivery => inDay(delivery.timeWindow?.earliest))
+      };
+    });
+
+    return { start: new Date(from), end: to, days };
+  }
+
+  /**
+   * Move a delivery to another day, off its route and optionally onto a route
+   * of that day. Its time window shifts by whole days, and the other half of a
+   * pickup and drop-off pair moves with it
+   * @param {string} companyId - Company of the delivery
+   * @param {Object} move - deliveryId, date (YYYY-MM-DD) and routePlanId
+   * @returns {Object} { deliveries, from, to } the moved deliveries and changed routes
+   */
+  async move(companyId, { deliveryId, date, routePlanId }) {
+    const delivery = await Delivery.findOne({ _id: deliveryId, companyId });
+    if (!delivery) {
+      throw new ApiError('Delivery not found', 404);
+    }
+
+    const pair = delivery.pairedDeliveryId
+      ? await Delivery.findOne({ _id: delivery.pairedDeliveryId, companyId })
+      : null;
+    // Pickups go on the route ahead of their drop-off
+    const deliveries = pair?.stopType === 'pickup' ? [pair, delivery] : [delivery, pair].filter(Boolean);
+
+    const locked = deliveries.find(d => !['pending', 'assigned'].includes(d.status));
+    if (locked) {
+      throw new ApiError(`Delivery ${locked.trackingNumber || locked._id} is ${locked.status} and can no longer be moved`, 400);
+    }
+
+    const day = RecurrenceService.dayOf(date);
+    const sourceIds = [...new Set(deliveries.map(d => d.routePlanId?.toString()).filter(Boolean))];
+    const sources = sourceIds.length > 0 ? await RoutePlan.find({ _id: { $in: sourceIds }, companyId }) : [];
+    const started = sources.find(route => !EDITABLE_ROUTES.includes(route.status));
+    if (started) {
+      throw new ApiError(`Route ${started.name} is ${started.status}; its deliveries can no longer be moved`, 400);
+    }
+
+    let target = null;
+    if (routePlanId) {
+      target = await RoutePlan.findOne({ _id: routePlanId, companyId });
+      if (!target) {
+        throw new ApiError('Route not found', 404);
+      }
+      if (!EDITABLE_ROUTES.includes(target.status)) {
+        throw new ApiError(`Route ${target.name} is ${target.status} and no longer takes deliveries`, 400);
+      }
+      if (RecurrenceService.dayOf(target.scheduledDate) !== day) {
+        throw new ApiError(`Route ${target.name} does not run on ${date}`, 400);
+      }
+    }
+
+    // Check the target before anything is taken off its current route
+    const joining = target && !sources.some(source => source._id.equals(target._id));
+    const capacityCheck = joining ? await this.checkTarget(target, deliveries) : null;
+
+    deliveries.forEach(d => this.shiftWindow(d, day));
+
+    for (const source of sources) {
+      if (target && source._id.equals(target._id)) continue;
+      await this.detach(source, deliveries);
+    }
+    for (const d of deliveries) {
+      if (target) {
+        d.routePlanId = target._id;
+        d.status = 'assigned';
+      } else {
+        d.routePlanId = undefined;
+        d.estimatedArrival = undefined;
+        d.status = 'pending';
+      }
+      await d.save();
+    }
+
+    // Timed once the moved deliveries carry their new windows
+    if (joining) {
+      target.deliveries.push(...deliveries.map(d => d._id));
+      target.capacityCheck = { ...capacityCheck, checkedAt: new Date() };
+      const timeline = await this.retime(target);
+      await target.save();
+      if (timeline) await TimelineService.updateArrivals(timeline.route);
+    }
+
+    return { deliveries, from: sources, to: target };
+  }
+
+  /**
+   * Shift a delivery's time window to a day, keeping its time of day
+   */
+  shiftWindow(delivery, day) {
+    if (!delivery.timeWindow?.earliest) return;
+
+    const shift = day - RecurrenceService.dayOf(delivery.timeWindow.earliest);
+    if (shift === 0) return;
+    ['earliest', 'latest', 'preferredTime'].forEach(field => {
+      if (delivery.timeWindow[field]) {
+        delivery.timeWindow[field] = new Date(new Date(delivery.timeWindow[field]).getTime() + shift);
+      }
+    });
+  }
+
+  /**
+   * Take deliveries off a route and re-time the stops left on it
+   */
+  async detach(route, deliveries) {
+    route.deliveries = route.deliveries.filter(id => !deliveries.some(d => d._id.equals(id)));
+    const remaining = await this.deliveriesOf(route);
+    route.capacityCheck = { ...CapacityService.checkRoute(route.vehicle, remaining), checkedAt: new Date() };
+    const timeline = await this.retime(route);
+    await route.save();
+    if (timeline) await TimelineService.updateArrivals(timeline.route);
+  }
+
+  /**
+   * Stop times of a route in its new order; a route that cannot be timed keeps
+   * its stops in that order, untimed
+   */
+  async retime(route) {
+    if (route.deliveries.length === 0) {
+      route.route = [];
+      return null;
+    }
+
+    try {
+      const settings = await CompanySettings.forCompany(route.companyId);
+      return await TimelineService.refresh(route, { routing: settings.routing?.toObject() });
+    } catch (error) {
+      logger.warn(`Route ${route._id} could not be re-timed: ${error.message}`);
+      route.route = TimelineService.untimed(route, await this.deliveriesOf(route));
+      return null;
+    }
+  }
+
+  /**
+   * Refuse deliveries a route's vehicle and driver are not qualified for, or
+   * that do not fit next to its current stops
+   * @returns {Object} Capacity check of the route with the deliveries added at the end
+   */
+  async checkTarget(route, deliveries) {
+    const driver = route.driver?.id ? await User.findById(route.driver.id) : null;
+    const violations = QualificationService.checkRoute(deliveries, { vehicle: route.vehicle, driver, date: route.scheduledDate });
+    if (violations.length > 0) {
+      throw new ApiError('Driver or vehicle is not qualified for some deliveries', 400, violations);
+    }
+
+    const current = await this.deliveriesOf(route);
+    const capacityCheck = CapacityService.checkRoute(route.vehicle, [...current, ...deliveries]);
+    if (!capacityCheck.withinCapacity) {
+      throw new ApiError('Deliveries exceed vehicle capacity', 400, capacityCheck.violations);
+    }
+    return capacityCheck;
+  }
+
+  /**
+   * Deliveries of a route in stop order
+   */
+  async deliveriesOf(route) {
+    const deliveries = await Delivery.find({ _id: { $in: route.deliveries } });
+    return route.deliveries.map(id => deliveries.find(d => d._id.equals(id))).filter(Boolean);
+  }
+}
+
+module.exports = new PlannerService();
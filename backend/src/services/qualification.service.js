@@ -0,0 +1,97 @@
+/**
+ * Qualification Service
+ * Matches what deliveries need against driver skills and vehicle capabilities
+ */
+
+const VEHICLE_CAPABILITIES = ['hazmat', 'refrigerated'];
+
+// What each delivery requirement asks of the driver and of the vehicle
+const REQUIREMENTS = {
+  hazardous: { driverSkill: 'hazmat', vehicleCapability: 'hazmat' },
+  perishable: { vehicleCapability: 'refrigerated' },
+  ageVerification: { driverSkill: 'ageVerification' }
+};
+
+class QualificationService {
+  /**
+   * Requirements of a delivery: its package type for hazardous and perishable
+   * goods, and the age verification flag
+   */
+  deliveryRequirements(delivery) {
+    const type = delivery.packageDetails?.type;
+    return [
+      type === 'hazardous' && 'hazardous',
+      type === 'perishable' && 'perishable',
+      delivery.requirements?.ageVerification && 'ageVerification'
+    ].filter(Boolean);
+  }
+
+  /**
+   * Skills of a driver; certified skills count only until their expiry
+   * @param {Object} driver - User with skills
+   * @param {Date} onDate - Day the driver would work, defaults to now
+   */
+  driverSkills(driver, onDate) {
+    const day = onDate ? new Date(onDate) : new Date();
+    return (driver?.skills || [])
+      .filter(skill => !skill.certifiedUntil || new Date(skill.certifiedUntil) >= day)
+      .map(skill => skill.name);
+  }
+
+  vehicleCapabilities(vehicle) {
+    return VEHICLE_CAPABILITIES.filter(capability => vehicle?.capabilities?.[capability]);
+  }
+
+  /**
+   * Requirements a vehicle and its driver can serve together. Without a driver
+   * or vehicle that side is not checked
+   * @returns {Array} Requirement names
+   */
+  served(vehicle, driver, onDate) {
+    const skills = driver ? this.driverSkills(driver, onDate) : null;
+    const capabilities = vehicle ? this.vehicleCapabilities(vehicle) : null;
+
+    return Object.entries(REQUIREMENTS)
+      .filter(([, needs]) =>
+        (!needs.driverSkill || !skills || skills.includes(needs.driverSkill)) &&
+        (!needs.vehicleCapability || !capabilities || capabilities.includes(needs.vehicleCapability)))
+      .map(([requirement]) => requirement);
+  }
+
+  /**
+   * Deliveries the driver or vehicle is not qualified for
+   * @returns {Array} Violations in the shape of validation errors
+   */
+  checkRoute(deliveries, { vehicle, driver, date }) {
+    const skills = driver ? this.driverSkills(driver, date) : null;
+    const capabilities = vehicle ? this.vehicleCapabilities(vehicle) : null;
+    const violations = [];
+
+    deliveries.forEach(delivery => {
+      const label = delivery.trackingNumber || delivery._id;
+      this.deliveryRequirements(delivery).forEach(requirement => {
+        const { driverSkill, vehicleCapability } = REQUIREMENTS[requirement];
+        if (driverSkill && skills && !skills.includes(driverSkill)) {
+          violations.push({
+            field: 'driver',
+            deliveryId: delivery._id,
+            requirement,
+            message: `Delivery ${label} is ${requirement === 'ageVerification' ? 'age-restricted' : requirement} and needs a driver with the ${driverSkill} skill`
+          });
+        }
+        if (vehicleCapability && capabilities && !capabilities.includes(vehicleCapability)) {
+          violations.push({
+            field: 'vehicle.capabilities',
+            deliveryId: delivery._id,
+            requirement,
+            message: `Delivery ${label} is ${requirement} and needs a ${vehicleCapability} vehicle`
+          });
+        }
+      });
+    });
+
+    return violations;
+  }
+}
+
+module.exports = new QualificationService();
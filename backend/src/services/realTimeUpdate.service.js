@@ -3,10 +3,11 @@
  * Fetches and processes real-time traffic/weather updates for active routes
  */
 
-const { RoutePlan, RealTimeUpdate } = require('../models');
-const TomTomService = require('./tomtom.service');
+const { RoutePlan, RealTimeUpdate, CompanySettings } = require('../models');
+const RoutingService = require('./routing.service');
 const WeatherService = require('./weather.service');
 const AIRouteService = require('./aiRoute.service');
+const TimelineService = require('./timeline.service');
 const { logger } = require('../utils/logger');
 
 class RealTimeUpdateService {
@@ -63,10 +64,13 @@ class RealTimeUpdateService {
 
       // Fetch traffic data
       let trafficData = null;
+      let routing;
       try {
+        const settings = await CompanySettings.forCompany(route.companyId);
+        routing = settings.routing?.toObject();
         const [trafficFlow, incidents] = await Promise.all([
-          TomTomService.getTrafficAlongRoute(coordinates),
-          TomTomService.getTrafficIncidents(bbox.minLat, bbox.minLng, bbox.maxLat, bbox.maxLng)
+          RoutingService.trafficAlongRoute(coordinates, { settings: routing }),
+          RoutingService.incidents(bbox, { settings: routing })
         ]);
 
         trafficData = {
@@ -100,8 +104,24 @@ class RealTimeUpdateService {
         logger.warn(`Weather data fetch failed for route ${route._id}: ${error.message}`);
       }
 
+      // Traffic moves the remaining stops; the planned start and end times stay for comparison
+      let timeline = null;
+      if (trafficData) {
+        try {
+          timeline = await TimelineService.refresh(route, { routing, live: true });
+          if (timeline) {
+            await route.save();
+            await TimelineService.updateArrivals(timeline.route);
+          }
+        } catch (error) {
+          logger.warn(`Stop times could not be refreshed for route ${route._id}: ${error.message}`);
+        }
+      }
+
       // Calculate updated ETA
-      const updatedETA = this.calculateUpdatedETA(route, trafficData);
+      const updatedETA = timeline
+        ? this.timelineETA(route, timeline)
+        : this.calculateUpdatedETA(route, trafficData);
 
       // Determine if re-optimization is suggested
       const recalculation = this.shouldRecalculate(trafficData, weatherData, updatedETA);
@@ -224,6 +244,22 @@ class RealTimeUpdateService {
     };
   }
 
+  /**
+   * Updated ETA from re-timed stops, against the planned end of the route
+   */
+  timelineETA(route, timeline) {
+    // Routes without a planned end have nothing to be late against
+    const delayMinutes = route.endTime
+      ? Math.max(0, Math.round((timeline.endTime - new Date(route.endTime)) / 60000))
+      : 0;
+
+    return {
+      originalETA: route.endTime || route.scheduledDate,
+      currentETA: timeline.endTime,
+      delayMinutes
+    };
+  }
+
   /**
    * Determine if route should be recalculated
    */
@@ -286,7 +322,8 @@ class RealTimeUpdateService {
   }
 
   /**
-   * Manually trigger route re-optimization
+   * Manually trigger route re-optimization; a new plan is stored on the route
+   * as a proposal for POST /api/routes/:id/reoptimize/apply
    */
   async triggerReoptimization(routeId) {
     const route = await RoutePlan.findById(routeId).populate('deliveries');
@@ -298,17 +335,53 @@ class RealTimeUpdateService {
     // Get latest conditions
     const latestUpdate = await this.getLatestUpdate(routeId);
 
+    // Only the rest of the driver's shift is available once the route has started
+    const settings = await CompanySettings.forCompany(route.companyId);
+    const hoursOfService = settings.hoursOfService.toObject();
+    if (route.actualStartTime) {
+      const elapsed = (Date.now() - route.actualStartTime.getTime()) / 60000;
+      hoursOfService.maxShiftMinutes = Math.max(0, hoursOfService.maxShiftMinutes - elapsed);
+    }
+
     // Re-optimize using AI service
     const result = await AIRouteService.reoptimizeRoute(route, {
       trafficUpdate: latestUpdate?.trafficData,
       weatherUpdate: latestUpdate?.weatherData,
       completedDeliveries: route.deliveries
         .filter(d => d.status === 'delivered')
-        .map(d => d._id.toString())
+        .map(d => d._id.toString()),
+      hoursOfService,
+      costProfile: settings.costProfile?.toObject(),
+      emissionFactors: settings.emissionFactors?.toObject(),
+      llm: settings.llm?.toObject(),
+      routing: settings.routing?.toObject()
     });
 
+    // Kept as a proposal until a dispatcher applies it
+    route.reoptimization = result.reoptimizationNeeded ? this.storedProposal(result) : undefined;
+    await route.save();
+
     return result;
   }
+
+  /**
+   * Stored form of a re-optimization proposal: the new plan of the remaining stops
+   * and how it changes the whole route's distance and duration
+   */
+  storedProposal({ newRoute, reason, distanceChange, durationChange }) {
+    const metrics = newRoute.estimatedMetrics;
+    return {
+      reason,
+      proposedAt: new Date(),
+      deliveries: newRoute.deliveries.map(d => d._id),
+      route: newRoute.route,
+      endTime: newRoute.endTime,
+      distanceChange,
+      durationChange,
+      timeWindowViolations: metrics.timeWindowViolations,
+      lateMinutes: metrics.lateMinutes
+    };
+  }
 }
 
 module.exports = new RealTimeUpdateService();
@@ -0,0 +1,124 @@
+/**
+ * Recurrence Service
+ * The RRULE subset route templates repeat by: FREQ=DAILY|WEEKLY|MONTHLY with
+ * INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL. Occurrences are whole UTC days
+ */
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+class RecurrenceService {
+  /**
+   * Parse a rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+   * @returns {Object} { freq, interval, byDay, byMonthDay, count, until }
+   * @throws {Error} For parts outside the supported subset
+   */
+  parse(rule) {
+    const parts = {};
+    String(rule || '').replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined) throw new Error(`Invalid rule part "${part}"`);
+      parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+    const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+    if (unsupported.length > 0) throw new Error(`Unsupported rule parts: ${unsupported.join(', ')}`);
+    if (!FREQUENCIES.includes(parts.FREQ)) throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+    if (!(interval >= 1)) throw new Error('INTERVAL must be a positive whole number');
+
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(day => {
+      const index = WEEKDAYS.indexOf(day);
+      if (index === -1) throw new Error(`Invalid BYDAY "${day}"`);
+      return index;
+    }) : null;
+
+    const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(day => {
+      const value = parseInt(day, 10);
+      if (!value || value < -31 || value > 31) throw new Error(`Invalid BYMONTHDAY "${day}"`);
+      return value;
+    }) : null;
+
+    const count = parts.COUNT ? parseInt(parts.COUNT, 10) : null;
+    if (parts.COUNT && !(count >= 1)) throw new Error('COUNT must be a positive whole number');
+
+    let until = null;
+    if (parts.UNTIL) {
+      const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+      if (!match) throw new Error('UNTIL must be a date such as 20261231');
+      until = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    return { freq: parts.FREQ, interval, byDay, byMonthDay, count, until };
+  }
+
+  /**
+   * Start of the UTC day of a date
+   */
+  dayOf(date) {
+    const d = new Date(date);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+
+  /**
+   * Whether a day matches the rule, not counting COUNT and UNTIL
+   */
+  matches(rule, start, day) {
+    const date = new Date(day);
+    const first = new Date(start);
+
+    if (rule.freq === 'DAILY') {
+      return Math.round((day - start) / DAY_MS) % rule.interval === 0 &&
+        (!rule.byDay || rule.byDay.includes(date.getUTCDay()));
+    }
+
+    if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday
+      const weekStart = value => value - ((new Date(value).getUTCDay() + 6) % 7) * DAY_MS;
+      const weeks = Math.round((weekStart(day) - weekStart(start)) / (7 * DAY_MS));
+      return weeks % rule.interval === 0 &&
+        (rule.byDay || [first.getUTCDay()]).includes(date.getUTCDay());
+    }
+
+    const months = (date.getUTCFullYear() - first.getUTCFullYear()) * 12 + date.getUTCMonth() - first.getUTCMonth();
+    if (months % rule.interval !== 0) return false;
+    if (rule.byMonthDay) {
+      const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      return rule.byMonthDay.some(monthDay =>
+        (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === date.getUTCDate());
+    }
+    if (rule.byDay) return rule.byDay.includes(date.getUTCDay());
+    return date.getUTCDate() === first.getUTCDate();
+  }
+
+  /**
+   * Days a rule falls on between two dates, inclusive
+   * @param {string} rule - RRULE string
+   * @param {Date} startDate - First day of the series (DTSTART)
+   * @param {Date} from - First day wanted
+   * @param {Date} to - Last day wanted
+   * @returns {Array} Dates at the start of each UTC day
+   */
+  occurrences(rule, startDate, from, to) {
+    const parsed = this.parse(rule);
+    const start = this.dayOf(startDate);
+    const first = Math.max(start, this.dayOf(from));
+    const last = Math.min(this.dayOf(to), parsed.until ?? Infinity);
+    const days = [];
+    let counted = 0;
+
+    // COUNT is counted from the start of the series, so earlier days are walked too
+    for (let day = parsed.count ? start : first; day <= last; day += DAY_MS) {
+      if (!this.matches(parsed, start, day)) continue;
+      counted++;
+      if (parsed.count && counted > parsed.count) break;
+      if (day >= first) days.push(new Date(day));
+    }
+
+    return days;
+  }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,1340 @@
+/**
+ * Route Solver Service
+ * Deterministic vehicle routing with time windows (VRPTW) and pickup/drop-off pairs.
+ * Builds a sequence with a time-window aware insertion heuristic and
+ * improves it with relocate, or-opt and 2-opt moves over a distance/time matrix.
+ * Driver breaks are scheduled while simulating, so they push later arrivals back.
+ * Dispatcher sequence constraints (pinned positions, groups kept back-to-back and
+ * before/after rules) are charged like broken pickup/drop-off pairs.
+ * Routes may start at a chosen depot and end back there, at another point, or
+ * at their last stop.
+ * Electric vehicles track their battery along the route and detour to one of their
+ * chargers before a leg would run it below the reserve.
+ */
+
+const { haversineDistance } = require('../utils/geo');
+const CapacityService = require('./capacity.service');
+const CostService = require('./cost.service');
+const EmissionsService = require('./emissions.service');
+const QualificationService = require('./qualification.service');
+
+const MINUTE_MS = 60000;
+const AVERAGE_SPEED_KMH = 40;
+const EPSILON = 1e-6;
+
+// Objective units charged per minute a stop is served after its window closes,
+// or a route runs past the maximum shift length
+const LATENESS_PENALTY = 1000;
+// Objective units charged per percent of weight or volume capacity exceeded
+const CAPACITY_PENALTY = 1000;
+// Objective units charged per pickup/drop-off pair that is split or out of order
+const PAIRING_PENALTY = 100000;
+// Objective units charged per position a pinned stop is off, stop splitting a group,
+// or before/after rule broken
+const CONSTRAINT_PENALTY = 100000;
+// Small pull towards serving high-priority stops early when windows allow it
+const PRIORITY_DELAY_WEIGHT = 0.01;
+// Fleet objective weight on the longest route, keeps vehicles evenly loaded
+const MAKESPAN_WEIGHT = 0.5;
+// Objective units per unit of workload gap between the busiest and the idlest
+// vehicle, before the request's balancing weight: a stop counts as half an hour
+const BALANCE_SCALES = { stops: 30, duration: 1, drivingTime: 1, revenue: 1 };
+// Objective units charged per kWh an electric vehicle is short of finishing its route
+const RANGE_PENALTY = 10000;
+
+// Electric vehicles without their own consumption figure draw this much per km
+const DEFAULT_KWH_PER_KM = 0.2;
+// Share of the battery kept in hand; a leg that would dip below it goes via a charger
+const BATTERY_RESERVE = 0.1;
+const DEFAULT_CHARGER_KW = 50;
+
+const LOAD_DIMENSIONS = ['weight', 'volume'];
+const EMPTY_LOAD = { weight: 0, volume: 0 };
+
+const PRIORITY_WEIGHTS = { urgent: 4, high: 2, normal: 1, low: 0.5 };
+
+// 'cost' minimizes the money a route costs under the vehicle's cost rates
+const OBJECTIVE_WEIGHTS = {
+  time: { distance: 0, duration: 1, cost: 0 },
+  distance: { distance: 1, duration: 0, cost: 0 },
+  cost: { distance: 0, duration: 0, cost: 1 },
+  balanced: { distance: 1, duration: 0.5, cost: 0 }
+};
+
+class RouteSolverService {
+  constructor() {
+    this.maxPasses = 100;
+    this.maxSegmentLength = 3;
+  }
+
+  /**
+   * Coordinates of the problem nodes: the start, each delivery, the end (if any),
+   * then the candidate depots and the vehicles' own starts, ends and chargers
+   */
+  problemLocations(params) {
+    return this.layoutNodes(params).locations;
+  }
+
+  layoutNodes(params) {
+    const { deliveries, startLocation, endLocation, depots = [] } = params;
+    // Plain copies, as document arrays cannot be passed to the solver thread
+    const copy = point => (point ? [...point] : point);
+    const origin = copy(startLocation?.coordinates || depots[0]?.coordinates);
+    const coordinates = deliveries.map(delivery => copy(delivery.location?.coordinates) || origin || [0, 0]);
+
+    const locations = [origin || coordinates[0] || [0, 0], ...coordinates];
+    const add = point => locations.push(copy(point)) - 1;
+
+    const endNode = endLocation?.coordinates ? add(endLocation.coordinates) : null;
+    const depotNodes = depots.map(depot => ({ id: String(depot.id), node: add(depot.coordinates) }));
+    const vehicleNodes = (params.vehicles?.length ? params.vehicles : [{}]).map(vehicle => ({
+      startNode: vehicle.startLocation?.coordinates ? add(vehicle.startLocation.coordinates) : null,
+      endNode: vehicle.endLocation?.coordinates ? add(vehicle.endLocation.coordinates) : null,
+      chargers: (vehicle.chargers || [])
+        .filter(charger => charger.coordinates?.length)
+        .map(charger => ({
+          node: add(charger.coordinates),
+          name: charger.name,
+          powerKw: charger.powerKw || DEFAULT_CHARGER_KW
+        }))
+    }));
+
+    return { locations, endNode, depotNodes, vehicleNodes };
+  }
+
+  /**
+   * Build a routing problem from delivery documents
+   * Node 0 is the start, nodes 1..n are the stops and node n+1 the end (if any).
+   * params.matrix may carry travel tables for problemLocations(params); otherwise
+   * straight-line distances are used. params.sequenceConstraints refer to delivery ids;
+   * constraints on deliveries outside the problem are ignored.
+   * Without a startLocation, vehicles choose among params.depots ({ id, coordinates });
+   * params.returnToStart ends each route where it started.
+   * Routes are priced with params.costProfile (CompanySettings.costProfile) when given.
+   * Vehicles with a serves list (QualificationService.served) only take stops whose
+   * requirements are all on it, and vehicles with a zones list only stops in those
+   * zones. With params.zoneClustering no route mixes stops of different zones
+   */
+  buildProblem(params) {
+    const { deliveries, departureTime, optimizationPriority, hoursOfService, sequenceConstraints, returnToStart } = params;
+    const { locations, endNode, depotNodes, vehicleNodes } = this.layoutNodes(params);
+
+    const stops = deliveries.map((delivery, index) => {
+      const d = delivery.toObject ? delivery.toObject() : delivery;
+      return {
+        index,
+        node: index + 1,
+        id: d._id?.toString(),
+        name: d.customer?.name,
+        type: d.stopType || 'dropoff',
+        pairedId: d.pairedDeliveryId?.toString(),
+        coordinates: locations[index + 1],
+        earliest: d.timeWindow?.earliest ? new Date(d.timeWindow.earliest).getTime() : -Infinity,
+        latest: d.timeWindow?.latest ? new Date(d.timeWindow.latest).getTime() : Infinity,
+        serviceTime: d.serviceTime || 10,
+        priority: d.priority || 'normal',
+        demand: CapacityService.deliveryLoad(d),
+        requires: QualificationService.deliveryRequirements(d),
+        zone: d.zoneId ? d.zoneId.toString() : null,
+        revenue: d.revenue || 0
+      };
+    });
+    this.linkPairs(stops);
+
+    // Vehicles choosing a depot start spread over the depots until the solver moves them
+    const vehicles = (params.vehicles?.length ? params.vehicles : [{}]).map((vehicle, index) => {
+      const own = vehicleNodes[index];
+      const choosesDepot = own.startNode === null && depotNodes.length > 0 && !params.startLocation?.coordinates;
+      const startNode = own.startNode ?? (choosesDepot ? depotNodes[index % depotNodes.length].node : 0);
+      const returnsToStart = own.endNode === null && Boolean(returnToStart);
+
+      return {
+        index,
+        startNode,
+        endNode: own.endNode ?? (returnsToStart ? startNode : endNode),
+        choosesDepot,
+        returnsToStart,
+        capacity: CapacityService.vehicleCapacity(vehicle),
+        energy: this.vehicleEnergy(vehicle, own.chargers),
+        serves: vehicle.serves || null,
+        zones: vehicle.zones || null,
+        rates: CostService.ratesFor(params.costProfile, {
+          type: vehicle.type || params.vehicleType,
+          licensePlate: vehicle.licensePlate
+        }),
+        emissions: EmissionsService.profileFor(params.emissionFactors, {
+          type: vehicle.type || params.vehicleType,
+          fuelType: vehicle.fuelType
+        })
+      };
+    });
+
+    const problem = {
+      stops,
+      vehicles,
+      startNode: vehicles[0].startNode,
+      endNode: vehicles[0].endNode,
+      depots: depotNodes,
+      locations,
+      hoursOfService: hoursOfService && hoursOfService.enabled !== false ? {
+        maxShiftMinutes: hoursOfService.maxShiftMinutes,
+        maxContinuousDrivingMinutes: hoursOfService.maxContinuousDrivingMinutes,
+        breakMinutes: hoursOfService.breakMinutes
+      } : null,
+      matrix: params.matrix || this.buildMatrix(locations),
+      constraints: this.resolveConstraints(sequenceConstraints, stops.map(stop => stop.id)),
+      zoneClustering: Boolean(params.zoneClustering),
+      balancing: this.balancing(params.balancing),
+      objective: this.objectiveWeights(optimizationPriority)
+    };
+
+    problem.fixedDeparture = Boolean(departureTime);
+    problem.departureTime = departureTime
+      ? new Date(departureTime).getTime()
+      : this.defaultDepartureTime(problem);
+
+    return problem;
+  }
+
+  /**
+   * Battery of an electric vehicle, or null for liquid fuel. Without a battery
+   * capacity the energy used is still measured, but range is not limited
+   */
+  vehicleEnergy(vehicle, chargers) {
+    if (vehicle.fuelType !== 'electric') return null;
+
+    return {
+      capacity: Number.isFinite(vehicle.batteryCapacity) && vehicle.batteryCapacity > 0 ? vehicle.batteryCapacity : null,
+      perKm: vehicle.consumptionPerKm || DEFAULT_KWH_PER_KM,
+      chargers
+    };
+  }
+
+  /**
+   * Start a single-vehicle problem from whichever candidate depot gives the best route
+   * @returns {Object} The problem with its vehicle at that depot
+   */
+  chooseDepot(problem) {
+    if (!problem.vehicles[0].choosesDepot || problem.depots.length < 2) return problem;
+
+    let best = null;
+    for (const depot of problem.depots) {
+      const candidate = this.atDepot(problem, depot);
+      const { cost } = this.solve(candidate);
+      if (!best || cost < best.cost - EPSILON) best = { problem: candidate, cost };
+    }
+    return best.problem;
+  }
+
+  atDepot(problem, depot) {
+    const [vehicle, ...others] = problem.vehicles;
+    const moved = this.vehicleAtDepot(vehicle, depot);
+    const result = { ...problem, vehicles: [moved, ...others], startNode: moved.startNode, endNode: moved.endNode };
+    if (!problem.fixedDeparture) result.departureTime = this.defaultDepartureTime(result);
+    return result;
+  }
+
+  vehicleAtDepot(vehicle, depot) {
+    return {
+      ...vehicle,
+      startNode: depot.node,
+      endNode: vehicle.returnsToStart ? depot.node : vehicle.endNode
+    };
+  }
+
+  /**
+   * Where a vehicle or simulated route starts and ends, with the depot ids of those points
+   */
+  routeEnds(problem, route) {
+    const point = node => (node === null ? null : {
+      coordinates: problem.locations[node],
+      depotId: problem.depots.find(depot => depot.node === node)?.id || null
+    });
+    return { start: point(route.startNode), end: point(route.endNode) };
+  }
+
+  /**
+   * Workload balancing of a fleet: the metric evened out across vehicles and
+   * the weight of the gap in the objective; null when not balancing
+   */
+  balancing(params) {
+    if (!params?.metric || !BALANCE_SCALES[params.metric] || params.weight === 0) return null;
+    return { metric: params.metric, weight: params.weight ?? 1 };
+  }
+
+  /**
+   * Distance and duration weights of an optimization priority
+   */
+  objectiveWeights(optimizationPriority) {
+    return OBJECTIVE_WEIGHTS[optimizationPriority] || OBJECTIVE_WEIGHTS.balanced;
+  }
+
+  /**
+   * Translate sequence constraints on delivery ids into stop indices
+   * pin: { deliveryId, position } (1-based), group: { deliveryIds },
+   * before / after: { deliveryId, otherDeliveryId }
+   * @param {Array} constraints - Sequence constraints
+   * @param {Array} ids - Delivery id of each stop index
+   * @returns {Object} { pins, groups, precedences, unknown } - unknown lists ids that are not stops
+   */
+  resolveConstraints(constraints, ids) {
+    const indexOf = new Map(ids.map((id, index) => [String(id), index]));
+    const resolved = { pins: [], groups: [], precedences: [], unknown: [] };
+    const lookup = (id) => {
+      const index = indexOf.get(String(id));
+      if (index === undefined) resolved.unknown.push(String(id));
+      return index;
+    };
+
+    for (const constraint of constraints || []) {
+      if (constraint.type === 'pin') {
+        const stopIndex = lookup(constraint.deliveryId);
+        if (stopIndex !== undefined) resolved.pins.push({ stopIndex, position: constraint.position - 1 });
+      } else if (constraint.type === 'group') {
+        const members = (constraint.deliveryIds || []).map(lookup).filter(index => index !== undefined);
+        if (members.length > 1) resolved.groups.push(members);
+      } else if (constraint.type === 'before' || constraint.type === 'after') {
+        const stop = lookup(constraint.deliveryId);
+        const other = lookup(constraint.otherDeliveryId);
+        if (stop !== undefined && other !== undefined) {
+          resolved.precedences.push(constraint.type === 'before' ? [stop, other] : [other, stop]);
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Sequence constraints a sequence breaks, each with how far off it is
+   * While a sequence is being built, a stop pinned beyond its end belongs last
+   */
+  constraintViolations(constraints, sequence) {
+    if (!constraints) return [];
+    const positions = new Map(sequence.map((stopIndex, position) => [stopIndex, position]));
+    const violations = [];
+
+    for (const pin of constraints.pins) {
+      const position = positions.get(pin.stopIndex);
+      const target = Math.min(pin.position, sequence.length - 1);
+      if (position !== undefined && position !== target) {
+        violations.push({ type: 'pin', stops: [pin.stopIndex], position: pin.position, amount: Math.abs(position - target) });
+      }
+    }
+
+    for (const group of constraints.groups) {
+      const present = group.map(stopIndex => positions.get(stopIndex)).filter(position => position !== undefined);
+      const gaps = present.length > 1 ? Math.max(...present) - Math.min(...present) + 1 - present.length : 0;
+      if (gaps > 0) violations.push({ type: 'group', stops: group, amount: gaps });
+    }
+
+    for (const [first, second] of constraints.precedences) {
+      if (positions.get(first) > positions.get(second)) {
+        violations.push({ type: 'order', stops: [first, second], amount: 1 });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Dispatcher-facing message for a broken sequence constraint
+   * @param {Object} violation - Entry of constraintViolations()
+   * @param {Array} names - Name of each stop index
+   */
+  describeConstraintViolation(violation, names) {
+    const [first, second] = violation.stops.map(index => names[index] || `Stop ${index + 1}`);
+
+    switch (violation.type) {
+      case 'pin':
+        return `${first} is not at its pinned position ${violation.position + 1}`;
+      case 'group':
+        return `${violation.stops.map(index => names[index] || `Stop ${index + 1}`).join(', ')} are not back-to-back`;
+      default:
+        return `${first} does not come before ${second}`;
+    }
+  }
+
+  /**
+   * Resolve pickup/drop-off pairs present in the problem; a linked drop-off
+   * unloads what its pickup loaded
+   */
+  linkPairs(stops) {
+    const byId = new Map(stops.map(stop => [stop.id, stop]));
+
+    stops.forEach(stop => {
+      const partner = stop.pairedId ? byId.get(stop.pairedId) : null;
+      stop.pairIndex = partner && partner.type !== stop.type ? partner.index : null;
+    });
+
+    stops
+      .filter(stop => stop.type === 'dropoff' && stop.pairIndex !== null)
+      .forEach(stop => { stop.demand = stops[stop.pairIndex].demand; });
+  }
+
+  /**
+   * Stops that must be inserted together: [pickup, dropoff] pairs or single stops,
+   * in construction order
+   */
+  constructionUnits(problem) {
+    const seen = new Set();
+    const units = [];
+
+    for (const stop of this.constructionOrder(problem)) {
+      if (seen.has(stop.index)) continue;
+      const unit = stop.pairIndex === null
+        ? [stop.index]
+        : stop.type === 'pickup' ? [stop.index, stop.pairIndex] : [stop.pairIndex, stop.index];
+      unit.forEach(index => seen.add(index));
+      units.push(unit);
+    }
+
+    return units;
+  }
+
+  /**
+   * Every way to insert a unit into a sequence, keeping a pickup before its drop-off
+   */
+  insertions(sequence, unit) {
+    const candidates = [];
+
+    for (let i = 0; i <= sequence.length; i++) {
+      if (unit.length === 1) {
+        candidates.push([...sequence.slice(0, i), unit[0], ...sequence.slice(i)]);
+        continue;
+      }
+      for (let j = i; j <= sequence.length; j++) {
+        candidates.push([
+          ...sequence.slice(0, i), unit[0], ...sequence.slice(i, j), unit[1], ...sequence.slice(j)
+        ]);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Build N×N distance (km) and duration (minutes) tables
+   */
+  buildMatrix(locations, speedKmh = AVERAGE_SPEED_KMH) {
+    const distances = locations.map(from => locations.map(to => haversineDistance(from, to)));
+    const durations = distances.map(row => row.map(km => (km / speedKmh) * 60));
+    return { distances, durations };
+  }
+
+  /**
+   * Leave just in time to reach the earliest-opening window
+   */
+  defaultDepartureTime(problem) {
+    const { stops, matrix, startNode } = problem;
+    const candidates = stops
+      .filter(stop => Number.isFinite(stop.earliest))
+      .map(stop => stop.earliest - matrix.durations[startNode][stop.node] * MINUTE_MS);
+
+    return candidates.length > 0 ? Math.min(...candidates) : Date.now();
+  }
+
+  /**
+   * Solve for a single vehicle; every stop is routed and violations are reported
+   */
+  solve(problem) {
+    const vehicle = problem.vehicles[0];
+
+    if (problem.stops.length === 0) {
+      return { sequence: [], cost: 0, schedule: this.simulate(problem, [], vehicle) };
+    }
+
+    const initial = this.construct(problem, vehicle);
+    const { sequence, cost } = this.improve(problem, initial, vehicle);
+
+    return { sequence, cost, schedule: this.simulate(problem, sequence, vehicle) };
+  }
+
+  /**
+   * Compare a proposed sequence with the problem's stops: every stop exactly once
+   */
+  checkSequence(problem, sequence) {
+    const seen = new Set();
+    const invalid = [];
+    const duplicates = [];
+
+    for (const index of sequence) {
+      if (!Number.isInteger(index) || index < 0 || index >= problem.stops.length) {
+        invalid.push(index);
+      } else if (seen.has(index)) {
+        duplicates.push(index);
+      } else {
+        seen.add(index);
+      }
+    }
+
+    const missing = problem.stops.map(stop => stop.index).filter(index => !seen.has(index));
+
+    return {
+      complete: invalid.length === 0 && duplicates.length === 0 && missing.length === 0,
+      invalid,
+      duplicates,
+      missing
+    };
+  }
+
+  /**
+   * Turn a proposed sequence into a valid route: unknown and repeated stops are
+   * dropped, missing stops and out-of-order pickup/drop-off pairs are reinserted at
+   * their cheapest positions, and if hard constraints are still broken the local
+   * search runs from there
+   */
+  repair(problem, sequence, vehicle = problem.vehicles[0]) {
+    const check = this.checkSequence(problem, sequence);
+    const seen = new Set();
+    let current = sequence.filter(index => {
+      if (check.invalid.includes(index) || seen.has(index)) return false;
+      seen.add(index);
+      return true;
+    });
+
+    // Pairs with a member missing or the drop-off first are placed again as a unit
+    const reordered = [];
+    const reinsert = this.constructionUnits(problem).filter(unit => {
+      if (unit.length === 1) return !seen.has(unit[0]);
+      const [pickup, dropoff] = unit.map(index => current.indexOf(index));
+      const broken = pickup === -1 || dropoff === -1 || pickup > dropoff;
+      if (broken && pickup !== -1 && dropoff !== -1) reordered.push(unit);
+      return broken;
+    });
+    const placed = new Set(reinsert.flat());
+    current = current.filter(index => !placed.has(index));
+
+    for (const unit of reinsert) {
+      let best = null;
+      for (const candidate of this.insertions(current, unit)) {
+        const cost = this.evaluate(problem, candidate, vehicle);
+        if (!best || cost < best.cost - EPSILON) best = { sequence: candidate, cost };
+      }
+      current = best.sequence;
+    }
+
+    let schedule = this.simulate(problem, current, vehicle);
+    const violated = !this.isRouteFeasible({ schedule });
+    if (violated && current.length > 1) {
+      current = this.improve(problem, current, vehicle).sequence;
+      schedule = this.simulate(problem, current, vehicle);
+    }
+
+    return {
+      sequence: current,
+      cost: this.score(problem, schedule),
+      schedule,
+      check,
+      reorderedPairs: reordered,
+      searched: violated,
+      changed: current.length !== sequence.length || current.some((index, position) => index !== sequence[position])
+    };
+  }
+
+  /**
+   * Split stops across all vehicles of the problem
+   * Capacity and time windows are hard constraints; stops that fit nowhere
+   * are returned as unassigned with the reason
+   */
+  solveFleet(problem) {
+    const routes = problem.vehicles.map(vehicle => this.routeState(problem, [], vehicle));
+    const unassigned = [];
+
+    for (const unit of this.constructionUnits(problem)) {
+      const insertion = this.bestFleetInsertion(problem, routes, unit);
+      if (insertion.route) {
+        routes[insertion.route.vehicle.index] = insertion.route;
+      } else {
+        unit.forEach(stopIndex => unassigned.push({ stopIndex, reason: insertion.reason }));
+      }
+    }
+
+    this.improveFleet(problem, routes);
+    if (this.moveToBestDepots(problem, routes)) this.improveFleet(problem, routes);
+
+    return this.fleetSolution(problem, routes, unassigned);
+  }
+
+  /**
+   * Improve each route and move stops between routes until nothing improves
+   */
+  improveFleet(problem, routes) {
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      let improved = false;
+
+      routes.forEach((route, index) => {
+        if (route.sequence.length < 2) return;
+        const result = this.improve(problem, route.sequence, route.vehicle);
+        if (result.cost < route.cost - EPSILON) {
+          routes[index] = this.routeState(problem, result.sequence, route.vehicle);
+          improved = true;
+        }
+      });
+
+      const move = this.bestInterRouteRelocate(problem, routes);
+      if (move) {
+        move.forEach(route => { routes[route.vehicle.index] = route; });
+        improved = true;
+      }
+
+      if (!improved) break;
+    }
+  }
+
+  /**
+   * Move each route that may choose its depot to the one that serves its stops best
+   * @returns {boolean} Whether any route moved
+   */
+  moveToBestDepots(problem, routes) {
+    let moved = false;
+
+    routes.forEach((route, index) => {
+      if (!route.vehicle.choosesDepot || route.sequence.length === 0) return;
+
+      for (const depot of problem.depots) {
+        if (depot.node === routes[index].vehicle.startNode) continue;
+        const vehicle = this.vehicleAtDepot(route.vehicle, depot);
+        const candidate = this.routeState(problem, this.improve(problem, route.sequence, vehicle).sequence, vehicle);
+        if (this.isRouteFeasible(candidate) && candidate.cost < routes[index].cost - EPSILON) {
+          routes[index] = candidate;
+          moved = true;
+        }
+      }
+    });
+
+    return moved;
+  }
+
+  /**
+   * Results of a fleet solve
+   */
+  fleetSolution(problem, routes, unassigned) {
+    return {
+      routes: routes.map(route => ({
+        vehicle: route.vehicle,
+        sequence: route.sequence,
+        cost: route.cost,
+        schedule: route.schedule
+      })),
+      unassigned,
+      cost: this.fleetScore(problem, routes),
+      workload: this.workloadSpread(problem, routes)
+    };
+  }
+
+  routeState(problem, sequence, vehicle) {
+    const schedule = this.simulate(problem, sequence, vehicle);
+    return { vehicle, sequence, schedule, cost: this.score(problem, schedule) };
+  }
+
+  /**
+   * Sum of route objectives plus a pull towards an even finish time, and
+   * towards an even workload when the problem balances one
+   */
+  fleetScore(problem, routes) {
+    const total = routes.reduce((sum, route) => sum + route.cost, 0);
+    const makespan = Math.max(0, ...routes.map(route => route.sequence.length ? route.schedule.totalDuration : 0));
+    let score = total + MAKESPAN_WEIGHT * makespan;
+
+    if (problem.balancing && routes.length > 1) {
+      const { metric, weight } = problem.balancing;
+      const values = routes.map(route => this.workload(problem, route)[metric]);
+      score += weight * BALANCE_SCALES[metric] * (Math.max(...values) - Math.min(...values));
+    }
+
+    return score;
+  }
+
+  /**
+   * Work a route gives its driver; idle vehicles have none
+   * @returns {Object} { stops, duration, drivingTime (minutes), revenue }
+   */
+  workload(problem, route) {
+    if (route.sequence.length === 0) return { stops: 0, duration: 0, drivingTime: 0, revenue: 0 };
+    return {
+      stops: route.sequence.length,
+      duration: route.schedule.totalDuration,
+      drivingTime: route.schedule.drivingTime,
+      revenue: route.sequence.reduce((sum, stopIndex) => sum + problem.stops[stopIndex].revenue, 0)
+    };
+  }
+
+  /**
+   * Lowest and highest workload across all vehicles, idle ones included
+   * @returns {Object} Per metric { min, max, spread }
+   */
+  workloadSpread(problem, routes) {
+    const workloads = routes.map(route => this.workload(problem, route));
+
+    return Object.keys(BALANCE_SCALES).reduce((spread, metric) => {
+      const values = workloads.map(workload => workload[metric]);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return { ...spread, [metric]: { min, max, spread: max - min } };
+    }, {});
+  }
+
+  /**
+   * A route may take part in a fleet plan only if it is on time, within capacity,
+   * battery range and the driver's shift, keeps its pickup/drop-off pairs together
+   * and in order, and honours the sequence constraints
+   */
+  isRouteFeasible(route) {
+    return route.schedule.lateStops === 0 &&
+      !route.schedule.overloaded &&
+      !route.schedule.outOfRange &&
+      route.schedule.shiftOverrun === 0 &&
+      route.schedule.pairingViolations === 0 &&
+      route.schedule.constraintViolations === 0;
+  }
+
+  /**
+   * Whether a demand fits on top of a load for every limited dimension
+   */
+  fits(load, demand, capacity) {
+    return LOAD_DIMENSIONS.every(key =>
+      capacity[key] === null || load[key] + demand[key] <= capacity[key] + EPSILON
+    );
+  }
+
+  /**
+   * Load above capacity per dimension
+   */
+  overload(load, capacity) {
+    return LOAD_DIMENSIONS.reduce((excess, key) => ({
+      ...excess,
+      [key]: capacity[key] !== null ? Math.max(0, load[key] - capacity[key]) : 0
+    }), {});
+  }
+
+  /**
+   * Whether a vehicle and its driver are qualified for every stop of a unit
+   */
+  canServe(problem, vehicle, unit) {
+    return !vehicle.serves || unit.every(stopIndex =>
+      problem.stops[stopIndex].requires.every(requirement => vehicle.serves.includes(requirement)));
+  }
+
+  /**
+   * Whether a unit may join a route: its zoned stops are in the vehicle's zones
+   * and, when clustering by zone, in the zone the route already serves.
+   * Stops outside every zone go anywhere
+   */
+  inZone(problem, route, unit) {
+    const zones = unit.map(stopIndex => problem.stops[stopIndex].zone).filter(Boolean);
+    if (route.vehicle.zones && !zones.every(zone => route.vehicle.zones.includes(zone))) return false;
+    if (!problem.zoneClustering) return true;
+
+    const routeZones = route.sequence.map(stopIndex => problem.stops[stopIndex].zone).filter(Boolean);
+    return new Set([...routeZones, ...zones]).size <= 1;
+  }
+
+  bestFleetInsertion(problem, routes, unit) {
+    const currentScore = this.fleetScore(problem, routes);
+    const { demand } = problem.stops[unit[0]];
+    const qualified = routes.filter(route => this.canServe(problem, route.vehicle, unit));
+    const candidates = qualified.filter(route => this.inZone(problem, route, unit));
+    let best = null;
+    let capacityBlocked = 0;
+    let rangeBlocked = 0;
+    let shiftBlocked = 0;
+
+    if (qualified.length === 0) return { reason: 'no_qualified_vehicle' };
+    if (candidates.length === 0) return { reason: 'no_vehicle_in_zone' };
+
+    for (const route of candidates) {
+      let fitsSomewhere = false;
+      let withinRangeSomewhere = false;
+      let withinShiftSomewhere = false;
+
+      for (const sequence of this.insertions(route.sequence, unit)) {
+        const candidate = this.routeState(problem, sequence, route.vehicle);
+        if (!candidate.schedule.overloaded) fitsSomewhere = true;
+        if (!candidate.schedule.outOfRange) withinRangeSomewhere = true;
+        if (candidate.schedule.shiftOverrun === 0) withinShiftSomewhere = true;
+        if (!this.isRouteFeasible(candidate)) continue;
+
+        const score = this.fleetScore(problem, routes.map(r => (r === route ? candidate : r)));
+        if (!best || score - currentScore < best.delta - EPSILON) {
+          best = { route: candidate, delta: score - currentScore };
+        }
+      }
+
+      if (!fitsSomewhere) capacityBlocked++;
+      else if (!withinRangeSomewhere) rangeBlocked++;
+      else if (!withinShiftSomewhere) shiftBlocked++;
+    }
+
+    if (best) return best;
+
+    if (candidates.every(route => !this.fits(EMPTY_LOAD, demand, route.vehicle.capacity))) {
+      return { reason: 'exceeds_vehicle_capacity' };
+    }
+    if (capacityBlocked === candidates.length) {
+      return { reason: 'insufficient_capacity' };
+    }
+    if (rangeBlocked > 0 && capacityBlocked + rangeBlocked === candidates.length) {
+      return { reason: 'exceeds_vehicle_range' };
+    }
+    if (capacityBlocked + rangeBlocked + shiftBlocked === candidates.length) {
+      return { reason: 'exceeds_shift_length' };
+    }
+    return { reason: 'time_window_conflict' };
+  }
+
+  /**
+   * Best feasible move of one stop, or one pickup/drop-off pair, from one route to another
+   */
+  bestInterRouteRelocate(problem, routes) {
+    const currentScore = this.fleetScore(problem, routes);
+    let best = null;
+
+    routes.forEach((fromRoute, fromIndex) => {
+      fromRoute.sequence.forEach(stopIndex => {
+        const stop = problem.stops[stopIndex];
+        if (stop.pairIndex !== null && stop.type === 'dropoff') return;
+        const unit = stop.pairIndex === null ? [stopIndex] : [stopIndex, stop.pairIndex];
+        const remaining = fromRoute.sequence.filter(index => !unit.includes(index));
+        const shrunk = this.routeState(problem, remaining, fromRoute.vehicle);
+
+        routes.forEach((toRoute, toIndex) => {
+          if (toIndex === fromIndex) return;
+          if (!this.fits(EMPTY_LOAD, stop.demand, toRoute.vehicle.capacity)) return;
+          if (!this.canServe(problem, toRoute.vehicle, unit)) return;
+          if (!this.inZone(problem, toRoute, unit)) return;
+
+          for (const sequence of this.insertions(toRoute.sequence, unit)) {
+            const grown = this.routeState(problem, sequence, toRoute.vehicle);
+            if (!this.isRouteFeasible(grown)) continue;
+
+            const score = this.fleetScore(problem, routes.map((r, i) => (i === fromIndex ? shrunk : i === toIndex ? grown : r)));
+            if (score < (best ? best.score : currentScore) - EPSILON) {
+              best = { score, routes: [shrunk, grown] };
+            }
+          }
+        });
+      });
+    });
+
+    return best ? best.routes : null;
+  }
+
+  /**
+   * Walk a sequence through the matrix, time windows and vehicle load
+   */
+  simulate(problem, sequence, vehicle = problem.vehicles[0]) {
+    const { stops, hoursOfService } = problem;
+    let node = vehicle.startNode;
+    // Driving clock shared with travel() so breaks and charging can be scheduled along the way
+    const clock = {
+      time: this.routeDepartureTime(problem, sequence, vehicle),
+      driving: 0,
+      drivingTime: 0,
+      breaks: [],
+      // Electric vehicles leave with a full battery
+      charge: vehicle.energy?.capacity ?? null,
+      energyUsed: 0,
+      fuelUsed: 0,
+      // Share of the weight capacity on board, raising consumption per km
+      loadRatio: 0,
+      rangeShortfall: 0,
+      charges: []
+    };
+    const startTime = clock.time;
+    let totalDistance = 0;
+    let totalWait = 0;
+    let totalLateness = 0;
+    let lateStops = 0;
+
+    // Drop-offs without their pickup on this route are loaded at the depot
+    const positions = new Map(sequence.map((stopIndex, position) => [stopIndex, position]));
+    let load = sequence
+      .map(stopIndex => stops[stopIndex])
+      .filter(stop => stop.type === 'dropoff' && !positions.has(stop.pairIndex))
+      .reduce((sum, stop) => this.addLoad(sum, stop.demand), EMPTY_LOAD);
+    let peakLoad = load;
+    let pairingViolations = 0;
+    clock.loadRatio = this.loadRatio(load, vehicle.capacity);
+
+    const timeline = sequence.map((stopIndex, position) => {
+      const stop = stops[stopIndex];
+      const { distance: travelDistance, duration: travelTime } = this.travel(problem, clock, vehicle, node, stop.node, position - 1);
+      const arrivalTime = clock.time;
+      const serviceStart = Math.max(arrivalTime, stop.earliest);
+      const waitTime = (serviceStart - arrivalTime) / MINUTE_MS;
+      const lateness = Math.max(0, (serviceStart - stop.latest) / MINUTE_MS);
+
+      // A wait as long as a break counts as one
+      if (hoursOfService && waitTime >= hoursOfService.breakMinutes) clock.driving = 0;
+
+      clock.time = serviceStart + stop.serviceTime * MINUTE_MS;
+      node = stop.node;
+      load = this.addLoad(load, stop.demand, stop.type === 'pickup' ? 1 : -1);
+      peakLoad = this.maxLoad(peakLoad, load);
+      clock.loadRatio = this.loadRatio(load, vehicle.capacity);
+      if (stop.pairIndex !== null && this.breaksPair(stop, position, positions)) pairingViolations++;
+      totalDistance += travelDistance;
+      totalWait += waitTime;
+      totalLateness += lateness;
+      if (lateness > 0) lateStops++;
+
+      return {
+        stopIndex,
+        position,
+        travelDistance,
+        travelTime,
+        arrivalTime,
+        serviceStart,
+        departureTime: clock.time,
+        waitTime,
+        lateness,
+        withinWindow: lateness === 0,
+        loadAfter: load
+      };
+    });
+
+    if (vehicle.endNode !== null) {
+      totalDistance += this.travel(problem, clock, vehicle, node, vehicle.endNode, sequence.length - 1).distance;
+    }
+
+    const overload = this.overload(peakLoad, vehicle.capacity);
+    const constraintViolations = this.constraintViolations(problem.constraints, sequence)
+      .reduce((sum, violation) => sum + violation.amount, 0);
+    const time = clock.time;
+    const shiftDuration = (time - startTime) / MINUTE_MS;
+    const shiftOverrun = hoursOfService ? Math.max(0, shiftDuration - hoursOfService.maxShiftMinutes) : 0;
+    const outOfRange = clock.rangeShortfall > EPSILON;
+    const overloaded = LOAD_DIMENSIONS.some(key => overload[key] > EPSILON);
+    const consumption = vehicle.energy ? { energy: clock.energyUsed } : { fuel: clock.fuelUsed };
+    const cost = CostService.estimate(vehicle.rates, { distance: totalDistance, duration: shiftDuration, ...consumption });
+
+    return {
+      stops: timeline,
+      startNode: vehicle.startNode,
+      endNode: vehicle.endNode,
+      startTime,
+      endTime: time,
+      totalDistance,
+      totalDuration: shiftDuration,
+      totalWait,
+      totalLateness,
+      lateStops,
+      peakLoad,
+      capacity: vehicle.capacity,
+      overload,
+      overloaded,
+      pairingViolations,
+      constraintViolations,
+      breaks: clock.breaks,
+      drivingTime: clock.drivingTime,
+      shiftOverrun,
+      electric: Boolean(vehicle.energy),
+      energyUsed: clock.energyUsed,
+      fuelUsed: vehicle.energy ? null : clock.fuelUsed,
+      co2: EmissionsService.co2(vehicle.emissions, consumption),
+      charges: clock.charges,
+      chargingTime: clock.charges.reduce((sum, entry) => sum + entry.duration, 0),
+      rangeShortfall: clock.rangeShortfall,
+      outOfRange,
+      rates: vehicle.rates,
+      cost,
+      feasible: lateStops === 0 && !overloaded && pairingViolations === 0 && shiftOverrun === 0 && constraintViolations === 0 && !outOfRange
+    };
+  }
+
+  /**
+   * Move the vehicle from one node to another. An electric vehicle that would
+   * arrive below its battery reserve first drives to the charger that adds the
+   * least detour among those it can still reach, and charges to full there
+   * @returns {Object} { distance, duration } driven, including any detour
+   */
+  travel(problem, clock, vehicle, fromNode, toNode, afterPosition) {
+    const { energy } = vehicle;
+
+    if (energy?.capacity) {
+      const need = problem.matrix.distances[fromNode][toNode] * this.perKm(vehicle, clock, energy.perKm);
+      const charger = clock.charge - need < energy.capacity * BATTERY_RESERVE - EPSILON
+        ? this.nearestCharger(problem, clock, vehicle, fromNode, toNode)
+        : null;
+
+      if (charger) {
+        const toCharger = this.leg(problem, clock, vehicle, fromNode, charger.node, afterPosition);
+        this.recharge(problem, clock, energy, charger, afterPosition);
+        const onward = this.leg(problem, clock, vehicle, charger.node, toNode, afterPosition);
+        return { distance: toCharger.distance + onward.distance, duration: toCharger.duration + onward.duration };
+      }
+    }
+
+    return this.leg(problem, clock, vehicle, fromNode, toNode, afterPosition);
+  }
+
+  /**
+   * Drive one matrix leg and draw its energy from the battery; whatever the battery
+   * cannot cover is recorded as a range shortfall. Vehicles on fuel count the litres
+   */
+  leg(problem, clock, vehicle, fromNode, toNode, afterPosition) {
+    const distance = problem.matrix.distances[fromNode][toNode];
+    const duration = problem.matrix.durations[fromNode][toNode];
+    this.drive(problem, clock, fromNode, toNode, duration, afterPosition);
+
+    if (!vehicle.energy) {
+      clock.fuelUsed += distance * this.perKm(vehicle, clock, vehicle.rates.fuelLitresPerKm);
+    } else {
+      const used = distance * this.perKm(vehicle, clock, vehicle.energy.perKm);
+      clock.energyUsed += used;
+      if (clock.charge !== null) {
+        clock.charge -= used;
+        if (clock.charge < 0) {
+          clock.rangeShortfall -= clock.charge;
+          clock.charge = 0;
+        }
+      }
+    }
+
+    return { distance, duration };
+  }
+
+  /**
+   * Reachable charger with the shortest detour between two nodes, preferring
+   * those from which a full battery covers the rest of the leg; null when none is in reach
+   */
+  nearestCharger(problem, clock, vehicle, fromNode, toNode) {
+    const { distances } = problem.matrix;
+    const { energy } = vehicle;
+    const usable = energy.capacity * (1 - BATTERY_RESERVE);
+    const perKm = this.perKm(vehicle, clock, energy.perKm);
+    let best = null;
+
+    for (const charger of energy.chargers) {
+      if (distances[fromNode][charger.node] * perKm > clock.charge + EPSILON) continue;
+
+      const onward = distances[charger.node][toNode] * perKm <= usable + EPSILON;
+      const detour = distances[fromNode][charger.node] + distances[charger.node][toNode];
+      if (!best || (onward && !best.onward) || (onward === best.onward && detour < best.detour - EPSILON)) {
+        best = { charger, onward, detour };
+      }
+    }
+
+    return best ? best.charger : null;
+  }
+
+  /**
+   * Fuel or energy per km at the load now on board
+   */
+  perKm(vehicle, clock, emptyPerKm) {
+    return emptyPerKm * EmissionsService.loadMultiplier(vehicle.emissions, clock.loadRatio);
+  }
+
+  /**
+   * Share of the weight capacity a load takes up; 0 without a weight capacity
+   */
+  loadRatio(load, capacity) {
+    return capacity.weight ? load.weight / capacity.weight : 0;
+  }
+
+  /**
+   * Charge to full; a charging stop as long as a break counts as one
+   */
+  recharge(problem, clock, energy, charger, afterPosition) {
+    const added = energy.capacity - clock.charge;
+    const duration = (added / charger.powerKw) * 60;
+
+    clock.charges.push({
+      afterPosition,
+      name: charger.name,
+      start: clock.time,
+      end: clock.time + duration * MINUTE_MS,
+      duration,
+      energy: added,
+      coordinates: problem.locations[charger.node]
+    });
+    clock.time += duration * MINUTE_MS;
+    clock.charge = energy.capacity;
+    if (problem.hoursOfService && duration >= problem.hoursOfService.breakMinutes) clock.driving = 0;
+  }
+
+  /**
+   * Advance the clock over one leg, taking a break whenever the next stretch would
+   * exceed the continuous driving limit. Breaks are taken before setting off when
+   * possible, otherwise on the road at the point the limit is reached
+   */
+  drive(problem, clock, fromNode, toNode, travelTime, afterPosition) {
+    const rules = problem.hoursOfService;
+    clock.drivingTime += travelTime;
+
+    if (!rules) {
+      clock.time += travelTime * MINUTE_MS;
+      return;
+    }
+
+    const limit = rules.maxContinuousDrivingMinutes;
+    let remaining = travelTime;
+
+    if (clock.driving > 0 && clock.driving + remaining > limit + EPSILON) {
+      this.takeBreak(problem, clock, problem.locations[fromNode], afterPosition, false);
+    }
+
+    while (remaining > limit - clock.driving + EPSILON) {
+      const stretch = limit - clock.driving;
+      clock.time += stretch * MINUTE_MS;
+      remaining -= stretch;
+      const from = problem.locations[fromNode];
+      const to = problem.locations[toNode];
+      const progress = 1 - remaining / travelTime;
+      const coordinates = [from[0] + (to[0] - from[0]) * progress, from[1] + (to[1] - from[1]) * progress];
+      this.takeBreak(problem, clock, coordinates, afterPosition, true);
+    }
+
+    clock.time += remaining * MINUTE_MS;
+    clock.driving += remaining;
+  }
+
+  takeBreak(problem, clock, coordinates, afterPosition, enRoute) {
+    const duration = problem.hoursOfService.breakMinutes;
+    clock.breaks.push({
+      afterPosition,
+      start: clock.time,
+      end: clock.time + duration * MINUTE_MS,
+      duration,
+      coordinates,
+      enRoute
+    });
+    clock.time += duration * MINUTE_MS;
+    clock.driving = 0;
+  }
+
+  /**
+   * A pickup needs its drop-off later on the same route, a drop-off its pickup earlier
+   */
+  breaksPair(stop, position, positions) {
+    const partnerPosition = positions.get(stop.pairIndex);
+    if (partnerPosition === undefined) return true;
+    return stop.type === 'dropoff' && partnerPosition > position;
+  }
+
+  maxLoad(a, b) {
+    return { weight: Math.max(a.weight, b.weight), volume: Math.max(a.volume, b.volume) };
+  }
+
+  addLoad(load, demand, sign = 1) {
+    return { weight: load.weight + sign * demand.weight, volume: load.volume + sign * demand.volume };
+  }
+
+  /**
+   * Hold the vehicle at the depot rather than waiting at the first stop
+   */
+  routeDepartureTime(problem, sequence, vehicle) {
+    if (sequence.length === 0) return problem.departureTime;
+    const first = problem.stops[sequence[0]];
+    const justInTime = first.earliest - problem.matrix.durations[vehicle.startNode][first.node] * MINUTE_MS;
+    return Math.max(problem.departureTime, justInTime);
+  }
+
+  /**
+   * Objective value of a simulated sequence (lower is better)
+   */
+  score(problem, schedule) {
+    const weights = problem.objective;
+    let score = weights.distance * schedule.totalDistance + weights.duration * schedule.totalDuration +
+      weights.cost * schedule.cost.total;
+
+    for (const entry of schedule.stops) {
+      const priorityWeight = PRIORITY_WEIGHTS[problem.stops[entry.stopIndex].priority] || 1;
+      const delay = (entry.serviceStart - schedule.startTime) / MINUTE_MS;
+      score += entry.lateness * LATENESS_PENALTY * priorityWeight;
+      score += delay * PRIORITY_DELAY_WEIGHT * priorityWeight;
+    }
+
+    score += schedule.pairingViolations * PAIRING_PENALTY;
+    score += schedule.constraintViolations * CONSTRAINT_PENALTY;
+    score += schedule.shiftOverrun * LATENESS_PENALTY;
+    score += schedule.rangeShortfall * RANGE_PENALTY;
+
+    for (const key of LOAD_DIMENSIONS) {
+      const capacity = schedule.capacity[key];
+      if (schedule.overload[key] > 0) {
+        score += (schedule.overload[key] / (capacity || EPSILON)) * 100 * CAPACITY_PENALTY;
+      }
+    }
+
+    return score;
+  }
+
+  evaluate(problem, sequence, vehicle) {
+    return this.score(problem, this.simulate(problem, sequence, vehicle));
+  }
+
+  /**
+   * Tightest deadlines first, then higher priority
+   */
+  constructionOrder(problem) {
+    return [...problem.stops].sort((a, b) =>
+      (a.latest - b.latest) ||
+      ((PRIORITY_WEIGHTS[b.priority] || 1) - (PRIORITY_WEIGHTS[a.priority] || 1)) ||
+      (a.index - b.index)
+    );
+  }
+
+  /**
+   * Cheapest insertion in construction order
+   */
+  construct(problem, vehicle) {
+    let sequence = [];
+    for (const stop of this.constructionOrder(problem)) {
+      let best = null;
+      for (let position = 0; position <= sequence.length; position++) {
+        const candidate = [...sequence.slice(0, position), stop.index, ...sequence.slice(position)];
+        const cost = this.evaluate(problem, candidate, vehicle);
+        if (!best || cost < best.cost - EPSILON) {
+          best = { sequence: candidate, cost };
+        }
+      }
+      sequence = best.sequence;
+    }
+
+    return sequence;
+  }
+
+  /**
+   * Local search until no operator finds an improving move
+   */
+  improve(problem, sequence, vehicle) {
+    let current = { sequence, cost: this.evaluate(problem, sequence, vehicle) };
+
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      const next = this.relocate(problem, current, vehicle) ||
+                   this.orOpt(problem, current, vehicle) ||
+                   this.twoOpt(problem, current, vehicle);
+      if (!next) break;
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Move a single stop to its best position
+   */
+  relocate(problem, current, vehicle) {
+    return this.bestSegmentMove(problem, current, 1, vehicle);
+  }
+
+  /**
+   * Move chains of 2..maxSegmentLength consecutive stops
+   */
+  orOpt(problem, current, vehicle) {
+    let best = null;
+    for (let length = 2; length <= this.maxSegmentLength; length++) {
+      const move = this.bestSegmentMove(problem, best || current, length, vehicle);
+      if (move) best = move;
+    }
+    return best;
+  }
+
+  /**
+   * Reverse the stops between two positions
+   */
+  twoOpt(problem, current, vehicle) {
+    const { sequence } = current;
+    let best = null;
+
+    for (let i = 0; i < sequence.length - 1; i++) {
+      for (let j = i + 1; j < sequence.length; j++) {
+        const candidate = [
+          ...sequence.slice(0, i),
+          ...sequence.slice(i, j + 1).reverse(),
+          ...sequence.slice(j + 1)
+        ];
+        const cost = this.evaluate(problem, candidate, vehicle);
+        if (cost < (best ? best.cost : current.cost) - EPSILON) {
+          best = { sequence: candidate, cost };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Best improving move of a segment of the given length
+   */
+  bestSegmentMove(problem, current, length, vehicle) {
+    const { sequence } = current;
+    let best = null;
+
+    for (let from = 0; from + length <= sequence.length; from++) {
+      const segment = sequence.slice(from, from + length);
+      const rest = [...sequence.slice(0, from), ...sequence.slice(from + length)];
+
+      for (let to = 0; to <= rest.length; to++) {
+        if (to === from) continue;
+        const candidate = [...rest.slice(0, to), ...segment, ...rest.slice(to)];
+        const cost = this.evaluate(problem, candidate, vehicle);
+        if (cost < (best ? best.cost : current.cost) - EPSILON) {
+          best = { sequence: candidate, cost };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Per-stop schedule with dates, for API responses
+   */
+  formatSchedule(problem, schedule) {
+    const round = value => Math.round(value * 10) / 10;
+    const roundLoad = load => ({ weight: round(load.weight), volume: Math.round(load.volume * 100) / 100 });
+
+    return {
+      feasible: schedule.feasible,
+      lateStops: schedule.lateStops,
+      totalLateness: round(schedule.totalLateness),
+      peakLoad: roundLoad(schedule.peakLoad),
+      capacity: schedule.capacity,
+      overload: roundLoad(schedule.overload),
+      pairingViolations: schedule.pairingViolations,
+      constraintViolations: schedule.constraintViolations,
+      drivingTime: round(schedule.drivingTime),
+      shiftOverrun: round(schedule.shiftOverrun),
+      energyUsed: schedule.electric ? round(schedule.energyUsed) : null,
+      rangeShortfall: round(schedule.rangeShortfall),
+      charges: schedule.charges.map(entry => ({
+        afterSequence: entry.afterPosition + 1,
+        name: entry.name,
+        start: new Date(entry.start),
+        end: new Date(entry.end),
+        duration: round(entry.duration),
+        energy: round(entry.energy),
+        coordinates: entry.coordinates
+      })),
+      breaks: schedule.breaks.map(entry => ({
+        afterSequence: entry.afterPosition + 1,
+        start: new Date(entry.start),
+        end: new Date(entry.end),
+        duration: entry.duration,
+        coordinates: entry.coordinates,
+        enRoute: entry.enRoute
+      })),
+      startTime: new Date(schedule.startTime),
+      endTime: new Date(schedule.endTime),
+      stops: schedule.stops.map(entry => ({
+        deliveryId: problem.stops[entry.stopIndex].id,
+        stopType: problem.stops[entry.stopIndex].type,
+        sequence: entry.position + 1,
+        arrivalTime: new Date(entry.arrivalTime),
+        serviceStart: new Date(entry.serviceStart),
+        departureTime: new Date(entry.departureTime),
+        travelDistance: round(entry.travelDistance),
+        travelTime: round(entry.travelTime),
+        waitTime: round(entry.waitTime),
+        lateness: round(entry.lateness),
+        withinWindow: entry.withinWindow,
+        loadAfter: roundLoad(entry.loadAfter)
+      }))
+    };
+  }
+}
+
+module.exports = new RouteSolverService();
@@ -0,0 +1,201 @@
+/**
+ * Route Template Service
+ * Generates the draft route plans of recurring route templates, each with the
+ * day's unassigned deliveries that match the template
+ */
+
+const { RouteTemplate, RoutePlan, Delivery, Depot, User } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const RecurrenceService = require('./recurrence.service');
+const CapacityService = require('./capacity.service');
+const QualificationService = require('./qualification.service');
+const PlannerService = require('./planner.service');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 86400000;
+
+class RouteTemplateService {
+  /**
+   * Create or top up the draft routes of a template for the days it runs
+   * between two dates. Days whose route has been optimized or moved past
+   * draft are left alone
+   * @param {Object} template - RouteTemplate document
+   * @param {Object} range - from and to, defaulting to today and leadDays ahead
+   * @returns {Object} { created, updated, skipped, deliveriesAssigned }
+   */
+  async generate(template, range = {}) {
+    const from = new Date(RecurrenceService.dayOf(range.from || new Date()));
+    const to = range.to ? new Date(RecurrenceService.dayOf(range.to)) : new Date(from.getTime() + template.leadDays * DAY_MS);
+    const days = RecurrenceService.occurrences(template.schedule.rrule, template.schedule.startDate, from, to);
+
+    const driverUser = template.driver?.id ? await User.findById(template.driver.id) : null;
+    const ends = days.length > 0 ? await this.resolveEnds(template, driverUser) : null;
+    const result = { created: [], updated: [], skipped: [], deliveriesAssigned: 0 };
+
+    for (const day of days) {
+      const existing = await RoutePlan.findOne({ templateId: template._id, scheduledDate: day });
+      if (existing && (existing.status !== 'draft' || existing.route.length > 0)) {
+        result.skipped.push(existing._id);
+        continue;
+      }
+
+      const current = existing ? await PlannerService.deliveriesOf(existing) : [];
+      const candidates = await this.matchingDeliveries(template, day);
+      const picked = this.fill(template, driverUser, day, current, candidates);
+      const deliveries = [...current, ...picked];
+      const capacityCheck = { ...CapacityService.checkRoute(template.vehicle, deliveries), checkedAt: new Date() };
+
+      let route = existing;
+      if (route) {
+        route.deliveries.push(...picked.map(d => d._id));
+        route.capacityCheck = capacityCheck;
+        await route.save();
+        result.updated.push(route._id);
+      } else {
+        route = await RoutePlan.create({
+          userId: template.createdBy,
+          name: `${template.name} – ${day.toISOString().slice(0, 10)}`,
+          description: template.description,
+          templateId: template._id,
+          deliveries: picked.map(d => d._id),
+          ...ends,
+          scheduledDate: day,
+          startTime: this.departureOn(day, template.schedule.departureTime),
+          vehicle: template.vehicle,
+          driver: template.driver?.id ? template.driver : undefined,
+          capacityCheck,
+          optimizationSettings: { priority: template.optimizationSettings?.priority },
+          companyId: template.companyId,
+          status: 'draft'
+        });
+        result.created.push(route._id);
+      }
+
+      if (picked.length > 0) {
+        await Delivery.updateMany(
+          { _id: { $in: picked.map(d => d._id) } },
+          { routePlanId: route._id, status: 'assigned' }
+        );
+        result.deliveriesAssigned += picked.length;
+      }
+    }
+
+    if (!template.generatedUntil || template.generatedUntil < to) {
+      template.generatedUntil = to;
+      await template.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * Generate ahead for every active template; run daily
+   */
+  async generateAll() {
+    const templates = await RouteTemplate.find({ isActive: true });
+
+    for (const template of templates) {
+      try {
+        const result = await this.generate(template);
+        logger.info(`Template ${template._id}: ${result.created.length} route(s) created, ${result.deliveriesAssigned} deliveries assigned`);
+      } catch (error) {
+        logger.error(`Generating routes for template ${template._id} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Pending, unrouted deliveries whose window opens on the day and that fall in
+   * the template's zones and carry one of its tags. Pickup and drop-off pairs
+   * are left for manual planning, as the generator does not order stops
+   */
+  matchingDeliveries(template, day) {
+    const filter = {
+      companyId: template.companyId,
+      status: 'pending',
+      routePlanId: null,
+      pairedDeliveryId: null,
+      'timeWindow.earliest': { $gte: day, $lt: new Date(day.getTime() + DAY_MS) }
+    };
+    if (template.deliveryFilter?.zoneIds?.length) {
+      filter.zoneId = { $in: template.deliveryFilter.zoneIds };
+    }
+    if (template.deliveryFilter?.tags?.length) {
+      filter.tags = { $in: template.deliveryFilter.tags };
+    }
+
+    return Delivery.find(filter).sort({ priorityScore: -1, 'timeWindow.earliest': 1 });
+  }
+
+  /**
+   * Deliveries, most urgent first, that the vehicle and driver are qualified
+   * for and that still fit the vehicle next to those already on the route
+   */
+  fill(template, driverUser, day, current, candidates) {
+    const picked = [];
+
+    candidates.forEach(delivery => {
+      const qualified = QualificationService.checkRoute([delivery], { vehicle: template.vehicle, driver: driverUser, date: day }).length === 0;
+      if (qualified && CapacityService.checkRoute(template.vehicle, [...current, ...picked, delivery]).withinCapacity) {
+        picked.push(delivery);
+      }
+    });
+
+    return picked;
+  }
+
+  /**
+   * Start and end of the generated routes. Depots and the driver's home are
+   * looked up at generation so template routes follow edits to them
+   */
+  async resolveEnds(template, driverUser) {
+    const { startDepot, endDepot, endType = 'start' } = template;
+    const depotIds = [startDepot, endType === 'depot' && endDepot].filter(Boolean);
+    const depots = depotIds.length > 0 ? await Depot.find({ _id: { $in: depotIds }, companyId: template.companyId }) : [];
+    const depotPoint = (depotId) => {
+      const depot = depots.find(d => d._id.equals(depotId));
+      if (!depot) {
+        throw new ApiError(`Depot ${depotId} not found`, 400);
+      }
+      return { coordinates: depot.location.coordinates, address: depot.address?.fullAddress || depot.name };
+    };
+
+    const startLocation = startDepot ? depotPoint(startDepot) : this.pointOf(template.startLocation);
+
+    let endLocation;
+    if (endType === 'start') {
+      endLocation = startLocation;
+    } else if (endType === 'depot') {
+      endLocation = endDepot ? depotPoint(endDepot) : this.pointOf(template.endLocation);
+    } else if (endType === 'home') {
+      endLocation = driverUser?.homeLocation?.coordinates?.length
+        ? { coordinates: driverUser.homeLocation.coordinates, address: driverUser.homeLocation.address }
+        : undefined;
+      if (!endLocation) {
+        throw new ApiError('Templates ending at the driver\'s home need a driver with a home location', 400);
+      }
+    }
+
+    return {
+      startDepot: startDepot || undefined,
+      startLocation,
+      endType,
+      endDepot: endType === 'depot' ? endDepot || undefined : undefined,
+      endLocation
+    };
+  }
+
+  pointOf(endpoint) {
+    return endpoint?.coordinates?.length ? { coordinates: endpoint.coordinates, address: endpoint.address } : undefined;
+  }
+
+  /**
+   * Departure on a day from an HH:MM time
+   */
+  departureOn(day, departureTime = '08:00') {
+    const [hours, minutes] = departureTime.split(':').map(Number);
+    return new Date(day.getTime() + (hours * 60 + minutes) * 60000);
+  }
+}
+
+module.exports = new RouteTemplateService();
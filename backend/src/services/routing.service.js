@@ -0,0 +1,167 @@
+/**
+ * Routing Service
+ * Selects the routing provider for each company and falls back to the
+ * next provider in the chain when one is unconfigured or fails
+ */
+
+const TomTomProvider = require('./routing/tomtom.provider');
+const OSRMProvider = require('./routing/osrm.provider');
+const GraphHopperProvider = require('./routing/graphhopper.provider');
+const HaversineProvider = require('./routing/haversine.provider');
+const { logger } = require('../utils/logger');
+
+const int = value => (value === undefined || value === '' ? undefined : parseInt(value, 10));
+const list = value => (value ? value.split(',').map(name => name.trim()).filter(Boolean) : []);
+
+// Adapter configuration, read from the environment when the provider is first used
+const PROVIDERS = {
+  tomtom: () => new TomTomProvider(),
+  osrm: () => new OSRMProvider({
+    baseUrl: process.env.OSRM_URL,
+    profile: process.env.OSRM_PROFILE || 'driving',
+    timeout: int(process.env.OSRM_TIMEOUT_MS) || 30000
+  }),
+  graphhopper: () => new GraphHopperProvider({
+    baseUrl: process.env.GRAPHHOPPER_URL,
+    apiKey: process.env.GRAPHHOPPER_API_KEY,
+    profile: process.env.GRAPHHOPPER_PROFILE || 'car',
+    timeout: int(process.env.GRAPHHOPPER_TIMEOUT_MS) || 30000
+  }),
+  haversine: () => new HaversineProvider()
+};
+
+// Always available, so route and matrix requests never fail for want of a provider
+const LAST_RESORT = 'haversine';
+
+class RoutingService {
+  constructor() {
+    this.providers = {};
+  }
+
+  get providerNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Provider used when a company has not chosen one
+   */
+  get defaultProvider() {
+    return process.env.ROUTING_PROVIDER || 'tomtom';
+  }
+
+  /**
+   * Providers tried after the chosen one when a company has not set its own
+   */
+  get defaultFallback() {
+    return list(process.env.ROUTING_FALLBACK);
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      if (!PROVIDERS[name]) throw new Error(`Unknown routing provider: ${name}`);
+      this.providers[name] = PROVIDERS[name]();
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Replace a provider instance, e.g. with a stub in tests
+   */
+  setProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  reset() {
+    this.providers = {};
+  }
+
+  /**
+   * Configured providers to try, in order, for a company's routing settings
+   * @param {Object} settings - CompanySettings.routing: provider, fallback
+   */
+  chain(settings = {}) {
+    const names = [
+      settings?.provider || this.defaultProvider,
+      ...(settings?.fallback?.length ? settings.fallback : this.defaultFallback),
+      LAST_RESORT
+    ];
+
+    return [...new Set(names)]
+      .map(name => this.getProvider(name))
+      .filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Providers of the chain that can perform an operation
+   * @param {Object} options - settings, estimates (include the haversine estimator; default true)
+   */
+  providersFor(operation, { settings, estimates = true } = {}) {
+    return this.chain(settings)
+      .filter(provider => provider.supports(operation))
+      .filter(provider => estimates || provider.name !== LAST_RESORT);
+  }
+
+  /**
+   * Run an operation on the first provider of the chain that supports it and succeeds
+   * @param {Object} options - settings (CompanySettings.routing), estimates (allow the haversine estimator)
+   * @returns {Promise<{result: *, provider: string}>}
+   */
+  async run(operation, args, { settings, estimates = true } = {}) {
+    const providers = this.providersFor(operation, { settings, estimates });
+
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const result = await provider[operation](...args);
+        return { result, provider: provider.name };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Routing provider ${provider.name} failed ${operation} (${error.message}), trying the next one`);
+      }
+    }
+
+    throw lastError || new Error(`No routing provider available for ${operation}`);
+  }
+
+  /**
+   * Directions through the waypoints, tagged with the provider that computed them
+   * @param {Array} waypoints - Array of {lat, lng} objects
+   * @param {Object} options - settings plus the provider routing options
+   */
+  async route(waypoints, options = {}) {
+    const { settings, ...routeOptions } = options;
+    const { result, provider } = await this.run('route', [waypoints, routeOptions], { settings });
+    return { ...result, provider };
+  }
+
+  /**
+   * Travel matrix cells from the first provider that answers
+   * @param {Object} options - settings, estimates, departureTime, vehicleType
+   * @returns {Promise<{cells: Array, provider: string}>}
+   */
+  async matrix(origins, destinations, options = {}) {
+    const { settings, estimates, ...matrixOptions } = options;
+    const { result, provider } = await this.run('matrix', [origins, destinations, matrixOptions], { settings, estimates });
+    return { cells: result, provider };
+  }
+
+  async trafficFlow(lat, lng, { settings } = {}) {
+    const { result } = await this.run('trafficFlow', [lat, lng], { settings });
+    return result;
+  }
+
+  async trafficAlongRoute(coordinates, { settings } = {}) {
+    const { result } = await this.run('trafficAlongRoute', [coordinates], { settings });
+    return result;
+  }
+
+  /**
+   * @param {Object} bbox - minLat, minLng, maxLat, maxLng
+   */
+  async incidents(bbox, { settings } = {}) {
+    const { result } = await this.run('incidents', [bbox], { settings });
+    return result;
+  }
+}
+
+module.exports = new RoutingService();
@@ -0,0 +1,89 @@
+/**
+ * GraphHopper Provider
+ * Self-hosted or hosted GraphHopper server (route and matrix endpoints); no traffic data
+ */
+
+const axios = require('axios');
+const RoutingProvider = require('./routingProvider');
+
+// Instruction signs that end a leg: via point reached, finish
+const LEG_END_SIGNS = [5, 4];
+
+class GraphHopperProvider extends RoutingProvider {
+  constructor(config = {}) {
+    super({ name: 'graphhopper', profile: 'car', ...config });
+  }
+
+  async route(waypoints, options = {}) {
+    if (waypoints.length < 2) {
+      throw new Error('At least 2 waypoints are required');
+    }
+
+    const data = await this.post('/route', {
+      points: waypoints.map(wp => [wp.lng, wp.lat]),
+      profile: options.vehicleType === 'truck' ? 'truck' : this.profile,
+      points_encoded: false,
+      instructions: true,
+      locale: 'en'
+    });
+
+    const path = data.paths[0];
+    const coordinates = path.points?.coordinates || [];
+
+    // Instructions cover the whole path; split them into legs at each via point
+    const legs = [];
+    let leg = { lengthInMeters: 0, travelTimeInSeconds: 0, trafficDelayInSeconds: 0, points: [] };
+    let offset = 0;
+    const guidance = (path.instructions || []).map(instruction => {
+      const step = { instruction: instruction.text, maneuver: String(instruction.sign), distance: Math.round(offset) };
+      offset += instruction.distance;
+
+      const [from, to] = instruction.interval || [];
+      leg.lengthInMeters += instruction.distance;
+      leg.travelTimeInSeconds += instruction.time / 1000;
+      if (from !== undefined) leg.points.push(...coordinates.slice(from, to + 1));
+      if (LEG_END_SIGNS.includes(instruction.sign)) {
+        legs.push({ ...leg, lengthInMeters: Math.round(leg.lengthInMeters), travelTimeInSeconds: Math.round(leg.travelTimeInSeconds) });
+        leg = { lengthInMeters: 0, travelTimeInSeconds: 0, trafficDelayInSeconds: 0, points: [] };
+      }
+      return step;
+    });
+
+    return {
+      summary: this.summary(path.distance, path.time / 1000, options.departureTime),
+      legs,
+      geometry: { type: 'LineString', coordinates },
+      guidance
+    };
+  }
+
+  async matrix(origins, destinations, options = {}) {
+    const data = await this.post('/matrix', {
+      from_points: origins,
+      to_points: destinations,
+      profile: options.vehicleType === 'truck' ? 'truck' : this.profile,
+      out_arrays: ['distances', 'times'],
+      fail_fast: false
+    });
+
+    const cells = [];
+    data.times.forEach((row, originIndex) => row.forEach((time, destinationIndex) => {
+      const distance = data.distances?.[originIndex]?.[destinationIndex];
+      // Unroutable pairs come back as null
+      if (time === null || distance === null || distance === undefined) return;
+      cells.push({ originIndex, destinationIndex, distanceKm: distance / 1000, durationMinutes: time / 60 });
+    }));
+    return cells;
+  }
+
+  async post(path, body) {
+    const response = await axios.post(`${this.baseUrl.replace(/\/$/, '')}${path}`, body, {
+      params: this.apiKey ? { key: this.apiKey } : undefined,
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+}
+
+module.exports = GraphHopperProvider;
@@ -0,0 +1,70 @@
+/**
+ * Haversine Provider
+ * Straight-line estimates that need no network; the last resort of every fallback chain
+ */
+
+const RoutingProvider = require('./routingProvider');
+const { haversineDistance } = require('../../utils/geo');
+
+class HaversineProvider extends RoutingProvider {
+  /**
+   * @param {Object} config - roadFactor (road length over straight-line distance), speedKmh
+   */
+  constructor(config = {}) {
+    super({ name: 'haversine', ...config });
+    this.roadFactor = config.roadFactor || 1.3;
+    this.speedKmh = config.speedKmh || 40;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Straight-line distance stretched by the road factor, at the average speed
+   */
+  estimate(from, to) {
+    const distanceKm = haversineDistance(from, to) * this.roadFactor;
+    return { distanceKm, durationMinutes: (distanceKm / this.speedKmh) * 60 };
+  }
+
+  async route(waypoints, options = {}) {
+    if (waypoints.length < 2) {
+      throw new Error('At least 2 waypoints are required');
+    }
+
+    const points = waypoints.map(wp => [wp.lng, wp.lat]);
+    const legs = points.slice(1).map((to, index) => {
+      const from = points[index];
+      const { distanceKm, durationMinutes } = this.estimate(from, to);
+      return {
+        lengthInMeters: Math.round(distanceKm * 1000),
+        travelTimeInSeconds: Math.round(durationMinutes * 60),
+        trafficDelayInSeconds: 0,
+        points: [from, to]
+      };
+    });
+
+    return {
+      summary: this.summary(
+        legs.reduce((sum, leg) => sum + leg.lengthInMeters, 0),
+        legs.reduce((sum, leg) => sum + leg.travelTimeInSeconds, 0),
+        options.departureTime
+      ),
+      legs,
+      geometry: { type: 'LineString', coordinates: points },
+      guidance: [],
+      estimated: true
+    };
+  }
+
+  async matrix(origins, destinations) {
+    return origins.flatMap((origin, originIndex) => destinations.map((destination, destinationIndex) => ({
+      originIndex,
+      destinationIndex,
+      ...this.estimate(origin, destination)
+    })));
+  }
+}
+
+module.exports = HaversineProvider;
@@ -0,0 +1,104 @@
+/**
+ * OSRM Provider
+ * Self-hosted OSRM server (route and table services); no traffic data
+ */
+
+const axios = require('axios');
+const RoutingProvider = require('./routingProvider');
+
+// OSRM exclude classes for each avoid option; the profile must define them
+const EXCLUDES = {
+  avoidTolls: 'toll',
+  avoidHighways: 'motorway',
+  avoidFerries: 'ferry'
+};
+
+class OSRMProvider extends RoutingProvider {
+  constructor(config = {}) {
+    super({ name: 'osrm', profile: 'driving', ...config });
+  }
+
+  async route(waypoints, options = {}) {
+    if (waypoints.length < 2) {
+      throw new Error('At least 2 waypoints are required');
+    }
+
+    const coordinates = waypoints.map(wp => `${wp.lng},${wp.lat}`).join(';');
+    const exclude = Object.keys(EXCLUDES).filter(option => options[option]).map(option => EXCLUDES[option]);
+
+    const data = await this.get(`/route/v1/${this.profile}/${coordinates}`, {
+      overview: 'full',
+      geometries: 'geojson',
+      steps: true,
+      exclude: exclude.join(',') || undefined
+    });
+
+    const route = data.routes[0];
+    let offset = 0;
+    const guidance = [];
+    route.legs.forEach(leg => (leg.steps || []).forEach(step => {
+      guidance.push({
+        instruction: this.instruction(step),
+        maneuver: [step.maneuver?.type, step.maneuver?.modifier].filter(Boolean).join('_').toUpperCase(),
+        distance: Math.round(offset)
+      });
+      offset += step.distance;
+    }));
+
+    return {
+      summary: this.summary(route.distance, route.duration, options.departureTime),
+      legs: route.legs.map(leg => ({
+        lengthInMeters: Math.round(leg.distance),
+        travelTimeInSeconds: Math.round(leg.duration),
+        trafficDelayInSeconds: 0,
+        points: (leg.steps || []).flatMap(step => step.geometry?.coordinates || [])
+      })),
+      geometry: route.geometry,
+      guidance
+    };
+  }
+
+  async matrix(origins, destinations) {
+    const coordinates = [...origins, ...destinations].map(([lng, lat]) => `${lng},${lat}`).join(';');
+
+    const data = await this.get(`/table/v1/${this.profile}/${coordinates}`, {
+      sources: origins.map((_, index) => index).join(';'),
+      destinations: destinations.map((_, index) => origins.length + index).join(';'),
+      annotations: 'distance,duration'
+    });
+
+    const cells = [];
+    data.durations.forEach((row, originIndex) => row.forEach((duration, destinationIndex) => {
+      const distance = data.distances?.[originIndex]?.[destinationIndex];
+      // Unroutable pairs come back as null
+      if (duration === null || distance === null || distance === undefined) return;
+      cells.push({ originIndex, destinationIndex, distanceKm: distance / 1000, durationMinutes: duration / 60 });
+    }));
+    return cells;
+  }
+
+  async get(path, params) {
+    const response = await axios.get(`${this.baseUrl.replace(/\/$/, '')}${path}`, {
+      params,
+      timeout: this.timeout
+    });
+
+    if (response.data.code !== 'Ok') {
+      throw new Error(`OSRM ${response.data.code}: ${response.data.message || 'request failed'}`);
+    }
+    return response.data;
+  }
+
+  /**
+   * OSRM returns maneuvers without text, e.g. "Turn left onto Market Street"
+   */
+  instruction(step) {
+    const { type, modifier } = step.maneuver || {};
+    const action = type === 'depart' ? 'Depart'
+      : type === 'arrive' ? 'Arrive'
+      : [type === 'turn' ? 'Turn' : type ? type.charAt(0).toUpperCase() + type.slice(1) : 'Continue', modifier].filter(Boolean).join(' ');
+    return step.name ? `${action} ${type === 'arrive' ? 'at' : 'onto'} ${step.name}` : action;
+  }
+}
+
+module.exports = OSRMProvider;
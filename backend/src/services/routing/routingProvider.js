@@ -0,0 +1,84 @@
+/**
+ * Routing Provider
+ * Base adapter for directions, travel matrices and traffic data
+ */
+
+class RoutingProvider {
+  /**
+   * @param {Object} config - name, baseUrl, apiKey, profile, timeout (ms)
+   */
+  constructor(config = {}) {
+    this.name = config.name;
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.profile = config.profile;
+    this.timeout = config.timeout || 30000;
+  }
+
+  /**
+   * Whether the adapter has what it needs to make requests
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Whether the adapter implements an operation (route, matrix, trafficFlow, incidents)
+   */
+  supports(operation) {
+    return typeof this[operation] === 'function' && this[operation] !== RoutingProvider.prototype[operation];
+  }
+
+  /**
+   * Directions through the waypoints in order
+   * @param {Array} waypoints - Array of {lat, lng} objects
+   * @param {Object} options - vehicleType, priority, avoidTolls, avoidHighways, avoidFerries, departureTime
+   * @returns {Object} { summary, legs, geometry, guidance } with TomTom-style summary fields
+   */
+  async route() {
+    throw new Error(`${this.name} provider does not implement route()`);
+  }
+
+  /**
+   * Travel distances and times between every origin and destination
+   * @param {Array} origins - Array of [lng, lat] pairs
+   * @param {Array} destinations - Array of [lng, lat] pairs
+   * @param {Object} options - departureTime, vehicleType
+   * @returns {Array} { originIndex, destinationIndex, distanceKm, durationMinutes } for each routable pair
+   */
+  async matrix() {
+    throw new Error(`${this.name} provider does not implement matrix()`);
+  }
+
+  /**
+   * Current and free-flow speeds around a point
+   */
+  async trafficFlow() {
+    throw new Error(`${this.name} provider does not implement trafficFlow()`);
+  }
+
+  /**
+   * Incidents inside a bounding box
+   * @param {Object} bbox - minLat, minLng, maxLat, maxLng
+   */
+  async incidents() {
+    throw new Error(`${this.name} provider does not implement incidents()`);
+  }
+
+  /**
+   * Route summary in the shape every caller expects
+   */
+  summary(lengthInMeters, travelTimeInSeconds, departureTime) {
+    const departure = departureTime && departureTime !== 'now' ? new Date(departureTime) : new Date();
+    return {
+      lengthInMeters: Math.round(lengthInMeters),
+      travelTimeInSeconds: Math.round(travelTimeInSeconds),
+      trafficDelayInSeconds: 0,
+      departureTime: departure.toISOString(),
+      arrivalTime: new Date(departure.getTime() + travelTimeInSeconds * 1000).toISOString(),
+      noTrafficTravelTimeInSeconds: Math.round(travelTimeInSeconds)
+    };
+  }
+}
+
+module.exports = RoutingProvider;
@@ -0,0 +1,39 @@
+/**
+ * TomTom Provider
+ * Live-traffic routing, matrices, flow and incidents through the TomTom API
+ */
+
+const RoutingProvider = require('./routingProvider');
+const TomTomService = require('../tomtom.service');
+
+class TomTomProvider extends RoutingProvider {
+  constructor(config = {}) {
+    super({ name: 'tomtom', ...config });
+  }
+
+  isConfigured() {
+    return TomTomService.isConfigured();
+  }
+
+  route(waypoints, options) {
+    return TomTomService.calculateRoute(waypoints, options);
+  }
+
+  matrix(origins, destinations, options) {
+    return TomTomService.calculateMatrix(origins, destinations, options);
+  }
+
+  trafficFlow(lat, lng) {
+    return TomTomService.getTrafficFlow(lat, lng);
+  }
+
+  trafficAlongRoute(coordinates) {
+    return TomTomService.getTrafficAlongRoute(coordinates);
+  }
+
+  incidents({ minLat, minLng, maxLat, maxLng }) {
+    return TomTomService.getTrafficIncidents(minLat, minLng, maxLat, maxLng);
+  }
+}
+
+module.exports = TomTomProvider;
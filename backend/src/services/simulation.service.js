@@ -0,0 +1,175 @@
+/**
+ * Simulation Service
+ * What-if runs of a stored route plan: the same stops replayed with another
+ * departure, slower roads, another vehicle or driver, or another stop order.
+ * Nothing is saved; the result sits next to the plan as it stands
+ */
+
+const { Delivery, User, CompanySettings } = require('../models');
+const { ApiError } = require('../middleware/errorHandler');
+const AIRouteService = require('./aiRoute.service');
+const RouteSolverService = require('./routeSolver.service');
+const QualificationService = require('./qualification.service');
+
+class SimulationService {
+  /**
+   * Simulate a route with and without the overrides
+   * @param {Object} route - RoutePlan document
+   * @param {Object} overrides - departureTime, trafficMultiplier, weatherMultiplier,
+   *   vehicle (merged over the route's), driverId and deliveryIds (the route's stops in a new order)
+   * @returns {Object} { simulation, baseline, changes }
+   */
+  async simulateRoute(route, overrides = {}) {
+    if (!route.startLocation?.coordinates?.length) {
+      throw new ApiError('Route has no start location to simulate from', 400);
+    }
+
+    const deliveries = await Delivery.find({ _id: { $in: route.deliveries }, companyId: route.companyId });
+    const stored = route.deliveries
+      .map(id => deliveries.find(d => d._id.equals(id)))
+      .filter(Boolean);
+    if (stored.length === 0) {
+      throw new ApiError('Route has no deliveries to simulate', 400);
+    }
+
+    const settings = await CompanySettings.forCompany(route.companyId);
+    const context = {
+      hoursOfService: settings.hoursOfService.toObject(),
+      costProfile: settings.costProfile?.toObject(),
+      emissionFactors: settings.emissionFactors?.toObject(),
+      routing: settings.routing?.toObject()
+    };
+
+    const currentDriver = route.driver?.id ? await User.findById(route.driver.id) : null;
+    let driver = currentDriver;
+    if (overrides.driverId) {
+      driver = await User.findOne({ _id: overrides.driverId, companyId: route.companyId, role: 'driver' });
+      if (!driver) {
+        throw new ApiError(`Driver ${overrides.driverId} not found`, 400);
+      }
+    }
+
+    const baseline = await this.run(route, stored, {
+      departureTime: route.startTime,
+      vehicle: this.vehicleOf(route),
+      driver: currentDriver
+    }, context);
+
+    const simulation = await this.run(route, this.reorder(stored, overrides.deliveryIds), {
+      departureTime: overrides.departureTime || route.startTime,
+      delayFactor: (overrides.trafficMultiplier || 1) * (overrides.weatherMultiplier || 1),
+      vehicle: { ...this.vehicleOf(route), ...overrides.vehicle },
+      driver
+    }, context);
+
+    return {
+      simulation,
+      baseline,
+      changes: {
+        totalDistance: this.difference(simulation.metrics.totalDistance, baseline.metrics.totalDistance),
+        totalDuration: this.difference(simulation.metrics.totalDuration, baseline.metrics.totalDuration),
+        cost: this.difference(simulation.cost.total, baseline.cost.total),
+        windowViolations: simulation.windowViolations.length - baseline.windowViolations.length,
+        endTime: Math.round((simulation.endTime - baseline.endTime) / 60000)
+      }
+    };
+  }
+
+  /**
+   * Replay the deliveries in the given order with a vehicle, driver and departure
+   * @param {Object} scenario - departureTime, delayFactor (travel time multiplier), vehicle, driver
+   */
+  async run(route, deliveries, scenario, context) {
+    const { departureTime, delayFactor = 1, vehicle, driver } = scenario;
+
+    const problem = await AIRouteService.buildProblem({
+      deliveries,
+      vehicles: [vehicle],
+      vehicleType: vehicle.type,
+      startLocation: route.startLocation,
+      endLocation: this.endOf(route, driver),
+      departureTime,
+      optimizationPriority: route.optimizationSettings?.priority || 'balanced',
+      hoursOfService: context.hoursOfService,
+      sequenceConstraints: (route.sequenceConstraints || []).map(c => (c.toObject ? c.toObject() : c)),
+      costProfile: context.costProfile,
+      emissionFactors: context.emissionFactors,
+      routing: context.routing
+    });
+    problem.matrix = this.delayed(problem.matrix, delayFactor);
+
+    const sequence = deliveries.map((_, index) => index);
+    const schedule = RouteSolverService.simulate(problem, sequence, problem.vehicles[0]);
+    const plan = AIRouteService.buildOptimizedRoute(deliveries, problem, { sequence, schedule }, context.hoursOfService);
+
+    const stops = plan.feasibility.stops.map(stop => ({
+      ...stop,
+      customer: deliveries[stop.sequence - 1].customer?.name,
+      timeWindow: deliveries[stop.sequence - 1].timeWindow
+    }));
+    const qualificationViolations = QualificationService.checkRoute(deliveries, {
+      vehicle,
+      driver,
+      date: departureTime || route.scheduledDate
+    });
+
+    return {
+      startTime: plan.startTime,
+      endTime: plan.endTime,
+      stops,
+      windowViolations: stops
+        .filter(stop => !stop.withinWindow)
+        .map(stop => ({ deliveryId: stop.deliveryId, sequence: stop.sequence, lateness: stop.lateness })),
+      metrics: plan.estimatedMetrics,
+      cost: plan.cost,
+      breaks: plan.feasibility.breaks,
+      charges: plan.feasibility.charges,
+      capacityCheck: plan.capacityCheck,
+      hoursOfServiceCheck: plan.hoursOfServiceCheck,
+      qualificationViolations,
+      warnings: [...plan.warnings, ...qualificationViolations.map(violation => violation.message)]
+    };
+  }
+
+  /**
+   * Travel times stretched by congestion or weather; distances stay the same
+   */
+  delayed(matrix, delayFactor) {
+    if (delayFactor === 1) return matrix;
+    return { ...matrix, durations: matrix.durations.map(row => row.map(minutes => minutes * delayFactor)) };
+  }
+
+  /**
+   * The route's deliveries in a new order, which has to name each of them once
+   */
+  reorder(deliveries, deliveryIds) {
+    if (!deliveryIds) return deliveries;
+
+    const ordered = deliveryIds.map(id => deliveries.find(d => d._id.toString() === id));
+    if (ordered.some(d => !d) || new Set(deliveryIds).size !== deliveries.length || deliveryIds.length !== deliveries.length) {
+      throw new ApiError('Stop order must list each delivery of the route once', 400);
+    }
+    return ordered;
+  }
+
+  vehicleOf(route) {
+    return route.vehicle?.toObject ? route.vehicle.toObject() : { ...route.vehicle };
+  }
+
+  /**
+   * Where the route ends; routes ending at the driver's home follow the driver
+   */
+  endOf(route, driver) {
+    if (route.endType === 'open') return null;
+    if (route.endType === 'home' && driver?.homeLocation?.coordinates?.length) {
+      return { coordinates: driver.homeLocation.coordinates };
+    }
+    return route.endLocation?.coordinates?.length ? route.endLocation : null;
+  }
+
+  difference(value, base) {
+    return Math.round(((value || 0) - (base || 0)) * 100) / 100;
+  }
+}
+
+module.exports = new SimulationService();
@@ -0,0 +1,15 @@
+/**
+ * Solver Worker
+ * Entry point of a solver thread: runs one RouteSolverService method and posts back its result
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const RouteSolverService = require('../routeSolver.service');
+
+const { method, args } = workerData;
+
+try {
+  parentPort.postMessage({ result: RouteSolverService[method](...args) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
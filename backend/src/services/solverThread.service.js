@@ -0,0 +1,61 @@
+/**
+ * Solver Thread Service
+ * Runs the route solver in a worker thread, so a long solve neither blocks the
+ * API's requests and progress streams nor outlives the job that asked for it
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'solver', 'solver.worker.js');
+
+// RouteSolverService methods worth a thread of their own
+const METHODS = ['solve', 'solveFleet', 'repair', 'chooseDepot'];
+
+class SolverAbortedError extends Error {
+  constructor() {
+    super('Solver aborted');
+    this.name = 'SolverAbortedError';
+  }
+}
+
+class SolverThreadService {
+  /**
+   * Call a RouteSolverService method in a new thread; its arguments and result are copied
+   * @param {string} method - solve, solveFleet, repair or chooseDepot
+   * @param {Array} args - Arguments of the method
+   * @param {Object} options - signal (AbortSignal) that terminates the thread
+   * @returns {Promise<*>} The method's result; rejects with SolverAbortedError once aborted
+   */
+  run(method, args, { signal } = {}) {
+    if (!METHODS.includes(method)) {
+      return Promise.reject(new Error(`Unknown solver method: ${method}`));
+    }
+    if (signal?.aborted) return Promise.reject(new SolverAbortedError());
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, { workerData: { method, args } });
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', abort);
+        callback(value);
+      };
+      const abort = () => {
+        worker.terminate();
+        settle(reject, new SolverAbortedError());
+      };
+
+      signal?.addEventListener('abort', abort, { once: true });
+      worker.once('message', ({ result, error }) => (
+        error ? settle(reject, new Error(error)) : settle(resolve, result)
+      ));
+      worker.once('error', error => settle(reject, error));
+      worker.once('exit', code => settle(reject, new Error(`Solver thread exited with code ${code}`)));
+    });
+  }
+}
+
+module.exports = new SolverThreadService();
+module.exports.SolverAbortedError = SolverAbortedError;
@@ -0,0 +1,264 @@
+/**
+ * Route Timeline Service
+ * Arrival, wait and departure times at each stop from the routing provider's
+ * leg travel times, and the deliveries' estimated arrivals that follow from them
+ */
+
+const { Delivery } = require('../models');
+const RoutingService = require('./routing.service');
+
+const MINUTE_MS = 60000;
+const DEFAULT_SERVICE_MINUTES = 10;
+// Stops the driver has finished keep the times they were planned with
+const FINISHED = ['delivered', 'failed'];
+const UNDERWAY = ['in_progress', 'delayed'];
+
+const round = value => Math.round(value * 10) / 10;
+
+class TimelineService {
+  /**
+   * Re-time a route's remaining stops in their current order. The caller saves
+   * the route, then passes the timeline's waypoints to updateArrivals.
+   * Routes under way are timed from now, from the last stop the driver finished,
+   * and keep their planned start and end times
+   * @param {Object} route - RoutePlan document
+   * @param {Object} options - routing (CompanySettings.routing), live (keep the planned start and end times)
+   * @returns {Promise<Object|null>} timeline, or null when no stops are left to time
+   */
+  async refresh(route, { routing, live = false } = {}) {
+    const deliveries = await this.deliveriesOf(route);
+    const finished = deliveries.filter(d => FINISHED.includes(d.status));
+    const remaining = deliveries.filter(d => !FINISHED.includes(d.status) && d.location?.coordinates?.length === 2);
+
+    if (remaining.length === 0) {
+      if (deliveries.length === 0) route.route = [];
+      return null;
+    }
+
+    const underway = UNDERWAY.includes(route.status);
+    const lastFinished = underway ? finished[finished.length - 1] : null;
+    const origin = lastFinished ? lastFinished.location?.coordinates : route.startLocation?.coordinates;
+    const fromStart = origin?.length === 2;
+    const departureTime = underway ? new Date() : this.plannedDeparture(route, remaining);
+
+    const points = [
+      ...(fromStart ? [origin] : []),
+      ...remaining.map(d => d.location.coordinates),
+      ...(route.endLocation?.coordinates?.length === 2 ? [route.endLocation.coordinates] : [])
+    ];
+    const directions = points.length < 2
+      ? { legs: [] }
+      : await RoutingService.route(points.map(([lng, lat]) => ({ lat, lng })), {
+        ...this.routeOptions(route, underway ? 'now' : departureTime),
+        settings: routing
+      });
+
+    const timeline = this.build(route, remaining, directions.legs, {
+      departureTime,
+      fromStart,
+      after: lastFinished ? lastFinished._id.toString() : 'start'
+    });
+
+    // Waypoints of finished stops stay ahead of the re-timed ones
+    const finishedIds = new Set(finished.map(d => d._id.toString()));
+    const kept = (route.route || [])
+      .map(waypoint => (waypoint.toObject ? waypoint.toObject() : waypoint))
+      .filter(waypoint => waypoint.deliveryId && finishedIds.has(waypoint.deliveryId.toString()));
+
+    this.apply(route, { ...timeline, route: [...kept, ...timeline.route] }, { keepTimes: live || underway });
+    return timeline;
+  }
+
+  /**
+   * Walk the legs from the departure: each stop is reached after its leg's travel
+   * time, waits for its window to open and takes its service time. Breaks and
+   * charging stops already on the route stay after the stop they followed
+   * @param {Object} route - RoutePlan, for its break and charging waypoints
+   * @param {Array} stops - Deliveries in stop order
+   * @param {Array} legs - Legs between consecutive points, with travelTimeInSeconds
+   * @param {Object} options - departureTime, fromStart (the first leg leads to the first stop),
+   *                           after (stop whose breaks come before the first stop, 'start' by default)
+   * @returns {Object} { route, startTime, endTime, lateStops, lateMinutes }
+   */
+  build(route, stops, legs = [], { departureTime, fromStart = false, after = 'start' } = {}) {
+    const pauses = this.pausesByStop(route);
+    const startTime = new Date(departureTime || Date.now());
+    const waypoints = [];
+    let clock = startTime.getTime();
+    let leg = 0;
+    let lateStops = 0;
+    let lateMinutes = 0;
+
+    const drive = () => {
+      clock += (legs[leg]?.travelTimeInSeconds || 0) * 1000;
+      leg++;
+    };
+    const pause = (stopId) => (pauses.get(stopId) || []).forEach(waypoint => {
+      const arrivalTime = clock;
+      clock += (waypoint.serviceTime || 0) * MINUTE_MS;
+      waypoints.push({ ...waypoint, arrivalTime: new Date(arrivalTime), departureTime: new Date(clock) });
+    });
+
+    pause(after);
+    stops.forEach((delivery, index) => {
+      if (fromStart || index > 0) drive();
+
+      const arrivalTime = clock;
+      const earliest = delivery.timeWindow?.earliest ? new Date(delivery.timeWindow.earliest).getTime() : arrivalTime;
+      const latest = delivery.timeWindow?.latest ? new Date(delivery.timeWindow.latest).getTime() : Infinity;
+      const serviceStart = Math.max(arrivalTime, earliest);
+      const serviceTime = delivery.serviceTime || DEFAULT_SERVICE_MINUTES;
+      clock = serviceStart + serviceTime * MINUTE_MS;
+
+      if (serviceStart > latest) {
+        lateStops++;
+        lateMinutes += (serviceStart - latest) / MINUTE_MS;
+      }
+
+      waypoints.push({
+        type: 'delivery',
+        deliveryId: delivery._id,
+        location: { type: 'Point', coordinates: delivery.location?.coordinates },
+        address: delivery.address?.fullAddress || delivery.address?.street || delivery.customer?.name || 'Stop',
+        arrivalTime: new Date(arrivalTime),
+        departureTime: new Date(clock),
+        waitTime: round((serviceStart - arrivalTime) / MINUTE_MS),
+        serviceTime
+      });
+      pause(delivery._id.toString());
+    });
+
+    // A leg left over leads back to the route's end
+    if (leg < legs.length) drive();
+
+    return {
+      route: waypoints,
+      startTime,
+      endTime: new Date(clock),
+      lateStops,
+      lateMinutes: Math.round(lateMinutes)
+    };
+  }
+
+  /**
+   * Waypoints of a route's stops in their current order, for when they cannot be
+   * timed: finished stops keep their times, the others are left untimed. Breaks
+   * and charging stops stay after the stop they followed
+   * @param {Object} route - RoutePlan, for its existing waypoints
+   * @param {Array} stops - Deliveries in stop order
+   * @returns {Array} waypoints
+   */
+  untimed(route, stops) {
+    const pauses = this.pausesByStop(route);
+    const existing = new Map((route.route || [])
+      .map(entry => (entry.toObject ? entry.toObject() : entry))
+      .filter(waypoint => waypoint.deliveryId)
+      .map(waypoint => [waypoint.deliveryId.toString(), waypoint]));
+    const withoutTimes = ({ arrivalTime, departureTime, waitTime, ...waypoint }) => waypoint;
+
+    const waypoints = (pauses.get('start') || []).map(withoutTimes);
+    stops.forEach(delivery => {
+      const id = delivery._id.toString();
+      const waypoint = existing.get(id) || {
+        type: 'delivery',
+        deliveryId: delivery._id,
+        location: { type: 'Point', coordinates: delivery.location?.coordinates },
+        address: delivery.address?.fullAddress || delivery.address?.street || delivery.customer?.name || 'Stop',
+        serviceTime: delivery.serviceTime || DEFAULT_SERVICE_MINUTES
+      };
+      waypoints.push(FINISHED.includes(delivery.status) ? waypoint : withoutTimes(waypoint));
+      waypoints.push(...(pauses.get(id) || []).map(withoutTimes));
+    });
+
+    return waypoints.map((waypoint, index) => ({ ...waypoint, sequence: index + 1 }));
+  }
+
+  /**
+   * Put a timeline on a route
+   * @param {Object} options - keepTimes (leave the planned start and end times alone)
+   */
+  apply(route, timeline, { keepTimes = false } = {}) {
+    route.route = timeline.route.map((waypoint, index) => ({ ...waypoint, sequence: index + 1 }));
+    if (!keepTimes) {
+      route.startTime = timeline.startTime;
+      route.endTime = timeline.endTime;
+    }
+    route.set('metrics.timeWindowViolations', timeline.lateStops);
+    route.set('metrics.lateMinutes', timeline.lateMinutes);
+  }
+
+  /**
+   * Copy the arrival times of delivery waypoints to the deliveries
+   */
+  async updateArrivals(waypoints = []) {
+    const timed = waypoints.filter(waypoint => waypoint.deliveryId && waypoint.arrivalTime);
+    if (timed.length === 0) return;
+
+    await Delivery.bulkWrite(timed.map(waypoint => ({
+      updateOne: {
+        filter: { _id: waypoint.deliveryId },
+        update: { estimatedArrival: waypoint.arrivalTime }
+      }
+    })));
+  }
+
+  /**
+   * Options for the routing provider
+   * @param {Date|string} departureTime - Planned departure, or 'now' for live traffic
+   */
+  routeOptions(route, departureTime) {
+    return {
+      departureTime: departureTime === 'now' ? departureTime : departureTime && new Date(departureTime).toISOString(),
+      vehicleType: route.vehicle?.type,
+      priority: route.optimizationSettings?.priority,
+      avoidTolls: route.optimizationSettings?.avoidTolls,
+      avoidHighways: route.optimizationSettings?.avoidHighways,
+      avoidFerries: route.optimizationSettings?.avoidFerries
+    };
+  }
+
+  /**
+   * The route's start time, or else the earliest window of its stops
+   */
+  plannedDeparture(route, stops) {
+    if (route.startTime) return new Date(route.startTime);
+
+    const windowStarts = stops
+      .map(d => d.timeWindow?.earliest && new Date(d.timeWindow.earliest).getTime())
+      .filter(Boolean);
+    return windowStarts.length ? new Date(Math.min(...windowStarts)) : new Date();
+  }
+
+  /**
+   * Break and charging waypoints, keyed by the delivery they follow ('start' before the first)
+   */
+  pausesByStop(route) {
+    const pauses = new Map();
+    let owner = 'start';
+
+    (route.route || []).forEach(entry => {
+      const waypoint = entry.toObject ? entry.toObject() : entry;
+      if (waypoint.type === 'break' || waypoint.type === 'charging') {
+        pauses.set(owner, [...(pauses.get(owner) || []), waypoint]);
+      } else if (waypoint.deliveryId) {
+        owner = waypoint.deliveryId.toString();
+      }
+    });
+    return pauses;
+  }
+
+  /**
+   * Deliveries of a route in stop order, populated or not
+   */
+  async deliveriesOf(route) {
+    if (!route.deliveries?.length) return [];
+    if (route.populated('deliveries')) return route.deliveries.filter(Boolean);
+
+    const deliveries = await Delivery.find({ _id: { $in: route.deliveries } });
+    return route.deliveries
+      .map(id => deliveries.find(d => d._id.equals(id)))
+      .filter(Boolean);
+  }
+}
+
+module.exports = new TimelineService();
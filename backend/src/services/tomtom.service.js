@@ -9,7 +9,8 @@ const { logger } = require('../utils/logger');
 class TomTomService {
   constructor() {
     this.apiKey = process.env.TOMTOM_API_KEY;
-    this.baseUrl = 'https://api.tomtom.com';
+    // Point at the mock server (npm run mock) to work offline
+    this.baseUrl = process.env.TOMTOM_API_URL || 'https://api.tomtom.com';
   }
 
   /**
@@ -96,6 +97,19 @@ class TomTomService {
     }
   }
 
+  /**
+   * Traffic a route is calculated with: predicted for a departure still ahead,
+   * live for 'now', and historical speeds alone otherwise, as TomTom only
+   * predicts from now onwards
+   */
+  departureParams(departureTime) {
+    if (departureTime === 'now') return { traffic: true, departAt: 'now' };
+    if (departureTime && new Date(departureTime) > new Date()) {
+      return { traffic: true, departAt: new Date(departureTime).toISOString() };
+    }
+    return { traffic: false };
+  }
+
   /**
    * Calculate route with traffic
    * @param {Array} waypoints - Array of {lat, lng} objects
@@ -115,11 +129,10 @@ class TomTomService {
       const response = await axios.get(url, {
         params: {
           key: this.apiKey,
-          traffic: true,
+          ...this.departureParams(options.departureTime),
           travelMode: options.vehicleType || 'car',
           routeType: this.mapRouteType(options.priority),
           avoid: this.buildAvoidList(options),
-          departAt: options.departureTime || 'now',
           computeBestOrder: options.optimizeOrder || false,
           routeRepresentation: 'polyline',
           computeTravelTimeFor: 'all'
@@ -207,6 +220,138 @@ class TomTomService {
     }
   }
 
+  /**
+   * Calculate travel distances and times between every origin and destination
+   * Uses the synchronous Matrix Routing v2 endpoint with historical traffic
+   * @param {Array} origins - Array of [lng, lat] pairs
+   * @param {Array} destinations - Array of [lng, lat] pairs
+   * @param {Object} options - departureTime, vehicleType
+   * @returns {Array} { originIndex, destinationIndex, distanceKm, durationMinutes } for each routable pair
+   */
+  async calculateMatrix(origins, destinations, options = {}) {
+    try {
+      const toPoint = ([lng, lat]) => ({ point: { latitude: lat, longitude: lng } });
+
+      const response = await axios.post(
+        `${this.baseUrl}/routing/matrix/2`,
+        {
+          origins: origins.map(toPoint),
+          destinations: destinations.map(toPoint),
+          options: {
+            departAt: options.departureTime ? new Date(options.departureTime).toISOString() : 'any',
+            routeType: 'fastest',
+            traffic: 'historical',
+            travelMode: options.vehicleType === 'truck' ? 'truck' : 'car'
+          }
+        },
+        {
+          params: { key: this.apiKey },
+          timeout: 30000
+        }
+      );
+
+      return (response.data.data || [])
+        .filter(cell => cell.routeSummary)
+        .map(cell => ({
+          originIndex: cell.originIndex,
+          destinationIndex: cell.destinationIndex,
+          distanceKm: cell.routeSummary.lengthInMeters / 1000,
+          durationMinutes: cell.routeSummary.travelTimeInSeconds / 60
+        }));
+    } catch (error) {
+      logger.error(`TomTom matrix error: ${error.message}`);
+      throw new Error(`Failed to calculate travel matrix: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the coordinates of an address
+   * @param {string} query - Free-form address
+   * @returns {Object|null} { coordinates: [lng, lat], address, confidence, precision } of the best match
+   */
+  async geocode(query) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/search/2/geocode/${encodeURIComponent(query)}.json`, {
+        params: { key: this.apiKey, limit: 1 },
+        timeout: 10000
+      });
+
+      const result = response.data.results?.[0];
+      if (!result) return null;
+
+      return {
+        coordinates: [result.position.lon, result.position.lat],
+        address: this.formatAddress(result.address),
+        confidence: result.matchConfidence?.score ?? null,
+        precision: this.mapResultType(result.type)
+      };
+    } catch (error) {
+      logger.error(`TomTom geocoding error: ${error.message}`);
+      throw new Error(`Failed to geocode address: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the address at a location
+   * @returns {Object|null} { coordinates: [lng, lat], address, confidence, precision }
+   */
+  async reverseGeocode(lat, lng) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/search/2/reverseGeocode/${lat},${lng}.json`, {
+        params: { key: this.apiKey },
+        timeout: 10000
+      });
+
+      const result = response.data.addresses?.[0];
+      if (!result) return null;
+
+      const [resultLat, resultLng] = result.position.split(',').map(Number);
+      const precision = result.address.streetNumber ? 'address' : result.address.streetName ? 'street' : 'city';
+      return {
+        coordinates: [resultLng, resultLat],
+        address: this.formatAddress(result.address),
+        confidence: { address: 0.9, street: 0.7, city: 0.4 }[precision],
+        precision
+      };
+    } catch (error) {
+      logger.error(`TomTom reverse geocoding error: ${error.message}`);
+      throw new Error(`Failed to reverse geocode location: ${error.message}`);
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Helper: Map a TomTom search address to delivery address fields
+   */
+  formatAddress(address = {}) {
+    return {
+      street: [address.streetNumber, address.streetName].filter(Boolean).join(' ') || undefined,
+      city: address.municipality,
+      state: address.countrySubdivisionCode || address.countrySubdivision,
+      postalCode: address.postalCode,
+      country: address.countryCodeISO3 || address.country,
+      fullAddress: address.freeformAddress
+    };
+  }
+
+  /**
+   * Helper: Map a TomTom search result type to how precise the match is
+   */
+  mapResultType(type) {
+    const mapping = {
+      'Point Address': 'address',
+      'Address Range': 'street',
+      Street: 'street',
+      'Cross Street': 'street',
+      Geography: 'city',
+      POI: 'address'
+    };
+    return mapping[type] || 'city';
+  }
+
   /**
    * Helper: Calculate congestion level from speeds
    */
@@ -0,0 +1,58 @@
+/**
+ * Zone Service
+ * Tags deliveries with the company zone their location falls in
+ */
+
+const { Zone, Delivery } = require('../models');
+
+// Deliveries still to be made follow zone edits; finished ones keep the zone they were made in
+const OPEN_STATUSES = { $nin: ['delivered', 'failed', 'cancelled'] };
+
+class ZoneService {
+  /**
+   * Active zone containing a location
+   * @param {string} companyId - Company of the zones
+   * @param {Array} coordinates - [longitude, latitude]
+   * @returns {ObjectId|null} Zone id
+   */
+  async zoneFor(companyId, coordinates) {
+    if (!Array.isArray(coordinates)) return null;
+    const zone = await Zone.findContaining(companyId, coordinates);
+    return zone ? zone._id : null;
+  }
+
+  /**
+   * Give deliveries without a zone the active zone they fall in. Zones are
+   * tried by name so overlaps resolve as in zoneFor
+   * @param {string} companyId - Company of the deliveries
+   * @param {Object} filter - Further delivery conditions, e.g. an _id list
+   */
+  async assignDeliveries(companyId, filter = {}) {
+    const zones = await Zone.find({ companyId, isActive: true }).sort({ name: 1 });
+
+    for (const zone of zones) {
+      await Delivery.updateMany(
+        { ...filter, companyId, zoneId: null, location: { $geoWithin: { $geometry: zone.area } } },
+        { $set: { zoneId: zone._id } }
+      );
+    }
+  }
+
+  /**
+   * Re-tag open deliveries after a zone was drawn, redrawn, deactivated or deleted
+   * @param {Object} zone - The zone that changed
+   * @param {boolean} removed - Whether the zone was deleted, which also clears it
+   *   from finished deliveries
+   */
+  async rezone(zone, removed = false) {
+    await Delivery.updateMany(
+      removed
+        ? { companyId: zone.companyId, zoneId: zone._id }
+        : { companyId: zone.companyId, zoneId: zone._id, status: OPEN_STATUSES },
+      { $unset: { zoneId: 1 } }
+    );
+    await this.assignDeliveries(zone.companyId, { status: OPEN_STATUSES });
+  }
+}
+
+module.exports = new ZoneService();
@@ -0,0 +1,23 @@
+/**
+ * Geo Utility
+ * Distance helpers shared by the routing services
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance in kilometers between two [lng, lat] pairs
+ */
+const haversineDistance = (coords1, coords2) => {
+  if (!coords1 || !coords2) return 0;
+  const [lon1, lat1] = coords1;
+  const [lon2, lat2] = coords2;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+};
+
+module.exports = { haversineDistance, EARTH_RADIUS_KM };
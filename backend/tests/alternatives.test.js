@@ -0,0 +1,156 @@
+/**
+ * Alternative Plan Tests
+ */
+
+const mongoose = require('mongoose');
+const AIRouteService = require('../src/services/aiRoute.service');
+const LLMService = require('../src/services/llm.service');
+const FakeProvider = require('../src/services/llm/fake.provider');
+const { promoteAlternative } = require('../src/controllers/route.controller');
+const { RoutePlan, Delivery, CompanySettings } = require('../src/models');
+
+const { base, at, depot, delivery } = require('./helpers/fixtures');
+
+// Waiting for A's window is shorter in distance but slower than serving it last
+const deliveries = [
+  delivery('a', [-122.41, 37.77], { window: [60, 120] }),
+  delivery('b', [-122.35, 37.77]),
+  delivery('c', [-122.40, 37.80]),
+  delivery('d', [-122.45, 37.75], { window: [0, 40] })
+];
+
+const METRIC_KEYS = ['totalDistance', 'totalDuration', 'cost', 'co2Emissions', 'timeWindowViolations', 'lateMinutes'];
+
+describe('Alternative Plans', () => {
+  afterEach(() => LLMService.reset());
+
+  it('should simulate solver plans for the other priorities', async () => {
+    const { optimizedRoute } = await AIRouteService.optimizeRoute({
+      deliveries,
+      startLocation: depot,
+      departureTime: at(0),
+      optimizationPriority: 'time'
+    });
+
+    expect(optimizedRoute.label).toBe('Fastest');
+    expect(Object.keys(optimizedRoute.estimatedMetrics)).toEqual(expect.arrayContaining(METRIC_KEYS));
+    expect(optimizedRoute.alternatives).toHaveLength(1);
+
+    const [alternative] = optimizedRoute.alternatives;
+    expect(alternative).toMatchObject({ label: 'Shortest distance', source: 'solver' });
+    expect(alternative.sequence).not.toEqual(optimizedRoute.sequence);
+    expect(alternative.deliveryIds).toEqual(alternative.sequence.map(index => deliveries[index]._id));
+    expect(alternative.estimatedMetrics.totalDistance).toBeLessThan(optimizedRoute.estimatedMetrics.totalDistance);
+    expect(alternative.estimatedMetrics.totalDuration).toBeGreaterThan(optimizedRoute.estimatedMetrics.totalDuration);
+    expect(alternative.route.filter(waypoint => waypoint.type === 'delivery')).toHaveLength(deliveries.length);
+  });
+
+  it('should repair and simulate the LLM alternative sequences', async () => {
+    LLMService.setProvider('openai', new FakeProvider({
+      responses: [JSON.stringify({
+        sequence: [3, 0, 1, 2],
+        reasoning: 'West first',
+        alternativeSequences: [[3, 0, 1, 2], { sequence: [3, 0, 2, 2] }]
+      })]
+    }));
+
+    const { optimizedRoute } = await AIRouteService.optimizeRoute({
+      deliveries,
+      startLocation: depot,
+      departureTime: at(0),
+      engine: 'ai'
+    });
+
+    const sequences = [optimizedRoute.sequence, ...optimizedRoute.alternatives.map(alternative => alternative.sequence)];
+    expect(new Set(sequences.map(String)).size).toBe(sequences.length);
+    expect(optimizedRoute.alternatives.map(alternative => alternative.label)).toEqual(['Balanced', 'AI alternative 2']);
+
+    const repaired = optimizedRoute.alternatives[1];
+    expect(repaired.source).toBe('ai');
+    expect([...repaired.sequence].sort()).toEqual([0, 1, 2, 3]);
+    repaired.feasibility.stops.forEach(stop => expect(stop.withinWindow).toBe(true));
+  });
+
+  describe('Promotion', () => {
+    const companyId = 'company-1';
+    const ids = Array.from({ length: 2 }, () => new mongoose.Types.ObjectId());
+
+    const routePlan = (alternativeIds = [ids[1], ids[0]]) => new RoutePlan({
+      userId: new mongoose.Types.ObjectId(),
+      companyId,
+      name: 'Morning',
+      scheduledDate: new Date(base),
+      deliveries: ids,
+      metrics: { totalDistance: 20, totalDuration: 90, co2Emissions: 5.4, timeWindowViolations: 1 },
+      cost: { total: 40 },
+      aiOptimization: {
+        activeLabel: 'Balanced',
+        activeSource: 'solver',
+        alternatives: [{
+          label: 'Shortest distance',
+          source: 'solver',
+          deliveries: alternativeIds,
+          distance: 15,
+          duration: 120,
+          cost: 45,
+          co2Emissions: 4,
+          timeWindowViolations: 0
+        }]
+      }
+    });
+
+    const promote = async (route) => {
+      jest.spyOn(RoutePlan, 'findById')
+        .mockResolvedValueOnce(route)
+        .mockReturnValueOnce({ populate: async () => route });
+      jest.spyOn(route, 'save').mockResolvedValue(route);
+      jest.spyOn(Delivery, 'find').mockResolvedValue(ids.map(_id => ({ _id, customer: { name: 'Stop' } })));
+      jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId }));
+
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await promoteAlternative({
+        params: { id: route._id.toString(), alternativeId: route.aiOptimization.alternatives[0]._id.toString() },
+        user: { id: 'user-1', companyId }
+      }, res, next);
+      return { res, next };
+    };
+
+    it('should swap the active plan with the alternative', async () => {
+      const route = routePlan();
+
+      const { res, next } = await promote(route);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(route.deliveries.map(String)).toEqual([ids[1], ids[0]].map(String));
+      expect(route.metrics.totalDistance).toBe(15);
+      expect(route.cost.total).toBe(45);
+      expect(route.aiOptimization.activeLabel).toBe('Shortest distance');
+
+      const previous = route.aiOptimization.alternatives[0];
+      expect(previous).toMatchObject({ label: 'Balanced', distance: 20, cost: 40, timeWindowViolations: 1 });
+      expect(previous.deliveries.map(String)).toEqual(ids.map(String));
+    });
+
+    it('should refuse alternatives that no longer match the stops', async () => {
+      const route = routePlan([ids[1]]);
+
+      const { next } = await promote(route);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+      expect(route.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse alternatives that break the route\'s sequence constraints', async () => {
+      const route = routePlan();
+      route.sequenceConstraints = [{ type: 'pin', deliveryId: ids[0], position: 1 }];
+
+      const { next } = await promote(route);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+      expect(route.save).not.toHaveBeenCalled();
+      expect(route.deliveries.map(String)).toEqual(ids.map(String));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Workload Balancing Tests
+ */
+
+const RouteSolverService = require('../src/services/routeSolver.service');
+const { getDriverAnalytics } = require('../src/controllers/analytics.controller');
+const { RoutePlan } = require('../src/models');
+
+const { at, depot, delivery } = require('./helpers/fixtures');
+
+// Four neighbouring stops, one of them worth far more than the others
+const deliveries = [
+  delivery('a', [-122.400, 37.780], { revenue: 100 }),
+  delivery('b', [-122.401, 37.781], { revenue: 10 }),
+  delivery('c', [-122.402, 37.782], { revenue: 10 }),
+  delivery('d', [-122.403, 37.783], { revenue: 10 })
+];
+
+const solve = (balancing) => RouteSolverService.solveFleet(RouteSolverService.buildProblem({
+  deliveries,
+  vehicles: [{}, {}],
+  startLocation: depot,
+  returnToStart: true,
+  departureTime: at(0),
+  balancing
+}));
+
+describe('Workload Balancing', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should share stops between drivers when balancing them', () => {
+    const unbalanced = solve();
+    // Close together, the stops are cheapest on one route
+    expect(unbalanced.routes.map(route => route.sequence.length).sort()).toEqual([0, 4]);
+    expect(unbalanced.workload.stops).toEqual({ min: 0, max: 4, spread: 4 });
+
+    const balanced = solve({ metric: 'stops', weight: 1 });
+    expect(balanced.routes.map(route => route.sequence.length)).toEqual([2, 2]);
+    expect(balanced.workload.stops.spread).toBe(0);
+    expect(balanced.workload.duration.spread).toBeLessThan(unbalanced.workload.duration.spread);
+  });
+
+  it('should even out revenue rather than stop counts', () => {
+    const solution = solve({ metric: 'revenue' });
+
+    expect(solution.routes.map(route => route.sequence.length).sort()).toEqual([1, 3]);
+    expect(solution.workload.revenue).toEqual({ min: 30, max: 100, spread: 70 });
+  });
+
+  it('should not balance without a known metric or with a zero weight', () => {
+    expect(RouteSolverService.balancing(undefined)).toBeNull();
+    expect(RouteSolverService.balancing({ metric: 'distance' })).toBeNull();
+    expect(RouteSolverService.balancing({ metric: 'stops', weight: 0 })).toBeNull();
+    expect(RouteSolverService.balancing({ metric: 'drivingTime' })).toEqual({ metric: 'drivingTime', weight: 1 });
+  });
+
+  it('should report the workload spread across drivers over history', async () => {
+    jest.spyOn(RoutePlan, 'aggregate')
+      .mockResolvedValueOnce([{ _id: 'sam', driverName: 'Sam', totalRoutes: 2 }])
+      .mockResolvedValueOnce([
+        { _id: { driver: 'sam', day: '2026-03-02' }, stops: 12, duration: 540, revenue: 300 },
+        { _id: { driver: 'kim', day: '2026-03-02' }, stops: 4, duration: 180, revenue: 80 },
+        { _id: { driver: 'sam', day: '2026-03-03' }, stops: 6, duration: 300, revenue: 150 },
+        { _id: { driver: 'kim', day: '2026-03-03' }, stops: 7, duration: 360, revenue: 170 },
+        { _id: { driver: 'kim', day: '2026-03-04' }, stops: 5, duration: 240, revenue: 100 }
+      ]);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await getDriverAnalytics({ query: {}, user: { companyId: 'company-1' } }, res, jest.fn());
+
+    const { workload } = res.json.mock.calls[0][0].data;
+    expect(workload.period.duration).toEqual({ min: 780, max: 840, spread: 60 });
+    expect(workload.period.stops.spread).toBe(2);
+    // A day worked by one driver has no spread to report
+    expect(workload.daily.days).toEqual([
+      { day: '2026-03-02', durationSpread: 360 },
+      { day: '2026-03-03', durationSpread: 60 }
+    ]);
+    expect(workload.daily.averageDurationSpread).toBe(210);
+    expect(workload.daily.worstDay).toEqual({ day: '2026-03-02', durationSpread: 360 });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Cost Model Tests
+ */
+
+const mongoose = require('mongoose');
+const CostService = require('../src/services/cost.service');
+const RouteSolverService = require('../src/services/routeSolver.service');
+const OptimizationService = require('../src/services/optimization.service');
+const RealTimeUpdateService = require('../src/services/realTimeUpdate.service');
+const { completeRoute, applyReoptimization } = require('../src/controllers/route.controller');
+const { RoutePlan, Delivery, CompanySettings } = require('../src/models');
+
+const { base, at, depot, delivery } = require('./helpers/fixtures');
+
+const costProfile = {
+  fuelPricePerLitre: 2,
+  driverHourlyWage: 30,
+  vehicleOverrides: [
+    { vehicleType: 'truck', fuelLitresPerKm: 0.3, maintenancePerKm: 0.2 },
+    { licensePlate: 'EV-1', driverHourlyWage: 40 }
+  ]
+};
+
+describe('Cost Model', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should apply company rates, then type and license plate overrides', () => {
+    expect(CostService.ratesFor(undefined, undefined)).toMatchObject({ fuelPricePerLitre: 1.5, driverHourlyWage: 25 });
+
+    const van = CostService.ratesFor(costProfile, { type: 'van' });
+    expect(van).toMatchObject({ fuelPricePerLitre: 2, fuelLitresPerKm: 0.1, driverHourlyWage: 30 });
+
+    const truck = CostService.ratesFor(costProfile, { type: 'truck', licensePlate: 'EV-1' });
+    expect(truck).toMatchObject({ fuelPricePerLitre: 2, fuelLitresPerKm: 0.3, maintenancePerKm: 0.2, driverHourlyWage: 40 });
+  });
+
+  it('should pay overtime beyond the regular shift', () => {
+    const rates = CostService.ratesFor(costProfile, { type: 'van' });
+    const cost = CostService.estimate(rates, { distance: 100, duration: 600 });
+
+    // 8 h at 30, 2 h at 45, 10 L at 2, 100 km at 0.05
+    expect(cost.breakdown).toEqual({ fuel: 20, tolls: 0, labor: 330, maintenance: 5, other: 0 });
+    expect(cost.total).toBe(355);
+    expect(cost.currency).toBe('USD');
+
+    const electric = CostService.estimate(rates, { distance: 100, duration: 60, energy: 20 });
+    expect(electric.breakdown.fuel).toBe(4);
+  });
+
+  it('should minimize the priced cost for the cost priority', () => {
+    const deliveries = [[-122.40, 37.78], [-122.36, 37.76], [-122.38, 37.80], [-122.33, 37.79]]
+      .map((coordinates, index) => delivery(`s${index}`, coordinates, { window: [0, 600] }));
+    const solveFor = optimizationPriority => RouteSolverService.solve(RouteSolverService.buildProblem({
+      deliveries,
+      startLocation: depot,
+      departureTime: at(0),
+      optimizationPriority,
+      costProfile
+    }));
+
+    const cheapest = solveFor('cost');
+    expect(cheapest.schedule.cost.total).toBeGreaterThan(0);
+    expect(cheapest.schedule.cost.total).toBeLessThanOrEqual(solveFor('distance').schedule.cost.total);
+    expect(cheapest.schedule.cost.total).toBeLessThanOrEqual(solveFor('time').schedule.cost.total);
+  });
+
+  it('should price each fleet vehicle at the rates for its type and license plate', async () => {
+    const vehicles = await OptimizationService.resolveFleetVehicles(
+      [{ type: 'truck', licensePlate: 'T-1' }, { type: 'van', licensePlate: 'EV-1' }, {}],
+      'company-1',
+      'start'
+    );
+    const problem = RouteSolverService.buildProblem({
+      deliveries: [delivery('s0', [-122.36, 37.76])],
+      vehicles,
+      startLocation: depot,
+      departureTime: at(0),
+      costProfile
+    });
+
+    expect(problem.vehicles.map(vehicle => [vehicle.rates.fuelLitresPerKm, vehicle.rates.maintenancePerKm, vehicle.rates.driverHourlyWage]))
+      .toEqual([[0.3, 0.2, 30], [0.1, 0.05, 40], [0.1, 0.05, 30]]);
+
+    // The same stop costs more by truck than by a van without overrides
+    const [truck, , van] = problem.vehicles.map(vehicle => RouteSolverService.simulate(problem, [0], vehicle));
+    expect(truck.totalDistance).toBe(van.totalDistance);
+    expect(truck.cost.breakdown.maintenance).toBeCloseTo(truck.totalDistance * 0.2, 1);
+    expect(truck.cost.total).toBeGreaterThan(van.cost.total);
+  });
+
+  it('should price a completed route on the time it actually took', async () => {
+    const companyId = 'company-1';
+    const route = new RoutePlan({
+      userId: new mongoose.Types.ObjectId(),
+      companyId,
+      name: 'Afternoon',
+      scheduledDate: new Date(base),
+      status: 'in_progress',
+      actualStartTime: new Date(Date.now() - 120 * 60000),
+      metrics: { totalDistance: 40, totalDuration: 60 },
+      vehicle: { type: 'van' }
+    });
+    jest.spyOn(RoutePlan, 'findById').mockResolvedValue(route);
+    jest.spyOn(route, 'save').mockResolvedValue(route);
+    jest.spyOn(Delivery, 'updateMany').mockResolvedValue({});
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId, costProfile }));
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await completeRoute({ params: { id: route._id.toString() }, user: { id: 'user-1', companyId } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(route.status).toBe('completed');
+    expect(route.cost.breakdown.labor).toBeCloseTo(60, 0);
+    expect(route.cost.breakdown.fuel).toBe(8);
+    expect(route.cost.total).toBeCloseTo(70, 0);
+  });
+
+  it('should propose a re-optimization, then reprice the whole route once it is applied', async () => {
+    const companyId = 'company-1';
+    const stop = (name, coordinates, status = 'assigned') => new Delivery({
+      companyId,
+      customer: { name },
+      address: { street: name, city: 'San Francisco' },
+      location: { coordinates },
+      timeWindow: { earliest: new Date(base), latest: new Date(base + 600 * 60000) },
+      status
+    });
+    const deliveries = [stop('a', [-122.41, 37.78], 'delivered'), stop('b', [-122.42, 37.77]), stop('c', [-122.43, 37.76])];
+    const waypoint = (d, index) => ({
+      deliveryId: d._id, location: { coordinates: d.location.coordinates }, address: d.address.street, sequence: index + 1
+    });
+    const route = new RoutePlan({
+      userId: new mongoose.Types.ObjectId(),
+      companyId,
+      name: 'Morning',
+      scheduledDate: new Date(base),
+      status: 'in_progress',
+      startLocation: { coordinates: [-122.40, 37.79] },
+      deliveries,
+      route: [
+        waypoint(deliveries[0], 0),
+        {
+          type: 'break',
+          location: { coordinates: [-122.41, 37.78] },
+          address: 'Driver break',
+          arrivalTime: new Date(Date.now() - 40 * 60000),
+          departureTime: new Date(Date.now() - 10 * 60000),
+          serviceTime: 30
+        },
+        waypoint(deliveries[1], 2),
+        waypoint(deliveries[2], 3)
+      ],
+      cost: { total: 500 },
+      metrics: { totalDistance: 40, totalDuration: 60, co2Emissions: 90 },
+      vehicle: { type: 'truck' }
+    });
+    const settings = new CompanySettings({ companyId, costProfile });
+    jest.spyOn(RoutePlan, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(route) });
+    jest.spyOn(RealTimeUpdateService, 'getLatestUpdate').mockResolvedValue({ trafficData: { delayMinutes: 25 } });
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(settings);
+    jest.spyOn(route, 'save').mockResolvedValue(route);
+
+    const { reoptimizationNeeded, newRoute, distanceChange, durationChange } = await RealTimeUpdateService.triggerReoptimization(route._id);
+
+    // Only proposed: the route keeps its plan and figures
+    expect(reoptimizationNeeded).toBe(true);
+    expect(route.cost.total).toBe(500);
+    expect(route.metrics.totalDistance).toBe(40);
+    expect(route.reoptimization.deliveries.map(String)).toEqual(newRoute.deliveries.map(d => d._id.toString()));
+    expect(route.reoptimization.distanceChange).toBe(distanceChange);
+
+    // Applied: the whole route is priced the way completing it would
+    route.depopulate('deliveries');
+    route.set('reoptimization.distanceChange', 5);
+    route.set('reoptimization.durationChange', -10);
+    jest.spyOn(RoutePlan, 'findById').mockImplementation(() => Object.assign(Promise.resolve(route), { populate: () => route }));
+    jest.spyOn(Delivery, 'find').mockResolvedValue(deliveries);
+    jest.spyOn(Delivery, 'bulkWrite').mockResolvedValue({});
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await applyReoptimization({ params: { id: route._id.toString() }, user: { id: 'user-1', companyId } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(durationChange).toEqual(expect.any(Number));
+    expect(route.metrics.totalDistance).toBe(45);
+    expect(route.metrics.totalDuration).toBe(50);
+    const expected = CostService.routeCost({ metrics: { totalDistance: 45, totalDuration: 50 }, vehicle: route.vehicle }, costProfile);
+    expect(route.cost.total).toBeCloseTo(expected.total, 5);
+    expect(route.metrics.co2Emissions).toBeGreaterThan(0);
+    expect(route.metrics.co2Emissions).not.toBe(90);
+    expect(route.reoptimization).toBeUndefined();
+    // The delivered stop and the break after it stay ahead of the new plan
+    expect(route.deliveries[0].toString()).toBe(deliveries[0]._id.toString());
+    expect(route.route.slice(0, 2).map(w => w.type)).toEqual(['delivery', 'break']);
+    expect(route.route.map(w => w.sequence)).toEqual(route.route.map((w, index) => index + 1));
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Departure Time Tests
+ */
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const AIRouteService = require('../src/services/aiRoute.service');
+const MatrixService = require('../src/services/matrix.service');
+const TomTomService = require('../src/services/tomtom.service');
+const TimelineService = require('../src/services/timeline.service');
+const { validateOptimizationRequest } = require('../src/middleware/validation.middleware');
+const { RoutePlan } = require('../src/models');
+
+const at = time => new Date(`2026-03-02T${time}:00Z`);
+
+const delivery = (id, coordinates, latest = '12:00') => ({
+  _id: id,
+  customer: { name: id },
+  location: { coordinates },
+  timeWindow: { earliest: at('06:00'), latest: at(latest) },
+  serviceTime: 10
+});
+
+// Stop x has to be reached by 09:05
+const deliveries = [
+  delivery('x', [-122.41, 37.78], '09:05'),
+  delivery('y', [-122.42, 37.77]),
+  delivery('z', [-122.43, 37.76])
+];
+const startLocation = { coordinates: [-122.40, 37.79] };
+
+// Minutes between any two stops by hour of departure: 08:00 is rush hour, 09:00 is clear
+const MINUTES_BY_HOUR = { 7: 20, 8: 30, 9: 10 };
+const hourlyMatrix = async (locations, { departureTime }) => {
+  const minutes = MINUTES_BY_HOUR[new Date(departureTime).getUTCHours()];
+  const table = value => locations.map((from, i) => locations.map((to, j) => (i === j ? 0 : value)));
+  return { distances: table(5), durations: table(minutes), source: 'tomtom' };
+};
+
+const validate = async (body) => {
+  const req = { body };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  for (const middleware of validateOptimizationRequest) {
+    await middleware(req, res, next);
+  }
+  return res.json.mock.calls[0]?.[0];
+};
+
+describe('Departure Times', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should route for the planned departure while it is ahead, and never on live traffic otherwise', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { routes: [{ summary: { lengthInMeters: 1000, travelTimeInSeconds: 120 }, legs: [] }] }
+    });
+    const waypoints = [{ lat: 37.79, lng: -122.40 }, { lat: 37.78, lng: -122.41 }];
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60000);
+    const plan = startTime => new RoutePlan({ userId: new mongoose.Types.ObjectId(), companyId: 'company-1', name: 'Downtown', startTime });
+
+    for (const route of [plan(tomorrow), plan(at('08:00')), plan(undefined)]) {
+      await TomTomService.calculateRoute(waypoints, TimelineService.routeOptions(route, route.startTime));
+    }
+    // Routes under way are timed from now
+    await TomTomService.calculateRoute(waypoints, TimelineService.routeOptions(plan(at('08:00')), 'now'));
+
+    // TomTom only predicts from now onwards; past or missing departures use historical speeds
+    expect(get.mock.calls.map(([, { params }]) => [params.departAt, params.traffic])).toEqual([
+      [tomorrow.toISOString(), true],
+      [undefined, false],
+      [undefined, false],
+      ['now', true]
+    ]);
+  });
+
+  it('should plan each departure slot with the travel times of its hour and recommend the least late', async () => {
+    const getMatrix = jest.spyOn(MatrixService, 'getMatrix').mockImplementation(hourlyMatrix);
+
+    const { slots, recommended } = await AIRouteService.searchDepartures(
+      { deliveries, startLocation, optimizationPriority: 'time' },
+      { from: at('07:00'), to: at('09:00') }
+    );
+
+    expect(getMatrix.mock.calls.map(([, options]) => options.departureTime)).toEqual([at('07:00'), at('08:00'), at('09:00')]);
+    expect(slots.map(slot => [slot.departureTime, slot.endTime, slot.totalDuration, slot.lateStops, slot.lateMinutes])).toEqual([
+      [at('07:00'), at('08:30'), 90, 0, 0],
+      [at('08:00'), at('10:00'), 120, 0, 0],
+      // The quickest, but x is reached at 09:10 at the earliest
+      [at('09:00'), at('10:00'), 60, 1, 5]
+    ]);
+    expect(slots[2].sequence[0]).toBe(0);
+    expect(recommended).toBe(slots[0]);
+  });
+
+  it('should attach the departure options to a single-route optimization', async () => {
+    jest.spyOn(MatrixService, 'getMatrix').mockImplementation(hourlyMatrix);
+    const onProgress = jest.fn();
+
+    const { optimizedRoute } = await AIRouteService.optimizeRoute({
+      deliveries: deliveries.slice(1),
+      startLocation,
+      departureTime: at('08:00'),
+      departureSearch: { from: at('08:00'), to: at('09:30'), intervalMinutes: 30 },
+      onProgress
+    });
+
+    // The plan itself still leaves at the requested time
+    expect(optimizedRoute.startTime).toEqual(at('08:00'));
+    const { slots, recommended } = optimizedRoute.departureOptions;
+    expect(slots.map(slot => slot.departureTime)).toEqual([at('08:00'), at('08:30'), at('09:00'), at('09:30')]);
+    // The earliest of the clear slots
+    expect(recommended.departureTime).toEqual(at('09:00'));
+    expect(recommended.totalDuration).toBe(40);
+    expect(onProgress).toHaveBeenCalledWith('departures', 90, 'Comparing departure times');
+  });
+
+  it('should only search departures for a single route within the slot limit', async () => {
+    const body = { deliveryIds: [new mongoose.Types.ObjectId().toString()], startLocation };
+    const search = { from: '2026-03-02T07:00:00Z', to: '2026-03-02T11:00:00Z' };
+
+    expect(await validate({ ...body, departureSearch: search })).toBeUndefined();
+
+    const errors = async (extra) => (await validate({ ...body, ...extra })).errors.map(error => error.message);
+    expect(await errors({ departureSearch: search, vehicles: [{ type: 'van' }] }))
+      .toEqual(['Departure search is only available when optimizing a single route']);
+    expect(await errors({ departureSearch: { ...search, intervalMinutes: 15, to: '2026-03-02T17:00:00Z' } }))
+      .toEqual(['Departure search compares at most 24 slots; widen the interval or narrow the range']);
+    expect(await errors({ departureSearch: { from: search.to, to: search.from } }))
+      .toEqual(['Departure search cannot end before it starts']);
+  });
+});
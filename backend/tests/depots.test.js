@@ -0,0 +1,68 @@
+/**
+ * Depot and Route End Tests
+ */
+
+const mongoose = require('mongoose');
+const OptimizationService = require('../src/services/optimization.service');
+const { Depot, User } = require('../src/models');
+
+const companyId = 'company-1';
+
+const depot = (name, coordinates, extra = {}) => new Depot({
+  name,
+  location: { type: 'Point', coordinates },
+  companyId,
+  ...extra
+});
+
+describe('Route Endpoints', () => {
+  const main = depot('Main', [-122.42, 37.77], { isDefault: true });
+  const north = depot('North', [-122.41, 37.80]);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should start at the default depot and return there', async () => {
+    jest.spyOn(Depot, 'find').mockResolvedValue([north, main]);
+
+    const endpoints = await OptimizationService.resolveEndpoints({}, companyId);
+
+    expect(endpoints.startLocation).toMatchObject({ id: main._id.toString(), coordinates: [-122.42, 37.77] });
+    expect(endpoints.depots).toEqual([]);
+    expect(endpoints).toMatchObject({ endType: 'start', returnToStart: true });
+  });
+
+  it('should offer every active depot when the choice is left to the optimizer', async () => {
+    jest.spyOn(Depot, 'find').mockResolvedValue([main, north]);
+
+    const endpoints = await OptimizationService.resolveEndpoints({ startDepotId: 'auto', endType: 'open' }, companyId);
+
+    expect(endpoints.startLocation).toBeUndefined();
+    expect(endpoints.depots.map(candidate => candidate.id)).toEqual([main._id.toString(), north._id.toString()]);
+    expect(endpoints.endLocation).toBeUndefined();
+    expect(endpoints.returnToStart).toBe(false);
+  });
+
+  it('should end at the driver\'s home only when it is known', async () => {
+    const driver = new User({ name: 'Dana', email: 'dana@example.com', companyId, role: 'driver', passwordHash: 'secret1' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(driver);
+    const request = {
+      startLocation: { coordinates: [-122.42, 37.77] },
+      endType: 'home',
+      driverId: driver._id.toString()
+    };
+
+    await expect(OptimizationService.resolveEndpoints(request, companyId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Driver Dana has no home location' });
+
+    driver.homeLocation = { address: '1 Home St', coordinates: [-122.45, 37.76] };
+    const endpoints = await OptimizationService.resolveEndpoints(request, companyId);
+    expect(endpoints.endLocation).toEqual({ coordinates: [-122.45, 37.76], address: '1 Home St' });
+  });
+
+  it('should require a start location when the company has no depots', async () => {
+    jest.spyOn(Depot, 'find').mockResolvedValue([]);
+
+    await expect(OptimizationService.resolveEndpoints({ deliveryIds: [new mongoose.Types.ObjectId()] }, companyId))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
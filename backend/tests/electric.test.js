@@ -0,0 +1,63 @@
+/**
+ * Electric Vehicle Range Tests
+ */
+
+const RouteSolverService = require('../src/services/routeSolver.service');
+const AIRouteService = require('../src/services/aiRoute.service');
+
+const { at, depot, delivery } = require('./helpers/fixtures');
+
+// About 39 km out and back, more than a 5 kWh battery covers at 0.2 kWh/km
+const deliveries = [
+  delivery('a', [-122.30, 37.77]),
+  delivery('b', [-122.20, 37.77])
+];
+const ev = (extra = {}) => ({ fuelType: 'electric', batteryCapacity: 5, consumptionPerKm: 0.2, ...extra });
+
+const buildProblem = (vehicle) => RouteSolverService.buildProblem({
+  deliveries,
+  vehicles: [vehicle],
+  startLocation: depot,
+  endLocation: depot,
+  departureTime: at(0)
+});
+
+describe('Electric Vehicles', () => {
+  it('should detour to a charger before the battery runs low', () => {
+    const problem = buildProblem(ev({ chargers: [{ name: 'Midway', coordinates: [-122.25, 37.77], powerKw: 50 }] }));
+    const { schedule } = RouteSolverService.solve(problem);
+
+    expect(schedule.outOfRange).toBe(false);
+    expect(schedule.feasible).toBe(true);
+    expect(schedule.charges).toHaveLength(1);
+    expect(schedule.charges[0].name).toBe('Midway');
+    expect(schedule.energyUsed).toBeCloseTo(schedule.totalDistance * 0.2, 5);
+    // Charged back to full at 50 kW
+    expect(schedule.charges[0].duration).toBeCloseTo((schedule.charges[0].energy / 50) * 60, 5);
+  });
+
+  it('should report a range shortfall when no charger is in reach', () => {
+    const { schedule } = RouteSolverService.solve(buildProblem(ev()));
+
+    expect(schedule.charges).toHaveLength(0);
+    expect(schedule.rangeShortfall).toBeGreaterThan(0);
+    expect(schedule.feasible).toBe(false);
+    expect(RouteSolverService.isRouteFeasible({ schedule })).toBe(false);
+  });
+
+  it('should report kWh and charging time instead of fuel', () => {
+    const problem = buildProblem(ev({ chargers: [{ name: 'Midway', coordinates: [-122.25, 37.77] }] }));
+    const optimizedRoute = AIRouteService.buildOptimizedRoute(deliveries, problem, RouteSolverService.solve(problem));
+
+    expect(optimizedRoute.estimatedMetrics.fuelEstimate).toBeUndefined();
+    expect(optimizedRoute.estimatedMetrics.energyEstimate).toBeGreaterThan(5);
+    expect(optimizedRoute.estimatedMetrics.chargingStops).toBe(1);
+    expect(optimizedRoute.estimatedMetrics.chargingTime).toBeGreaterThan(0);
+    expect(optimizedRoute.route.map(waypoint => waypoint.type)).toContain('charging');
+
+    const diesel = buildProblem({ fuelType: 'diesel' });
+    const dieselRoute = AIRouteService.buildOptimizedRoute(deliveries, diesel, RouteSolverService.solve(diesel));
+    expect(dieselRoute.estimatedMetrics.fuelEstimate).toBeGreaterThan(0);
+    expect(dieselRoute.estimatedMetrics.energyEstimate).toBeUndefined();
+  });
+});
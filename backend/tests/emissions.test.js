@@ -0,0 +1,111 @@
+/**
+ * CO2 Emissions Tests
+ */
+
+const EmissionsService = require('../src/services/emissions.service');
+const RouteSolverService = require('../src/services/routeSolver.service');
+const OptimizationService = require('../src/services/optimization.service');
+const { getEmissionsAnalytics } = require('../src/controllers/analytics.controller');
+const { RoutePlan } = require('../src/models');
+
+const { at, depot, delivery } = require('./helpers/fixtures');
+
+const load = (weight) => delivery('a', [-122.30, 37.77], { packageDetails: { weight, quantity: 1 } });
+
+const solveFor = (vehicle, weight, emissionFactors) => RouteSolverService.solve(RouteSolverService.buildProblem({
+  deliveries: [load(weight)],
+  vehicles: [vehicle],
+  startLocation: depot,
+  endLocation: depot,
+  departureTime: at(0),
+  emissionFactors
+})).schedule;
+
+describe('CO2 Emissions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should pick the factor for the fuel type and the load uplift for the vehicle type', () => {
+    expect(EmissionsService.profileFor(undefined, undefined))
+      .toEqual({ fuelType: 'diesel', kgCo2PerUnit: 2.68, fullLoadUplift: 0.15 });
+    expect(EmissionsService.profileFor(undefined, { type: 'truck', fuelType: 'petrol' }))
+      .toEqual({ fuelType: 'petrol', kgCo2PerUnit: 2.31, fullLoadUplift: 0.3 });
+
+    const factors = { gridKgCo2PerKwh: 0.05, fullLoadUplift: { van: 0.2 } };
+    expect(EmissionsService.profileFor(factors, { type: 'van', fuelType: 'electric' }))
+      .toEqual({ fuelType: 'electric', kgCo2PerUnit: 0.05, fullLoadUplift: 0.2 });
+  });
+
+  it('should burn more fuel on legs driven loaded', () => {
+    const truck = { type: 'truck', capacity: 1000 };
+    const empty = solveFor(truck, 0);
+    const loaded = solveFor(truck, 1000);
+
+    // Out at full load, back empty
+    expect(loaded.fuelUsed / empty.fuelUsed).toBeCloseTo(2.3 / 2, 5);
+    expect(loaded.co2).toBeCloseTo(loaded.fuelUsed * 2.68, 1);
+    expect(loaded.cost.breakdown.fuel).toBeCloseTo(loaded.fuelUsed * 1.5, 2);
+  });
+
+  it('should use the factors for the type of each fleet vehicle', async () => {
+    const vehicles = await OptimizationService.resolveFleetVehicles(
+      [{ type: 'truck', capacity: 1000 }, { type: 'car', capacity: 1000, fuelType: 'petrol' }],
+      'company-1',
+      'start'
+    );
+    const problem = RouteSolverService.buildProblem({
+      deliveries: [load(1000)],
+      vehicles,
+      startLocation: depot,
+      endLocation: depot,
+      departureTime: at(0)
+    });
+
+    expect(problem.vehicles.map(vehicle => vehicle.emissions)).toEqual([
+      { fuelType: 'diesel', kgCo2PerUnit: 2.68, fullLoadUplift: 0.3 },
+      { fuelType: 'petrol', kgCo2PerUnit: 2.31, fullLoadUplift: 0.1 }
+    ]);
+
+    // Out at full load, back empty
+    const [truck, car] = problem.vehicles.map(vehicle => RouteSolverService.simulate(problem, [0], vehicle));
+    expect(truck.fuelUsed / car.fuelUsed).toBeCloseTo(2.3 / 2.1, 5);
+    expect(car.co2).toBeCloseTo(car.fuelUsed * 2.31, 1);
+  });
+
+  it('should count electric vans at the grid intensity', () => {
+    const schedule = solveFor({ type: 'van', fuelType: 'electric' }, 0, { gridKgCo2PerKwh: 0.1 });
+
+    expect(schedule.fuelUsed).toBeNull();
+    expect(schedule.co2).toBeCloseTo(schedule.energyUsed * 0.1, 1);
+  });
+
+  it('should estimate stored routes without a consumption estimate from half their peak load', () => {
+    const route = {
+      metrics: { totalDistance: 100 },
+      vehicle: { type: 'truck', fuelType: 'diesel' },
+      capacityCheck: { weight: 1000, weightCapacity: 1000 }
+    };
+
+    // 100 km at 0.1 L/km, 15% more for half a load
+    expect(EmissionsService.routeConsumption(route).fuel).toBeCloseTo(11.5, 5);
+    expect(EmissionsService.routeEmissions(route)).toBeCloseTo(11.5 * 2.68, 1);
+    expect(EmissionsService.routeEmissions({ ...route, metrics: { totalDistance: 100, estimatedFuelConsumption: 20 } }))
+      .toBeCloseTo(20 * 2.68, 1);
+  });
+
+  it('should report emissions per km and per stop', async () => {
+    jest.spyOn(RoutePlan, 'aggregate')
+      .mockResolvedValueOnce([{ _id: null, routes: 2, co2Emissions: 53.6, distance: 200, stops: 20 }])
+      .mockResolvedValueOnce([{ _id: { vehicleType: 'van', fuelType: 'diesel' }, routes: 2, co2Emissions: 53.6, distance: 200, stops: 20 }])
+      .mockResolvedValueOnce([]);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await getEmissionsAnalytics({ query: {}, user: { companyId: 'company-1' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.summary).toMatchObject({ co2Emissions: 53.6, co2PerKm: 0.268, co2PerStop: 2.68 });
+    expect(data.byVehicle[0]).toMatchObject({ _id: { vehicleType: 'van', fuelType: 'diesel' }, co2PerKm: 0.268 });
+    expect(RoutePlan.aggregate.mock.calls[0][0][0].$match.status).toEqual({ $ne: 'cancelled' });
+  });
+});
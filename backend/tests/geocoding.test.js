@@ -0,0 +1,99 @@
+/**
+ * Geocoding and Address Validation Tests
+ */
+
+const GeocodingService = require('../src/services/geocoding.service');
+const GazetteerGeocoder = require('../src/services/geocoding/gazetteer.provider');
+const TomTomService = require('../src/services/tomtom.service');
+const ZoneService = require('../src/services/zone.service');
+const { createDelivery } = require('../src/controllers/delivery.controller');
+const { Delivery, CompanySettings } = require('../src/models');
+
+const entries = [
+  { street: '1455 Market Street', city: 'San Francisco', state: 'CA', postalCode: '94103', country: 'USA', coordinates: [-122.4177, 37.7740] },
+  { city: 'San Francisco', state: 'CA', country: 'USA', coordinates: [-122.4194, 37.7749] },
+  { city: 'Los Angeles', state: 'CA', country: 'USA', coordinates: [-118.2437, 34.0522] }
+];
+
+const timeWindow = { earliest: '2026-03-02T09:00:00Z', latest: '2026-03-02T12:00:00Z' };
+
+const create = async (body) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await createDelivery({ body: { customer: { name: 'Customer' }, timeWindow, ...body }, user: { id: 'user-1', companyId: 'company-1' } }, res, next);
+  if (next.mock.calls[0]) throw next.mock.calls[0][0];
+  return res.json.mock.calls[0][0];
+};
+
+describe('Geocoding', () => {
+  beforeEach(() => {
+    GeocodingService.setProvider('gazetteer', new GazetteerGeocoder({ entries }));
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId: 'company-1' }));
+    jest.spyOn(Delivery, 'create').mockImplementation(async (data) => new Delivery(data));
+    jest.spyOn(ZoneService, 'zoneFor').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    GeocodingService.reset();
+  });
+
+  it('should match addresses in the gazetteer despite abbreviations', async () => {
+    const geocoder = GeocodingService.getProvider('gazetteer');
+
+    const exact = await geocoder.forward({ street: '1455 Market St.', city: 'san francisco', state: 'CA', country: 'US' });
+    expect(exact).toEqual(expect.objectContaining({ coordinates: [-122.4177, 37.7740], confidence: 0.95, precision: 'address' }));
+
+    const city = await geocoder.forward({ street: '9 Unknown Lane', city: 'Los Angeles', state: 'CA' });
+    expect(city).toEqual(expect.objectContaining({ coordinates: [-118.2437, 34.0522], confidence: 0.5, precision: 'city' }));
+    expect(await geocoder.forward({ street: '1 Main St', city: 'Springfield' })).toBeNull();
+
+    const nearest = await geocoder.reverse([-122.4180, 37.7741]);
+    expect(nearest.address.street).toBe('1455 Market Street');
+    expect(nearest.confidence).toBeGreaterThan(0.85);
+    expect(await geocoder.reverse([0, 0])).toBeNull();
+  });
+
+  it('should geocode a delivery sent with only an address, and fill the address of one sent with coordinates', async () => {
+    const geocoded = await create({ address: { street: '1455 Market St', city: 'San Francisco', state: 'CA' } });
+    expect(geocoded.data.delivery.location.coordinates).toEqual([-122.4177, 37.7740]);
+    expect(geocoded.data.delivery.geocoding).toEqual(expect.objectContaining({ status: 'geocoded', confidence: 0.95, provider: 'gazetteer' }));
+    expect(geocoded.data.delivery.address.postalCode).toBe('94103');
+
+    const reversed = await create({ location: { coordinates: [-122.4178, 37.7741] } });
+    expect(reversed.data.delivery.address).toEqual(expect.objectContaining({ street: '1455 Market Street', city: 'San Francisco' }));
+    expect(reversed.data.delivery.geocoding.status).toBe('reverse_geocoded');
+
+    // Only the city is known near these coordinates, and the client sent no street
+    await expect(create({ location: { coordinates: [-118.25, 34.05] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'No street address found at the coordinates; send address.street and address.city' });
+    await expect(create({ address: { street: '1 Main St', city: 'Springfield' } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Address could not be geocoded; send location.coordinates' });
+  });
+
+  it('should flag coordinates far from the address, allowing for coarse matches', async () => {
+    const far = await create({ address: { street: '1455 Market Street', city: 'San Francisco' }, location: { coordinates: [-122.4300, 37.7749] } });
+    expect(far.data.delivery.geocoding).toEqual(expect.objectContaining({ status: 'mismatch', precision: 'address' }));
+    expect(far.data.delivery.geocoding.distanceKm).toBeGreaterThan(1);
+    expect(far.message).toBe(`Delivery created; its location is ${far.data.delivery.geocoding.distanceKm} km from the address`);
+
+    // 5 km from the city center is still somewhere in Los Angeles
+    const suburb = await create({ address: { street: '9 Unknown Lane', city: 'Los Angeles' }, location: { coordinates: [-118.2437, 34.0972] } });
+    expect(suburb.data.delivery.geocoding).toEqual(expect.objectContaining({ status: 'verified', precision: 'city' }));
+    expect(suburb.data.delivery.location.coordinates).toEqual([-118.2437, 34.0972]);
+
+    const unknown = await create({ address: { street: '1 Main St', city: 'Springfield' }, location: { coordinates: [-89.65, 39.78] } });
+    expect(unknown.data.delivery.geocoding.status).toBe('unverified');
+  });
+
+  it('should fall back to the gazetteer when the company geocoder fails', async () => {
+    jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(true);
+    const geocode = jest.spyOn(TomTomService, 'geocode').mockRejectedValue(new Error('Failed to geocode address: timeout'));
+
+    const match = await GeocodingService.forward({ street: '1455 Market Street', city: 'San Francisco' }, { provider: 'tomtom' });
+
+    expect(geocode).toHaveBeenCalledWith('1455 Market Street, San Francisco');
+    expect(match.provider).toBe('gazetteer');
+    expect(GeocodingService.chain({ provider: 'nominatim' }).map(provider => provider.name)).toEqual(['gazetteer']);
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Test Fixtures
+ * Clock, depot and stops shared by the optimization tests
+ */
+
+// 08:00 UTC on a Monday
+const base = new Date('2026-03-02T08:00:00Z').getTime();
+const at = (minutes) => new Date(base + minutes * 60000).toISOString();
+
+const depot = { coordinates: [-122.42, 37.77] };
+
+/**
+ * Stop with the fields the solver reads; window is [earliest, latest] in
+ * minutes after base, and extra adds or overrides fields
+ */
+const delivery = (id, coordinates, { window, ...extra } = {}) => ({
+  _id: id,
+  customer: { name: `Customer ${id}` },
+  location: { type: 'Point', coordinates },
+  ...(window && { timeWindow: { earliest: at(window[0]), latest: at(window[1]) } }),
+  serviceTime: 10,
+  ...extra
+});
+
+module.exports = { base, at, depot, delivery };
@@ -0,0 +1,188 @@
+/**
+ * LLM Provider Tests
+ */
+
+jest.mock('axios');
+const axios = require('axios');
+
+const LLMService = require('../src/services/llm.service');
+const AIRouteService = require('../src/services/aiRoute.service');
+const OpenAIProvider = require('../src/services/llm/openai.provider');
+const AnthropicProvider = require('../src/services/llm/anthropic.provider');
+const OllamaProvider = require('../src/services/llm/ollama.provider');
+const FakeProvider = require('../src/services/llm/fake.provider');
+
+const messages = [
+  { role: 'system', content: 'You plan routes.' },
+  { role: 'user', content: 'Plan this route.' }
+];
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('LLM Providers', () => {
+  afterEach(() => LLMService.reset());
+
+  describe('Adapters', () => {
+    it('should send OpenAI-compatible chat completions', async () => {
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'ok' } }] } });
+      const provider = new OpenAIProvider({ name: 'openai', apiUrl: 'http://llm/chat', apiKey: 'key', model: 'small', timeout: 5000 });
+
+      const result = await provider.complete(messages, { maxTokens: 100 });
+
+      expect(result).toEqual({ content: 'ok', model: 'small', provider: 'openai' });
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('http://llm/chat');
+      expect(body).toMatchObject({ model: 'small', messages, max_tokens: 100 });
+      expect(config.headers.Authorization).toBe('Bearer key');
+      expect(config.timeout).toBe(5000);
+    });
+
+    it('should move the system prompt out of Anthropic-style messages', async () => {
+      axios.post.mockResolvedValueOnce({ data: { content: [{ type: 'text', text: 'first ' }, { type: 'text', text: 'second' }] } });
+      const provider = new AnthropicProvider({ name: 'anthropic', apiUrl: 'http://llm/messages', apiKey: 'key', model: 'haiku' });
+
+      const result = await provider.complete(messages, { model: 'sonnet' });
+
+      expect(result.content).toBe('first second');
+      expect(result.model).toBe('sonnet');
+      const [, body, config] = axios.post.mock.calls[0];
+      expect(body.system).toBe('You plan routes.');
+      expect(body.messages).toEqual([{ role: 'user', content: 'Plan this route.' }]);
+      expect(config.headers['x-api-key']).toBe('key');
+    });
+
+    it('should call an Ollama-style endpoint without an API key', async () => {
+      axios.post.mockResolvedValueOnce({ data: { message: { role: 'assistant', content: 'local' } } });
+      const provider = new OllamaProvider({ name: 'ollama', apiUrl: 'http://localhost:11434/api/chat', model: 'llama3.1' });
+
+      expect(provider.isConfigured()).toBe(true);
+      const result = await provider.complete(messages);
+
+      expect(result.content).toBe('local');
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ model: 'llama3.1', stream: false });
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry transient failures up to the adapter limit', async () => {
+      axios.post
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' }))
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'third time' } }] } });
+      const provider = new OpenAIProvider({ name: 'openai', apiUrl: 'http://llm', apiKey: 'key', maxRetries: 2, retryDelay: 0 });
+
+      const result = await provider.complete(messages);
+
+      expect(result.content).toBe('third time');
+      expect(axios.post).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors or exceed the retry limit', async () => {
+      const provider = new OpenAIProvider({ name: 'openai', apiUrl: 'http://llm', apiKey: 'key', maxRetries: 1, retryDelay: 0 });
+
+      axios.post.mockRejectedValueOnce(httpError(400));
+      await expect(provider.complete(messages)).rejects.toThrow('400');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+
+      axios.post.mockRejectedValue(httpError(429));
+      await expect(provider.complete(messages)).rejects.toThrow('429');
+      expect(axios.post).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Company selection', () => {
+    it('should use the company provider, model and timeout', async () => {
+      const fake = new FakeProvider({ responses: ['hello'] });
+      LLMService.setProvider('ollama', fake);
+
+      const result = await LLMService.complete(messages, {
+        settings: { provider: 'ollama', model: 'mistral', timeoutMs: 9000 },
+        maxTokens: 50
+      });
+
+      expect(result).toEqual({ content: 'hello', model: 'mistral', provider: 'fake' });
+      expect(fake.calls[0].request).toMatchObject({ model: 'mistral', timeout: 9000, maxTokens: 50 });
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => LLMService.resolve({ provider: 'unknown' })).toThrow('Unknown LLM provider');
+    });
+  });
+
+  describe('Fake provider', () => {
+    const deliveries = [
+      { _id: 'a', customer: { name: 'A' }, location: { coordinates: [-122.40, 37.77] }, serviceTime: 10 },
+      { _id: 'b', customer: { name: 'B' }, location: { coordinates: [-122.38, 37.77] }, serviceTime: 10 }
+    ];
+
+    it('should drive AI sequencing with canned responses', async () => {
+      LLMService.setProvider('openai', new FakeProvider({
+        responses: [JSON.stringify({ sequence: [1, 0], reasoning: 'B is on the way' })]
+      }));
+
+      const result = await AIRouteService.optimizeRoute({
+        deliveries,
+        startLocation: { coordinates: [-122.42, 37.77] },
+        engine: 'ai'
+      });
+
+      expect(result.engine).toBe('ai');
+      expect(result.aiModel).toBe('fake');
+      expect(result.optimizedRoute.sequence).toEqual([1, 0]);
+    });
+
+    it('should repair the AI sequence and measure its confidence', async () => {
+      LLMService.setProvider('openai', new FakeProvider({
+        responses: [JSON.stringify({ sequence: [1, 1, 5], reasoning: 'B first', estimatedMetrics: { totalDistance: 1 } })]
+      }));
+
+      const result = await AIRouteService.optimizeRoute({
+        deliveries,
+        startLocation: { coordinates: [-122.42, 37.77] },
+        engine: 'ai'
+      });
+
+      const { optimizedRoute } = result;
+      expect(optimizedRoute.sequence).toHaveLength(2);
+      expect(new Set(optimizedRoute.sequence)).toEqual(new Set([0, 1]));
+      expect(optimizedRoute.sequenceCheck).toMatchObject({
+        complete: false, invalidIndices: [5], duplicateIndices: [1], missingIndices: [0], repaired: true
+      });
+      expect(optimizedRoute.warnings).toEqual(expect.arrayContaining(optimizedRoute.sequenceCheck.repairs));
+      expect(optimizedRoute.estimatedMetrics.totalDistance).toBeGreaterThan(1);
+      expect(result.confidence).toBe(1);
+    });
+
+    it('should put sequence constraints in the prompt and enforce them', async () => {
+      const provider = new FakeProvider({
+        responses: [JSON.stringify({ sequence: [0, 1], reasoning: 'Listed order' })]
+      });
+      LLMService.setProvider('openai', provider);
+
+      const result = await AIRouteService.optimizeRoute({
+        deliveries,
+        startLocation: { coordinates: [-122.42, 37.77] },
+        sequenceConstraints: [{ type: 'pin', deliveryId: 'b', position: 1 }],
+        engine: 'ai'
+      });
+
+      expect(provider.calls[0].messages[1].content).toContain('SEQUENCE CONSTRAINTS:\n- Delivery 1 must be stop number 1');
+      expect(result.optimizedRoute.sequence).toEqual([1, 0]);
+      expect(result.optimizedRoute.sequenceCheck.repaired).toBe(true);
+    });
+
+    it('should fall back to the solver when the provider fails', async () => {
+      LLMService.setProvider('openai', new FakeProvider({ responses: [new Error('provider down')] }));
+
+      const result = await AIRouteService.optimizeRoute({
+        deliveries,
+        startLocation: { coordinates: [-122.42, 37.77] },
+        engine: 'ai'
+      });
+
+      expect(result.engine).toBe('vrptw-solver');
+      expect(result.optimizedRoute.reasoning).toBe('Stops are served in the order that keeps every delivery inside its time window.');
+      expect(result.optimizedRoute.warnings).toContain('AI sequencing unavailable - using VRPTW solver');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Travel Matrix Tests
+ */
+
+const MatrixService = require('../src/services/matrix.service');
+const TomTomService = require('../src/services/tomtom.service');
+const { TravelTime } = require('../src/models');
+const { haversineDistance } = require('../src/utils/geo');
+
+const depot = [-122.42, 37.77];
+const stopA = [-122.40, 37.78];
+const stopB = [-122.38, 37.76];
+const key = coordinates => MatrixService.coordinateKey(coordinates);
+const departureTime = '2026-03-02T08:20:00Z';
+
+const cachedFind = (cells) => jest.spyOn(TravelTime, 'find').mockReturnValue({ lean: () => Promise.resolve(cells) });
+
+describe('Travel Matrix', () => {
+  it('should estimate road distances offline', async () => {
+    jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(false);
+    jest.spyOn(MatrixService, 'cacheAvailable').mockReturnValue(false);
+
+    const matrix = await MatrixService.getMatrix([depot, stopA, stopB], { departureTime });
+
+    expect(matrix.source).toBe('estimate');
+    expect(matrix.distances[0][0]).toBe(0);
+    expect(matrix.distances[0][1]).toBeCloseTo(haversineDistance(depot, stopA) * 1.3, 6);
+    expect(matrix.durations[0][1]).toBeCloseTo(matrix.distances[0][1] / 40 * 60, 6);
+    expect(matrix.stats).toEqual({ cached: 0, fetched: 0, estimated: 6 });
+  });
+
+  it('should bucket departures by weekday and time of day', () => {
+    expect(MatrixService.timeBucket(departureTime)).toBe(480);
+    expect(MatrixService.timeBucket('2026-07-15T08:59:00Z')).toBe(480);
+    expect(MatrixService.timeBucket('2026-03-02T09:00:00Z')).toBe(540);
+
+    expect(MatrixService.weekday(departureTime)).toBe(1);
+    expect(MatrixService.weekday('2026-03-03T08:00:00Z')).toBe(2);
+
+    const monday = new Date('2026-03-02T10:00:00Z').getTime();
+    expect(MatrixService.bucketDeparture(480, 2, monday).toISOString()).toBe('2026-03-03T08:30:00.000Z');
+    // Next week's Monday once this one's bucket has passed
+    expect(MatrixService.bucketDeparture(480, 1, monday).toISOString()).toBe('2026-03-09T08:30:00.000Z');
+    expect(MatrixService.bucketDeparture(720, 1, monday).toISOString()).toBe('2026-03-02T12:30:00.000Z');
+  });
+
+  it('should fetch only uncached pairs from TomTom and cache them', async () => {
+    jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(MatrixService, 'cacheAvailable').mockReturnValue(true);
+    cachedFind([
+      { originKey: key(depot), destinationKey: key(stopA), distanceKm: 3, durationMinutes: 9 },
+      { originKey: key(stopA), destinationKey: key(depot), distanceKm: 3.2, durationMinutes: 10 }
+    ]);
+    const calculateMatrix = jest.spyOn(TomTomService, 'calculateMatrix').mockImplementation(async (origins, destinations) =>
+      origins.flatMap((_, originIndex) => destinations.map((__, destinationIndex) => ({
+        originIndex, destinationIndex, distanceKm: 5, durationMinutes: 12
+      })))
+    );
+    const bulkWrite = jest.spyOn(TravelTime, 'bulkWrite').mockResolvedValue({});
+
+    const matrix = await MatrixService.getMatrix([depot, stopA, stopB], { departureTime });
+
+    expect(matrix.source).toBe('tomtom');
+    expect(matrix.distances[0][1]).toBe(3);
+    expect(matrix.durations[1][0]).toBe(10);
+    expect(matrix.durations[0][2]).toBe(12);
+    expect(matrix.stats).toEqual({ cached: 2, fetched: 4, estimated: 0 });
+    expect(TravelTime.find).toHaveBeenCalledWith(expect.objectContaining({ weekday: 1, bucket: 480 }));
+    expect(calculateMatrix).toHaveBeenCalledTimes(1);
+
+    const written = bulkWrite.mock.calls[0][0].map(op => op.updateOne.filter);
+    expect(written).toHaveLength(4);
+    expect(written).toContainEqual(expect.objectContaining({ weekday: 1, bucket: 480 }));
+    expect(written).not.toContainEqual(expect.objectContaining({ originKey: key(depot), destinationKey: key(stopA) }));
+  });
+
+  it('should fall back to estimates when TomTom fails', async () => {
+    jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(MatrixService, 'cacheAvailable').mockReturnValue(true);
+    cachedFind([{ originKey: key(depot), destinationKey: key(stopA), distanceKm: 3, durationMinutes: 9 }]);
+    jest.spyOn(TomTomService, 'calculateMatrix').mockRejectedValue(new Error('Failed to calculate travel matrix'));
+    const bulkWrite = jest.spyOn(TravelTime, 'bulkWrite');
+
+    const matrix = await MatrixService.getMatrix([depot, stopA], { departureTime });
+
+    expect(matrix.source).toBe('mixed');
+    expect(matrix.distances[0][1]).toBe(3);
+    expect(matrix.distances[1][0]).toBeCloseTo(haversineDistance(stopA, depot) * 1.3, 6);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
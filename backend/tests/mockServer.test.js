@@ -0,0 +1,125 @@
+/**
+ * Real-Time Flow Tests against the TomTom/Open-Meteo Mock Server
+ */
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { createMockServer } = require('../mock/server');
+const TomTomService = require('../src/services/tomtom.service');
+const WeatherService = require('../src/services/weather.service');
+const RoutingService = require('../src/services/routing.service');
+const RealTimeUpdateService = require('../src/services/realTimeUpdate.service');
+const { RoutePlan, RealTimeUpdate, CompanySettings } = require('../src/models');
+
+// Along Market Street, San Francisco
+const marketStreet = [[-122.4230, 37.7730], [-122.4194, 37.7749], [-122.4150, 37.7775]];
+const waypoints = [{ lat: 37.7700, lng: -122.4300 }, { lat: 37.7800, lng: -122.4100 }];
+
+describe('Mock Server', () => {
+  let server;
+  let mock;
+  let baseUrl;
+  const original = {};
+
+  beforeAll(async () => {
+    const app = createMockServer({ now: '2026-03-02T10:00:00Z' });
+    mock = app.locals.mock;
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    Object.assign(original, { tomtomUrl: TomTomService.baseUrl, apiKey: TomTomService.apiKey, weatherUrl: WeatherService.baseUrl });
+    TomTomService.baseUrl = baseUrl;
+    WeatherService.baseUrl = `${baseUrl}/v1/forecast`;
+  });
+
+  afterAll(async () => {
+    TomTomService.baseUrl = original.tomtomUrl;
+    TomTomService.apiKey = original.apiKey;
+    WeatherService.baseUrl = original.weatherUrl;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    TomTomService.apiKey = 'mock-key';
+    mock.setScenario('clear');
+    mock.setClock('2026-03-02T10:00:00Z');
+  });
+
+  afterEach(() => RoutingService.reset());
+
+  it('should flag a jam on the route and suggest recalculating', async () => {
+    mock.setScenario('jam');
+    const route = new RoutePlan({
+      userId: new mongoose.Types.ObjectId(),
+      companyId: 'company-1',
+      name: 'Downtown',
+      status: 'in_progress',
+      routeGeometry: { type: 'LineString', coordinates: marketStreet },
+      metrics: { totalDuration: 60 },
+      endTime: new Date('2026-03-02T12:00:00Z')
+    });
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId: 'company-1' }));
+    jest.spyOn(RealTimeUpdate, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(RealTimeUpdate, 'findByIdAndUpdate').mockResolvedValue({});
+    const markDelayed = jest.spyOn(RoutePlan, 'findByIdAndUpdate').mockResolvedValue({});
+
+    const update = await RealTimeUpdateService.updateRouteData(route);
+
+    expect(update.trafficData).toEqual(expect.objectContaining({ currentSpeed: 8, freeFlowSpeed: 50, congestionLevel: 'severe' }));
+    // 60 minutes at free flow take 50/8 as long at a crawl
+    expect(update.trafficData.delayMinutes).toBe(315);
+    expect(update.trafficData.incidents).toEqual([
+      expect.objectContaining({ type: 'congestion', severity: 'severe', from: 'Van Ness Avenue', source: 'tomtom' })
+    ]);
+    expect(update.weatherData.current.condition).toBe('clear');
+    expect(update.recalculationSuggested).toBe(true);
+    expect(update.recalculationReason).toContain('Severe traffic congestion detected');
+    expect(markDelayed).toHaveBeenCalledWith(route._id, { status: 'delayed' });
+  });
+
+  it('should forecast a storm at 14:00 and report it once it arrives', async () => {
+    mock.setScenario('storm');
+
+    const morning = await WeatherService.getWeather(37.7749, -122.4194);
+    expect(morning.current.condition).toBe('clear');
+    expect(morning.alerts).toHaveLength(0);
+    // Forecast times are local to the location (GMT here), as Open-Meteo sends them
+    const stormHours = morning.hourlyForecast.filter(hour => hour.condition === 'storm').map(hour => hour.time.getHours());
+    expect(stormHours).toEqual([14, 15, 16]);
+
+    mock.setClock('2026-03-02T14:30:00Z');
+    const afternoon = await WeatherService.getWeather(37.7749, -122.4194);
+    expect(afternoon.current).toEqual(expect.objectContaining({ condition: 'storm', windSpeed: 75, visibility: 1.5 }));
+    expect(afternoon.alerts.map(alert => alert.type)).toEqual(['precipitation', 'visibility', 'wind', 'severe_weather']);
+  });
+
+  it('should slow routes through a jam and switch scenarios over HTTP', async () => {
+    // TomTom only takes departures still ahead of the real clock
+    const departureTime = new Date(Date.now() + 24 * 60 * 60000).toISOString();
+    const clear = await RoutingService.route(waypoints, { departureTime });
+    expect(clear.provider).toBe('tomtom');
+    expect(clear.summary.trafficDelayInSeconds).toBe(0);
+    expect(clear.summary.departureTime).toBe(departureTime);
+
+    await axios.put(`${baseUrl}/__mock/scenario`, { scenario: 'jam' });
+    const jammed = await RoutingService.route(waypoints, { departureTime });
+
+    expect(jammed.summary.lengthInMeters).toBe(clear.summary.lengthInMeters);
+    expect(jammed.summary.trafficDelayInSeconds).toBeGreaterThan(0);
+    expect(jammed.summary.travelTimeInSeconds).toBe(clear.summary.travelTimeInSeconds + jammed.summary.trafficDelayInSeconds);
+
+    const { data } = await axios.get(`${baseUrl}/__mock/requests`);
+    expect(data.requests).toEqual([expect.objectContaining({ path: expect.stringMatching(/^\/routing\/1\/calculateRoute\//) })]);
+    await expect(axios.put(`${baseUrl}/__mock/scenario`, { scenario: 'blizzard' })).rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  it('should reject requests without a TomTom key so routing falls back', async () => {
+    TomTomService.apiKey = '';
+    jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(true);
+
+    const directions = await RoutingService.route(waypoints);
+
+    expect(directions.provider).toBe('haversine');
+    expect(mock.requests.at(-1).query.key).toBe('');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Optimization Job Tests
+ */
+
+const OptimizationWorker = require('../src/services/optimizationWorker.service');
+const OptimizationService = require('../src/services/optimization.service');
+const RouteSolverService = require('../src/services/routeSolver.service');
+const SolverThreadService = require('../src/services/solverThread.service');
+const TomTomService = require('../src/services/tomtom.service');
+const WeatherService = require('../src/services/weather.service');
+const { ApiError } = require('../src/middleware/errorHandler');
+const { OptimizationJob, Delivery, CompanySettings } = require('../src/models');
+
+const job = () => new OptimizationJob({
+  companyId: 'company-1',
+  createdBy: '64b7f0c2a1b2c3d4e5f60718',
+  status: 'running',
+  request: { deliveryIds: ['a', 'b'] }
+});
+
+// Apply $set updates to an in-memory job, as the database would
+const jobStore = (current, { cancelAfter = Infinity } = {}) => {
+  let progressUpdates = 0;
+  const apply = (filter, update) => {
+    if (filter.cancelRequested === false && current.cancelRequested) return null;
+    Object.entries(update.$set).forEach(([path, value]) => current.set(path, value));
+    if (update.$set.progress && ++progressUpdates >= cancelAfter) current.cancelRequested = true;
+    return current;
+  };
+  jest.spyOn(OptimizationJob, 'findByIdAndUpdate').mockImplementation(async (id, update) => apply({}, update));
+  jest.spyOn(OptimizationJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => apply(filter, update));
+  return current;
+};
+
+describe('Optimization Jobs', () => {
+  it('should run a job and store its progress and result', async () => {
+    const current = jobStore(job());
+    const events = [];
+    const unsubscribe = OptimizationWorker.subscribe(current._id, update => events.push(update.progress.stage));
+    jest.spyOn(OptimizationService, 'optimize').mockImplementation(async (request, user, onProgress) => {
+      await onProgress('loading', 5, 'Loading deliveries');
+      await onProgress('solving', 50, 'Sequencing stops');
+      return { message: 'Route optimized successfully', data: { engine: 'vrptw-solver' } };
+    });
+
+    const finished = await OptimizationWorker.run(current);
+    unsubscribe();
+
+    expect(OptimizationService.optimize).toHaveBeenCalledWith(
+      current.request, { id: current.createdBy, companyId: 'company-1' }, expect.any(Function), { signal: expect.any(AbortSignal) }
+    );
+    expect(finished.status).toBe('completed');
+    expect(finished.result).toEqual({ engine: 'vrptw-solver' });
+    expect(finished.progress.percent).toBe(100);
+    expect(events).toEqual(['queued', 'loading', 'solving', 'completed']);
+  });
+
+  it('should stop a running job at the next stage once cancelled', async () => {
+    const current = jobStore(job(), { cancelAfter: 1 });
+    const stages = [];
+    jest.spyOn(OptimizationService, 'optimize').mockImplementation(async (request, user, onProgress) => {
+      await onProgress('loading', 5, 'Loading deliveries');
+      stages.push('solving');
+      return { message: 'done', data: {} };
+    });
+
+    const finished = await OptimizationWorker.run(current);
+
+    expect(finished.status).toBe('cancelled');
+    expect(finished.result).toBeUndefined();
+    expect(stages).toEqual([]);
+  });
+
+  it('should keep serving while a job solves and stop the solve once cancelled', async () => {
+    const current = jobStore(job());
+    // Large enough to keep the solver busy for seconds
+    const problem = RouteSolverService.buildProblem({
+      deliveries: Array.from({ length: 80 }, (_, index) => ({
+        _id: `s${index}`,
+        location: { coordinates: [-122.5 + (index % 9) * 0.02, 37.7 + Math.floor(index / 9) * 0.015] },
+        serviceTime: 10
+      })),
+      startLocation: { coordinates: [-122.42, 37.77] },
+      departureTime: '2026-03-02T08:00:00Z'
+    });
+    jest.spyOn(OptimizationService, 'optimize').mockImplementation(async (request, user, onProgress, { signal }) => {
+      await SolverThreadService.run('solve', [problem], { signal });
+      return { message: 'done', data: {} };
+    });
+    const started = Date.now();
+
+    const running = OptimizationWorker.run(current);
+    // Timers still fire while the solver works
+    let ticks = 0;
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (++ticks === 5) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 20);
+    });
+    await OptimizationWorker.cancel(current);
+    const finished = await running;
+
+    expect(finished.status).toBe('cancelled');
+    expect(finished.result).toBeUndefined();
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  it('should pass problems built from delivery documents to the solver thread', async () => {
+    const deliveries = [[-122.41, 37.78], [-122.43, 37.76]].map((coordinates, index) => new Delivery({
+      companyId: 'company-1',
+      customer: { name: `Stop ${index + 1}` },
+      address: { street: 'Main St', city: 'San Francisco' },
+      location: { coordinates },
+      timeWindow: { earliest: new Date('2026-03-02T08:00:00Z'), latest: new Date('2026-03-02T12:00:00Z') }
+    }));
+    const problem = RouteSolverService.buildProblem({ deliveries, startLocation: { coordinates: [-122.42, 37.77] } });
+
+    const solution = await SolverThreadService.run('solve', [problem]);
+
+    expect([...solution.sequence].sort()).toEqual([0, 1]);
+  });
+
+  it('should record why a job failed', async () => {
+    const current = jobStore(job());
+    jest.spyOn(OptimizationService, 'optimize').mockRejectedValue(new ApiError('No valid deliveries found', 400));
+
+    const finished = await OptimizationWorker.run(current);
+
+    expect(finished.status).toBe('failed');
+    expect(finished.error.message).toBe('No valid deliveries found');
+    expect(finished.error.statusCode).toBe(400);
+  });
+
+  it('should report each optimization stage', async () => {
+    jest.spyOn(Delivery, 'find').mockResolvedValue([
+      { _id: 'a', location: { coordinates: [-122.40, 37.77] }, serviceTime: 10 },
+      { _id: 'b', location: { coordinates: [-122.38, 37.77] }, serviceTime: 10 }
+    ]);
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId: 'company-1' }));
+    jest.spyOn(TomTomService, 'getTrafficFlow').mockRejectedValue(new Error('offline'));
+    jest.spyOn(WeatherService, 'getWeather').mockRejectedValue(new Error('offline'));
+    const stages = [];
+
+    const { data } = await OptimizationService.optimize(
+      { deliveryIds: ['a', 'b'], startLocation: { coordinates: [-122.42, 37.77] } },
+      { companyId: 'company-1' },
+      async stage => { stages.push(stage); }
+    );
+
+    expect(data.optimizedRoute.sequence).toHaveLength(2);
+    expect(stages).toEqual(['loading', 'conditions', 'matrix', 'solving', 'alternatives', 'explaining']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Driver Skill and Vehicle Capability Tests
+ */
+
+const mongoose = require('mongoose');
+const QualificationService = require('../src/services/qualification.service');
+const RouteSolverService = require('../src/services/routeSolver.service');
+const OptimizationService = require('../src/services/optimization.service');
+const { updateRoute } = require('../src/controllers/route.controller');
+const { RoutePlan, Delivery, User } = require('../src/models');
+
+const { base, at, depot, delivery } = require('./helpers/fixtures');
+
+const hazardous = { packageDetails: { type: 'hazardous' } };
+const perishable = { packageDetails: { type: 'perishable' } };
+
+describe('Driver Skills and Vehicle Capabilities', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should list what each delivery needs from the driver and the vehicle', () => {
+    const deliveries = [
+      delivery('h', [0, 0], hazardous),
+      delivery('p', [0, 0], perishable),
+      delivery('a', [0, 0], { requirements: { ageVerification: true } })
+    ];
+    const driver = { skills: [{ name: 'hazmat', certifiedUntil: '2026-01-31' }, { name: 'ageVerification' }] };
+    const vehicle = { capabilities: { hazmat: true, refrigerated: false } };
+
+    const violations = QualificationService.checkRoute(deliveries, { vehicle, driver, date: at(0) });
+
+    // The hazmat certificate lapsed before the route
+    expect(violations.map(v => [v.deliveryId, v.field])).toEqual([['h', 'driver'], ['p', 'vehicle.capabilities']]);
+    expect(QualificationService.checkRoute(deliveries, { vehicle: { capabilities: { hazmat: true, refrigerated: true } } })).toEqual([]);
+    expect(QualificationService.served(vehicle, driver, '2025-12-01')).toEqual(['hazardous', 'ageVerification']);
+  });
+
+  it('should give stops only to vehicles qualified for them', () => {
+    const problem = RouteSolverService.buildProblem({
+      deliveries: [
+        delivery('near', [-122.41, 37.77], perishable),
+        delivery('far', [-122.30, 37.77], hazardous)
+      ],
+      vehicles: [
+        { serves: ['ageVerification'] },
+        { serves: ['perishable', 'ageVerification'] }
+      ],
+      startLocation: depot,
+      departureTime: at(0)
+    });
+
+    const solution = RouteSolverService.solveFleet(problem);
+
+    expect(solution.routes[0].sequence).toEqual([]);
+    expect(solution.routes[1].sequence).toEqual([0]);
+    expect(solution.unassigned).toEqual([{ stopIndex: 1, reason: 'no_qualified_vehicle' }]);
+  });
+
+  it('should refuse a driver without the skills a delivery needs', async () => {
+    const companyId = 'company-1';
+    const route = new RoutePlan({
+      userId: new mongoose.Types.ObjectId(),
+      companyId,
+      name: 'Morning',
+      scheduledDate: new Date(base),
+      deliveries: [new mongoose.Types.ObjectId()],
+      vehicle: { type: 'van', capabilities: { hazmat: true } }
+    });
+    const driver = new User({ name: 'Sam', email: 'sam@example.com', companyId, role: 'driver', skills: [{ name: 'ageVerification' }] });
+    jest.spyOn(RoutePlan, 'findById').mockResolvedValue(route);
+    jest.spyOn(Delivery, 'find').mockResolvedValue([{ _id: route.deliveries[0], ...hazardous }]);
+    jest.spyOn(User, 'findById').mockResolvedValue(driver);
+    const save = jest.spyOn(route, 'save').mockResolvedValue(route);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await updateRoute({
+      params: { id: route._id.toString() },
+      body: { driver: { id: driver._id.toString(), name: driver.name } },
+      user: { id: route.userId.toString(), role: 'dispatcher', companyId }
+    }, res, next);
+
+    expect(save).not.toHaveBeenCalled();
+    const [error] = next.mock.calls[0];
+    expect(error.statusCode).toBe(400);
+    expect(error.errors).toEqual([expect.objectContaining({ field: 'driver', requirement: 'hazardous' })]);
+  });
+
+  it('should refuse to optimize a single route for a driver without the skills its deliveries need', async () => {
+    const companyId = 'company-1';
+    const driver = new User({ name: 'Sam', email: 'sam@example.com', companyId, role: 'driver', skills: [{ name: 'ageVerification' }] });
+    const stop = new Delivery({ companyId, customer: { name: 'Lab' }, location: { coordinates: [-122.41, 37.78] }, ...hazardous });
+    jest.spyOn(Delivery, 'find').mockResolvedValue([stop]);
+    const findDriver = jest.spyOn(User, 'findOne').mockResolvedValue(driver);
+
+    const optimizing = OptimizationService.optimize({
+      deliveryIds: [stop._id.toString()],
+      driverId: driver._id.toString(),
+      vehicle: { type: 'van', capabilities: { hazmat: true } },
+      startLocation: { coordinates: [-122.40, 37.79] }
+    }, { companyId });
+
+    await expect(optimizing).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [expect.objectContaining({ field: 'driver', requirement: 'hazardous' })]
+    });
+    expect(findDriver).toHaveBeenCalledWith({ _id: driver._id.toString(), companyId, role: 'driver' });
+  });
+});
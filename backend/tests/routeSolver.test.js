@@ -0,0 +1,492 @@
+/**
+ * Route Solver Tests
+ */
+
+const RouteSolverService = require('../src/services/routeSolver.service');
+const CapacityService = require('../src/services/capacity.service');
+const HoursOfServiceService = require('../src/services/hoursOfService.service');
+
+const { base, at, depot, delivery } = require('./helpers/fixtures');
+
+describe('Route Solver', () => {
+  describe('Simulation', () => {
+    it('should report waits, lateness and per-stop feasibility', () => {
+      const deliveries = [
+        delivery('a', [-122.40, 37.77], { window: [60, 90] }),
+        delivery('b', [-122.38, 37.77], { window: [0, 20] })
+      ];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const onTime = RouteSolverService.simulate(problem, [1, 0]);
+      expect(onTime.stops[1].waitTime).toBeGreaterThan(0);
+      expect(onTime.feasible).toBe(true);
+
+      const late = RouteSolverService.simulate(problem, [0, 1]);
+      expect(late.stops[0].waitTime).toBe(0);
+      expect(late.stops[0].withinWindow).toBe(true);
+      expect(late.stops[1].withinWindow).toBe(false);
+      expect(late.lateStops).toBe(1);
+      expect(late.feasible).toBe(false);
+    });
+
+    it('should include the return leg when an end location is given', () => {
+      const deliveries = [delivery('a', [-122.40, 37.77], { window: [0, 600] })];
+      const open = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const closed = RouteSolverService.buildProblem({ deliveries, startLocation: depot, endLocation: depot, departureTime: at(0) });
+
+      const openDistance = RouteSolverService.simulate(open, [0]).totalDistance;
+      const closedDistance = RouteSolverService.simulate(closed, [0]).totalDistance;
+      expect(closedDistance).toBeCloseTo(openDistance * 2, 5);
+    });
+  });
+
+  describe('Solving', () => {
+    it('should order stops to meet their time windows', () => {
+      // Geographically the far stop comes last, but its window closes first
+      const deliveries = [
+        delivery('near', [-122.41, 37.77], { window: [0, 600] }),
+        delivery('far', [-122.30, 37.77], { window: [0, 25] })
+      ];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const solution = RouteSolverService.solve(problem);
+
+      expect(solution.sequence).toEqual([1, 0]);
+      expect(solution.schedule.feasible).toBe(true);
+    });
+
+    it('should visit every stop exactly once and be deterministic', () => {
+      const deliveries = Array.from({ length: 12 }, (_, i) =>
+        delivery(`d${i}`, [-122.42 + (i % 4) * 0.02, 37.75 + Math.floor(i / 4) * 0.02], { window: [0, 600] })
+      );
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, endLocation: depot, departureTime: at(0) });
+
+      const first = RouteSolverService.solve(problem);
+      const second = RouteSolverService.solve(problem);
+
+      expect([...first.sequence].sort((a, b) => a - b)).toEqual(deliveries.map((_, i) => i));
+      expect(second.sequence).toEqual(first.sequence);
+    });
+
+    it('should not be worse than the input order', () => {
+      const deliveries = Array.from({ length: 8 }, (_, i) =>
+        delivery(`d${i}`, [-122.42 + ((i * 5) % 8) * 0.01, 37.77 + ((i * 3) % 8) * 0.01], { window: [0, 600] })
+      );
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, endLocation: depot, departureTime: at(0) });
+      const identity = deliveries.map((_, i) => i);
+
+      const solution = RouteSolverService.solve(problem);
+      expect(solution.cost).toBeLessThanOrEqual(RouteSolverService.evaluate(problem, identity));
+    });
+
+    it('should default departure to just in time for the first window', () => {
+      const deliveries = [delivery('a', [-122.42, 37.77], { window: [120, 180] })];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot });
+
+      expect(problem.departureTime).toBe(base + 120 * 60000);
+    });
+  });
+
+  describe('Fleet', () => {
+    const fleetDeliveries = () => Array.from({ length: 10 }, (_, i) =>
+      delivery(`d${i}`, [-122.42 + (i % 5) * 0.02, 37.75 + Math.floor(i / 5) * 0.04], {
+        window: [0, 600], packageDetails: { weight: 10 }
+      })
+    );
+
+    it('should assign every delivery within vehicle capacity', () => {
+      const problem = RouteSolverService.buildProblem({
+        deliveries: fleetDeliveries(),
+        vehicles: [{ capacity: 50 }, { capacity: 50 }],
+        startLocation: depot,
+        endLocation: depot,
+        departureTime: at(0)
+      });
+      const solution = RouteSolverService.solveFleet(problem);
+
+      const assigned = solution.routes.flatMap(route => route.sequence);
+      expect(assigned.sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(solution.unassigned).toEqual([]);
+      solution.routes.forEach(route => expect(route.schedule.peakLoad.weight).toBeLessThanOrEqual(50));
+    });
+
+    it('should report an over-capacity sequence as infeasible', () => {
+      const problem = RouteSolverService.buildProblem({
+        deliveries: fleetDeliveries().slice(0, 3),
+        vehicles: [{ capacity: 20 }],
+        startLocation: depot,
+        departureTime: at(0)
+      });
+
+      const schedule = RouteSolverService.simulate(problem, [0, 1, 2]);
+
+      expect(schedule.overloaded).toBe(true);
+      expect(schedule.lateStops).toBe(0);
+      expect(schedule.feasible).toBe(false);
+    });
+
+    it('should respect volume capacity as well as weight', () => {
+      const deliveries = fleetDeliveries();
+      deliveries.forEach(d => { d.packageDetails.volume = 0.5; });
+
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        vehicles: [{ capacity: 500, volumeCapacity: 1.5 }, { capacity: 500, volumeCapacity: 2 }],
+        startLocation: depot,
+        departureTime: at(0)
+      });
+      const solution = RouteSolverService.solveFleet(problem);
+
+      solution.routes.forEach(route => {
+        expect(route.schedule.peakLoad.volume).toBeLessThanOrEqual(route.vehicle.capacity.volume);
+        expect(route.schedule.overloaded).toBe(false);
+      });
+      expect(solution.unassigned).toHaveLength(3);
+      solution.unassigned.forEach(u => expect(u.reason).toBe('insufficient_capacity'));
+    });
+
+    it('should report deliveries that fit no vehicle', () => {
+      const deliveries = fleetDeliveries();
+      deliveries[0].packageDetails.weight = 500;
+      deliveries[1].timeWindow = { earliest: at(-120), latest: at(-60) };
+
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        vehicles: [{ capacity: 30 }, { capacity: 30 }],
+        startLocation: depot,
+        departureTime: at(0)
+      });
+      const solution = RouteSolverService.solveFleet(problem);
+      const reasons = Object.fromEntries(solution.unassigned.map(u => [u.stopIndex, u.reason]));
+
+      expect(reasons[0]).toBe('exceeds_vehicle_capacity');
+      expect(reasons[1]).toBe('time_window_conflict');
+      expect(Object.values(reasons)).toContain('insufficient_capacity');
+    });
+  });
+
+  describe('Pickup and drop-off', () => {
+    const pair = (id, pickupCoords, dropoffCoords, weight) => [
+      delivery(`${id}-pickup`, pickupCoords, {
+        window: [0, 600], stopType: 'pickup', pairedDeliveryId: `${id}-dropoff`, packageDetails: { weight }
+      }),
+      delivery(`${id}-dropoff`, dropoffCoords, {
+        window: [0, 600], stopType: 'dropoff', pairedDeliveryId: `${id}-pickup`
+      })
+    ];
+
+    it('should keep each pickup before its drop-off', () => {
+      // Drop-offs sit next to the depot, pickups far away
+      const deliveries = [
+        ...pair('a', [-122.30, 37.77], [-122.41, 37.77], 5),
+        ...pair('b', [-122.30, 37.80], [-122.41, 37.78], 5)
+      ];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const { sequence, schedule } = RouteSolverService.solve(problem);
+
+      expect(sequence.indexOf(0)).toBeLessThan(sequence.indexOf(1));
+      expect(sequence.indexOf(2)).toBeLessThan(sequence.indexOf(3));
+      expect(schedule.pairingViolations).toBe(0);
+    });
+
+    it('should track the load picked up along the route', () => {
+      const deliveries = [
+        delivery('drop', [-122.41, 37.77], { window: [0, 600], packageDetails: { weight: 20 } }),
+        ...pair('a', [-122.40, 37.77], [-122.39, 37.77], 15),
+        delivery('return', [-122.38, 37.77], { window: [0, 600], stopType: 'pickup', packageDetails: { weight: 8 } })
+      ];
+      const problem = RouteSolverService.buildProblem({
+        deliveries, vehicles: [{ capacity: 25 }], startLocation: depot, departureTime: at(0)
+      });
+      const schedule = RouteSolverService.simulate(problem, [0, 1, 2, 3]);
+
+      expect(schedule.stops.map(stop => stop.loadAfter.weight)).toEqual([0, 15, 0, 8]);
+      expect(schedule.peakLoad.weight).toBe(20);
+      expect(schedule.overloaded).toBe(false);
+      expect(RouteSolverService.simulate(problem, [1, 0, 2, 3]).overload.weight).toBe(10);
+      expect(RouteSolverService.simulate(problem, [0, 2, 1, 3]).pairingViolations).toBe(1);
+    });
+
+    it('should assign both stops of a pair to the same vehicle', () => {
+      const deliveries = [
+        ...pair('a', [-122.40, 37.77], [-122.36, 37.77], 10),
+        ...pair('b', [-122.40, 37.79], [-122.36, 37.79], 10),
+        ...pair('c', [-122.44, 37.75], [-122.46, 37.73], 10)
+      ];
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        vehicles: [{ capacity: 10 }, { capacity: 10 }],
+        startLocation: depot,
+        departureTime: at(0)
+      });
+      const solution = RouteSolverService.solveFleet(problem);
+
+      solution.routes.forEach(route => {
+        expect(route.schedule.pairingViolations).toBe(0);
+        expect(route.schedule.overloaded).toBe(false);
+      });
+      const assigned = solution.routes.flatMap(route => route.sequence);
+      expect(assigned.sort((x, y) => x - y)).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+  });
+
+  describe('Hours of service', () => {
+    const rules = { enabled: true, maxShiftMinutes: 600, maxContinuousDrivingMinutes: 60, breakMinutes: 30 };
+    // 0.2° of longitude ≈ 17.6 km ≈ 26 min at the solver's average speed
+    const east = (steps) => [-122.42 + steps * 0.2, 37.77];
+
+    it('should take a break before a leg that would exceed the driving limit', () => {
+      const deliveries = [delivery('a', east(1), { window: [0, 600] }), delivery('b', east(2), { window: [0, 600] }), delivery('c', east(3), { window: [0, 600] })];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0), hoursOfService: rules });
+      const schedule = RouteSolverService.simulate(problem, [0, 1, 2]);
+
+      expect(schedule.breaks).toHaveLength(1);
+      expect(schedule.breaks[0].afterPosition).toBe(1);
+      expect(schedule.breaks[0].enRoute).toBe(false);
+      expect(schedule.stops[2].arrivalTime - schedule.stops[1].departureTime)
+        .toBeCloseTo((30 + schedule.stops[2].travelTime) * 60000, 0);
+    });
+
+    it('should break on the road when a single leg is too long', () => {
+      const deliveries = [delivery('far', east(3), { window: [0, 600] })];
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0), hoursOfService: rules });
+      const schedule = RouteSolverService.simulate(problem, [0]);
+
+      expect(schedule.breaks).toHaveLength(1);
+      expect(schedule.breaks[0].enRoute).toBe(true);
+      expect(schedule.breaks[0].start).toBe(base + 60 * 60000);
+      expect(schedule.breaks[0].coordinates[0]).toBeGreaterThan(depot.coordinates[0]);
+    });
+
+    it('should flag routes longer than the maximum shift', () => {
+      const deliveries = [delivery('a', east(1), { window: [0, 600] }), delivery('b', east(2), { window: [0, 600] })];
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        startLocation: depot,
+        endLocation: depot,
+        departureTime: at(0),
+        hoursOfService: { ...rules, maxShiftMinutes: 90 }
+      });
+      const { schedule } = RouteSolverService.solve(problem);
+
+      expect(schedule.shiftOverrun).toBeGreaterThan(0);
+      expect(schedule.feasible).toBe(false);
+    });
+
+    it('should check planned waypoints against the rules', () => {
+      const plan = {
+        startTime: at(0),
+        endTime: at(150),
+        route: [
+          { type: 'delivery', arrivalTime: at(50), departureTime: at(60), waitTime: 0 },
+          { type: 'break', arrivalTime: at(60), departureTime: at(90) },
+          { type: 'delivery', arrivalTime: at(140), departureTime: at(150), waitTime: 0 }
+        ]
+      };
+
+      const compliant = HoursOfServiceService.checkPlan(plan, rules);
+      expect(compliant.compliant).toBe(true);
+      expect(compliant.breaks).toBe(1);
+      expect(compliant.longestDrivingStretch).toBe(50);
+
+      const withoutBreak = HoursOfServiceService.checkPlan({ ...plan, route: [plan.route[0], plan.route[2]] }, rules);
+      expect(withoutBreak.violations.map(v => v.rule)).toEqual(['max_continuous_driving']);
+
+      const longShift = HoursOfServiceService.checkPlan(plan, { ...rules, maxShiftMinutes: 120 });
+      expect(longShift.violations.map(v => v.rule)).toEqual(['max_shift']);
+    });
+  });
+
+  describe('Sequence repair', () => {
+    const deliveries = [
+      delivery('a', [-122.40, 37.77], { window: [0, 600] }),
+      delivery('b', [-122.38, 37.77], { window: [0, 600] }),
+      delivery('c', [-122.36, 37.77], { window: [0, 600] }),
+      delivery('d', [-122.34, 37.77], { window: [0, 600] })
+    ];
+
+    it('should report and fix incomplete sequences', () => {
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const check = RouteSolverService.checkSequence(problem, [0, 1, 1, 7, 3]);
+      expect(check).toEqual({ complete: false, invalid: [7], duplicates: [1], missing: [2] });
+
+      const repaired = RouteSolverService.repair(problem, [0, 1, 1, 7, 3]);
+      expect(repaired.sequence).toEqual([0, 1, 2, 3]);
+      expect(repaired.changed).toBe(true);
+      expect(repaired.searched).toBe(false);
+    });
+
+    it('should keep a feasible proposal and re-optimize a late one', () => {
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const kept = RouteSolverService.repair(problem, [3, 2, 1, 0]);
+      expect(kept.sequence).toEqual([3, 2, 1, 0]);
+      expect(kept.changed).toBe(false);
+
+      const timed = [
+        delivery('a', [-122.40, 37.77], { window: [0, 15] }),
+        ...deliveries.slice(1)
+      ];
+      const tight = RouteSolverService.buildProblem({ deliveries: timed, startLocation: depot, departureTime: at(0) });
+      const repaired = RouteSolverService.repair(tight, [3, 2, 1, 0]);
+      expect(repaired.searched).toBe(true);
+      expect(repaired.sequence[0]).toBe(0);
+      expect(repaired.schedule.feasible).toBe(true);
+    });
+
+    it('should reinsert a drop-off proposed before its pickup', () => {
+      const paired = [
+        delivery('p', [-122.40, 37.77], { window: [0, 600], stopType: 'pickup', pairedDeliveryId: 'q' }),
+        delivery('q', [-122.38, 37.77], { window: [0, 600], stopType: 'dropoff', pairedDeliveryId: 'p' })
+      ];
+      const problem = RouteSolverService.buildProblem({ deliveries: paired, startLocation: depot, departureTime: at(0) });
+      const repaired = RouteSolverService.repair(problem, [1, 0]);
+
+      expect(repaired.sequence).toEqual([0, 1]);
+      expect(repaired.reorderedPairs).toEqual([[0, 1]]);
+      expect(repaired.schedule.pairingViolations).toBe(0);
+    });
+  });
+
+  describe('Sequence constraints', () => {
+    // Along one street, so the unconstrained order is a, b, c, d
+    const deliveries = [
+      delivery('a', [-122.40, 37.77], { window: [0, 600] }),
+      delivery('b', [-122.38, 37.77], { window: [0, 600] }),
+      delivery('c', [-122.36, 37.77], { window: [0, 600] }),
+      delivery('d', [-122.34, 37.77], { window: [0, 600] })
+    ];
+    const solve = (sequenceConstraints) => RouteSolverService.solve(
+      RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0), sequenceConstraints })
+    );
+
+    it('should keep pinned stops, groups and before/after rules', () => {
+      expect(solve([]).sequence).toEqual([0, 1, 2, 3]);
+
+      const pinned = solve([{ type: 'pin', deliveryId: 'd', position: 1 }]);
+      expect(pinned.sequence[0]).toBe(3);
+      expect(pinned.schedule.constraintViolations).toBe(0);
+
+      const grouped = solve([{ type: 'group', deliveryIds: ['a', 'd'] }]).sequence;
+      expect(Math.abs(grouped.indexOf(0) - grouped.indexOf(3))).toBe(1);
+
+      const ordered = solve([{ type: 'after', deliveryId: 'b', otherDeliveryId: 'c' }]).sequence;
+      expect(ordered.indexOf(2)).toBeLessThan(ordered.indexOf(1));
+    });
+
+    it('should repair proposals that break a constraint', () => {
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        startLocation: depot,
+        departureTime: at(0),
+        sequenceConstraints: [{ type: 'pin', deliveryId: 'c', position: 1 }]
+      });
+      expect(RouteSolverService.constraintViolations(problem.constraints, [0, 1, 2, 3])).toEqual([
+        { type: 'pin', stops: [2], position: 0, amount: 2 }
+      ]);
+
+      const repaired = RouteSolverService.repair(problem, [0, 1, 2, 3]);
+      expect(repaired.searched).toBe(true);
+      expect(repaired.sequence[0]).toBe(2);
+      expect(repaired.schedule.feasible).toBe(true);
+    });
+
+    it('should report constraints on unknown deliveries', () => {
+      const resolved = RouteSolverService.resolveConstraints(
+        [{ type: 'before', deliveryId: 'a', otherDeliveryId: 'x' }, { type: 'group', deliveryIds: ['b', 'c', 'y'] }],
+        ['a', 'b', 'c']
+      );
+      expect(resolved.precedences).toEqual([]);
+      expect(resolved.groups).toEqual([[1, 2]]);
+      expect(resolved.unknown).toEqual(['x', 'y']);
+    });
+  });
+
+  describe('Depots', () => {
+    // Two clusters, each next to one of the depots
+    const depots = [
+      { id: 'west', coordinates: [-122.50, 37.77] },
+      { id: 'east', coordinates: [-122.20, 37.77] }
+    ];
+    const deliveries = [
+      delivery('w1', [-122.49, 37.77], { window: [0, 600] }),
+      delivery('w2', [-122.48, 37.78], { window: [0, 600] }),
+      delivery('e1', [-122.21, 37.77], { window: [0, 600] }),
+      delivery('e2', [-122.22, 37.78], { window: [0, 600] })
+    ];
+
+    it('should start a route at the depot that serves its stops best', () => {
+      const westStops = deliveries.slice(0, 2);
+      const problem = RouteSolverService.chooseDepot(
+        RouteSolverService.buildProblem({ deliveries: westStops, depots, returnToStart: true, departureTime: at(0) })
+      );
+      const { schedule } = RouteSolverService.solve(problem);
+
+      expect(RouteSolverService.routeEnds(problem, schedule)).toEqual({
+        start: { coordinates: depots[0].coordinates, depotId: 'west' },
+        end: { coordinates: depots[0].coordinates, depotId: 'west' }
+      });
+    });
+
+    it('should end open routes at their last stop', () => {
+      const problem = RouteSolverService.buildProblem({ deliveries, startLocation: depot, departureTime: at(0) });
+      const { sequence, schedule } = RouteSolverService.solve(problem);
+
+      expect(RouteSolverService.routeEnds(problem, schedule).end).toBeNull();
+      expect(schedule.endTime).toBe(schedule.stops[sequence.length - 1].departureTime);
+    });
+
+    it('should let each fleet route choose its depot', () => {
+      // Vehicles start spread over the depots, so one begins at the central depot
+      const problem = RouteSolverService.buildProblem({
+        deliveries,
+        vehicles: [{}, {}],
+        depots: [{ id: 'central', coordinates: [-122.35, 37.77] }, ...depots],
+        returnToStart: true,
+        departureTime: at(0)
+      });
+      const solution = RouteSolverService.solveFleet(problem);
+
+      const starts = solution.routes.map(route => ({
+        depot: RouteSolverService.routeEnds(problem, route.schedule).start.depotId,
+        stops: route.sequence.map(index => deliveries[index]._id).sort()
+      }));
+      expect(starts).toEqual(expect.arrayContaining([
+        { depot: 'west', stops: ['w1', 'w2'] },
+        { depot: 'east', stops: ['e1', 'e2'] }
+      ]));
+    });
+  });
+
+  describe('Capacity check', () => {
+    it('should multiply package weight and volume by quantity', () => {
+      const load = CapacityService.deliveryLoad({ packageDetails: { weight: 2, volume: 0.1, quantity: 3 } });
+      expect(load.weight).toBe(6);
+      expect(load.volume).toBeCloseTo(0.3, 5);
+    });
+
+    it('should report each exceeded dimension', () => {
+      const deliveries = [
+        { packageDetails: { weight: 15, volume: 0.2 } },
+        { packageDetails: { weight: 10, volume: 0.1 } }
+      ];
+
+      const overloaded = CapacityService.checkRoute({ type: 'motorcycle', capacity: 20, volumeCapacity: 0.25 }, deliveries);
+      expect(overloaded.withinCapacity).toBe(false);
+      expect(overloaded.violations.map(v => v.dimension)).toEqual(['weight', 'volume']);
+      expect(overloaded.violations[0].excess).toBe(5);
+
+      const unlimited = CapacityService.checkRoute({ type: 'van' }, deliveries);
+      expect(unlimited.withinCapacity).toBe(true);
+      expect(unlimited.weight).toBe(25);
+    });
+
+    it('should check the peak on-board load of pickups in stop order', () => {
+      const stops = [
+        { _id: 'drop', packageDetails: { weight: 10 } },
+        { _id: 'pick', stopType: 'pickup', pairedDeliveryId: 'dest', packageDetails: { weight: 12 } },
+        { _id: 'dest', stopType: 'dropoff', pairedDeliveryId: 'pick' }
+      ];
+
+      expect(CapacityService.checkRoute({ capacity: 12 }, stops).withinCapacity).toBe(true);
+      expect(CapacityService.checkRoute({ capacity: 12 }, [stops[1], stops[0], stops[2]]).weight).toBe(22);
+    });
+  });
+});
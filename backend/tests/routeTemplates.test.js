@@ -0,0 +1,158 @@
+/**
+ * Recurring Route Template and Weekly Planner Tests
+ */
+
+const mongoose = require('mongoose');
+const RecurrenceService = require('../src/services/recurrence.service');
+const RouteTemplateService = require('../src/services/routeTemplate.service');
+const PlannerService = require('../src/services/planner.service');
+const { RouteTemplate, RoutePlan, Delivery, CompanySettings } = require('../src/models');
+
+const days = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+const delivery = (extra = {}) => new Delivery({
+  trackingNumber: `FF-${Math.random().toString(36).slice(2, 8)}`,
+  customer: { name: 'Customer' },
+  address: { street: '1 Main St', city: 'SF', fullAddress: '1 Main St, SF' },
+  location: { type: 'Point', coordinates: [-122.41, 37.77] },
+  timeWindow: { earliest: new Date('2026-03-02T09:00:00Z'), latest: new Date('2026-03-02T12:00:00Z') },
+  companyId: 'company-1',
+  ...extra
+});
+
+describe('Recurring Route Templates', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should list the days an RRULE falls on', () => {
+    // 2026-03-02 is a Monday
+    const start = new Date('2026-03-02');
+
+    expect(days(RecurrenceService.occurrences('FREQ=WEEKLY;BYDAY=MO,TH', start, start, new Date('2026-03-12'))))
+      .toEqual(['2026-03-02', '2026-03-05', '2026-03-09', '2026-03-12']);
+    expect(days(RecurrenceService.occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=FR', start, new Date('2026-03-04'), new Date('2026-03-31'))))
+      .toEqual(['2026-03-06', '2026-03-20']);
+    expect(days(RecurrenceService.occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', start, start, new Date('2026-05-31'))))
+      .toEqual(['2026-03-31', '2026-04-30', '2026-05-31']);
+    // COUNT is counted from the start of the series
+    expect(days(RecurrenceService.occurrences('FREQ=DAILY;COUNT=3', start, new Date('2026-03-03'), new Date('2026-03-10'))))
+      .toEqual(['2026-03-03', '2026-03-04']);
+    expect(() => RecurrenceService.parse('FREQ=HOURLY')).toThrow('FREQ must be DAILY, WEEKLY or MONTHLY');
+    expect(() => RecurrenceService.parse('FREQ=WEEKLY;BYSETPOS=1')).toThrow('Unsupported rule parts: BYSETPOS');
+  });
+
+  it('should generate draft routes with the day\'s matching deliveries that fit the vehicle', async () => {
+    const template = new RouteTemplate({
+      name: 'Milk run',
+      schedule: { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: new Date('2026-03-02'), departureTime: '07:30' },
+      deliveryFilter: { tags: ['milk-run'] },
+      vehicle: { type: 'van', capacity: 100 },
+      startLocation: { coordinates: [-122.42, 37.77], address: 'Depot' },
+      companyId: 'company-1',
+      createdBy: new mongoose.Types.ObjectId()
+    });
+    const small = delivery({ packageDetails: { weight: 60 } });
+    const large = delivery({ packageDetails: { weight: 50 } });
+    const cold = delivery({ packageDetails: { weight: 10, type: 'perishable' } });
+    const light = delivery({ packageDetails: { weight: 30 } });
+
+    jest.spyOn(RoutePlan, 'findOne').mockResolvedValue(null);
+    const find = jest.spyOn(Delivery, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([small, large, cold, light]) });
+    const create = jest.spyOn(RoutePlan, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    const updateMany = jest.spyOn(Delivery, 'updateMany').mockResolvedValue({});
+    jest.spyOn(template, 'save').mockResolvedValue(template);
+
+    const result = await RouteTemplateService.generate(template, { from: '2026-03-02', to: '2026-03-08' });
+
+    expect(find.mock.calls[0][0]).toEqual(expect.objectContaining({
+      status: 'pending',
+      routePlanId: null,
+      tags: { $in: ['milk-run'] },
+      'timeWindow.earliest': { $gte: new Date('2026-03-02'), $lt: new Date('2026-03-03') }
+    }));
+    expect(result.created).toHaveLength(1);
+    const [route] = create.mock.calls[0];
+    expect(route).toEqual(expect.objectContaining({
+      name: 'Milk run – 2026-03-02',
+      status: 'draft',
+      templateId: template._id,
+      startTime: new Date('2026-03-02T07:30:00Z'),
+      endType: 'start',
+      endLocation: route.startLocation
+    }));
+    // The 50 kg parcel no longer fits, and the van is not refrigerated
+    expect(route.deliveries).toEqual([small._id, light._id]);
+    expect(route.capacityCheck.weight).toBe(90);
+    expect(updateMany).toHaveBeenCalledWith({ _id: { $in: [small._id, light._id] } }, expect.objectContaining({ status: 'assigned' }));
+    expect(template.generatedUntil).toEqual(new Date('2026-03-08'));
+  });
+
+  it('should give generated routes an electric vehicle\'s range and chargers', async () => {
+    const template = new RouteTemplate({
+      name: 'EV run',
+      schedule: { rrule: 'FREQ=DAILY', startDate: new Date('2026-03-02') },
+      vehicle: { type: 'van', fuelType: 'electric', batteryCapacity: 60, consumptionPerKm: 0.25, chargers: [{ name: 'Depot', coordinates: [-122.42, 37.77], powerKw: 22 }] },
+      startLocation: { coordinates: [-122.42, 37.77] },
+      companyId: 'company-1',
+      createdBy: new mongoose.Types.ObjectId()
+    });
+
+    jest.spyOn(RoutePlan, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Delivery, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+    const create = jest.spyOn(RoutePlan, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(template, 'save').mockResolvedValue(template);
+
+    await RouteTemplateService.generate(template, { from: '2026-03-02', to: '2026-03-02' });
+
+    const [route] = create.mock.calls[0];
+    expect(route.vehicle).toMatchObject({ fuelType: 'electric', batteryCapacity: 60, consumptionPerKm: 0.25 });
+    expect(route.vehicle.chargers.map(charger => charger.powerKw)).toEqual([22]);
+    expect(new RoutePlan(route).vehicle.chargers[0].coordinates).toEqual([-122.42, 37.77]);
+  });
+
+  it('should move a delivery to another day and onto a route of that day', async () => {
+    const companyId = 'company-1';
+    const from = new RoutePlan({ userId: new mongoose.Types.ObjectId(), companyId, name: 'Monday', scheduledDate: new Date('2026-03-02'), status: 'draft', route: [{ location: { coordinates: [0, 0] }, address: 'x' }] });
+    const to = new RoutePlan({ userId: new mongoose.Types.ObjectId(), companyId, name: 'Wednesday', scheduledDate: new Date('2026-03-04'), status: 'planned', vehicle: { capacity: 500 } });
+    const moved = delivery({ routePlanId: from._id, status: 'assigned', timeWindow: { earliest: new Date('2026-03-02T09:00:00Z'), latest: new Date('2026-03-02T12:00:00Z') } });
+    from.deliveries = [moved._id];
+
+    jest.spyOn(Delivery, 'findOne').mockResolvedValue(moved);
+    jest.spyOn(RoutePlan, 'find').mockResolvedValue([from]);
+    jest.spyOn(RoutePlan, 'findOne').mockResolvedValue(to);
+    jest.spyOn(Delivery, 'find').mockResolvedValue([]);
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId }));
+    jest.spyOn(from, 'save').mockResolvedValue(from);
+    jest.spyOn(to, 'save').mockResolvedValue(to);
+    jest.spyOn(moved, 'save').mockResolvedValue(moved);
+
+    await PlannerService.move(companyId, { deliveryId: moved._id.toString(), date: '2026-03-04', routePlanId: to._id.toString() });
+
+    expect(moved.timeWindow.earliest).toEqual(new Date('2026-03-04T09:00:00Z'));
+    expect(moved.timeWindow.latest).toEqual(new Date('2026-03-04T12:00:00Z'));
+    expect(moved.routePlanId).toEqual(to._id);
+    expect(from.deliveries).toHaveLength(0);
+    expect(from.route).toHaveLength(0);
+    expect(to.deliveries).toEqual([moved._id]);
+  });
+
+  it('should not move deliveries of a route that has started or onto a route of another day', async () => {
+    const companyId = 'company-1';
+    const started = new RoutePlan({ userId: new mongoose.Types.ObjectId(), companyId, name: 'Monday', scheduledDate: new Date('2026-03-02'), status: 'in_progress' });
+    const onRoute = delivery({ routePlanId: started._id, status: 'assigned' });
+    jest.spyOn(Delivery, 'findOne').mockResolvedValue(onRoute);
+    jest.spyOn(RoutePlan, 'find').mockResolvedValue([started]);
+
+    await expect(PlannerService.move(companyId, { deliveryId: onRoute._id.toString(), date: '2026-03-03' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Route Monday is in_progress; its deliveries can no longer be moved' });
+
+    const unrouted = delivery();
+    const friday = new RoutePlan({ userId: new mongoose.Types.ObjectId(), companyId, name: 'Friday', scheduledDate: new Date('2026-03-06'), status: 'draft' });
+    Delivery.findOne.mockResolvedValue(unrouted);
+    jest.spyOn(RoutePlan, 'findOne').mockResolvedValue(friday);
+    const save = jest.spyOn(unrouted, 'save');
+
+    await expect(PlannerService.move(companyId, { deliveryId: unrouted._id.toString(), date: '2026-03-03', routePlanId: friday._id.toString() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Route Friday does not run on 2026-03-03' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
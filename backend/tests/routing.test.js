@@ -0,0 +1,128 @@
+/**
+ * Routing Provider Tests
+ */
+
+const axios = require('axios');
+const RoutingService = require('../src/services/routing.service');
+const RoutingProvider = require('../src/services/routing/routingProvider');
+const OSRMProvider = require('../src/services/routing/osrm.provider');
+const GraphHopperProvider = require('../src/services/routing/graphhopper.provider');
+const TomTomService = require('../src/services/tomtom.service');
+const { haversineDistance } = require('../src/utils/geo');
+
+const waypoints = [{ lat: 37.77, lng: -122.42 }, { lat: 37.78, lng: -122.40 }, { lat: 37.76, lng: -122.38 }];
+
+// Provider answering every matrix request with the given cells, or failing with an error
+const stub = (name, answer) => {
+  const provider = new RoutingProvider({ name, baseUrl: `http://${name}` });
+  provider.matrix = jest.fn(async () => {
+    if (answer instanceof Error) throw answer;
+    return answer;
+  });
+  return provider;
+};
+
+describe('Routing Providers', () => {
+  beforeEach(() => jest.spyOn(TomTomService, 'isConfigured').mockReturnValue(false));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RoutingService.reset();
+  });
+
+  it('should fall back along the company chain, skipping unconfigured providers', async () => {
+    const osrm = stub('osrm', new Error('connect ECONNREFUSED'));
+    const graphhopper = stub('graphhopper', [{ originIndex: 0, destinationIndex: 0, distanceKm: 2, durationMinutes: 5 }]);
+    RoutingService.setProvider('osrm', osrm);
+    RoutingService.setProvider('graphhopper', graphhopper);
+
+    const settings = { provider: 'osrm', fallback: ['tomtom', 'graphhopper'] };
+    expect(RoutingService.chain(settings).map(provider => provider.name)).toEqual(['osrm', 'graphhopper', 'haversine']);
+
+    const { cells, provider } = await RoutingService.matrix([[-122.42, 37.77]], [[-122.40, 37.78]], { settings, estimates: false });
+
+    expect(provider).toBe('graphhopper');
+    expect(cells[0].distanceKm).toBe(2);
+    expect(osrm.matrix).toHaveBeenCalledTimes(1);
+
+    // Only TomTom reports traffic
+    await expect(RoutingService.trafficFlow(37.77, -122.42, { settings })).rejects.toThrow('No routing provider available for trafficFlow');
+  });
+
+  it('should estimate directions without any routing backend', async () => {
+    const directions = await RoutingService.route(waypoints, { departureTime: '2026-03-02T08:00:00Z' });
+
+    expect(directions.provider).toBe('haversine');
+    expect(directions.estimated).toBe(true);
+    expect(directions.legs).toHaveLength(2);
+    expect(directions.legs[0].lengthInMeters).toBe(Math.round(haversineDistance([-122.42, 37.77], [-122.40, 37.78]) * 1.3 * 1000));
+    expect(directions.summary.lengthInMeters).toBe(directions.legs[0].lengthInMeters + directions.legs[1].lengthInMeters);
+    expect(new Date(directions.summary.arrivalTime).getTime() - new Date('2026-03-02T08:00:00Z').getTime())
+      .toBe(directions.summary.travelTimeInSeconds * 1000);
+    expect(directions.geometry.coordinates).toEqual([[-122.42, 37.77], [-122.40, 37.78], [-122.38, 37.76]]);
+  });
+
+  it('should read OSRM route and table responses', async () => {
+    const osrm = new OSRMProvider({ name: 'osrm', baseUrl: 'http://localhost:5000/' });
+    const get = jest.spyOn(axios, 'get')
+      .mockResolvedValueOnce({
+        data: {
+          code: 'Ok',
+          routes: [{
+            distance: 3200,
+            duration: 420,
+            geometry: { type: 'LineString', coordinates: [[-122.42, 37.77], [-122.40, 37.78]] },
+            legs: [{
+              distance: 3200,
+              duration: 420,
+              steps: [
+                { distance: 3200, name: 'Market Street', maneuver: { type: 'depart' }, geometry: { coordinates: [[-122.42, 37.77], [-122.40, 37.78]] } },
+                { distance: 0, name: '', maneuver: { type: 'arrive' }, geometry: { coordinates: [[-122.40, 37.78]] } }
+              ]
+            }]
+          }]
+        }
+      })
+      .mockResolvedValueOnce({ data: { code: 'Ok', durations: [[600, null]], distances: [[4000, null]] } });
+
+    const route = await osrm.route(waypoints.slice(0, 2), { avoidTolls: true });
+    expect(get.mock.calls[0][0]).toBe('http://localhost:5000/route/v1/driving/-122.42,37.77;-122.4,37.78');
+    expect(get.mock.calls[0][1].params.exclude).toBe('toll');
+    expect(route.summary.lengthInMeters).toBe(3200);
+    expect(route.legs[0].travelTimeInSeconds).toBe(420);
+    expect(route.guidance.map(step => step.instruction)).toEqual(['Depart onto Market Street', 'Arrive']);
+    expect(route.guidance[1].distance).toBe(3200);
+
+    // The second destination cannot be reached
+    const cells = await osrm.matrix([[-122.42, 37.77]], [[-122.40, 37.78], [-122.38, 37.76]]);
+    expect(get.mock.calls[1][1].params).toEqual(expect.objectContaining({ sources: '0', destinations: '1;2' }));
+    expect(cells).toEqual([{ originIndex: 0, destinationIndex: 0, distanceKm: 4, durationMinutes: 10 }]);
+  });
+
+  it('should split GraphHopper paths into legs at via points', async () => {
+    const graphhopper = new GraphHopperProvider({ name: 'graphhopper', baseUrl: 'http://localhost:8989' });
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: {
+        paths: [{
+          distance: 5000,
+          time: 600000,
+          points: { type: 'LineString', coordinates: [[-122.42, 37.77], [-122.41, 37.775], [-122.40, 37.78], [-122.38, 37.76]] },
+          instructions: [
+            { text: 'Continue onto Market Street', sign: 0, distance: 2000, time: 240000, interval: [0, 2] },
+            { text: 'Waypoint 1', sign: 5, distance: 0, time: 0, interval: [2, 2] },
+            { text: 'Turn right', sign: 2, distance: 3000, time: 360000, interval: [2, 3] },
+            { text: 'Arrive at destination', sign: 4, distance: 0, time: 0, interval: [3, 3] }
+          ]
+        }]
+      }
+    });
+
+    const route = await graphhopper.route(waypoints, { vehicleType: 'truck' });
+
+    expect(axios.post.mock.calls[0][1]).toEqual(expect.objectContaining({ profile: 'truck', points_encoded: false }));
+    expect(route.legs.map(leg => [leg.lengthInMeters, leg.travelTimeInSeconds])).toEqual([[2000, 240], [3000, 360]]);
+    expect(route.legs[1].points[0]).toEqual([-122.40, 37.78]);
+    expect(route.summary.travelTimeInSeconds).toBe(600);
+    expect(route.guidance[2]).toEqual({ instruction: 'Turn right', maneuver: '2', distance: 2000 });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * What-If Simulation Tests
+ */
+
+const mongoose = require('mongoose');
+const { simulateRoute } = require('../src/controllers/route.controller');
+const { RoutePlan, Delivery, User, CompanySettings } = require('../src/models');
+
+const { base, at, depot, delivery } = require('./helpers/fixtures');
+
+const companyId = 'company-1';
+// Stored deliveries have ObjectId ids, so the customer names the stop
+const stored = (name, coordinates, extra) =>
+  delivery(new mongoose.Types.ObjectId(), coordinates, { customer: { name }, ...extra });
+const deliveries = [
+  stored('a', [-122.40, 37.78], { window: [0, 10] }),
+  stored('b', [-122.36, 37.78], { window: [0, 60], packageDetails: { type: 'hazardous' } }),
+  stored('c', [-122.33, 37.79], { window: [0, 240] })
+];
+
+const storedRoute = () => new RoutePlan({
+  userId: new mongoose.Types.ObjectId(),
+  companyId,
+  name: 'Morning',
+  scheduledDate: new Date(base),
+  deliveries: deliveries.map(d => d._id),
+  startLocation: depot,
+  endType: 'open',
+  startTime: new Date(base),
+  vehicle: { type: 'van', capabilities: { hazmat: true } }
+});
+
+const simulate = async (route, body) => {
+  jest.spyOn(RoutePlan, 'findById').mockResolvedValue(route);
+  jest.spyOn(Delivery, 'find').mockResolvedValue(deliveries);
+  jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId }));
+
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await simulateRoute({
+    params: { id: route._id.toString() },
+    body,
+    user: { id: 'user-1', role: 'dispatcher', companyId }
+  }, res, next);
+  return { res, next };
+};
+
+describe('What-If Simulation', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should replay the route with slower roads and a later start without saving it', async () => {
+    const route = storedRoute();
+    const save = jest.spyOn(route, 'save');
+
+    const { res, next } = await simulate(route, { departureTime: at(15), trafficMultiplier: 1.5, weatherMultiplier: 1.2 });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+    const { simulation, baseline, changes } = res.json.mock.calls[0][0].data;
+    expect(baseline.windowViolations).toEqual([]);
+    expect(simulation.stops.map(stop => stop.customer)).toEqual(['a', 'b', 'c']);
+    expect(simulation.stops[0].arrivalTime.getTime()).toBeGreaterThan(baseline.stops[0].arrivalTime.getTime() + 15 * 60000);
+    expect(simulation.metrics.totalDistance).toBe(baseline.metrics.totalDistance);
+    expect(changes.totalDuration).toBeGreaterThan(0);
+    expect(changes.cost).toBeGreaterThan(0);
+    expect(simulation.windowViolations.map(v => v.deliveryId)).toContain(deliveries[0]._id.toString());
+  });
+
+  it('should report a new stop order, vehicle and driver the route cannot take', async () => {
+    const route = storedRoute();
+    const driver = new User({ name: 'Bea', email: 'bea@example.com', companyId, role: 'driver' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(driver);
+
+    const { res, next } = await simulate(route, {
+      deliveryIds: [deliveries[2], deliveries[1], deliveries[0]].map(d => d._id.toString()),
+      vehicle: { type: 'truck', capabilities: { hazmat: false } },
+      driverId: driver._id.toString()
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    const { simulation } = res.json.mock.calls[0][0].data;
+    expect(simulation.stops.map(stop => stop.customer)).toEqual(['c', 'b', 'a']);
+    expect(simulation.windowViolations.length).toBeGreaterThan(0);
+    expect(simulation.qualificationViolations.map(v => v.field)).toEqual(['driver', 'vehicle.capabilities']);
+  });
+
+  it('should refuse a stop order that is not the route\'s deliveries', async () => {
+    const { res, next } = await simulate(storedRoute(), {
+      deliveryIds: [deliveries[0]._id.toString(), deliveries[0]._id.toString(), deliveries[1]._id.toString()]
+    });
+
+    expect(res.json).not.toHaveBeenCalled();
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+  });
+});
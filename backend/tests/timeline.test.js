@@ -0,0 +1,215 @@
+/**
+ * Route Timeline Tests
+ */
+
+const mongoose = require('mongoose');
+const TimelineService = require('../src/services/timeline.service');
+const RoutingService = require('../src/services/routing.service');
+const RealTimeUpdateService = require('../src/services/realTimeUpdate.service');
+const WeatherService = require('../src/services/weather.service');
+const { getRouteDirections, updateRoute } = require('../src/controllers/route.controller');
+const { RoutePlan, Delivery, CompanySettings, RealTimeUpdate } = require('../src/models');
+
+const companyId = 'company-1';
+const at = time => new Date(`2026-03-02T${time}:00Z`);
+
+const delivery = (name, coordinates, window = {}, extra = {}) => new Delivery({
+  trackingNumber: `FF-${name}`,
+  customer: { name },
+  address: { street: `${name} St`, city: 'SF', fullAddress: `${name} St, SF` },
+  location: { type: 'Point', coordinates },
+  timeWindow: { earliest: at(window.earliest || '08:00'), latest: at(window.latest || '18:00') },
+  serviceTime: 10,
+  companyId,
+  status: 'assigned',
+  ...extra
+});
+
+const route = (deliveries, extra = {}) => new RoutePlan({
+  userId: new mongoose.Types.ObjectId(),
+  companyId,
+  name: 'Downtown',
+  status: 'planned',
+  deliveries,
+  startLocation: { type: 'Point', coordinates: [-122.40, 37.79] },
+  endLocation: { type: 'Point', coordinates: [-122.40, 37.79] },
+  startTime: at('08:00'),
+  ...extra
+});
+
+// TomTom-style directions with one leg per pair of consecutive points
+const directions = minutes => ({
+  summary: { lengthInMeters: minutes.length * 5000, travelTimeInSeconds: minutes.reduce((sum, m) => sum + m * 60, 0) },
+  legs: minutes.map(m => ({ lengthInMeters: 5000, travelTimeInSeconds: m * 60 })),
+  geometry: { type: 'LineString', coordinates: [] },
+  provider: 'tomtom'
+});
+
+describe('Route Timeline', () => {
+  const a = delivery('A', [-122.41, 37.78]);
+  const b = delivery('B', [-122.42, 37.77], { earliest: '09:00', latest: '09:30' });
+  const c = delivery('C', [-122.43, 37.76], { latest: '09:15' });
+
+  beforeEach(() => {
+    jest.spyOn(CompanySettings, 'forCompany').mockResolvedValue(new CompanySettings({ companyId }));
+    jest.spyOn(Delivery, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should time stops from leg travel times, window waits and service times', () => {
+    const plan = route([a._id, b._id], {
+      route: [
+        { type: 'delivery', deliveryId: a._id, location: { coordinates: a.location.coordinates }, address: 'A' },
+        { type: 'break', location: { coordinates: a.location.coordinates }, address: 'Driver break', serviceTime: 30 },
+        { type: 'delivery', deliveryId: b._id, location: { coordinates: b.location.coordinates }, address: 'B' }
+      ]
+    });
+
+    const timeline = TimelineService.build(plan, [a, b, c], directions([15, 10, 20, 25]).legs, { departureTime: at('08:00'), fromStart: true });
+
+    expect(timeline.route.map(waypoint => [waypoint.type, waypoint.arrivalTime, waypoint.departureTime, waypoint.waitTime])).toEqual([
+      ['delivery', at('08:15'), at('08:25'), 0],
+      // The break stays after A and pushes B back
+      ['break', at('08:25'), at('08:55'), undefined],
+      ['delivery', at('09:05'), at('09:15'), 0],
+      // C's window closed at 09:15
+      ['delivery', at('09:35'), at('09:45'), 0]
+    ]);
+    expect(timeline.endTime).toEqual(at('10:10'));
+    expect(timeline).toEqual(expect.objectContaining({ lateStops: 1, lateMinutes: 20 }));
+
+    const early = TimelineService.build(route([]), [b], [{ travelTimeInSeconds: 600 }], { departureTime: at('08:00'), fromStart: true });
+    expect(early.route[0]).toEqual(expect.objectContaining({ arrivalTime: at('08:10'), waitTime: 50, departureTime: at('09:10') }));
+  });
+
+  it('should store the timeline and estimated arrivals when directions are fetched', async () => {
+    const plan = route([a, b]);
+    jest.spyOn(RoutePlan, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(plan) });
+    const routeCall = jest.spyOn(RoutingService, 'route').mockResolvedValue(directions([15, 30, 20]));
+    const save = jest.spyOn(plan, 'save').mockResolvedValue(plan);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await getRouteDirections({ params: { id: plan._id.toString() }, body: {}, user: { id: 'user-1', companyId } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(routeCall.mock.calls[0][0]).toHaveLength(4);
+    expect(save).toHaveBeenCalled();
+    expect(plan.route.map(waypoint => [waypoint.sequence, waypoint.arrivalTime, waypoint.waitTime, waypoint.departureTime])).toEqual([
+      [1, at('08:15'), 0, at('08:25')],
+      [2, at('08:55'), 5, at('09:10')]
+    ]);
+    expect(plan.endTime).toEqual(at('09:30'));
+    expect(plan.metrics.totalDuration).toBe(65);
+    expect(plan.hoursOfServiceCheck.shiftDuration).toBe(90);
+    expect(Delivery.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: a._id }, update: { estimatedArrival: at('08:15') } } },
+      { updateOne: { filter: { _id: b._id }, update: { estimatedArrival: at('08:55') } } }
+    ]);
+  });
+
+  it('should re-time the stops when they are reordered', async () => {
+    const plan = route([a._id, b._id], { status: 'draft' });
+    jest.spyOn(RoutePlan, 'findById')
+      .mockResolvedValueOnce(plan)
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(plan) });
+    jest.spyOn(Delivery, 'find').mockResolvedValue([a, b]);
+    const routeCall = jest.spyOn(RoutingService, 'route').mockResolvedValue(directions([20, 10, 15]));
+    const save = jest.spyOn(plan, 'save').mockResolvedValue(plan);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await updateRoute({
+      params: { id: plan._id.toString() },
+      body: { deliveryIds: [b._id.toString(), a._id.toString()] },
+      user: { id: plan.userId.toString(), role: 'dispatcher', companyId }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(routeCall.mock.calls[0][0].slice(1, 3)).toEqual([
+      { lat: b.location.coordinates[1], lng: b.location.coordinates[0] },
+      { lat: a.location.coordinates[1], lng: a.location.coordinates[0] }
+    ]);
+    // B waits for 09:00, so A follows at 09:20
+    expect(plan.route.map(waypoint => waypoint.deliveryId)).toEqual([b._id, a._id]);
+    expect(plan.route.map(waypoint => waypoint.arrivalTime)).toEqual([at('08:20'), at('09:20')]);
+    expect(plan.endTime).toEqual(at('09:45'));
+    expect(Delivery.bulkWrite.mock.invocationCallOrder[0]).toBeGreaterThan(save.mock.invocationCallOrder[0]);
+  });
+
+  it('should keep the stops in their new order, untimed, when they cannot be re-timed', async () => {
+    const waypoint = (d, arrival) => ({
+      deliveryId: d._id, location: { type: 'Point', coordinates: d.location.coordinates }, address: d.address.fullAddress,
+      arrivalTime: at(arrival), serviceTime: 10
+    });
+    const plan = route([a._id, b._id], {
+      status: 'draft',
+      route: [
+        waypoint(a, '08:20'),
+        { type: 'break', location: { type: 'Point', coordinates: a.location.coordinates }, address: 'Driver break', arrivalTime: at('08:30'), serviceTime: 30 },
+        waypoint(b, '09:10')
+      ]
+    });
+    jest.spyOn(RoutePlan, 'findById')
+      .mockResolvedValueOnce(plan)
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(plan) });
+    jest.spyOn(Delivery, 'find').mockResolvedValue([a, b]);
+    jest.spyOn(RoutingService, 'route').mockRejectedValue(new Error('Routing provider unavailable'));
+    jest.spyOn(plan, 'save').mockResolvedValue(plan);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await updateRoute({
+      params: { id: plan._id.toString() },
+      body: { deliveryIds: [b._id.toString(), a._id.toString()] },
+      user: { id: plan.userId.toString(), role: 'dispatcher', companyId }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.timelineStale).toBe(true);
+    // The break still follows A
+    expect(plan.route.map(w => w.deliveryId || w.type)).toEqual([b._id, a._id, 'break']);
+    expect(plan.route.map(w => w.arrivalTime)).toEqual([undefined, undefined, undefined]);
+    expect(Delivery.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('should re-time the stops left on a route under way when traffic changes', async () => {
+    jest.useFakeTimers({ now: at('09:00'), doNotFake: ['nextTick', 'setImmediate', 'setTimeout'] });
+    try {
+      const done = delivery('Done', [-122.41, 37.78], {}, { status: 'delivered' });
+      const next = delivery('Next', [-122.42, 37.77]);
+      const plan = route([done, next], {
+        status: 'in_progress',
+        endTime: at('09:30'),
+        routeGeometry: { type: 'LineString', coordinates: [[-122.41, 37.78], [-122.42, 37.77]] },
+        metrics: { totalDuration: 30 },
+        route: [
+          { type: 'delivery', deliveryId: done._id, location: { coordinates: done.location.coordinates }, address: 'Done', arrivalTime: at('08:20') },
+          { type: 'delivery', deliveryId: next._id, location: { coordinates: next.location.coordinates }, address: 'Next', arrivalTime: at('08:45') }
+        ]
+      });
+      jest.spyOn(RoutingService, 'trafficAlongRoute').mockResolvedValue({ averageSpeed: 20, averageFreeFlowSpeed: 40, congestionLevel: 'heavy' });
+      jest.spyOn(RoutingService, 'incidents').mockResolvedValue([]);
+      jest.spyOn(WeatherService, 'getWeather').mockResolvedValue({ current: { condition: 'clear' }, hourlyForecast: [], alerts: [] });
+      const routeCall = jest.spyOn(RoutingService, 'route').mockResolvedValue(directions([25, 20]));
+      jest.spyOn(plan, 'save').mockResolvedValue(plan);
+      jest.spyOn(RealTimeUpdateService, 'triggerNotification').mockResolvedValue(true);
+      jest.spyOn(RoutePlan, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(RealTimeUpdate, 'create').mockImplementation(async (data) => data);
+
+      const update = await RealTimeUpdateService.updateRouteData(plan);
+
+      // From the finished stop, now
+      expect(routeCall.mock.calls[0][0][0]).toEqual({ lat: done.location.coordinates[1], lng: done.location.coordinates[0] });
+      expect(plan.route.map(waypoint => waypoint.arrivalTime)).toEqual([at('08:20'), at('09:25')]);
+      expect(plan.endTime).toEqual(at('09:30'));
+      expect(update.updatedETA).toEqual({ originalETA: at('09:30'), currentETA: at('09:55'), delayMinutes: 25 });
+      expect(Delivery.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: next._id }, update: { estimatedArrival: at('09:25') } } }
+      ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
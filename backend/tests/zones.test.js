@@ -0,0 +1,106 @@
+/**
+ * Delivery Zone Tests
+ */
+
+const mongoose = require('mongoose');
+const RouteSolverService = require('../src/services/routeSolver.service');
+const { getDeliveries } = require('../src/controllers/delivery.controller');
+const { updateZone } = require('../src/controllers/zone.controller');
+const { Delivery, Zone } = require('../src/models');
+
+const { at, depot, delivery } = require('./helpers/fixtures');
+
+const north = new mongoose.Types.ObjectId();
+const south = new mongoose.Types.ObjectId();
+const deliveries = [
+  delivery('n1', [-122.41, 37.80], { zoneId: north }),
+  delivery('s1', [-122.41, 37.74], { zoneId: south }),
+  delivery('n2', [-122.40, 37.80], { zoneId: north }),
+  delivery('x', [-122.42, 37.77])
+];
+const square = [[[-122.5, 37.75], [-122.3, 37.75], [-122.3, 37.85], [-122.5, 37.85], [-122.5, 37.75]]];
+
+const zonesOf = (problem, route) => route.sequence.map(stopIndex => problem.stops[stopIndex].zone).filter(Boolean);
+
+describe('Delivery Zones', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should keep each route within one zone when clustering', () => {
+    const problem = RouteSolverService.buildProblem({
+      deliveries,
+      vehicles: [{}, {}],
+      startLocation: depot,
+      departureTime: at(0),
+      zoneClustering: true
+    });
+
+    const solution = RouteSolverService.solveFleet(problem);
+
+    expect(solution.unassigned).toEqual([]);
+    solution.routes.forEach(route => expect(new Set(zonesOf(problem, route)).size).toBeLessThanOrEqual(1));
+    expect(solution.routes.flatMap(route => route.sequence).sort()).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should only give vehicles stops in their zones', () => {
+    const problem = RouteSolverService.buildProblem({
+      deliveries,
+      vehicles: [{ zones: [north.toString()] }, { zones: [north.toString()] }],
+      startLocation: depot,
+      departureTime: at(0)
+    });
+
+    const solution = RouteSolverService.solveFleet(problem);
+
+    expect(solution.unassigned).toEqual([{ stopIndex: 1, reason: 'no_vehicle_in_zone' }]);
+    expect(solution.routes.flatMap(route => route.sequence).sort()).toEqual([0, 2, 3]);
+  });
+
+  it('should filter deliveries by zone and by distance', async () => {
+    const chain = {
+      populate: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue([])
+    };
+    jest.spyOn(Delivery, 'find').mockReturnValue(chain);
+    jest.spyOn(Delivery, 'countDocuments').mockResolvedValue(0);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await getDeliveries({
+      query: { zoneId: 'none', near: '-122.41,37.77', radiusKm: '6.3781' },
+      user: { companyId: 'company-1' }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const [query] = Delivery.find.mock.calls[0];
+    expect(query.zoneId).toBeNull();
+    expect(query.location.$geoWithin.$centerSphere[0]).toEqual([-122.41, 37.77]);
+    expect(query.location.$geoWithin.$centerSphere[1]).toBeCloseTo(0.001, 6);
+  });
+
+  it('should re-tag open deliveries when a zone is redrawn', async () => {
+    const companyId = 'company-1';
+    const zone = new Zone({ name: 'North', companyId, area: { type: 'Polygon', coordinates: square } });
+    jest.spyOn(Zone, 'findOne').mockResolvedValue(zone);
+    jest.spyOn(zone, 'save').mockResolvedValue(zone);
+    jest.spyOn(Zone, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([zone]) });
+    const updateMany = jest.spyOn(Delivery, 'updateMany').mockResolvedValue({});
+
+    const redrawn = [[[-122.5, 37.70], [-122.3, 37.70], [-122.3, 37.85], [-122.5, 37.85], [-122.5, 37.70]]];
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await updateZone({
+      params: { id: zone._id.toString() },
+      body: { name: 'North', area: { coordinates: redrawn } },
+      user: { id: 'user-1', companyId }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const [[cleared, unset], [assigned, set]] = updateMany.mock.calls;
+    expect(cleared).toMatchObject({ companyId, zoneId: zone._id });
+    expect(unset).toEqual({ $unset: { zoneId: 1 } });
+    expect(assigned).toMatchObject({ companyId, zoneId: null, location: { $geoWithin: { $geometry: zone.area } } });
+    expect(set).toEqual({ $set: { zoneId: zone._id } });
+  });
+});
@@ -16,6 +16,10 @@ import RoutesList from './pages/RoutesList';
 import RouteOptimizer from './pages/RouteOptimizer';
 import RouteDetails from './pages/RouteDetails';
 import Users from './pages/Users';
+import Settings from './pages/Settings';
+import Zones from './pages/Zones';
+import Planner from './pages/Planner';
+import RouteTemplates from './pages/RouteTemplates';
 
 // Layout Component
 import Layout from './components/Layout';
@@ -85,6 +89,30 @@ const AppRoutes = () => {
         </ProtectedRoute>
       } />
 
+      <Route path="/zones" element={
+        <ProtectedRoute>
+          <Layout>
+            <Zones />
+          </Layout>
+        </ProtectedRoute>
+      } />
+
+      <Route path="/planner" element={
+        <ProtectedRoute>
+          <Layout>
+            <Planner />
+          </Layout>
+        </ProtectedRoute>
+      } />
+
+      <Route path="/templates" element={
+        <ProtectedRoute>
+          <Layout>
+            <RouteTemplates />
+          </Layout>
+        </ProtectedRoute>
+      } />
+
       <Route path="/users" element={
         <ProtectedRoute>
           <Layout>
@@ -92,6 +120,14 @@ const AppRoutes = () => {
           </Layout>
         </ProtectedRoute>
       } />
+
+      <Route path="/settings" element={
+        <ProtectedRoute>
+          <Layout>
+            <Settings />
+          </Layout>
+        </ProtectedRoute>
+      } />
       
       {/* Catch all */}
       <Route path="*" element={<Navigate to="/" />} />
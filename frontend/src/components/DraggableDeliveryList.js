@@ -1,15 +1,35 @@
 /**
- * Draggable Delivery List - Manually reorder route stops
+ * Draggable Delivery List - Manually reorder route stops and lock stops in place
+ * Locked stops are saved as pin constraints that the optimizer keeps
  */
 
 import React, { useState } from 'react';
 
-const DraggableDeliveryList = ({ deliveries, onReorder, onSave, saving }) => {
+const pinnedIds = (constraints) => new Set(
+  constraints.filter(c => c.type === 'pin').map(c => c.deliveryId)
+);
+
+const DraggableDeliveryList = ({ deliveries, constraints = [], onReorder, onSave, saving }) => {
   const [items, setItems] = useState(deliveries);
+  const [locked, setLocked] = useState(() => pinnedIds(constraints));
   const [draggedIndex, setDraggedIndex] = useState(null);
   const [hasChanges, setHasChanges] = useState(false);
 
+  const isLocked = (delivery) => locked.has(delivery._id);
+
+  const toggleLock = (delivery) => {
+    const next = new Set(locked);
+    if (next.has(delivery._id)) next.delete(delivery._id);
+    else next.add(delivery._id);
+    setLocked(next);
+    setHasChanges(true);
+  };
+
   const handleDragStart = (e, index) => {
+    if (isLocked(items[index])) {
+      e.preventDefault();
+      return;
+    }
     setDraggedIndex(index);
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/html', e.target.outerHTML);
@@ -23,26 +43,39 @@ const DraggableDeliveryList = ({ deliveries, onReorder, onSave, saving }) => {
 
   const handleDragOver = (e, index) => {
     e.preventDefault();
-    if (draggedIndex === null || draggedIndex === index) return;
+    if (draggedIndex === null || draggedIndex === index || isLocked(items[index])) return;
 
-    const newItems = [...items];
-    const draggedItem = newItems[draggedIndex];
-    newItems.splice(draggedIndex, 1);
-    newItems.splice(index, 0, draggedItem);
+    const moved = [...items];
+    const draggedItem = moved[draggedIndex];
+    moved.splice(draggedIndex, 1);
+    moved.splice(index, 0, draggedItem);
 
-    setDraggedIndex(index);
+    // Locked stops keep their positions; the others flow around them
+    const free = moved.filter(delivery => !isLocked(delivery));
+    const newItems = items.map(delivery => (isLocked(delivery) ? delivery : free.shift()));
+
+    setDraggedIndex(newItems.indexOf(draggedItem));
     setItems(newItems);
     setHasChanges(true);
   };
 
   const handleSave = () => {
+    // Pins are rebuilt from the locks; other constraints are kept as they are
+    const sequenceConstraints = [
+      ...constraints.filter(c => c.type !== 'pin'),
+      ...items
+        .map((delivery, index) => ({ delivery, index }))
+        .filter(({ delivery }) => isLocked(delivery))
+        .map(({ delivery, index }) => ({ type: 'pin', deliveryId: delivery._id, position: index + 1 }))
+    ];
     onReorder(items);
-    onSave(items);
+    onSave(items, sequenceConstraints);
     setHasChanges(false);
   };
 
   const handleReset = () => {
     setItems(deliveries);
+    setLocked(pinnedIds(constraints));
     setHasChanges(false);
   };
 
@@ -73,23 +106,24 @@ const DraggableDeliveryList = ({ deliveries, onReorder, onSave, saving }) => {
       </div>
 
       <p style={styles.hint}>
-        💡 Drag and drop to manually adjust the delivery sequence
+        💡 Drag and drop to manually adjust the delivery sequence; 🔒 locks a stop at its position
       </p>
 
       <div style={styles.list}>
         {items.map((delivery, index) => (
           <div
             key={delivery._id || index}
-            draggable
+            draggable={!isLocked(delivery)}
             onDragStart={(e) => handleDragStart(e, index)}
             onDragEnd={handleDragEnd}
             onDragOver={(e) => handleDragOver(e, index)}
             style={{
               ...styles.item,
+              ...(isLocked(delivery) ? styles.locked : {}),
               ...(draggedIndex === index ? styles.dragging : {})
             }}
           >
-            <div style={styles.dragHandle}>⋮⋮</div>
+            <div style={styles.dragHandle}>{isLocked(delivery) ? '' : '⋮⋮'}</div>
             <div style={{
               ...styles.number,
               backgroundColor: getPriorityColor(delivery.priority)
@@ -117,6 +151,13 @@ const DraggableDeliveryList = ({ deliveries, onReorder, onSave, saving }) => {
                 </span>
               )}
             </div>
+            <button
+              onClick={() => toggleLock(delivery)}
+              style={{ ...styles.lockBtn, ...(isLocked(delivery) ? styles.lockBtnActive : {}) }}
+              title={isLocked(delivery) ? `Locked at stop ${index + 1}` : 'Lock at this position'}
+            >
+              {isLocked(delivery) ? '🔒' : '🔓'}
+            </button>
           </div>
         ))}
       </div>
@@ -197,12 +238,32 @@ const styles = {
     transform: 'scale(1.02)',
     boxShadow: '0 4px 12px rgba(0,0,0,0.15)'
   },
+  locked: {
+    backgroundColor: '#f1f5f9',
+    borderColor: '#cbd5e1',
+    cursor: 'default'
+  },
   dragHandle: {
+    width: '16px',
     color: '#94a3b8',
     fontSize: '16px',
     cursor: 'grab',
     userSelect: 'none'
   },
+  lockBtn: {
+    padding: '6px 8px',
+    backgroundColor: 'transparent',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    opacity: 0.6
+  },
+  lockBtnActive: {
+    backgroundColor: '#eff6ff',
+    borderColor: '#1a56db',
+    opacity: 1
+  },
   number: {
     width: '28px',
     height: '28px',
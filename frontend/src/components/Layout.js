@@ -26,11 +26,21 @@ const Layout = ({ children }) => {
     { path: '/optimize', label: 'Optimize', icon: '🤖' },
   ];
 
-  // Add Users page for Admin only
-  const navItems = user?.role === 'admin' 
-    ? [...baseNavItems, { path: '/users', label: 'Users', icon: '👥' }]
+  // Dispatchers and admins plan the week and draw the delivery zones
+  const dispatchNavItems = ['admin', 'dispatcher'].includes(user?.role)
+    ? [
+        ...baseNavItems,
+        { path: '/planner', label: 'Planner', icon: '📅' },
+        { path: '/templates', label: 'Templates', icon: '🔁' },
+        { path: '/zones', label: 'Zones', icon: '🗺️' }
+      ]
     : baseNavItems;
 
+  // Add Users and Settings pages for Admin only
+  const navItems = user?.role === 'admin' 
+    ? [...dispatchNavItems, { path: '/users', label: 'Users', icon: '👥' }, { path: '/settings', label: 'Settings', icon: '⚙️' }]
+    : dispatchNavItems;
+
   return (
     <div style={styles.container}>
       {/* Sidebar */}
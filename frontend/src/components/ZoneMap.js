@@ -0,0 +1,108 @@
+/**
+ * Zone Map Component - Shows delivery zones and edits the outline of one
+ */
+
+import React from 'react';
+import { MapContainer, TileLayer, Marker, Polygon, Polyline, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+
+// Corner handle of the outline being edited
+const vertexIcon = L.divIcon({
+  className: 'custom-marker',
+  html: `<div style="
+    background-color: white;
+    width: 12px;
+    height: 12px;
+    border: 2px solid #1a56db;
+    border-radius: 2px;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+  "></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+// GeoJSON rings are [longitude, latitude] and closed; Leaflet wants open [latitude, longitude]
+const toPositions = (ring) => ring.slice(0, -1).map(([lng, lat]) => [lat, lng]);
+
+// Clicks on the map add a corner to the outline being edited
+const ClickToAdd = ({ onAdd }) => {
+  useMapEvents({
+    click: (e) => onAdd([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+};
+
+const ZoneMap = ({ zones = [], editingId = null, draft = null, onDraftChange, onSelect, height = '560px' }) => {
+  const getCenter = () => {
+    const corners = zones.flatMap(zone => toPositions(zone.area.coordinates[0]));
+    if (corners.length > 0) {
+      const avgLat = corners.reduce((sum, [lat]) => sum + lat, 0) / corners.length;
+      const avgLng = corners.reduce((sum, [, lng]) => sum + lng, 0) / corners.length;
+      return [avgLat, avgLng];
+    }
+    return [37.7749, -122.4194]; // Default: San Francisco
+  };
+
+  const moveVertex = (index, latlng) => {
+    onDraftChange(draft.map((point, i) => (i === index ? [latlng.lat, latlng.lng] : point)));
+  };
+
+  const removeVertex = (index) => {
+    onDraftChange(draft.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div style={{ height, width: '100%', borderRadius: '12px', overflow: 'hidden' }}>
+      <MapContainer
+        center={getCenter()}
+        zoom={12}
+        style={{ height: '100%', width: '100%' }}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+
+        {/* Saved zones; the one being edited is replaced by its draft */}
+        {zones.filter(zone => zone._id !== editingId).map(zone => (
+          <Polygon
+            key={zone._id}
+            positions={zone.area.coordinates.map(toPositions)}
+            pathOptions={{
+              color: zone.color,
+              fillOpacity: zone.isActive ? 0.25 : 0.05,
+              dashArray: zone.isActive ? null : '6 6'
+            }}
+            eventHandlers={{ click: () => !draft && onSelect && onSelect(zone) }}
+          >
+            <Tooltip sticky>{zone.name}</Tooltip>
+          </Polygon>
+        ))}
+
+        {draft && (
+          <>
+            <ClickToAdd onAdd={(point) => onDraftChange([...draft, point])} />
+            {draft.length >= 3
+              ? <Polygon positions={draft} pathOptions={{ color: '#1a56db', dashArray: '4 4' }} />
+              : <Polyline positions={draft} pathOptions={{ color: '#1a56db', dashArray: '4 4' }} />}
+            {draft.map((point, index) => (
+              <Marker
+                key={index}
+                position={point}
+                icon={vertexIcon}
+                draggable
+                eventHandlers={{
+                  dragend: (e) => moveVertex(index, e.target.getLatLng()),
+                  contextmenu: () => removeVertex(index)
+                }}
+              />
+            ))}
+          </>
+        )}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default ZoneMap;
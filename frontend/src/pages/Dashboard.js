@@ -11,12 +11,23 @@ import toast from 'react-hot-toast';
 const Dashboard = () => {
   const { user } = useAuth();
   const [stats, setStats] = useState(null);
+  const [emissions, setEmissions] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchDashboard();
+    fetchEmissions();
   }, []);
 
+  const fetchEmissions = async () => {
+    try {
+      const response = await analyticsAPI.getEmissionsAnalytics({ days: 30 });
+      setEmissions(response.data.data.summary);
+    } catch (error) {
+      console.log('Emissions not available');
+    }
+  };
+
   const fetchDashboard = async () => {
     try {
       const response = await analyticsAPI.getDashboard();
@@ -92,6 +103,17 @@ const Dashboard = () => {
             <span style={styles.totalLabel}>efficiency metric</span>
           </div>
         </div>
+
+        <div style={styles.statCard}>
+          <div style={styles.statIcon}>🌱</div>
+          <div style={styles.statInfo}>
+            <span style={styles.statValue}>{Math.round(emissions?.co2Emissions || 0)} kg</span>
+            <span style={styles.statLabel}>CO₂ (30 days)</span>
+          </div>
+          <div style={styles.statChange}>
+            <span style={styles.totalLabel}>{(emissions?.co2PerKm || 0).toFixed(3)} kg/km</span>
+          </div>
+        </div>
       </div>
 
       {/* Quick Actions & Info */}
@@ -211,7 +233,7 @@ const styles = {
   welcomeSubtitle: { color: '#64748b', marginTop: '4px' },
   statsGrid: {
     display: 'grid',
-    gridTemplateColumns: 'repeat(4, 1fr)',
+    gridTemplateColumns: 'repeat(5, 1fr)',
     gap: '20px',
     marginBottom: '24px'
   },
@@ -3,33 +3,44 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { deliveriesAPI } from '../services/api';
+import { deliveriesAPI, zonesAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
 const Deliveries = () => {
   const [deliveries, setDeliveries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
-  const [filter, setFilter] = useState({ status: '', priority: '' });
+  const [zones, setZones] = useState([]);
+  const [filter, setFilter] = useState({ status: '', priority: '', zoneId: '', geocoding: '' });
   const [formData, setFormData] = useState({
     address: { street: '', city: '', state: '', postalCode: '', country: 'USA' },
-    location: { coordinates: [-122.4194, 37.7749] },
+    location: { coordinates: ['', ''] },
     timeWindow: { earliest: '', latest: '' },
     customer: { name: '', phone: '', email: '' },
     priority: 'normal',
+    stopType: 'dropoff',
+    pairedDeliveryId: '',
     packageDetails: { type: 'standard', weight: '', description: '' },
-    serviceTime: 10
+    requirements: { ageVerification: false },
+    serviceTime: 10,
+    revenue: ''
   });
 
   useEffect(() => {
     fetchDeliveries();
   }, [filter]);
 
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
   const fetchDeliveries = async () => {
     try {
       const params = {};
       if (filter.status) params.status = filter.status;
       if (filter.priority) params.priority = filter.priority;
+      if (filter.zoneId) params.zoneId = filter.zoneId;
+      if (filter.geocoding) params.geocoding = filter.geocoding;
       
       const response = await deliveriesAPI.getAll(params);
       setDeliveries(response.data.data.deliveries);
@@ -40,28 +51,54 @@ const Deliveries = () => {
     }
   };
 
+  const fetchZones = async () => {
+    try {
+      const response = await zonesAPI.getAll();
+      setZones(response.data.data.zones);
+    } catch (error) {
+      // The zone filter is optional; the list still works without it
+    }
+  };
+
+  const hasCoordinates = formData.location.coordinates.every(value => value !== '');
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      await deliveriesAPI.create(formData);
-      toast.success('Delivery created successfully');
+      const { pairedDeliveryId, revenue, location, ...delivery } = formData;
+      // Without coordinates the server geocodes the address
+      const response = await deliveriesAPI.create({
+        ...delivery,
+        ...(hasCoordinates && { location: { coordinates: location.coordinates.map(parseFloat) } }),
+        ...(pairedDeliveryId && { pairedDeliveryId }),
+        ...(revenue !== '' && { revenue: parseFloat(revenue) })
+      });
+      if (response.data.data.delivery.geocoding?.status === 'mismatch') {
+        toast(response.data.message, { icon: '⚠️' });
+      } else {
+        toast.success(response.data.message || 'Delivery created successfully');
+      }
       setShowModal(false);
       resetForm();
       fetchDeliveries();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to create delivery');
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to create delivery');
     }
   };
 
   const resetForm = () => {
     setFormData({
       address: { street: '', city: '', state: '', postalCode: '', country: 'USA' },
-      location: { coordinates: [-122.4194, 37.7749] },
+      location: { coordinates: ['', ''] },
       timeWindow: { earliest: '', latest: '' },
       customer: { name: '', phone: '', email: '' },
       priority: 'normal',
+      stopType: 'dropoff',
+      pairedDeliveryId: '',
       packageDetails: { type: 'standard', weight: '', description: '' },
-      serviceTime: 10
+      requirements: { ageVerification: false },
+      serviceTime: 10,
+      revenue: ''
     });
   };
 
@@ -127,6 +164,31 @@ const Deliveries = () => {
             <option value="normal">Normal</option>
             <option value="low">Low</option>
           </select>
+          {zones.length > 0 && (
+            <select
+              value={filter.zoneId}
+              onChange={(e) => setFilter({ ...filter, zoneId: e.target.value })}
+              style={styles.select}
+            >
+              <option value="">All Zones</option>
+              {zones.map(zone => (
+                <option key={zone._id} value={zone._id}>{zone.name}</option>
+              ))}
+              <option value="none">Outside all zones</option>
+            </select>
+          )}
+          <select
+            value={filter.geocoding}
+            onChange={(e) => setFilter({ ...filter, geocoding: e.target.value })}
+            style={styles.select}
+          >
+            <option value="">All Locations</option>
+            <option value="mismatch">Location mismatch</option>
+            <option value="verified">Verified</option>
+            <option value="geocoded">Geocoded</option>
+            <option value="reverse_geocoded">Reverse geocoded</option>
+            <option value="unverified">Unverified</option>
+          </select>
         </div>
         <button onClick={() => setShowModal(true)} style={styles.addBtn}>
           + Add Delivery
@@ -162,14 +224,27 @@ const Deliveries = () => {
                       <span style={styles.tracking}>{delivery.trackingNumber}</span>
                     </td>
                     <td style={styles.td}>
-                      <div>{delivery.customer?.name}</div>
+                      <div>
+                        {delivery.customer?.name}
+                        {delivery.stopType === 'pickup' && <span style={styles.pickupTag}>Pickup</span>}
+                      </div>
                       <div style={styles.subText}>{delivery.customer?.phone}</div>
                     </td>
                     <td style={styles.td}>
-                      <div>{delivery.address?.street}</div>
+                      <div>
+                        {delivery.address?.street}
+                        {delivery.geocoding?.status === 'mismatch' && (
+                          <span style={styles.mismatchTag} title={`${delivery.geocoding.distanceKm} km from the ${delivery.geocoding.provider} match`}>
+                            Location mismatch
+                          </span>
+                        )}
+                      </div>
                       <div style={styles.subText}>
                         {delivery.address?.city}, {delivery.address?.state}
                       </div>
+                      {delivery.zoneId && (
+                        <div style={{ ...styles.subText, color: delivery.zoneId.color }}>● {delivery.zoneId.name}</div>
+                      )}
                     </td>
                     <td style={styles.td}>
                       <div style={styles.subText}>
@@ -254,7 +329,7 @@ const Deliveries = () => {
               <div style={styles.formSection}>
                 <h3 style={styles.formSectionTitle}>Address</h3>
                 <div style={styles.formGroup}>
-                  <label>Street *</label>
+                  <label>Street{!hasCoordinates && ' *'}</label>
                   <input
                     type="text"
                     value={formData.address.street}
@@ -263,12 +338,12 @@ const Deliveries = () => {
                       address: { ...formData.address, street: e.target.value }
                     })}
                     style={styles.input}
-                    required
+                    required={!hasCoordinates}
                   />
                 </div>
                 <div style={styles.formRow}>
                   <div style={styles.formGroup}>
-                    <label>City *</label>
+                    <label>City{!hasCoordinates && ' *'}</label>
                     <input
                       type="text"
                       value={formData.address.city}
@@ -277,7 +352,7 @@ const Deliveries = () => {
                         address: { ...formData.address, city: e.target.value }
                       })}
                       style={styles.input}
-                      required
+                      required={!hasCoordinates}
                     />
                   </div>
                   <div style={styles.formGroup}>
@@ -307,31 +382,31 @@ const Deliveries = () => {
                 </div>
                 <div style={styles.formRow}>
                   <div style={styles.formGroup}>
-                    <label>Longitude *</label>
+                    <label>Longitude</label>
                     <input
                       type="number"
                       step="any"
                       value={formData.location.coordinates[0]}
                       onChange={(e) => setFormData({
                         ...formData,
-                        location: { coordinates: [parseFloat(e.target.value), formData.location.coordinates[1]] }
+                        location: { coordinates: [e.target.value, formData.location.coordinates[1]] }
                       })}
+                      placeholder="From address"
                       style={styles.input}
-                      required
                     />
                   </div>
                   <div style={styles.formGroup}>
-                    <label>Latitude *</label>
+                    <label>Latitude</label>
                     <input
                       type="number"
                       step="any"
                       value={formData.location.coordinates[1]}
                       onChange={(e) => setFormData({
                         ...formData,
-                        location: { coordinates: [formData.location.coordinates[0], parseFloat(e.target.value)] }
+                        location: { coordinates: [formData.location.coordinates[0], e.target.value] }
                       })}
+                      placeholder="From address"
                       style={styles.input}
-                      required
                     />
                   </div>
                 </div>
@@ -402,6 +477,46 @@ const Deliveries = () => {
                       <option value="oversized">Oversized</option>
                     </select>
                   </div>
+                  <div style={styles.formGroup}>
+                    <label>Age Verification</label>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={formData.requirements.ageVerification}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          requirements: { ...formData.requirements, ageVerification: e.target.checked }
+                        })}
+                      />
+                      {' '}Check ID on delivery
+                    </label>
+                  </div>
+                  <div style={styles.formGroup}>
+                    <label>Stop Type</label>
+                    <select
+                      value={formData.stopType}
+                      onChange={(e) => setFormData({ ...formData, stopType: e.target.value, pairedDeliveryId: '' })}
+                      style={styles.input}
+                    >
+                      <option value="dropoff">Drop-off</option>
+                      <option value="pickup">Pickup</option>
+                    </select>
+                  </div>
+                  <div style={styles.formGroup}>
+                    <label>{formData.stopType === 'pickup' ? 'Deliver To' : 'Picked Up From'}</label>
+                    <select
+                      value={formData.pairedDeliveryId}
+                      onChange={(e) => setFormData({ ...formData, pairedDeliveryId: e.target.value })}
+                      style={styles.input}
+                    >
+                      <option value="">{formData.stopType === 'pickup' ? 'Depot (return)' : 'Depot'}</option>
+                      {deliveries
+                        .filter(d => (d.stopType || 'dropoff') !== formData.stopType && !d.pairedDeliveryId)
+                        .map(d => (
+                          <option key={d._id} value={d._id}>{d.customer?.name} - {d.address?.city}</option>
+                        ))}
+                    </select>
+                  </div>
                   <div style={styles.formGroup}>
                     <label>Service Time (min)</label>
                     <input
@@ -411,6 +526,17 @@ const Deliveries = () => {
                       style={styles.input}
                     />
                   </div>
+                  <div style={styles.formGroup}>
+                    <label>Revenue</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={formData.revenue}
+                      onChange={(e) => setFormData({ ...formData, revenue: e.target.value })}
+                      style={styles.input}
+                    />
+                  </div>
                 </div>
               </div>
 
@@ -492,6 +618,24 @@ const styles = {
     fontWeight: '500',
     textTransform: 'capitalize'
   },
+  mismatchTag: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#fef3c7',
+    color: '#b45309',
+    fontSize: '11px',
+    fontWeight: '500'
+  },
+  pickupTag: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#ede9fe',
+    color: '#6d28d9',
+    fontSize: '11px',
+    fontWeight: '500'
+  },
   deleteBtn: {
     background: 'none',
     border: 'none',
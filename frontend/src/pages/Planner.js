@@ -0,0 +1,224 @@
+/**
+ * Planner Page - A week of routes; drag deliveries between days and routes
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { plannerAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const DAY_MS = 86400000;
+
+// Monday of the week a date falls in, as YYYY-MM-DD
+const mondayOf = (date) => {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+};
+
+const addDays = (isoDate, count) =>
+  new Date(new Date(isoDate).getTime() + count * DAY_MS).toISOString().slice(0, 10);
+
+// Routes the planner can still change
+const EDITABLE_ROUTES = ['draft', 'planned'];
+
+const Planner = () => {
+  const [start, setStart] = useState(mondayOf(new Date()));
+  const [week, setWeek] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const fetchWeek = useCallback(async () => {
+    try {
+      const response = await plannerAPI.getWeek(start);
+      setWeek(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load the week');
+    } finally {
+      setLoading(false);
+    }
+  }, [start]);
+
+  useEffect(() => {
+    fetchWeek();
+  }, [fetchWeek]);
+
+  const handleDragStart = (e, delivery) => {
+    e.dataTransfer.setData('text/plain', delivery._id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const dropProps = (date, routePlanId = null) => {
+    const key = `${date}:${routePlanId || 'unassigned'}`;
+    return {
+      onDragOver: (e) => {
+        e.preventDefault();
+        setDropTarget(key);
+      },
+      onDragLeave: () => setDropTarget(current => (current === key ? null : current)),
+      onDrop: async (e) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const deliveryId = e.dataTransfer.getData('text/plain');
+        if (!deliveryId) return;
+        try {
+          const response = await plannerAPI.move({ deliveryId, date, routePlanId });
+          toast.success(response.data.message);
+          fetchWeek();
+        } catch (error) {
+          toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to move delivery');
+        }
+      },
+      style: dropTarget === key ? styles.dropActive : null
+    };
+  };
+
+  const deliveryCard = (delivery, movable) => (
+    <div
+      key={delivery._id}
+      draggable={movable}
+      onDragStart={(e) => handleDragStart(e, delivery)}
+      style={{ ...styles.delivery, cursor: movable ? 'grab' : 'default', opacity: movable ? 1 : 0.6 }}
+      title={delivery.address?.fullAddress}
+    >
+      <div style={styles.deliveryName}>
+        {delivery.stopType === 'pickup' ? '⬆️ ' : ''}{delivery.customer?.name || delivery.trackingNumber}
+      </div>
+      <div style={styles.deliveryMeta}>
+        {delivery.timeWindow?.earliest && new Date(delivery.timeWindow.earliest).toISOString().slice(11, 16)}
+        {delivery.packageDetails?.weight ? ` · ${delivery.packageDetails.weight} kg` : ''}
+        {delivery.priority === 'urgent' || delivery.priority === 'high' ? ` · ${delivery.priority}` : ''}
+      </div>
+    </div>
+  );
+
+  const routeCard = (route, date) => {
+    const editable = EDITABLE_ROUTES.includes(route.status);
+    const load = route.capacityCheck;
+    const zone = editable ? dropProps(date, route._id) : {};
+
+    return (
+      <div key={route._id} {...zone} style={{ ...styles.route, ...zone.style }}>
+        <div style={styles.routeHeader}>
+          <Link to={`/routes/${route._id}`} style={styles.routeName}>
+            {route.templateId ? '🔁 ' : ''}{route.name}
+          </Link>
+          <span style={styles.status}>{route.status}</span>
+        </div>
+        <div style={styles.routeMeta}>
+          {route.vehicle?.licensePlate || route.vehicle?.type}
+          {route.driver?.name ? ` · ${route.driver.name}` : ''}
+          {load?.weightCapacity ? ` · ${load.weight}/${load.weightCapacity} kg` : ''}
+        </div>
+        {route.deliveries.length === 0 ? (
+          <div style={styles.emptyDrop}>Drop deliveries here</div>
+        ) : (
+          route.deliveries.map(delivery => deliveryCard(delivery, editable))
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <div style={styles.header}>
+        <h2 style={styles.title}>Weekly Planner</h2>
+        <div style={styles.weekNav}>
+          <button onClick={() => setStart(addDays(start, -7))} style={styles.navBtn}>← Previous</button>
+          <button onClick={() => setStart(mondayOf(new Date()))} style={styles.navBtn}>This week</button>
+          <button onClick={() => setStart(addDays(start, 7))} style={styles.navBtn}>Next →</button>
+        </div>
+      </div>
+      <p style={styles.hint}>
+        Drag a delivery onto another day to move its time window, or onto a draft or planned route to add it.
+        Routes it leaves lose their planned stops until they are optimized again.
+      </p>
+
+      {loading || !week ? (
+        <div style={styles.loading}>Loading week...</div>
+      ) : (
+        <div style={styles.board}>
+          {week.days.map(day => {
+            const unassigned = dropProps(day.date);
+            return (
+              <div key={day.date} style={styles.column}>
+                <div style={styles.dayHeader}>
+                  {new Date(day.date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })}
+                </div>
+
+                {day.routes.map(route => routeCard(route, day.date))}
+
+                <div {...unassigned} style={{ ...styles.unassigned, ...unassigned.style }}>
+                  <div style={styles.unassignedTitle}>Unassigned ({day.unassigned.length})</div>
+                  {day.unassigned.map(delivery => deliveryCard(delivery, true))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { padding: '0' },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px'
+  },
+  title: { margin: 0, fontSize: '20px', fontWeight: '600' },
+  weekNav: { display: 'flex', gap: '8px' },
+  navBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#f1f5f9',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  hint: { margin: '0 0 16px', fontSize: '12px', color: '#64748b' },
+  loading: { textAlign: 'center', padding: '40px', color: '#64748b' },
+  board: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(7, minmax(150px, 1fr))',
+    gap: '10px',
+    overflowX: 'auto',
+    alignItems: 'start'
+  },
+  column: { display: 'flex', flexDirection: 'column', gap: '8px' },
+  dayHeader: { fontSize: '13px', fontWeight: '600', color: '#374151', padding: '4px 2px' },
+  route: {
+    backgroundColor: 'white',
+    borderRadius: '10px',
+    padding: '10px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    border: '2px solid transparent'
+  },
+  routeHeader: { display: 'flex', justifyContent: 'space-between', gap: '6px', alignItems: 'baseline' },
+  routeName: { fontSize: '13px', fontWeight: '600', color: '#1a56db', textDecoration: 'none' },
+  status: { fontSize: '11px', color: '#64748b', textTransform: 'capitalize' },
+  routeMeta: { fontSize: '11px', color: '#64748b', margin: '2px 0 6px' },
+  emptyDrop: { fontSize: '11px', color: '#94a3b8', textAlign: 'center', padding: '8px' },
+  unassigned: {
+    backgroundColor: '#f8fafc',
+    borderRadius: '10px',
+    padding: '10px',
+    border: '2px dashed #e2e8f0',
+    minHeight: '60px'
+  },
+  unassignedTitle: { fontSize: '12px', fontWeight: '600', color: '#64748b', marginBottom: '6px' },
+  dropActive: { borderColor: '#1a56db', backgroundColor: '#eff6ff' },
+  delivery: {
+    backgroundColor: '#f1f5f9',
+    borderRadius: '6px',
+    padding: '6px 8px',
+    marginBottom: '4px'
+  },
+  deliveryName: { fontSize: '12px', fontWeight: '500' },
+  deliveryMeta: { fontSize: '11px', color: '#64748b' }
+};
+
+export default Planner;
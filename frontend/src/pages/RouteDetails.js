@@ -21,6 +21,19 @@ const RouteDetails = () => {
   const [editMode, setEditMode] = useState(false);
   const [reorderedDeliveries, setReorderedDeliveries] = useState([]);
   const [savingOrder, setSavingOrder] = useState(false);
+  const [retiming, setRetiming] = useState(false);
+  const [capacityViolations, setCapacityViolations] = useState([]);
+  const [promoting, setPromoting] = useState(null);
+  const [whatIf, setWhatIf] = useState({
+    startOffset: 0,
+    trafficMultiplier: 1,
+    weatherMultiplier: 1,
+    vehicleType: '',
+    driverId: '',
+    useEditedOrder: false
+  });
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
 
   useEffect(() => {
     fetchRouteDetails();
@@ -43,7 +56,8 @@ const RouteDetails = () => {
 
   const fetchDrivers = async () => {
     try {
-      const response = await usersAPI.getDrivers();
+      // Only drivers certified for this route's deliveries
+      const response = await usersAPI.getDrivers({ routeId: id });
       setDrivers(response.data.data.drivers || []);
     } catch (error) {
       console.log('Could not fetch drivers');
@@ -68,27 +82,80 @@ const RouteDetails = () => {
       toast.success('Driver assigned successfully');
       fetchRouteDetails();
     } catch (error) {
-      toast.error('Failed to assign driver');
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to assign driver');
     } finally {
       setAssigning(false);
     }
   };
 
-  const handleSaveOrder = async (newOrder) => {
+  const handleSaveOrder = async (newOrder, sequenceConstraints) => {
     setSavingOrder(true);
     try {
       const deliveryIds = newOrder.map(d => d._id);
-      await routesAPI.update(id, { deliveryIds });
+      await routesAPI.update(id, { deliveryIds, sequenceConstraints });
       toast.success('Route order updated successfully');
+      setCapacityViolations([]);
       setEditMode(false);
       fetchRouteDetails();
     } catch (error) {
-      toast.error('Failed to update route order');
+      setCapacityViolations(error.response?.data?.errors?.filter(e => e.dimension) || []);
+      toast.error(error.response?.data?.message || 'Failed to update route order');
     } finally {
       setSavingOrder(false);
     }
   };
 
+  const handleRefreshTimes = async () => {
+    setRetiming(true);
+    try {
+      await routesAPI.getDirections(id, {});
+      toast.success('Stop times updated');
+      fetchRouteDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update stop times');
+    } finally {
+      setRetiming(false);
+    }
+  };
+
+  const handlePromoteAlternative = async (alternative) => {
+    setPromoting(alternative._id);
+    try {
+      await routesAPI.promoteAlternative(id, alternative._id);
+      toast.success(`Switched to the ${alternative.label || 'alternative'} plan`);
+      fetchRouteDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to switch plans');
+    } finally {
+      setPromoting(null);
+    }
+  };
+
+  // Replays the route under the chosen what-ifs; nothing is saved
+  const handleSimulate = async () => {
+    setSimulating(true);
+    try {
+      const offset = parseInt(whatIf.startOffset, 10) || 0;
+      const plannedStart = route.startTime || route.scheduledDate;
+      const response = await routesAPI.simulate(id, {
+        ...(offset !== 0 && { departureTime: new Date(new Date(plannedStart).getTime() + offset * 60000).toISOString() }),
+        trafficMultiplier: parseFloat(whatIf.trafficMultiplier),
+        weatherMultiplier: parseFloat(whatIf.weatherMultiplier),
+        ...(whatIf.vehicleType && { vehicle: { type: whatIf.vehicleType } }),
+        ...(whatIf.driverId && { driverId: whatIf.driverId }),
+        ...(whatIf.useEditedOrder && reorderedDeliveries.length > 0 && { deliveryIds: reorderedDeliveries.map(d => d._id) })
+      });
+      setSimulation(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to simulate route');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const formatChange = (value, unit = '') => `${value > 0 ? '+' : ''}${value}${unit}`;
+  const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
   const handleExport = async (format) => {
     try {
       let response;
@@ -148,6 +215,18 @@ const RouteDetails = () => {
     return <div style={styles.loading}>Route not found</div>;
   }
 
+  // Package weight and volume are per package
+  const routeLoad = (route.deliveries || []).reduce((total, d) => {
+    const quantity = d.packageDetails?.quantity || 1;
+    return {
+      weight: total.weight + (d.packageDetails?.weight || 0) * quantity,
+      volume: total.volume + (d.packageDetails?.volume || 0) * quantity
+    };
+  }, { weight: 0, volume: 0 });
+  const violations = capacityViolations.length > 0
+    ? capacityViolations
+    : route.capacityCheck?.violations || [];
+
   return (
     <div style={styles.container}>
       {/* Header */}
@@ -288,7 +367,7 @@ const RouteDetails = () => {
                     onChange={(e) => setSelectedDriver(e.target.value)}
                     style={styles.select}
                   >
-                    <option value="">Select a driver...</option>
+                    <option value="">{drivers.length ? 'Select a driver...' : 'No qualified drivers'}</option>
                     {drivers.map(driver => (
                       <option key={driver._id} value={driver._id}>
                         {driver.name}
@@ -307,6 +386,26 @@ const RouteDetails = () => {
             )}
           </div>
 
+          {/* Start and End */}
+          {route.startLocation?.coordinates?.length > 0 && (
+            <div style={styles.card}>
+              <h3 style={styles.cardTitle}>🏭 Start &amp; End</h3>
+              <div style={styles.vehicleInfo}>
+                <p>
+                  <strong>Start:</strong>{' '}
+                  {route.startDepot?.name || route.startLocation.address || route.startLocation.coordinates.join(', ')}
+                </p>
+                <p>
+                  <strong>End:</strong>{' '}
+                  {route.endType === 'open' ? 'Last stop' :
+                   route.endType === 'start' ? 'Back to the start' :
+                   route.endType === 'home' ? `Driver's home${route.endLocation?.address ? ` (${route.endLocation.address})` : ''}` :
+                   route.endDepot?.name || route.endLocation?.address || route.endLocation?.coordinates?.join(', ')}
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* Vehicle Info */}
           {route.vehicle && (
             <div style={styles.card}>
@@ -315,7 +414,241 @@ const RouteDetails = () => {
                 <p><strong>Type:</strong> {route.vehicle.type}</p>
                 {route.vehicle.licensePlate && <p><strong>Plate:</strong> {route.vehicle.licensePlate}</p>}
                 {route.vehicle.fuelType && <p><strong>Fuel:</strong> {route.vehicle.fuelType}</p>}
+                {route.vehicle.fuelType === 'electric' ? (
+                  <>
+                    {route.vehicle.batteryCapacity && <p><strong>Battery:</strong> {route.vehicle.batteryCapacity} kWh</p>}
+                    <p><strong>Energy:</strong> {(route.metrics?.estimatedEnergyConsumption || 0).toFixed(1)} kWh</p>
+                    <p>
+                      <strong>Charging:</strong> {route.metrics?.chargingStops || 0} stop(s),{' '}
+                      {Math.round(route.metrics?.chargingTime || 0)} min
+                    </p>
+                  </>
+                ) : (
+                  <p><strong>Est. fuel:</strong> {(route.metrics?.estimatedFuelConsumption || 0).toFixed(1)} L</p>
+                )}
+                <p>
+                  <strong>Weight:</strong> {routeLoad.weight.toFixed(1)} kg
+                  {route.vehicle.capacity ? ` / ${route.vehicle.capacity} kg` : ' (no limit set)'}
+                </p>
+                <p>
+                  <strong>Volume:</strong> {routeLoad.volume.toFixed(2)} m³
+                  {route.vehicle.volumeCapacity ? ` / ${route.vehicle.volumeCapacity} m³` : ' (no limit set)'}
+                </p>
               </div>
+              {violations.length > 0 && (
+                <div style={styles.capacityWarning}>
+                  {violations.map(v => (
+                    <p key={v.dimension} style={styles.capacityWarningItem}>⚠️ {v.message}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Hours of Service */}
+          {route.hoursOfServiceCheck && (
+            <div style={styles.card}>
+              <h3 style={styles.cardTitle}>⏱️ Hours of Service</h3>
+              <div style={styles.vehicleInfo}>
+                <p>
+                  <strong>Status:</strong>{' '}
+                  {route.hoursOfServiceCheck.compliant ? '✅ Within limits' : '⚠️ Violates company rules'}
+                </p>
+                <p><strong>Shift:</strong> {route.hoursOfServiceCheck.shiftDuration} min</p>
+                <p><strong>Longest driving stretch:</strong> {route.hoursOfServiceCheck.longestDrivingStretch} min</p>
+              </div>
+              {route.route?.filter(wp => wp.type === 'break' || wp.type === 'charging').map((wp, index) => (
+                <p key={index} style={styles.breakItem}>
+                  {wp.type === 'charging' ? '⚡' : '☕'} {Math.round(wp.serviceTime)} min {wp.type === 'charging' ? 'charging' : 'break'} at{' '}
+                  {new Date(wp.arrivalTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                  {wp.address && ` · ${wp.address}`}
+                </p>
+              ))}
+              {route.hoursOfServiceCheck.violations?.length > 0 && (
+                <div style={styles.capacityWarning}>
+                  {route.hoursOfServiceCheck.violations.map(v => (
+                    <p key={v.rule} style={styles.capacityWarningItem}>⚠️ {v.message}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Alternative Plans */}
+          {route.aiOptimization?.alternatives?.length > 0 && (
+            <div style={styles.card}>
+              <h3 style={styles.cardTitle}>🔀 Alternative Plans</h3>
+              <p style={styles.activePlan}>
+                In use: <strong>{route.aiOptimization.activeLabel || 'Current plan'}</strong>
+              </p>
+              {route.aiOptimization.alternatives.map(alternative => (
+                <div key={alternative._id} style={styles.alternativeItem}>
+                  <div>
+                    <p style={styles.alternativeLabel}>{alternative.label || 'Alternative'}</p>
+                    <p style={styles.alternativeMeta}>
+                      {alternative.distance} km · {alternative.duration} min · ${(alternative.cost || 0).toFixed(2)} ·{' '}
+                      {alternative.co2Emissions} kg CO₂ · {alternative.timeWindowViolations || 0} late
+                    </p>
+                  </div>
+                  {['draft', 'planned'].includes(route.status) && (
+                    <button
+                      onClick={() => handlePromoteAlternative(alternative)}
+                      style={styles.assignBtn}
+                      disabled={promoting !== null}
+                    >
+                      {promoting === alternative._id ? 'Switching...' : 'Use plan'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* What-If Simulation */}
+          {route.deliveries?.length > 0 && (
+            <div style={styles.card}>
+              <h3 style={styles.cardTitle}>🧪 What-If Simulation</h3>
+              <div style={styles.whatIfGrid}>
+                <label style={styles.whatIfField}>
+                  Start later by (min)
+                  <input
+                    type="number"
+                    step="5"
+                    value={whatIf.startOffset}
+                    onChange={(e) => setWhatIf({ ...whatIf, startOffset: e.target.value })}
+                    style={styles.select}
+                  />
+                </label>
+                <label style={styles.whatIfField}>
+                  Traffic
+                  <select
+                    value={whatIf.trafficMultiplier}
+                    onChange={(e) => setWhatIf({ ...whatIf, trafficMultiplier: e.target.value })}
+                    style={styles.select}
+                  >
+                    <option value="1">As planned</option>
+                    <option value="1.2">Moderate (+20%)</option>
+                    <option value="1.5">Heavy (+50%)</option>
+                    <option value="2">Severe (+100%)</option>
+                  </select>
+                </label>
+                <label style={styles.whatIfField}>
+                  Weather
+                  <select
+                    value={whatIf.weatherMultiplier}
+                    onChange={(e) => setWhatIf({ ...whatIf, weatherMultiplier: e.target.value })}
+                    style={styles.select}
+                  >
+                    <option value="1">Clear</option>
+                    <option value="1.15">Rain (+15%)</option>
+                    <option value="1.4">Snow (+40%)</option>
+                    <option value="1.6">Storm (+60%)</option>
+                  </select>
+                </label>
+                <label style={styles.whatIfField}>
+                  Vehicle
+                  <select
+                    value={whatIf.vehicleType}
+                    onChange={(e) => setWhatIf({ ...whatIf, vehicleType: e.target.value })}
+                    style={styles.select}
+                  >
+                    <option value="">Current ({route.vehicle?.type || 'van'})</option>
+                    <option value="car">Car</option>
+                    <option value="van">Van</option>
+                    <option value="truck">Truck</option>
+                    <option value="motorcycle">Motorcycle</option>
+                  </select>
+                </label>
+                <label style={styles.whatIfField}>
+                  Driver
+                  <select
+                    value={whatIf.driverId}
+                    onChange={(e) => setWhatIf({ ...whatIf, driverId: e.target.value })}
+                    style={styles.select}
+                  >
+                    <option value="">{route.driver?.name ? `Current (${route.driver.name})` : 'No driver'}</option>
+                    {drivers.map(driver => (
+                      <option key={driver._id} value={driver._id}>{driver.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {reorderedDeliveries.length > 0 && (
+                  <label style={styles.whatIfCheckbox}>
+                    <input
+                      type="checkbox"
+                      checked={whatIf.useEditedOrder}
+                      onChange={(e) => setWhatIf({ ...whatIf, useEditedOrder: e.target.checked })}
+                    />
+                    Use the edited stop order
+                  </label>
+                )}
+              </div>
+              <button onClick={handleSimulate} style={styles.assignBtn} disabled={simulating}>
+                {simulating ? 'Simulating...' : 'Run simulation'}
+              </button>
+
+              {simulation && (
+                <div style={styles.simulationResult}>
+                  <table style={styles.simulationTable}>
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th style={styles.simulationCell}>Planned</th>
+                        <th style={styles.simulationCell}>What-if</th>
+                        <th style={styles.simulationCell}>Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr>
+                        <td>Finish</td>
+                        <td style={styles.simulationCell}>{formatTime(simulation.baseline.endTime)}</td>
+                        <td style={styles.simulationCell}>{formatTime(simulation.simulation.endTime)}</td>
+                        <td style={styles.simulationCell}>{formatChange(simulation.changes.endTime, ' min')}</td>
+                      </tr>
+                      <tr>
+                        <td>Duration</td>
+                        <td style={styles.simulationCell}>{simulation.baseline.metrics.totalDuration} min</td>
+                        <td style={styles.simulationCell}>{simulation.simulation.metrics.totalDuration} min</td>
+                        <td style={styles.simulationCell}>{formatChange(simulation.changes.totalDuration, ' min')}</td>
+                      </tr>
+                      <tr>
+                        <td>Distance</td>
+                        <td style={styles.simulationCell}>{simulation.baseline.metrics.totalDistance} km</td>
+                        <td style={styles.simulationCell}>{simulation.simulation.metrics.totalDistance} km</td>
+                        <td style={styles.simulationCell}>{formatChange(simulation.changes.totalDistance, ' km')}</td>
+                      </tr>
+                      <tr>
+                        <td>Cost</td>
+                        <td style={styles.simulationCell}>${simulation.baseline.cost.total.toFixed(2)}</td>
+                        <td style={styles.simulationCell}>${simulation.simulation.cost.total.toFixed(2)}</td>
+                        <td style={styles.simulationCell}>{formatChange(simulation.changes.cost)}</td>
+                      </tr>
+                      <tr>
+                        <td>Late stops</td>
+                        <td style={styles.simulationCell}>{simulation.baseline.windowViolations.length}</td>
+                        <td style={styles.simulationCell}>{simulation.simulation.windowViolations.length}</td>
+                        <td style={styles.simulationCell}>{formatChange(simulation.changes.windowViolations)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+
+                  {simulation.simulation.stops.map(stop => (
+                    <p key={stop.deliveryId} style={stop.withinWindow ? styles.simulationStop : styles.simulationStopLate}>
+                      {stop.sequence}. {stop.customer || 'Stop'} · arrives {formatTime(stop.arrivalTime)}
+                      {stop.waitTime > 0 && ` · waits ${Math.round(stop.waitTime)} min`}
+                      {!stop.withinWindow && ` · ${Math.round(stop.lateness)} min late`}
+                    </p>
+                  ))}
+
+                  {simulation.simulation.warnings.length > 0 && (
+                    <div style={styles.capacityWarning}>
+                      {simulation.simulation.warnings.map((warning, index) => (
+                        <p key={index} style={styles.capacityWarningItem}>⚠️ {warning}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -330,11 +663,17 @@ const RouteDetails = () => {
             >
               {editMode ? '📋 View Mode' : '✏️ Edit Order'}
             </button>
+            {!editMode && (
+              <button onClick={handleRefreshTimes} style={{ ...styles.editBtn, marginLeft: '8px' }} disabled={retiming}>
+                {retiming ? 'Updating...' : '🔄 Refresh ETAs'}
+              </button>
+            )}
           </div>
 
           {editMode ? (
             <DraggableDeliveryList
               deliveries={route.deliveries || []}
+              constraints={route.sequenceConstraints || []}
               onReorder={setReorderedDeliveries}
               onSave={handleSaveOrder}
               saving={savingOrder}
@@ -357,11 +696,22 @@ const RouteDetails = () => {
                       <div style={styles.deliveryContent}>
                         <p style={styles.deliveryCustomer}>
                           {delivery.customer?.name || 'Customer'}
+                          {route.sequenceConstraints?.some(c => c.type === 'pin' && c.deliveryId === delivery._id) && (
+                            <span title="Locked at this stop"> 🔒</span>
+                          )}
                         </p>
                         <p style={styles.deliveryAddress}>
                           {delivery.address?.street}, {delivery.address?.city}
                         </p>
                         <div style={styles.deliveryMeta}>
+                          {delivery.estimatedArrival && !['delivered', 'failed'].includes(delivery.status) && (
+                            <span style={{
+                              ...styles.deliveryTime,
+                              ...(delivery.timeWindow?.latest && new Date(delivery.estimatedArrival) > new Date(delivery.timeWindow.latest) && styles.lateEta)
+                            }}>
+                              ETA {new Date(delivery.estimatedArrival).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                            </span>
+                          )}
                           {delivery.timeWindow?.earliest && (
                             <span style={styles.deliveryTime}>
                               🕐 {new Date(delivery.timeWindow.earliest).toLocaleTimeString([], 
@@ -562,6 +912,34 @@ const styles = {
     fontWeight: '500'
   },
   vehicleInfo: { lineHeight: '1.8' },
+  capacityWarning: {
+    marginTop: '12px',
+    padding: '10px 12px',
+    backgroundColor: '#fef2f2',
+    border: '1px solid #fecaca',
+    borderRadius: '8px'
+  },
+  capacityWarningItem: { margin: '4px 0', color: '#b91c1c', fontSize: '13px' },
+  breakItem: { margin: '6px 0', fontSize: '13px', color: '#854d0e' },
+  activePlan: { fontSize: '14px', color: '#64748b', marginBottom: '8px' },
+  alternativeItem: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 0',
+    borderTop: '1px solid #f1f5f9'
+  },
+  alternativeLabel: { fontWeight: '600', marginBottom: '4px' },
+  alternativeMeta: { fontSize: '13px', color: '#64748b' },
+  whatIfGrid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '12px' },
+  whatIfField: { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '13px', color: '#64748b' },
+  whatIfCheckbox: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', gridColumn: '1 / -1' },
+  simulationResult: { marginTop: '16px' },
+  simulationTable: { width: '100%', fontSize: '13px', borderCollapse: 'collapse', marginBottom: '12px' },
+  simulationCell: { textAlign: 'right', padding: '4px 0' },
+  simulationStop: { margin: '4px 0', fontSize: '13px' },
+  simulationStopLate: { margin: '4px 0', fontSize: '13px', color: '#b91c1c' },
   editToggle: {
     marginBottom: '16px',
     textAlign: 'right'
@@ -610,6 +988,7 @@ const styles = {
   deliveryAddress: { fontSize: '14px', color: '#64748b', marginBottom: '8px' },
   deliveryMeta: { display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' },
   deliveryTime: { fontSize: '12px', color: '#64748b' },
+  lateEta: { color: '#dc2626', fontWeight: '600' },
   priorityTag: {
     fontSize: '11px',
     padding: '2px 8px',
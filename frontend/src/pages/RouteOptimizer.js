@@ -2,11 +2,43 @@
  * Route Optimizer Page - AI-powered route optimization
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { deliveriesAPI, routesAPI } from '../services/api';
+import { deliveriesAPI, routesAPI, usersAPI, depotsAPI, zonesAPI, optimizationJobsAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
+const TRAVEL_TIME_SOURCES = {
+  tomtom: 'TomTom',
+  mixed: 'TomTom + estimates',
+  estimate: 'estimated'
+};
+
+// Gap between the busiest and the idlest driver in the metric a fleet plan balanced,
+// shift duration when it balanced nothing
+const SPREAD_METRICS = {
+  stops: { label: 'Stops', unit: ' stops' },
+  duration: { label: 'Duration', unit: ' min' },
+  drivingTime: { label: 'Driving Time', unit: ' min' },
+  revenue: { label: 'Revenue', unit: '' }
+};
+
+const workloadSpread = (summary) => {
+  const metric = summary.balancing?.metric || 'duration';
+  return {
+    label: SPREAD_METRICS[metric].label,
+    value: `${summary.workload[metric].spread}${SPREAD_METRICS[metric].unit}`
+  };
+};
+
+const clockTime = (value) => new Date(value).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+
+// Value of a datetime-local input for a moment
+const toLocalInput = (value) => {
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
 const RouteOptimizer = () => {
   const navigate = useNavigate();
   const [step, setStep] = useState(1);
@@ -14,18 +46,133 @@ const RouteOptimizer = () => {
   const [deliveries, setDeliveries] = useState([]);
   const [selectedDeliveries, setSelectedDeliveries] = useState([]);
   const [optimizedRoute, setOptimizedRoute] = useState(null);
+  const [job, setJob] = useState(null);
+  const jobFollower = useRef(null);
+  const [drivers, setDrivers] = useState([]);
+  const [depots, setDepots] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [fleet, setFleet] = useState([]);
   const [settings, setSettings] = useState({
     routeName: '',
     scheduledDate: '',
-    startLocation: { coordinates: [-122.4194, 37.7749], address: 'Warehouse' },
+    // '' uses the company's default depot, 'auto' lets the optimizer choose, 'custom' the coordinates below
+    startDepotId: '',
+    startLocation: { coordinates: [-122.4194, 37.7749] },
+    endType: 'start',
+    endDepotId: '',
+    driverId: '',
     vehicleType: 'van',
+    fuelType: 'diesel',
+    batteryCapacity: '',
+    consumptionPerKm: '',
+    // One "longitude, latitude[, kW]" per line, shared by the electric vehicles
+    chargers: '',
+    // Equipment for hazardous and perishable deliveries
+    hazmat: false,
+    refrigerated: false,
+    // Fleet routes never mix stops of different zones
+    zoneClustering: false,
+    // Fleet routes even out this metric across drivers; empty for none
+    balanceMetric: '',
+    balanceWeight: 1,
+    // Empty leaves in time for the earliest window
+    departureTime: '',
+    // Single routes can compare departure slots over predicted traffic
+    searchDepartures: false,
+    departureSearchFrom: '',
+    departureSearchTo: '',
+    departureInterval: 60,
     optimizationPriority: 'balanced'
   });
 
   useEffect(() => {
     fetchUnassignedDeliveries();
+    fetchDrivers();
+    fetchDepots();
+    fetchZones();
+    // Stop following a running job when leaving the page
+    return () => jobFollower.current?.abort();
   }, []);
 
+  const fetchDrivers = async () => {
+    try {
+      const response = await usersAPI.getDrivers();
+      setDrivers(response.data.data.drivers || []);
+    } catch (error) {
+      console.log('Could not fetch drivers');
+    }
+  };
+
+  const fetchDepots = async () => {
+    try {
+      const response = await depotsAPI.getAll({ active: true });
+      const activeDepots = response.data.data.depots || [];
+      setDepots(activeDepots);
+      // Without depots the start has to be entered by hand
+      if (activeDepots.length === 0) {
+        setSettings(current => ({ ...current, startDepotId: 'custom' }));
+      }
+    } catch (error) {
+      console.log('Could not fetch depots');
+    }
+  };
+
+  const fetchZones = async () => {
+    try {
+      const response = await zonesAPI.getAll({ active: true });
+      setZones(response.data.data.zones || []);
+    } catch (error) {
+      console.log('Could not fetch zones');
+    }
+  };
+
+  const addVehicle = () => {
+    setFleet([...fleet, {
+      type: settings.vehicleType,
+      fuelType: settings.fuelType,
+      batteryCapacity: settings.batteryCapacity,
+      capacity: '',
+      volumeCapacity: '',
+      licensePlate: '',
+      driverId: '',
+      startDepotId: '',
+      zoneId: '',
+      hazmat: settings.hazmat,
+      refrigerated: settings.refrigerated
+    }]);
+  };
+
+  const updateVehicle = (index, field, value) => {
+    setFleet(fleet.map((vehicle, i) => (i === index ? { ...vehicle, [field]: value } : vehicle)));
+  };
+
+  const removeVehicle = (index) => {
+    setFleet(fleet.filter((_, i) => i !== index));
+  };
+
+  const parseChargers = (text) => text.split('\n')
+    .map(line => line.split(',').map(value => parseFloat(value)))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+    .map(([lng, lat, powerKw], index) => ({
+      name: `Charger ${index + 1}`,
+      coordinates: [lng, lat],
+      ...(Number.isFinite(powerKw) && { powerKw })
+    }));
+
+  // Fuel of a vehicle profile; electric ones add their battery and the chargers
+  const energyProfile = (vehicle) => (vehicle.fuelType === 'electric' ? {
+    fuelType: 'electric',
+    ...(vehicle.batteryCapacity !== '' && { batteryCapacity: parseFloat(vehicle.batteryCapacity) }),
+    ...(settings.consumptionPerKm !== '' && { consumptionPerKm: parseFloat(settings.consumptionPerKm) }),
+    chargers: parseChargers(settings.chargers)
+  } : { fuelType: vehicle.fuelType });
+
+  const capabilities = (vehicle) => ({
+    capabilities: { hazmat: vehicle.hazmat, refrigerated: vehicle.refrigerated }
+  });
+
+  const hasElectric = settings.fuelType === 'electric' || fleet.some(vehicle => vehicle.fuelType === 'electric');
+
   const fetchUnassignedDeliveries = async () => {
     try {
       const response = await deliveriesAPI.getUnassigned();
@@ -55,62 +202,287 @@ const RouteOptimizer = () => {
     }
   };
 
-  const handleOptimize = async () => {
+  const handleOptimize = async ({ departureTime = settings.departureTime } = {}) => {
     if (selectedDeliveries.length < 2) {
       toast.error('Select at least 2 deliveries');
       return;
     }
+    const searchDepartures = settings.searchDepartures && fleet.length === 0;
+    if (searchDepartures && (!settings.departureSearchFrom || !settings.departureSearchTo)) {
+      toast.error('Choose the first and last departure to compare');
+      return;
+    }
 
     setLoading(true);
     try {
-      const response = await routesAPI.optimize({
+      const request = {
         deliveryIds: selectedDeliveries,
-        startLocation: settings.startLocation,
+        ...(settings.startDepotId === 'custom'
+          ? { startLocation: settings.startLocation }
+          : settings.startDepotId && { startDepotId: settings.startDepotId }),
+        endType: settings.endType,
+        ...(settings.endType === 'depot' && { endDepotId: settings.endDepotId }),
+        ...(settings.endType === 'home' && fleet.length === 0 && { driverId: settings.driverId }),
         vehicleType: settings.vehicleType,
-        optimizationPriority: settings.optimizationPriority
-      });
+        vehicle: { type: settings.vehicleType, ...energyProfile(settings), ...capabilities(settings) },
+        optimizationPriority: settings.optimizationPriority,
+        ...(departureTime && { departureTime: new Date(departureTime).toISOString() })
+      };
+
+      if (searchDepartures) {
+        request.departureSearch = {
+          from: new Date(settings.departureSearchFrom).toISOString(),
+          to: new Date(settings.departureSearchTo).toISOString(),
+          intervalMinutes: parseInt(settings.departureInterval, 10)
+        };
+      }
+
+      if (fleet.length > 0) {
+        request.vehicles = fleet.map(vehicle => ({
+          type: vehicle.type,
+          ...energyProfile(vehicle),
+          ...capabilities(vehicle),
+          ...(vehicle.capacity !== '' && { capacity: parseFloat(vehicle.capacity) }),
+          ...(vehicle.volumeCapacity !== '' && { volumeCapacity: parseFloat(vehicle.volumeCapacity) }),
+          ...(vehicle.licensePlate && { licensePlate: vehicle.licensePlate }),
+          ...(vehicle.driverId && { driverId: vehicle.driverId }),
+          ...(vehicle.startDepotId && { startDepotId: vehicle.startDepotId }),
+          ...(vehicle.zoneId && { zoneIds: [vehicle.zoneId] })
+        }));
+        request.zoneClustering = settings.zoneClustering;
+        if (settings.balanceMetric) {
+          request.balancing = { metric: settings.balanceMetric, weight: parseFloat(settings.balanceWeight) || 0 };
+        }
+      }
+
+      const response = await optimizationJobsAPI.submit(request);
+      const submitted = response.data.data.job;
+      setJob(submitted);
+
+      const finished = await followJob(submitted._id);
+      if (!finished) return;
 
-      setOptimizedRoute(response.data.data);
-      setStep(3);
-      toast.success('Route optimized successfully!');
+      if (finished.status === 'completed') {
+        setOptimizedRoute(finished.result);
+        setStep(3);
+        toast.success(finished.message || 'Route optimized successfully!');
+      } else if (finished.status === 'cancelled') {
+        toast('Optimization cancelled');
+      } else {
+        toast.error(finished.error?.message || 'Optimization failed');
+      }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Optimization failed');
     } finally {
       setLoading(false);
+      setJob(null);
+      jobFollower.current = null;
+    }
+  };
+
+  // Follow job progress over the event stream, polling if streaming is unavailable
+  const followJob = async (jobId) => {
+    const follower = new AbortController();
+    jobFollower.current = follower;
+
+    try {
+      return await optimizationJobsAPI.stream(jobId, setJob, follower.signal);
+    } catch (error) {
+      while (!follower.signal.aborted) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        if (follower.signal.aborted) break;
+        const response = await optimizationJobsAPI.getById(jobId);
+        const current = response.data.data.job;
+        setJob(current);
+        if (current.isFinished) return current;
+      }
+      return null;
+    }
+  };
+
+  const handleCancelOptimization = async () => {
+    try {
+      const response = await optimizationJobsAPI.cancel(job._id);
+      setJob(response.data.data.job);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not cancel optimization');
+    }
+  };
+
+  // Waypoints with driver breaks and planned times, when the solver produced them
+  const plannedSchedule = (result) => (result.route ? {
+    route: result.route,
+    startTime: result.startTime,
+    endTime: result.endTime
+  } : {});
+
+  // Where the optimizer started and ended a plan, in the shape stored on the route
+  const plannedEnds = (result) => ({
+    endType: optimizedRoute.endType,
+    ...(result.startLocation && {
+      startDepot: result.startLocation.depotId || undefined,
+      startLocation: { coordinates: result.startLocation.coordinates }
+    }),
+    ...(result.endLocation && {
+      endDepot: result.endLocation.depotId || undefined,
+      endLocation: { coordinates: result.endLocation.coordinates }
+    })
+  });
+
+  const depotName = (point) => {
+    if (!point) return 'last stop';
+    return depots.find(depot => depot._id === point.depotId)?.name ||
+      point.coordinates.map(value => value.toFixed(4)).join(', ');
+  };
+
+  // Simulated metrics of a plan in the shape stored on the route; the server prices it
+  const plannedMetrics = (result) => (result.estimatedMetrics ? {
+    metrics: {
+      totalDistance: result.estimatedMetrics.totalDistance,
+      totalDuration: result.estimatedMetrics.totalDuration,
+      estimatedFuelConsumption: result.estimatedMetrics.fuelEstimate,
+      estimatedEnergyConsumption: result.estimatedMetrics.energyEstimate,
+      chargingTime: result.estimatedMetrics.chargingTime,
+      co2Emissions: result.estimatedMetrics.co2Emissions,
+      timeWindowViolations: result.estimatedMetrics.timeWindowViolations,
+      lateMinutes: result.estimatedMetrics.lateMinutes
     }
+  } : {});
+
+  // The plan in use, in the shape of its alternatives so the two can trade places
+  const asAlternative = (result, confidence) => ({
+    label: result.label,
+    source: result.source,
+    sequence: result.sequence,
+    deliveryIds: result.deliveries.map(d => d._id),
+    reasoning: result.reasoning,
+    estimatedMetrics: result.estimatedMetrics,
+    confidence,
+    feasibility: result.feasibility,
+    route: result.route,
+    startTime: result.startTime,
+    endTime: result.endTime,
+    capacityCheck: result.capacityCheck,
+    hoursOfServiceCheck: result.hoursOfServiceCheck,
+    warnings: result.warnings
+  });
+
+  const handleUseAlternative = (index) => {
+    const result = optimizedRoute.optimizedRoute;
+    const { deliveryIds, confidence, ...plan } = result.alternatives[index];
+    const byId = new Map(result.deliveries.map(d => [d._id, d]));
+
+    setOptimizedRoute({
+      ...optimizedRoute,
+      confidence,
+      optimizedRoute: {
+        ...result,
+        ...plan,
+        deliveries: deliveryIds.map((deliveryId, position) => ({
+          ...byId.get(deliveryId),
+          sequenceInRoute: position + 1,
+          estimatedArrival: plan.feasibility?.stops?.[position]?.arrivalTime
+        })),
+        sequenceCheck: undefined,
+        alternatives: result.alternatives.map((alternative, i) => (
+          i === index ? asAlternative(result, optimizedRoute.confidence) : alternative
+        ))
+      }
+    });
+    toast.success(`Using the ${plan.label} plan`);
   };
 
+  // Plan again leaving at a compared departure slot
+  const handleUseDeparture = (slot) => {
+    const departureTime = toLocalInput(slot.departureTime);
+    setSettings(current => ({ ...current, departureTime }));
+    setStep(2);
+    handleOptimize({ departureTime });
+  };
+
+  // Driver breaks the solver scheduled after the given stop (0 = before the first stop)
+  const renderBreaks = (result, afterSequence) => [
+    ...(result?.feasibility?.breaks || [])
+      .filter(entry => entry.afterSequence === afterSequence)
+      .map((entry, index) => (
+        <div key={`break-${afterSequence}-${index}`} style={styles.breakItem}>
+          ☕ {entry.duration} min break{entry.enRoute ? ' on the road' : ''} at{' '}
+          {new Date(entry.start).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+        </div>
+      )),
+    ...(result?.feasibility?.charges || [])
+      .filter(entry => entry.afterSequence === afterSequence)
+      .map((entry, index) => (
+        <div key={`charge-${afterSequence}-${index}`} style={styles.breakItem}>
+          ⚡ {Math.round(entry.duration)} min charging {entry.name && `at ${entry.name} `}(+{entry.energy} kWh) at{' '}
+          {new Date(entry.start).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+        </div>
+      ))
+  ];
+
   const handleCreateRoute = async () => {
-  if (!settings.routeName || !settings.scheduledDate) {
-    toast.error('Please fill in route name and date');
-    return;
-  }
+    if (!settings.routeName || !settings.scheduledDate) {
+      toast.error('Please fill in route name and date');
+      return;
+    }
 
-  setLoading(true);
-  try {
-    // Get the actual delivery IDs from optimized sequence
-    const orderedDeliveryIds = optimizedRoute.optimizedRoute.sequence.map(
-      idx => deliveries.find((d, i) => selectedDeliveries.indexOf(d._id) === idx)?._id || selectedDeliveries[idx]
-    );
+    setLoading(true);
+    try {
+      const scheduledDate = new Date(settings.scheduledDate).toISOString();
 
-    const routeData = {
-      name: settings.routeName,
-      scheduledDate: new Date(settings.scheduledDate).toISOString(),
-      deliveryIds: selectedDeliveries,
-      vehicle: { type: settings.vehicleType },
-      optimizationSettings: { priority: settings.optimizationPriority }
-    };
-
-    const response = await routesAPI.create(routeData);
-    toast.success('Route created successfully!');
-    navigate(`/routes/${response.data.data.route._id}`);
-  } catch (error) {
-    console.error('Create route error:', error.response?.data);
-    toast.error(error.response?.data?.message || 'Failed to create route');
-  } finally {
-    setLoading(false);
-  }
-};
+      if (optimizedRoute.plans) {
+        for (const [index, plan] of optimizedRoute.plans.entries()) {
+          await routesAPI.create({
+            name: `${settings.routeName} - ${plan.driver?.name || `Vehicle ${index + 1}`}`,
+            scheduledDate,
+            deliveryIds: plan.deliveryIds,
+            ...plannedSchedule(plan.optimizedRoute),
+            ...plannedMetrics(plan.optimizedRoute),
+            ...plannedEnds(plan.optimizedRoute),
+            vehicle: plan.vehicle,
+            driverId: plan.driver?.id,
+            optimizationSettings: { priority: settings.optimizationPriority }
+          });
+        }
+        toast.success(`${optimizedRoute.plans.length} routes created successfully!`);
+        navigate('/routes');
+        return;
+      }
+
+      // Keep the optimized stop order
+      const result = optimizedRoute.optimizedRoute;
+      const orderedDeliveryIds = result.deliveries.map(d => d._id);
+
+      const routeData = {
+        name: settings.routeName,
+        scheduledDate,
+        deliveryIds: orderedDeliveryIds,
+        ...plannedSchedule(result),
+        ...plannedMetrics(result),
+        ...plannedEnds(result),
+        ...(settings.endType === 'home' && settings.driverId && { driverId: settings.driverId }),
+        vehicle: { type: settings.vehicleType, ...energyProfile(settings), ...capabilities(settings) },
+        optimizationSettings: { priority: settings.optimizationPriority },
+        aiOptimization: {
+          model: optimizedRoute.aiModel,
+          confidence: optimizedRoute.confidence,
+          reasoning: result.reasoning,
+          activeLabel: result.label,
+          activeSource: result.source,
+          alternatives: result.alternatives || []
+        }
+      };
+
+      const response = await routesAPI.create(routeData);
+      toast.success('Route created successfully!');
+      navigate(`/routes/${response.data.data.route._id}`);
+    } catch (error) {
+      console.error('Create route error:', error.response?.data);
+      toast.error(error.response?.data?.message || 'Failed to create route');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   return (
     <div style={styles.container}>
@@ -207,37 +579,99 @@ const RouteOptimizer = () => {
 
           <div style={styles.settingsGrid}>
             <div style={styles.settingGroup}>
-              <label>Start Location (Longitude)</label>
-              <input
-                type="number"
-                step="any"
-                value={settings.startLocation.coordinates[0]}
-                onChange={(e) => setSettings({
-                  ...settings,
-                  startLocation: {
-                    ...settings.startLocation,
-                    coordinates: [parseFloat(e.target.value), settings.startLocation.coordinates[1]]
-                  }
-                })}
+              <label>Start</label>
+              <select
+                value={settings.startDepotId}
+                onChange={(e) => setSettings({ ...settings, startDepotId: e.target.value })}
                 style={styles.input}
-              />
+              >
+                {depots.length > 0 && <option value="">Default depot</option>}
+                {depots.length > 1 && <option value="auto">Best depot (optimizer chooses)</option>}
+                {depots.map(depot => (
+                  <option key={depot._id} value={depot._id}>{depot.name}</option>
+                ))}
+                <option value="custom">Custom location</option>
+              </select>
             </div>
             <div style={styles.settingGroup}>
-              <label>Start Location (Latitude)</label>
-              <input
-                type="number"
-                step="any"
-                value={settings.startLocation.coordinates[1]}
-                onChange={(e) => setSettings({
-                  ...settings,
-                  startLocation: {
-                    ...settings.startLocation,
-                    coordinates: [settings.startLocation.coordinates[0], parseFloat(e.target.value)]
-                  }
-                })}
+              <label>End</label>
+              <select
+                value={settings.endType}
+                onChange={(e) => setSettings({ ...settings, endType: e.target.value })}
                 style={styles.input}
-              />
+              >
+                <option value="start">Back to the start</option>
+                {depots.length > 0 && <option value="depot">Another depot</option>}
+                <option value="home">Driver's home</option>
+                <option value="open">Anywhere (last stop)</option>
+              </select>
             </div>
+            {settings.endType === 'depot' && (
+              <div style={styles.settingGroup}>
+                <label>End Depot</label>
+                <select
+                  value={settings.endDepotId}
+                  onChange={(e) => setSettings({ ...settings, endDepotId: e.target.value })}
+                  style={styles.input}
+                >
+                  <option value="">Select a depot</option>
+                  {depots.map(depot => (
+                    <option key={depot._id} value={depot._id}>{depot.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {settings.endType === 'home' && fleet.length === 0 && (
+              <div style={styles.settingGroup}>
+                <label>Driver</label>
+                <select
+                  value={settings.driverId}
+                  onChange={(e) => setSettings({ ...settings, driverId: e.target.value })}
+                  style={styles.input}
+                >
+                  <option value="">Select a driver</option>
+                  {drivers.map(driver => (
+                    <option key={driver._id} value={driver._id}>{driver.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {settings.startDepotId === 'custom' && (
+              <>
+                <div style={styles.settingGroup}>
+                  <label>Start Location (Longitude)</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={settings.startLocation.coordinates[0]}
+                    onChange={(e) => setSettings({
+                      ...settings,
+                      startLocation: {
+                        ...settings.startLocation,
+                        coordinates: [parseFloat(e.target.value), settings.startLocation.coordinates[1]]
+                      }
+                    })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={styles.settingGroup}>
+                  <label>Start Location (Latitude)</label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={settings.startLocation.coordinates[1]}
+                    onChange={(e) => setSettings({
+                      ...settings,
+                      startLocation: {
+                        ...settings.startLocation,
+                        coordinates: [settings.startLocation.coordinates[0], parseFloat(e.target.value)]
+                      }
+                    })}
+                    style={styles.input}
+                  />
+                </div>
+              </>
+            )}
             <div style={styles.settingGroup}>
               <label>Vehicle Type</label>
               <select
@@ -251,6 +685,136 @@ const RouteOptimizer = () => {
                 <option value="motorcycle">Motorcycle</option>
               </select>
             </div>
+            <div style={styles.settingGroup}>
+              <label>Fuel</label>
+              <select
+                value={settings.fuelType}
+                onChange={(e) => setSettings({ ...settings, fuelType: e.target.value })}
+                style={styles.input}
+              >
+                <option value="diesel">Diesel</option>
+                <option value="petrol">Petrol</option>
+                <option value="hybrid">Hybrid</option>
+                <option value="electric">Electric</option>
+              </select>
+            </div>
+            {hasElectric && (
+              <>
+                {settings.fuelType === 'electric' && (
+                  <div style={styles.settingGroup}>
+                    <label>Battery (kWh)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Unlimited range"
+                      value={settings.batteryCapacity}
+                      onChange={(e) => setSettings({ ...settings, batteryCapacity: e.target.value })}
+                      style={styles.input}
+                    />
+                  </div>
+                )}
+                <div style={styles.settingGroup}>
+                  <label>Consumption (kWh/km)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="0.2"
+                    value={settings.consumptionPerKm}
+                    onChange={(e) => setSettings({ ...settings, consumptionPerKm: e.target.value })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={styles.settingGroup}>
+                  <label>Chargers (one "longitude, latitude, kW" per line)</label>
+                  <textarea
+                    rows={3}
+                    placeholder="-122.4010, 37.7890, 50"
+                    value={settings.chargers}
+                    onChange={(e) => setSettings({ ...settings, chargers: e.target.value })}
+                    style={styles.input}
+                  />
+                </div>
+              </>
+            )}
+            <div style={styles.settingGroup}>
+              <label>Equipment</label>
+              <div style={styles.checkboxRow}>
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={settings.hazmat}
+                    onChange={(e) => setSettings({ ...settings, hazmat: e.target.checked })}
+                  />
+                  Hazmat
+                </label>
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={settings.refrigerated}
+                    onChange={(e) => setSettings({ ...settings, refrigerated: e.target.checked })}
+                  />
+                  Refrigerated
+                </label>
+              </div>
+            </div>
+            <div style={styles.settingGroup}>
+              <label>Departure</label>
+              <input
+                type="datetime-local"
+                value={settings.departureTime}
+                onChange={(e) => setSettings({ ...settings, departureTime: e.target.value })}
+                style={styles.input}
+                title="Traffic is predicted for this time; leave empty to leave in time for the earliest window"
+              />
+            </div>
+            {fleet.length === 0 && (
+              <div style={styles.settingGroup}>
+                <label>Best Departure</label>
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={settings.searchDepartures}
+                    onChange={(e) => setSettings({ ...settings, searchDepartures: e.target.checked })}
+                  />
+                  Compare departure times
+                </label>
+              </div>
+            )}
+            {fleet.length === 0 && settings.searchDepartures && (
+              <>
+                <div style={styles.settingGroup}>
+                  <label>Earliest Departure</label>
+                  <input
+                    type="datetime-local"
+                    value={settings.departureSearchFrom}
+                    onChange={(e) => setSettings({ ...settings, departureSearchFrom: e.target.value })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={styles.settingGroup}>
+                  <label>Latest Departure</label>
+                  <input
+                    type="datetime-local"
+                    value={settings.departureSearchTo}
+                    onChange={(e) => setSettings({ ...settings, departureSearchTo: e.target.value })}
+                    style={styles.input}
+                  />
+                </div>
+                <div style={styles.settingGroup}>
+                  <label>Every</label>
+                  <select
+                    value={settings.departureInterval}
+                    onChange={(e) => setSettings({ ...settings, departureInterval: e.target.value })}
+                    style={styles.input}
+                  >
+                    <option value={30}>30 minutes</option>
+                    <option value={60}>Hour</option>
+                    <option value={120}>2 hours</option>
+                  </select>
+                </div>
+              </>
+            )}
             <div style={styles.settingGroup}>
               <label>Optimization Priority</label>
               <select
@@ -266,24 +830,214 @@ const RouteOptimizer = () => {
             </div>
           </div>
 
+          <div style={styles.fleetSection}>
+            <div style={styles.panelHeader}>
+              <h3>Fleet</h3>
+              <button onClick={addVehicle} style={styles.selectAllBtn}>+ Add Vehicle</button>
+            </div>
+            {fleet.length > 0 && zones.length > 0 && (
+              <label style={{ ...styles.checkboxLabel, marginBottom: '12px' }}>
+                <input
+                  type="checkbox"
+                  checked={settings.zoneClustering}
+                  onChange={(e) => setSettings({ ...settings, zoneClustering: e.target.checked })}
+                />
+                Keep each route within one zone
+              </label>
+            )}
+            {fleet.length > 0 && (
+              <div style={styles.balanceRow}>
+                <label>Balance workload by</label>
+                <select
+                  value={settings.balanceMetric}
+                  onChange={(e) => setSettings({ ...settings, balanceMetric: e.target.value })}
+                  style={{ ...styles.input, width: 'auto' }}
+                >
+                  <option value="">Nothing (shortest total)</option>
+                  <option value="stops">Stops</option>
+                  <option value="duration">Shift duration</option>
+                  <option value="drivingTime">Driving time</option>
+                  <option value="revenue">Revenue</option>
+                </select>
+                {settings.balanceMetric && (
+                  <>
+                    <label>Weight</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      step="0.5"
+                      value={settings.balanceWeight}
+                      onChange={(e) => setSettings({ ...settings, balanceWeight: e.target.value })}
+                      style={{ ...styles.input, width: '80px' }}
+                      title="How much evening out workload counts against total distance and time"
+                    />
+                  </>
+                )}
+              </div>
+            )}
+            {fleet.length === 0 ? (
+              <p style={styles.fleetHint}>
+                Single-vehicle route. Add vehicles to split the selected deliveries across a fleet.
+              </p>
+            ) : (
+              fleet.map((vehicle, index) => (
+                <div key={index} style={styles.vehicleRow}>
+                  <select
+                    value={vehicle.type}
+                    onChange={(e) => updateVehicle(index, 'type', e.target.value)}
+                    style={styles.input}
+                  >
+                    <option value="car">Car</option>
+                    <option value="van">Van</option>
+                    <option value="truck">Truck</option>
+                    <option value="motorcycle">Motorcycle</option>
+                  </select>
+                  <select
+                    value={vehicle.fuelType}
+                    onChange={(e) => updateVehicle(index, 'fuelType', e.target.value)}
+                    style={styles.input}
+                  >
+                    <option value="diesel">Diesel</option>
+                    <option value="petrol">Petrol</option>
+                    <option value="hybrid">Hybrid</option>
+                    <option value="electric">Electric</option>
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Battery (kWh)"
+                    value={vehicle.batteryCapacity}
+                    onChange={(e) => updateVehicle(index, 'batteryCapacity', e.target.value)}
+                    disabled={vehicle.fuelType !== 'electric'}
+                    style={styles.input}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Capacity (kg)"
+                    value={vehicle.capacity}
+                    onChange={(e) => updateVehicle(index, 'capacity', e.target.value)}
+                    style={styles.input}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    placeholder="Volume (m³)"
+                    value={vehicle.volumeCapacity}
+                    onChange={(e) => updateVehicle(index, 'volumeCapacity', e.target.value)}
+                    style={styles.input}
+                  />
+                  <input
+                    type="text"
+                    placeholder="License plate"
+                    value={vehicle.licensePlate}
+                    onChange={(e) => updateVehicle(index, 'licensePlate', e.target.value)}
+                    style={styles.input}
+                  />
+                  <select
+                    value={vehicle.driverId}
+                    onChange={(e) => updateVehicle(index, 'driverId', e.target.value)}
+                    style={styles.input}
+                  >
+                    <option value="">No driver</option>
+                    {drivers.map(driver => (
+                      <option key={driver._id} value={driver._id}>{driver.name}</option>
+                    ))}
+                  </select>
+                  <div style={styles.checkboxRow}>
+                    <label style={styles.checkboxLabel} title="Equipped for hazardous goods">
+                      <input
+                        type="checkbox"
+                        checked={vehicle.hazmat}
+                        onChange={(e) => updateVehicle(index, 'hazmat', e.target.checked)}
+                      />
+                      ☢
+                    </label>
+                    <label style={styles.checkboxLabel} title="Refrigerated">
+                      <input
+                        type="checkbox"
+                        checked={vehicle.refrigerated}
+                        onChange={(e) => updateVehicle(index, 'refrigerated', e.target.checked)}
+                      />
+                      ❄
+                    </label>
+                  </div>
+                  {depots.length > 0 && (
+                    <select
+                      value={vehicle.startDepotId}
+                      onChange={(e) => updateVehicle(index, 'startDepotId', e.target.value)}
+                      style={styles.input}
+                    >
+                      <option value="">Route's start</option>
+                      {depots.map(depot => (
+                        <option key={depot._id} value={depot._id}>{depot.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  {zones.length > 0 && (
+                    <select
+                      value={vehicle.zoneId}
+                      onChange={(e) => updateVehicle(index, 'zoneId', e.target.value)}
+                      style={styles.input}
+                      title="Only take stops in this zone"
+                    >
+                      <option value="">Any zone</option>
+                      {zones.map(zone => (
+                        <option key={zone._id} value={zone._id}>{zone.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button onClick={() => removeVehicle(index)} style={styles.removeBtn}>✕</button>
+                </div>
+              ))
+            )}
+          </div>
+
           <div style={styles.aiInfo}>
             <span style={styles.aiIcon}>🤖</span>
             <div>
-              <p style={styles.aiTitle}>AI-Powered Optimization</p>
+              <p style={styles.aiTitle}>Time-Window Aware Optimization</p>
               <p style={styles.aiText}>
-                Our AI engine will analyze traffic patterns, delivery time windows, 
-                priorities, and weather conditions to generate the optimal route.
+                Our routing engine sequences stops around delivery time windows, service
+                times and priorities, and checks every stop for feasibility. AI then
+                explains the plan in light of traffic and weather conditions.
               </p>
             </div>
           </div>
 
+          {job && (
+            <div style={styles.jobProgress}>
+              <div style={styles.jobProgressHeader}>
+                <span>
+                  {job.cancelRequested ? 'Cancelling...' : job.progress?.message || 'Optimizing...'}
+                </span>
+                <span>{job.progress?.percent || 0}%</span>
+              </div>
+              <div style={styles.jobProgressTrack}>
+                <div style={{ ...styles.jobProgressBar, width: `${job.progress?.percent || 0}%` }} />
+              </div>
+            </div>
+          )}
+
           <div style={styles.panelFooter}>
-            <button onClick={() => setStep(1)} style={styles.backBtn}>
+            <button onClick={() => setStep(1)} style={styles.backBtn} disabled={loading}>
               ← Back
             </button>
-            <button onClick={handleOptimize} style={styles.optimizeBtn} disabled={loading}>
-              {loading ? 'Optimizing...' : '🚀 Optimize Route'}
-            </button>
+            {job && !job.isFinished ? (
+              <button
+                onClick={handleCancelOptimization}
+                style={styles.backBtn}
+                disabled={job.cancelRequested}
+              >
+                ✕ Cancel Optimization
+              </button>
+            ) : (
+              <button onClick={() => handleOptimize()} style={styles.optimizeBtn} disabled={loading}>
+                {loading ? 'Optimizing...' : '🚀 Optimize Route'}
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -293,63 +1047,280 @@ const RouteOptimizer = () => {
         <div style={styles.panel}>
           <h2 style={styles.panelTitle}>Optimization Results</h2>
 
-          <div style={styles.resultsHeader}>
-            <div style={styles.confidence}>
-              <span style={styles.confidenceLabel}>AI Confidence</span>
-              <span style={styles.confidenceValue}>
-                {Math.round((optimizedRoute.confidence || 0.8) * 100)}%
-              </span>
-            </div>
-            <div style={styles.aiModel}>
-              Model: {optimizedRoute.aiModel || 'GPT-4.1-nano'}
-            </div>
-          </div>
+          {optimizedRoute.plans ? (
+            <>
+              <div style={styles.metricsGrid}>
+                <div style={styles.metricCard}>
+                  <span style={styles.metricIcon}>🚚</span>
+                  <span style={styles.metricValue}>
+                    {optimizedRoute.summary.vehiclesUsed} / {optimizedRoute.summary.vehiclesAvailable}
+                  </span>
+                  <span style={styles.metricLabel}>Vehicles Used</span>
+                </div>
+                <div style={styles.metricCard}>
+                  <span style={styles.metricIcon}>📏</span>
+                  <span style={styles.metricValue}>{Math.round(optimizedRoute.summary.totalDistance)} km</span>
+                  <span style={styles.metricLabel}>Total Distance</span>
+                </div>
+                <div style={styles.metricCard}>
+                  <span style={styles.metricIcon}>⏱️</span>
+                  <span style={styles.metricValue}>{optimizedRoute.summary.longestDuration} min</span>
+                  <span style={styles.metricLabel}>Longest Route</span>
+                </div>
+                {optimizedRoute.summary.workload && (
+                  <div style={styles.metricCard}>
+                    <span style={styles.metricIcon}>⚖️</span>
+                    <span style={styles.metricValue}>{workloadSpread(optimizedRoute.summary).value}</span>
+                    <span style={styles.metricLabel}>{workloadSpread(optimizedRoute.summary).label} Spread (max−min)</span>
+                  </div>
+                )}
+              </div>
 
-          <div style={styles.metricsGrid}>
-            <div style={styles.metricCard}>
-              <span style={styles.metricIcon}>📏</span>
-              <span style={styles.metricValue}>
-                {Math.round(optimizedRoute.optimizedRoute?.estimatedMetrics?.totalDistance || 0)} km
-              </span>
-              <span style={styles.metricLabel}>Total Distance</span>
-            </div>
-            <div style={styles.metricCard}>
-              <span style={styles.metricIcon}>⏱️</span>
-              <span style={styles.metricValue}>
-                {Math.round(optimizedRoute.optimizedRoute?.estimatedMetrics?.totalDuration || 0)} min
-              </span>
-              <span style={styles.metricLabel}>Est. Duration</span>
-            </div>
-            <div style={styles.metricCard}>
-              <span style={styles.metricIcon}>⛽</span>
-              <span style={styles.metricValue}>
-                {(optimizedRoute.optimizedRoute?.estimatedMetrics?.fuelEstimate || 0).toFixed(1)} L
-              </span>
-              <span style={styles.metricLabel}>Est. Fuel</span>
+              {optimizedRoute.plans.map((plan, planIndex) => (
+                <div key={planIndex} style={styles.planCard}>
+                  <div style={styles.planHeader}>
+                    <strong>
+                      {plan.vehicle?.type} {plan.vehicle?.licensePlate || `#${planIndex + 1}`}
+                      {plan.driver?.name && ` · ${plan.driver.name}`}
+                    </strong>
+                    <span style={styles.planMeta}>
+                      {plan.optimizedRoute.deliveries.length} stops ·{' '}
+                      {Math.round(plan.optimizedRoute.estimatedMetrics.totalDistance)} km ·{' '}
+                      {plan.optimizedRoute.estimatedMetrics.totalDuration} min ·{' '}
+                      {plan.optimizedRoute.capacityCheck?.weight} kg / {plan.optimizedRoute.capacityCheck?.volume} m³ ·{' '}
+                      {plan.optimizedRoute.estimatedMetrics.energyEstimate !== undefined &&
+                        `⚡ ${plan.optimizedRoute.estimatedMetrics.energyEstimate} kWh, ${plan.optimizedRoute.estimatedMetrics.chargingStops} charge(s) · `}
+                      🏭 {depotName(plan.optimizedRoute.startLocation)} → {depotName(plan.optimizedRoute.endLocation)}
+                    </span>
+                  </div>
+                  {plan.optimizedRoute.deliveries.map((delivery, index) => (
+                    <div key={index} style={styles.sequenceItem}>
+                      <span style={styles.sequenceNum}>{index + 1}</span>
+                      <div style={styles.sequenceInfo}>
+                        <p style={styles.sequenceCustomer}>{delivery.customer?.name}</p>
+                        <p style={styles.sequenceAddress}>
+                          {delivery.address?.street || delivery.address?.fullAddress}
+                        </p>
+                      </div>
+                      <span style={styles.sequencePriority}>{delivery.priority}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+
+              {optimizedRoute.unassigned?.length > 0 && (
+                <div style={styles.warnings}>
+                  <strong>Unassigned deliveries</strong>
+                  {optimizedRoute.unassigned.map(item => (
+                    <p key={item.deliveryId} style={styles.warningItem}>
+                      ⚠️ {item.customer || item.deliveryId}: {item.message}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+            <div style={styles.resultsHeader}>
+              <div style={styles.confidence}>
+                <span style={styles.confidenceLabel}>Measured Feasibility</span>
+                <span style={styles.confidenceValue}>
+                  {Math.round((optimizedRoute.confidence ?? 0) * 100)}%
+                </span>
+              </div>
+              <div style={styles.aiModel}>
+                Engine: {optimizedRoute.engine || 'vrptw-solver'}
+                {optimizedRoute.aiModel && optimizedRoute.aiModel !== optimizedRoute.engine && ` · Explained by ${optimizedRoute.aiModel}`}
+                {optimizedRoute.optimizedRoute?.travelTimeSource && ` · Travel times: ${TRAVEL_TIME_SOURCES[optimizedRoute.optimizedRoute.travelTimeSource]}`}
+                {optimizedRoute.optimizedRoute?.startLocation &&
+                  ` · 🏭 ${depotName(optimizedRoute.optimizedRoute.startLocation)} → ${depotName(optimizedRoute.optimizedRoute.endLocation)}`}
+              </div>
             </div>
-          </div>
 
-          {optimizedRoute.optimizedRoute?.reasoning && (
-            <div style={styles.reasoning}>
-              <strong>AI Reasoning:</strong> {optimizedRoute.optimizedRoute.reasoning}
+            <div style={styles.metricsGrid}>
+              <div style={styles.metricCard}>
+                <span style={styles.metricIcon}>📏</span>
+                <span style={styles.metricValue}>
+                  {Math.round(optimizedRoute.optimizedRoute?.estimatedMetrics?.totalDistance || 0)} km
+                </span>
+                <span style={styles.metricLabel}>Total Distance</span>
+              </div>
+              <div style={styles.metricCard}>
+                <span style={styles.metricIcon}>⏱️</span>
+                <span style={styles.metricValue}>
+                  {Math.round(optimizedRoute.optimizedRoute?.estimatedMetrics?.totalDuration || 0)} min
+                </span>
+                <span style={styles.metricLabel}>Est. Duration</span>
+              </div>
+              {optimizedRoute.optimizedRoute?.estimatedMetrics?.energyEstimate !== undefined ? (
+                <div style={styles.metricCard}>
+                  <span style={styles.metricIcon}>⚡</span>
+                  <span style={styles.metricValue}>
+                    {optimizedRoute.optimizedRoute.estimatedMetrics.energyEstimate.toFixed(1)} kWh
+                  </span>
+                  <span style={styles.metricLabel}>
+                    Est. Energy · {optimizedRoute.optimizedRoute.estimatedMetrics.chargingTime} min charging
+                  </span>
+                </div>
+              ) : (
+                <div style={styles.metricCard}>
+                  <span style={styles.metricIcon}>⛽</span>
+                  <span style={styles.metricValue}>
+                    {(optimizedRoute.optimizedRoute?.estimatedMetrics?.fuelEstimate || 0).toFixed(1)} L
+                  </span>
+                  <span style={styles.metricLabel}>Est. Fuel</span>
+                </div>
+              )}
             </div>
-          )}
 
-          <div style={styles.sequenceList}>
-            <h3>Optimized Sequence</h3>
-            {optimizedRoute.optimizedRoute?.deliveries?.map((delivery, index) => (
-              <div key={index} style={styles.sequenceItem}>
-                <span style={styles.sequenceNum}>{index + 1}</span>
-                <div style={styles.sequenceInfo}>
-                  <p style={styles.sequenceCustomer}>{delivery.customer?.name}</p>
-                  <p style={styles.sequenceAddress}>
-                    {delivery.address?.street || delivery.address?.fullAddress}
+            {optimizedRoute.optimizedRoute?.alternatives?.length > 0 && (
+              <div style={styles.compareSection}>
+                <h3>Compare Plans</h3>
+                <table style={styles.compareTable}>
+                  <thead>
+                    <tr>
+                      {['Plan', 'Distance', 'Duration', 'Cost', 'Late stops', 'CO₂', ''].map(heading => (
+                        <th key={heading} style={styles.compareHeading}>{heading}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[optimizedRoute.optimizedRoute, ...optimizedRoute.optimizedRoute.alternatives].map((plan, index) => (
+                      <tr key={plan.label || index} style={index === 0 ? styles.compareActive : undefined}>
+                        <td style={styles.compareCell}>
+                          <strong>{plan.label || 'Plan'}</strong>
+                          <span style={styles.compareSource}>{plan.source === 'ai' ? 'AI' : 'Solver'}</span>
+                        </td>
+                        <td style={styles.compareCell}>{plan.estimatedMetrics.totalDistance} km</td>
+                        <td style={styles.compareCell}>{plan.estimatedMetrics.totalDuration} min</td>
+                        <td style={styles.compareCell}>${plan.estimatedMetrics.cost.toFixed(2)}</td>
+                        <td style={{
+                          ...styles.compareCell,
+                          color: plan.estimatedMetrics.timeWindowViolations > 0 ? '#dc2626' : '#16a34a'
+                        }}>
+                          {plan.estimatedMetrics.timeWindowViolations}
+                          {plan.estimatedMetrics.lateMinutes > 0 && ` (${plan.estimatedMetrics.lateMinutes} min)`}
+                        </td>
+                        <td style={styles.compareCell}>{plan.estimatedMetrics.co2Emissions} kg</td>
+                        <td style={styles.compareCell}>
+                          {index === 0 ? (
+                            <span style={styles.compareInUse}>In use</span>
+                          ) : (
+                            <button onClick={() => handleUseAlternative(index - 1)} style={styles.useBtn}>
+                              Use this
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {optimizedRoute.optimizedRoute?.departureOptions && (
+              <div style={styles.compareSection}>
+                <h3>Departure Times</h3>
+                {optimizedRoute.optimizedRoute.departureOptions.recommended && (
+                  <p style={styles.departureHint}>
+                    Leaving at {clockTime(optimizedRoute.optimizedRoute.departureOptions.recommended.departureTime)} has
+                    the least lateness and the shortest day over predicted traffic.
                   </p>
-                </div>
-                <span style={styles.sequencePriority}>{delivery.priority}</span>
+                )}
+                <table style={styles.compareTable}>
+                  <thead>
+                    <tr>
+                      {['Departure', 'Finish', 'Duration', 'Driving', 'Late stops', ''].map(heading => (
+                        <th key={heading} style={styles.compareHeading}>{heading}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {optimizedRoute.optimizedRoute.departureOptions.slots.map(slot => {
+                      const recommended = slot.departureTime === optimizedRoute.optimizedRoute.departureOptions.recommended?.departureTime;
+                      const current = settings.departureTime &&
+                        new Date(settings.departureTime).getTime() === new Date(slot.departureTime).getTime();
+                      return (
+                        <tr key={slot.departureTime} style={recommended ? styles.departureRecommended : undefined}>
+                          <td style={styles.compareCell}>
+                            <strong>{clockTime(slot.departureTime)}</strong>
+                            {recommended && <span style={styles.compareSource}>Recommended</span>}
+                          </td>
+                          <td style={styles.compareCell}>{clockTime(slot.endTime)}</td>
+                          <td style={styles.compareCell}>{slot.totalDuration} min</td>
+                          <td style={styles.compareCell}>{slot.drivingTime} min</td>
+                          <td style={{
+                            ...styles.compareCell,
+                            color: slot.lateStops > 0 ? '#dc2626' : '#16a34a'
+                          }}>
+                            {slot.lateStops}
+                            {slot.lateMinutes > 0 && ` (${slot.lateMinutes} min)`}
+                          </td>
+                          <td style={styles.compareCell}>
+                            {current ? (
+                              <span style={styles.compareInUse}>In use</span>
+                            ) : (
+                              <button onClick={() => handleUseDeparture(slot)} style={styles.useBtn} disabled={loading}>
+                                Plan for this departure
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
               </div>
-            ))}
-          </div>
+            )}
+
+            {optimizedRoute.optimizedRoute?.reasoning && (
+              <div style={styles.reasoning}>
+                <strong>Reasoning:</strong> {optimizedRoute.optimizedRoute.reasoning}
+              </div>
+            )}
+
+            {optimizedRoute.optimizedRoute?.warnings?.length > 0 && (
+              <div style={styles.warnings}>
+                {optimizedRoute.optimizedRoute.warnings.map((warning, index) => (
+                  <p key={index} style={styles.warningItem}>⚠️ {warning}</p>
+                ))}
+              </div>
+            )}
+
+            <div style={styles.sequenceList}>
+              <h3>Optimized Sequence</h3>
+              {renderBreaks(optimizedRoute.optimizedRoute, 0)}
+              {optimizedRoute.optimizedRoute?.deliveries?.map((delivery, index) => {
+                const stop = optimizedRoute.optimizedRoute.feasibility?.stops?.[index];
+                return (
+                  <React.Fragment key={index}>
+                  <div style={styles.sequenceItem}>
+                    <span style={styles.sequenceNum}>{index + 1}</span>
+                    <div style={styles.sequenceInfo}>
+                      <p style={styles.sequenceCustomer}>{delivery.customer?.name}</p>
+                      <p style={styles.sequenceAddress}>
+                        {delivery.address?.street || delivery.address?.fullAddress}
+                      </p>
+                    </div>
+                    {stop && (
+                      <span style={{
+                        ...styles.windowBadge,
+                        backgroundColor: stop.withinWindow ? '#dcfce7' : '#fef2f2',
+                        color: stop.withinWindow ? '#16a34a' : '#dc2626'
+                      }}>
+                        ETA {new Date(stop.arrivalTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                        {stop.withinWindow ? ' · on time' : ` · ${Math.round(stop.lateness)} min late`}
+                      </span>
+                    )}
+                    <span style={styles.sequencePriority}>{delivery.priority}</span>
+                  </div>
+                  {renderBreaks(optimizedRoute.optimizedRoute, index + 1)}
+                  </React.Fragment>
+                );
+              })}
+            </div>
+            </>
+          )}
 
           <div style={styles.saveSection}>
             <h3>Save as Route</h3>
@@ -381,7 +1352,9 @@ const RouteOptimizer = () => {
               ← Reconfigure
             </button>
             <button onClick={handleCreateRoute} style={styles.saveBtn} disabled={loading}>
-              {loading ? 'Creating...' : '💾 Create Route'}
+              {loading ? 'Creating...' : optimizedRoute.plans
+                ? `💾 Create ${optimizedRoute.plans.length} Routes`
+                : '💾 Create Route'}
             </button>
           </div>
         </div>
@@ -507,6 +1480,30 @@ const styles = {
     borderRadius: '8px',
     cursor: 'pointer'
   },
+  jobProgress: {
+    marginBottom: '16px',
+    padding: '12px 16px',
+    backgroundColor: '#eff6ff',
+    borderRadius: '8px'
+  },
+  jobProgressHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '14px',
+    color: '#1e40af',
+    marginBottom: '8px'
+  },
+  jobProgressTrack: {
+    height: '8px',
+    backgroundColor: '#dbeafe',
+    borderRadius: '4px',
+    overflow: 'hidden'
+  },
+  jobProgressBar: {
+    height: '100%',
+    backgroundColor: '#1a56db',
+    transition: 'width 0.3s ease'
+  },
   settingsGrid: {
     display: 'grid',
     gridTemplateColumns: 'repeat(2, 1fr)',
@@ -570,6 +1567,30 @@ const styles = {
   metricIcon: { fontSize: '24px', display: 'block', marginBottom: '8px' },
   metricValue: { fontSize: '20px', fontWeight: 'bold', display: 'block' },
   metricLabel: { fontSize: '12px', color: '#64748b' },
+  compareSection: { marginBottom: '24px', overflowX: 'auto' },
+  compareTable: { width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginTop: '12px' },
+  compareHeading: {
+    textAlign: 'left',
+    padding: '8px',
+    fontSize: '12px',
+    color: '#64748b',
+    borderBottom: '1px solid #e2e8f0'
+  },
+  compareCell: { padding: '10px 8px', borderBottom: '1px solid #f1f5f9', whiteSpace: 'nowrap' },
+  compareActive: { backgroundColor: '#eff6ff' },
+  compareSource: { marginLeft: '8px', fontSize: '11px', color: '#64748b' },
+  departureHint: { fontSize: '14px', color: '#475569', margin: '8px 0 0' },
+  departureRecommended: { backgroundColor: '#f0fdf4' },
+  compareInUse: { fontSize: '12px', color: '#1a56db', fontWeight: '600' },
+  useBtn: {
+    padding: '6px 12px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  },
   reasoning: {
     padding: '16px',
     backgroundColor: '#fefce8',
@@ -605,6 +1626,66 @@ const styles = {
     color: '#64748b',
     textTransform: 'capitalize'
   },
+  breakItem: {
+    padding: '8px 12px',
+    margin: '4px 0 8px 40px',
+    backgroundColor: '#fefce8',
+    border: '1px dashed #facc15',
+    borderRadius: '8px',
+    fontSize: '13px',
+    color: '#854d0e'
+  },
+  windowBadge: {
+    fontSize: '11px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    whiteSpace: 'nowrap'
+  },
+  warnings: {
+    padding: '12px 16px',
+    backgroundColor: '#fef3c7',
+    borderRadius: '8px',
+    marginBottom: '24px'
+  },
+  warningItem: { fontSize: '13px', color: '#92400e', margin: '4px 0' },
+  fleetSection: {
+    padding: '16px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    marginBottom: '20px'
+  },
+  balanceRow: { display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px', fontSize: '14px' },
+  fleetHint: { fontSize: '14px', color: '#64748b' },
+  vehicleRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 1fr 1fr 1fr 1fr 1.4fr auto 1.4fr 1.4fr auto',
+    gap: '8px',
+    marginBottom: '8px'
+  },
+  checkboxRow: { display: 'flex', alignItems: 'center', gap: '12px' },
+  checkboxLabel: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' },
+  removeBtn: {
+    padding: '8px 12px',
+    backgroundColor: '#fef2f2',
+    color: '#dc2626',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  planCard: {
+    border: '1px solid #e2e8f0',
+    borderRadius: '10px',
+    padding: '16px',
+    marginBottom: '16px'
+  },
+  planHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px',
+    textTransform: 'capitalize'
+  },
+  planMeta: { fontSize: '13px', color: '#64748b', textTransform: 'none' },
   saveSection: {
     padding: '20px',
     backgroundColor: '#f8fafc',
@@ -0,0 +1,558 @@
+/**
+ * Route Templates Page - Recurring routes and the draft routes generated from them
+ */
+
+import React, { useState, useEffect } from 'react';
+import { routeTemplatesAPI, usersAPI, depotsAPI, zonesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+const emptyForm = {
+  name: '',
+  description: '',
+  freq: 'WEEKLY',
+  interval: 1,
+  byDay: ['MO'],
+  startDate: new Date().toISOString().slice(0, 10),
+  departureTime: '08:00',
+  leadDays: 7,
+  zoneIds: [],
+  tags: '',
+  vehicleType: 'van',
+  licensePlate: '',
+  capacity: '',
+  driverId: '',
+  startDepot: '',
+  endType: 'start',
+  endDepot: '',
+  priority: 'balanced'
+};
+
+// Build the schedule rule from the form
+const toRule = (form) => [
+  `FREQ=${form.freq}`,
+  Number(form.interval) > 1 && `INTERVAL=${form.interval}`,
+  form.freq === 'WEEKLY' && form.byDay.length > 0 && `BYDAY=${form.byDay.join(',')}`
+].filter(Boolean).join(';');
+
+// Form fields of a rule; parts the form has no field for are dropped on save
+const fromRule = (rule) => {
+  const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+  return {
+    freq: parts.FREQ || 'WEEKLY',
+    interval: Number(parts.INTERVAL) || 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : []
+  };
+};
+
+const describeRule = (rule) => {
+  const { freq, interval, byDay } = fromRule(rule);
+  const every = interval > 1 ? `Every ${interval} ${freq === 'DAILY' ? 'days' : freq === 'WEEKLY' ? 'weeks' : 'months'}` : freq.charAt(0) + freq.slice(1).toLowerCase();
+  const dayLabels = byDay.map(code => WEEKDAYS.find(day => day.code === code)?.label || code);
+  return dayLabels.length > 0 ? `${every} on ${dayLabels.join(', ')}` : every;
+};
+
+const RouteTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [drivers, setDrivers] = useState([]);
+  const [depots, setDepots] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [editing, setEditing] = useState(null); // template being edited, or {} for a new one
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchOptions();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await routeTemplatesAPI.getAll();
+      setTemplates(response.data.data.templates);
+    } catch (error) {
+      toast.error('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [driversResponse, depotsResponse, zonesResponse] = await Promise.all([
+        usersAPI.getDrivers(),
+        depotsAPI.getAll({ active: true }),
+        zonesAPI.getAll({ active: true })
+      ]);
+      setDrivers(driversResponse.data.data.drivers || []);
+      setDepots(depotsResponse.data.data.depots || []);
+      setZones(zonesResponse.data.data.zones || []);
+    } catch (error) {
+      console.log('Could not fetch drivers, depots or zones');
+    }
+  };
+
+  const startNew = () => {
+    setEditing({});
+    setFormData({ ...emptyForm, startDepot: depots.find(depot => depot.isDefault)?._id || depots[0]?._id || '' });
+  };
+
+  const startEdit = (template) => {
+    setEditing(template);
+    setFormData({
+      name: template.name,
+      description: template.description || '',
+      ...fromRule(template.schedule.rrule),
+      startDate: template.schedule.startDate.slice(0, 10),
+      departureTime: template.schedule.departureTime,
+      leadDays: template.leadDays,
+      zoneIds: template.deliveryFilter?.zoneIds || [],
+      tags: (template.deliveryFilter?.tags || []).join(', '),
+      vehicleType: template.vehicle?.type || 'van',
+      licensePlate: template.vehicle?.licensePlate || '',
+      capacity: template.vehicle?.capacity ?? '',
+      driverId: template.driver?.id || '',
+      startDepot: template.startDepot || '',
+      endType: template.endType,
+      endDepot: template.endDepot || '',
+      priority: template.optimizationSettings?.priority || 'balanced'
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (formData.freq === 'WEEKLY' && formData.byDay.length === 0) {
+      toast.error('Pick at least one weekday');
+      return;
+    }
+
+    const data = {
+      name: formData.name,
+      description: formData.description,
+      schedule: { rrule: toRule(formData), startDate: formData.startDate, departureTime: formData.departureTime },
+      leadDays: Number(formData.leadDays),
+      deliveryFilter: {
+        zoneIds: formData.zoneIds,
+        tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      },
+      vehicle: {
+        type: formData.vehicleType,
+        licensePlate: formData.licensePlate,
+        ...(formData.capacity !== '' && { capacity: Number(formData.capacity) })
+      },
+      driverId: formData.driverId || null,
+      startDepot: formData.startDepot || null,
+      endType: formData.endType,
+      endDepot: formData.endType === 'depot' ? formData.endDepot || null : null,
+      optimizationSettings: { priority: formData.priority }
+    };
+
+    try {
+      if (editing._id) {
+        await routeTemplatesAPI.update(editing._id, data);
+        toast.success('Template updated');
+      } else {
+        const response = await routeTemplatesAPI.create(data);
+        const generated = response.data.data.generated;
+        toast.success(`Template created${generated ? `, ${generated.created.length} draft route(s) generated` : ''}`);
+      }
+      setEditing(null);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleGenerate = async (template) => {
+    try {
+      const response = await routeTemplatesAPI.generate(template._id, {});
+      toast.success(response.data.message);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate routes');
+    }
+  };
+
+  const handleToggleActive = async (template) => {
+    try {
+      await routeTemplatesAPI.update(template._id, {
+        name: template.name,
+        schedule: template.schedule,
+        isActive: !template.isActive
+      });
+      toast.success(template.isActive ? 'Template paused' : 'Template resumed');
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (window.confirm(`Delete template ${template.name}? Routes already generated are kept.`)) {
+      try {
+        await routeTemplatesAPI.delete(template._id);
+        toast.success('Template deleted');
+        fetchTemplates();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete template');
+      }
+    }
+  };
+
+  const toggleListValue = (field, value) => {
+    const values = formData[field];
+    setFormData({ ...formData, [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <div style={styles.header}>
+        <h2 style={styles.title}>Route Templates</h2>
+        <button onClick={startNew} style={styles.addBtn} disabled={Boolean(editing)}>
+          + New Template
+        </button>
+      </div>
+      <p style={styles.hint}>
+        Templates generate draft routes every night for the days they run, with that day's
+        pending deliveries that match their zones and tags and fit the vehicle.
+      </p>
+
+      {editing && (
+        <form onSubmit={handleSave} style={styles.card}>
+          <h3 style={styles.cardTitle}>{editing._id ? `Edit ${editing.name}` : 'New Template'}</h3>
+          <div style={styles.grid}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                style={styles.input}
+                required
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Repeats</label>
+              <div style={styles.inline}>
+                <span style={styles.inlineText}>Every</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.interval}
+                  onChange={(e) => setFormData({ ...formData, interval: e.target.value })}
+                  style={{ ...styles.input, width: '60px' }}
+                />
+                <select
+                  value={formData.freq}
+                  onChange={(e) => setFormData({ ...formData, freq: e.target.value })}
+                  style={styles.input}
+                >
+                  <option value="DAILY">day(s)</option>
+                  <option value="WEEKLY">week(s)</option>
+                  <option value="MONTHLY">month(s)</option>
+                </select>
+              </div>
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Starting</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                style={styles.input}
+                required
+              />
+            </div>
+          </div>
+
+          {formData.freq === 'WEEKLY' && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>On</label>
+              <div style={styles.chips}>
+                {WEEKDAYS.map(day => (
+                  <label key={day.code} style={styles.chip}>
+                    <input
+                      type="checkbox"
+                      checked={formData.byDay.includes(day.code)}
+                      onChange={() => toggleListValue('byDay', day.code)}
+                    />
+                    {day.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div style={styles.grid}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Departure (UTC)</label>
+              <input
+                type="time"
+                value={formData.departureTime}
+                onChange={(e) => setFormData({ ...formData, departureTime: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Generate days ahead</label>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={formData.leadDays}
+                onChange={(e) => setFormData({ ...formData, leadDays: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Delivery tags</label>
+              <input
+                type="text"
+                value={formData.tags}
+                onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+                style={styles.input}
+                placeholder="Any tag"
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Vehicle</label>
+              <select
+                value={formData.vehicleType}
+                onChange={(e) => setFormData({ ...formData, vehicleType: e.target.value })}
+                style={styles.input}
+              >
+                <option value="car">Car</option>
+                <option value="van">Van</option>
+                <option value="truck">Truck</option>
+                <option value="motorcycle">Motorcycle</option>
+              </select>
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>License plate</label>
+              <input
+                type="text"
+                value={formData.licensePlate}
+                onChange={(e) => setFormData({ ...formData, licensePlate: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Capacity (kg)</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.capacity}
+                onChange={(e) => setFormData({ ...formData, capacity: e.target.value })}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Driver</label>
+              <select
+                value={formData.driverId}
+                onChange={(e) => setFormData({ ...formData, driverId: e.target.value })}
+                style={styles.input}
+              >
+                <option value="">Unassigned</option>
+                {drivers.map(driver => (
+                  <option key={driver._id} value={driver._id}>{driver.name}</option>
+                ))}
+              </select>
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Start depot</label>
+              <select
+                value={formData.startDepot}
+                onChange={(e) => setFormData({ ...formData, startDepot: e.target.value })}
+                style={styles.input}
+              >
+                <option value="">None</option>
+                {depots.map(depot => (
+                  <option key={depot._id} value={depot._id}>{depot.name}</option>
+                ))}
+              </select>
+            </div>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Route ends</label>
+              <select
+                value={formData.endType}
+                onChange={(e) => setFormData({ ...formData, endType: e.target.value })}
+                style={styles.input}
+              >
+                <option value="start">Back at the start</option>
+                <option value="depot">At another depot</option>
+                <option value="home">At the driver's home</option>
+                <option value="open">At the last stop</option>
+              </select>
+            </div>
+            {formData.endType === 'depot' && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>End depot</label>
+                <select
+                  value={formData.endDepot}
+                  onChange={(e) => setFormData({ ...formData, endDepot: e.target.value })}
+                  style={styles.input}
+                  required
+                >
+                  <option value="">Choose a depot</option>
+                  {depots.map(depot => (
+                    <option key={depot._id} value={depot._id}>{depot.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {zones.length > 0 && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Zones (none ticked: any zone)</label>
+              <div style={styles.chips}>
+                {zones.map(zone => (
+                  <label key={zone._id} style={styles.chip}>
+                    <input
+                      type="checkbox"
+                      checked={formData.zoneIds.includes(zone._id)}
+                      onChange={() => toggleListValue('zoneIds', zone._id)}
+                    />
+                    <span style={{ ...styles.swatch, backgroundColor: zone.color }} />
+                    {zone.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div style={styles.actions}>
+            <button type="button" onClick={() => setEditing(null)} style={styles.cancelBtn}>Cancel</button>
+            <button type="submit" style={styles.saveBtn}>Save</button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div style={styles.loading}>Loading templates...</div>
+      ) : templates.length === 0 ? (
+        <div style={styles.empty}>No templates yet. Create one for routes you run on a schedule.</div>
+      ) : (
+        <div style={styles.list}>
+          {templates.map(template => (
+            <div key={template._id} style={{ ...styles.row, opacity: template.isActive ? 1 : 0.6 }}>
+              <div style={styles.rowInfo}>
+                <div style={styles.rowName}>{template.name}</div>
+                <div style={styles.rowMeta}>
+                  {describeRule(template.schedule.rrule)} at {template.schedule.departureTime}
+                  {template.driver?.name ? ` · ${template.driver.name}` : ''}
+                  {template.vehicle?.licensePlate ? ` · ${template.vehicle.licensePlate}` : ''}
+                  {template.generatedUntil ? ` · generated until ${template.generatedUntil.slice(0, 10)}` : ''}
+                  {template.isActive ? '' : ' · paused'}
+                </div>
+              </div>
+              <button onClick={() => handleGenerate(template)} style={styles.iconBtn} title="Generate now" disabled={!template.isActive}>⚡</button>
+              <button onClick={() => startEdit(template)} style={styles.iconBtn} title="Edit" disabled={Boolean(editing)}>✏️</button>
+              <button onClick={() => handleToggleActive(template)} style={styles.iconBtn} title={template.isActive ? 'Pause' : 'Resume'}>
+                {template.isActive ? '⏸️' : '▶️'}
+              </button>
+              <button onClick={() => handleDelete(template)} style={styles.iconBtn} title="Delete">🗑️</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { padding: '0' },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px'
+  },
+  title: { margin: 0, fontSize: '20px', fontWeight: '600' },
+  hint: { margin: '0 0 16px', fontSize: '12px', color: '#64748b' },
+  addBtn: {
+    padding: '10px 20px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '16px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    marginBottom: '16px'
+  },
+  cardTitle: { margin: '0 0 12px', fontSize: '16px', fontWeight: '600' },
+  grid: { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px' },
+  formGroup: { marginBottom: '12px' },
+  label: { display: 'block', marginBottom: '6px', fontSize: '13px', fontWeight: '500', color: '#374151' },
+  input: {
+    width: '100%',
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  inline: { display: 'flex', gap: '8px', alignItems: 'center' },
+  inlineText: { fontSize: '14px', color: '#374151' },
+  chips: { display: 'flex', flexWrap: 'wrap', gap: '10px' },
+  chip: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' },
+  swatch: { width: '10px', height: '10px', borderRadius: '3px' },
+  actions: { display: 'flex', gap: '8px', justifyContent: 'flex-end' },
+  cancelBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#f1f5f9',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  saveBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  loading: { textAlign: 'center', padding: '40px', color: '#64748b' },
+  empty: { textAlign: 'center', padding: '40px', color: '#64748b', fontSize: '14px' },
+  list: { display: 'flex', flexDirection: 'column', gap: '10px' },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    backgroundColor: 'white',
+    borderRadius: '10px',
+    padding: '12px 16px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+  },
+  rowInfo: { flex: 1, minWidth: 0 },
+  rowName: { fontSize: '14px', fontWeight: '600' },
+  rowMeta: { fontSize: '12px', color: '#64748b' },
+  iconBtn: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '15px',
+    opacity: 0.7
+  }
+};
+
+export default RouteTemplates;
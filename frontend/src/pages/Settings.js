@@ -0,0 +1,817 @@
+/**
+ * Company Settings Page (Admin Only)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { settingsAPI, depotsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ROUTING_PROVIDERS = [
+  ['tomtom', 'TomTom (live traffic)'],
+  ['osrm', 'OSRM (self-hosted)'],
+  ['graphhopper', 'GraphHopper'],
+  ['haversine', 'Straight-line estimate']
+];
+
+const GEOCODERS = [
+  ['tomtom', 'TomTom Search'],
+  ['nominatim', 'Nominatim (OpenStreetMap)'],
+  ['gazetteer', 'Offline gazetteer']
+];
+
+const Settings = () => {
+  const [hoursOfService, setHoursOfService] = useState(null);
+  const [llm, setLlm] = useState({});
+  const [routing, setRouting] = useState({});
+  const [geocoding, setGeocoding] = useState({});
+  const [costProfile, setCostProfile] = useState(null);
+  const [emissionFactors, setEmissionFactors] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [depots, setDepots] = useState([]);
+  const [newDepot, setNewDepot] = useState({ name: '', address: '', lng: '', lat: '', isDefault: false });
+
+  useEffect(() => {
+    fetchSettings();
+    fetchDepots();
+  }, []);
+
+  const fetchDepots = async () => {
+    try {
+      const response = await depotsAPI.getAll();
+      setDepots(response.data.data.depots);
+    } catch (error) {
+      toast.error('Failed to load depots');
+    }
+  };
+
+  const handleAddDepot = async () => {
+    try {
+      await depotsAPI.create({
+        name: newDepot.name,
+        address: { fullAddress: newDepot.address || undefined },
+        location: { coordinates: [parseFloat(newDepot.lng), parseFloat(newDepot.lat)] },
+        isDefault: newDepot.isDefault
+      });
+      setNewDepot({ name: '', address: '', lng: '', lat: '', isDefault: false });
+      toast.success('Depot added');
+      fetchDepots();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to add depot');
+    }
+  };
+
+  const handleUpdateDepot = async (depot, changes) => {
+    try {
+      await depotsAPI.update(depot._id, {
+        name: depot.name,
+        location: { coordinates: depot.location.coordinates },
+        ...changes
+      });
+      fetchDepots();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update depot');
+    }
+  };
+
+  const handleDeleteDepot = async (depot) => {
+    if (!window.confirm(`Delete depot ${depot.name}?`)) return;
+    try {
+      await depotsAPI.delete(depot._id);
+      toast.success('Depot deleted');
+      fetchDepots();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete depot');
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await settingsAPI.get();
+      setHoursOfService(response.data.data.settings.hoursOfService);
+      setCostProfile(response.data.data.settings.costProfile);
+      setEmissionFactors(response.data.data.settings.emissionFactors);
+      setLlm(response.data.data.settings.llm || {});
+      setRouting(response.data.data.settings.routing || {});
+      setGeocoding(response.data.data.settings.geocoding || {});
+    } catch (error) {
+      toast.error('Failed to load settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      // Empty fields are cleared so the server defaults apply
+      const response = await settingsAPI.update({
+        hoursOfService,
+        costProfile: {
+          ...costProfile,
+          // Rates left empty in an override fall back to the company rates
+          vehicleOverrides: costProfile.vehicleOverrides
+            .map(override => Object.fromEntries(Object.entries(override).filter(([, value]) => value !== '' && value !== undefined)))
+            .filter(override => override.vehicleType || override.licensePlate)
+        },
+        emissionFactors,
+        llm: {
+          provider: llm.provider || null,
+          model: llm.model || null,
+          timeoutMs: llm.timeoutMs ?? null,
+          maxRetries: llm.maxRetries ?? null
+        },
+        routing: {
+          provider: routing.provider || null,
+          fallback: routing.fallback?.filter(Boolean).length ? routing.fallback.filter(Boolean) : null
+        },
+        geocoding: {
+          provider: geocoding.provider || null,
+          ...(geocoding.mismatchThresholdKm !== '' && { mismatchThresholdKm: geocoding.mismatchThresholdKm })
+        }
+      });
+      setHoursOfService(response.data.data.settings.hoursOfService);
+      setCostProfile(response.data.data.settings.costProfile);
+      setEmissionFactors(response.data.data.settings.emissionFactors);
+      setLlm(response.data.data.settings.llm || {});
+      setRouting(response.data.data.settings.routing || {});
+      setGeocoding(response.data.data.settings.geocoding || {});
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setHoursOfService({ ...hoursOfService, [field]: value });
+  };
+
+  const updateCostField = (field, value) => {
+    setCostProfile({ ...costProfile, [field]: value });
+  };
+
+  const updateEmissionFactor = (field, value) => {
+    setEmissionFactors({ ...emissionFactors, [field]: value });
+  };
+
+  const updateLoadUplift = (vehicleType, value) => {
+    setEmissionFactors({
+      ...emissionFactors,
+      fullLoadUplift: { ...emissionFactors.fullLoadUplift, [vehicleType]: value }
+    });
+  };
+
+  const updateOverride = (index, field, value) => {
+    setCostProfile({
+      ...costProfile,
+      vehicleOverrides: costProfile.vehicleOverrides.map((override, i) => (i === index ? { ...override, [field]: value } : override))
+    });
+  };
+
+  const addOverride = () => {
+    setCostProfile({ ...costProfile, vehicleOverrides: [...costProfile.vehicleOverrides, { vehicleType: 'truck' }] });
+  };
+
+  const removeOverride = (index) => {
+    setCostProfile({ ...costProfile, vehicleOverrides: costProfile.vehicleOverrides.filter((_, i) => i !== index) });
+  };
+
+  const parseRate = (value) => (value === '' ? '' : parseFloat(value));
+
+  const updateLlmField = (field, value) => {
+    setLlm({ ...llm, [field]: value });
+  };
+
+  const updateFallback = (index, value) => {
+    const fallback = [...(routing.fallback || [])];
+    fallback[index] = value;
+    setRouting({ ...routing, fallback });
+  };
+
+  const parseNumber = (value) => (value === '' ? undefined : parseInt(value, 10));
+
+  if (loading) {
+    return <div style={styles.loading}>Loading settings...</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h1 style={styles.title}>Company Settings</h1>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>⏱️ Driver Hours of Service</h3>
+          <p style={styles.hint}>
+            The optimizer schedules breaks to respect these limits. Routes that still exceed them
+            are flagged, or rejected when enforcement is set to reject.
+          </p>
+
+          <label style={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={hoursOfService.enabled}
+              onChange={(e) => updateField('enabled', e.target.checked)}
+            />
+            Apply hours-of-service rules
+          </label>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Maximum shift (min)</label>
+              <input
+                type="number"
+                min="60"
+                max="1440"
+                value={hoursOfService.maxShiftMinutes}
+                onChange={(e) => updateField('maxShiftMinutes', parseInt(e.target.value, 10))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Maximum continuous driving (min)</label>
+              <input
+                type="number"
+                min="30"
+                max="1440"
+                value={hoursOfService.maxContinuousDrivingMinutes}
+                onChange={(e) => updateField('maxContinuousDrivingMinutes', parseInt(e.target.value, 10))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Break length (min)</label>
+              <input
+                type="number"
+                min="5"
+                max="240"
+                value={hoursOfService.breakMinutes}
+                onChange={(e) => updateField('breakMinutes', parseInt(e.target.value, 10))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Enforcement</label>
+              <select
+                value={hoursOfService.enforcement}
+                onChange={(e) => updateField('enforcement', e.target.value)}
+                style={styles.input}
+              >
+                <option value="flag">Flag violating routes</option>
+                <option value="reject">Reject violating routes</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>💰 Cost Profile</h3>
+          <p style={styles.hint}>
+            Rates used to price routes when they are created, re-optimized and completed, and by
+            the Lowest cost optimization priority.
+          </p>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Currency</label>
+              <input
+                type="text"
+                maxLength="3"
+                value={costProfile.currency}
+                onChange={(e) => updateCostField('currency', e.target.value.toUpperCase())}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Fuel price (per L)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={costProfile.fuelPricePerLitre}
+                onChange={(e) => updateCostField('fuelPricePerLitre', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Fuel use (L/km)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={costProfile.fuelLitresPerKm}
+                onChange={(e) => updateCostField('fuelLitresPerKm', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Electricity (per kWh)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={costProfile.electricityPricePerKwh}
+                onChange={(e) => updateCostField('electricityPricePerKwh', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Driver wage (per hour)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={costProfile.driverHourlyWage}
+                onChange={(e) => updateCostField('driverHourlyWage', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Overtime after (min)</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={costProfile.overtimeAfterMinutes}
+                onChange={(e) => updateCostField('overtimeAfterMinutes', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Overtime multiplier</label>
+              <input
+                type="number"
+                min="1"
+                step="0.05"
+                value={costProfile.overtimeMultiplier}
+                onChange={(e) => updateCostField('overtimeMultiplier', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Maintenance (per km)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={costProfile.maintenancePerKm}
+                onChange={(e) => updateCostField('maintenancePerKm', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+
+          <h4 style={styles.subTitle}>Vehicle overrides</h4>
+          <p style={styles.hint}>
+            Rates for a vehicle type, or for one vehicle by license plate. Empty rates use the company rates.
+          </p>
+          {costProfile.vehicleOverrides.map((override, index) => (
+            <div key={index} style={styles.overrideRow}>
+              <select
+                value={override.vehicleType || ''}
+                onChange={(e) => updateOverride(index, 'vehicleType', e.target.value || undefined)}
+                style={styles.input}
+              >
+                <option value="">Any type</option>
+                <option value="car">Car</option>
+                <option value="van">Van</option>
+                <option value="truck">Truck</option>
+                <option value="motorcycle">Motorcycle</option>
+              </select>
+              <input
+                type="text"
+                placeholder="License plate"
+                value={override.licensePlate || ''}
+                onChange={(e) => updateOverride(index, 'licensePlate', e.target.value)}
+                style={styles.input}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Fuel price"
+                value={override.fuelPricePerLitre ?? ''}
+                onChange={(e) => updateOverride(index, 'fuelPricePerLitre', parseRate(e.target.value))}
+                style={styles.input}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="L/km"
+                value={override.fuelLitresPerKm ?? ''}
+                onChange={(e) => updateOverride(index, 'fuelLitresPerKm', parseRate(e.target.value))}
+                style={styles.input}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Wage/h"
+                value={override.driverHourlyWage ?? ''}
+                onChange={(e) => updateOverride(index, 'driverHourlyWage', parseRate(e.target.value))}
+                style={styles.input}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Maint./km"
+                value={override.maintenancePerKm ?? ''}
+                onChange={(e) => updateOverride(index, 'maintenancePerKm', parseRate(e.target.value))}
+                style={styles.input}
+              />
+              <button type="button" onClick={() => removeOverride(index)} style={styles.smallBtn}>Remove</button>
+            </div>
+          ))}
+          <button type="button" onClick={addOverride} style={styles.smallBtn}>+ Add override</button>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>🌱 Emission Factors</h3>
+          <p style={styles.hint}>
+            CO₂ per litre of fuel or kWh charged. Routes burn more the heavier they are loaded,
+            up to the full-load uplift of the vehicle type.
+          </p>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Petrol (kg CO₂/L)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={emissionFactors.petrolKgCo2PerLitre}
+                onChange={(e) => updateEmissionFactor('petrolKgCo2PerLitre', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Diesel (kg CO₂/L)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={emissionFactors.dieselKgCo2PerLitre}
+                onChange={(e) => updateEmissionFactor('dieselKgCo2PerLitre', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Hybrid (kg CO₂/L)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={emissionFactors.hybridKgCo2PerLitre}
+                onChange={(e) => updateEmissionFactor('hybridKgCo2PerLitre', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Grid electricity (kg CO₂/kWh)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={emissionFactors.gridKgCo2PerKwh}
+                onChange={(e) => updateEmissionFactor('gridKgCo2PerKwh', parseFloat(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+
+          <h4 style={styles.subTitle}>Full-load uplift (%)</h4>
+          <div style={styles.formRow}>
+            {['car', 'van', 'truck', 'motorcycle'].map(vehicleType => (
+              <div key={vehicleType} style={styles.formGroup}>
+                <label style={{ textTransform: 'capitalize' }}>{vehicleType}</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={Math.round((emissionFactors.fullLoadUplift?.[vehicleType] || 0) * 100)}
+                  onChange={(e) => updateLoadUplift(vehicleType, (parseFloat(e.target.value) || 0) / 100)}
+                  style={styles.input}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>🤖 AI Provider</h3>
+          <p style={styles.hint}>
+            Language model used for AI sequencing and route explanations. Leave a field empty to
+            use the server default.
+          </p>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Provider</label>
+              <select
+                value={llm.provider || ''}
+                onChange={(e) => updateLlmField('provider', e.target.value)}
+                style={styles.input}
+              >
+                <option value="">Server default</option>
+                <option value="openai">OpenAI-compatible</option>
+                <option value="anthropic">Anthropic</option>
+                <option value="ollama">Ollama (local)</option>
+              </select>
+            </div>
+            <div style={styles.formGroup}>
+              <label>Model</label>
+              <input
+                type="text"
+                value={llm.model || ''}
+                placeholder="Provider default"
+                onChange={(e) => updateLlmField('model', e.target.value)}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Timeout (ms)</label>
+              <input
+                type="number"
+                min="1000"
+                max="300000"
+                value={llm.timeoutMs ?? ''}
+                placeholder="Provider default"
+                onChange={(e) => updateLlmField('timeoutMs', parseNumber(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.formGroup}>
+              <label>Retries</label>
+              <input
+                type="number"
+                min="0"
+                max="5"
+                value={llm.maxRetries ?? ''}
+                placeholder="Provider default"
+                onChange={(e) => updateLlmField('maxRetries', parseNumber(e.target.value))}
+                style={styles.input}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>🧭 Routing Provider</h3>
+          <p style={styles.hint}>
+            Backend for directions, travel times and traffic. When it fails, the fallbacks are tried in
+            order, and a straight-line estimate is used as a last resort.
+          </p>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Provider</label>
+              <select
+                value={routing.provider || ''}
+                onChange={(e) => setRouting({ ...routing, provider: e.target.value })}
+                style={styles.input}
+              >
+                <option value="">Server default</option>
+                {ROUTING_PROVIDERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            {[0, 1].map(index => (
+              <div key={index} style={styles.formGroup}>
+                <label>{index === 0 ? 'First fallback' : 'Second fallback'}</label>
+                <select
+                  value={routing.fallback?.[index] || ''}
+                  onChange={(e) => updateFallback(index, e.target.value)}
+                  style={styles.input}
+                >
+                  <option value="">{index === 0 ? 'Server default' : 'None'}</option>
+                  {ROUTING_PROVIDERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={styles.cardTitle}>📍 Geocoding</h3>
+          <p style={styles.hint}>
+            Fills in coordinates or addresses on new deliveries. Deliveries whose coordinates are further than
+            the threshold from their address are flagged; coarse matches such as a city center get extra room.
+          </p>
+
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label>Geocoder</label>
+              <select
+                value={geocoding.provider || ''}
+                onChange={(e) => setGeocoding({ ...geocoding, provider: e.target.value })}
+                style={styles.input}
+              >
+                <option value="">Server default</option>
+                {GEOCODERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div style={styles.formGroup}>
+              <label>Mismatch threshold (km)</label>
+              <input
+                type="number"
+                step="0.05"
+                min="0.05"
+                max="100"
+                value={geocoding.mismatchThresholdKm ?? ''}
+                onChange={(e) => setGeocoding({ ...geocoding, mismatchThresholdKm: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                style={styles.input}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.footer}>
+          <button type="submit" style={styles.saveBtn} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+
+      <div style={{ ...styles.card, marginTop: '20px' }}>
+        <h3 style={styles.cardTitle}>🏭 Depots</h3>
+        <p style={styles.hint}>
+          Routes start at the default depot unless the optimizer is asked to pick the best one.
+          Inactive depots stay on existing routes but are not offered for new ones.
+        </p>
+
+        {depots.map(depot => (
+          <div key={depot._id} style={styles.depotRow}>
+            <div style={styles.depotInfo}>
+              <strong>{depot.name}</strong>
+              {depot.isDefault && <span style={styles.defaultBadge}>Default</span>}
+              {!depot.isActive && <span style={styles.inactiveBadge}>Inactive</span>}
+              <span style={styles.depotMeta}>
+                {depot.address?.fullAddress || depot.location.coordinates.join(', ')}
+              </span>
+            </div>
+            {!depot.isDefault && depot.isActive && (
+              <button onClick={() => handleUpdateDepot(depot, { isDefault: true })} style={styles.smallBtn}>
+                Make default
+              </button>
+            )}
+            <button onClick={() => handleUpdateDepot(depot, { isActive: !depot.isActive })} style={styles.smallBtn}>
+              {depot.isActive ? 'Deactivate' : 'Activate'}
+            </button>
+            <button onClick={() => handleDeleteDepot(depot)} style={styles.smallBtn}>Delete</button>
+          </div>
+        ))}
+
+        <div style={{ ...styles.formRow, marginTop: '16px' }}>
+          <div style={styles.formGroup}>
+            <label>Name</label>
+            <input
+              type="text"
+              value={newDepot.name}
+              onChange={(e) => setNewDepot({ ...newDepot, name: e.target.value })}
+              style={styles.input}
+            />
+          </div>
+          <div style={styles.formGroup}>
+            <label>Address</label>
+            <input
+              type="text"
+              value={newDepot.address}
+              onChange={(e) => setNewDepot({ ...newDepot, address: e.target.value })}
+              style={styles.input}
+            />
+          </div>
+          <div style={styles.formGroup}>
+            <label>Longitude</label>
+            <input
+              type="number"
+              step="any"
+              value={newDepot.lng}
+              onChange={(e) => setNewDepot({ ...newDepot, lng: e.target.value })}
+              style={styles.input}
+            />
+          </div>
+          <div style={styles.formGroup}>
+            <label>Latitude</label>
+            <input
+              type="number"
+              step="any"
+              value={newDepot.lat}
+              onChange={(e) => setNewDepot({ ...newDepot, lat: e.target.value })}
+              style={styles.input}
+            />
+          </div>
+        </div>
+        <div style={styles.footer}>
+          <label style={{ ...styles.checkbox, marginBottom: 0, marginRight: 'auto' }}>
+            <input
+              type="checkbox"
+              checked={newDepot.isDefault}
+              onChange={(e) => setNewDepot({ ...newDepot, isDefault: e.target.checked })}
+            />
+            Default depot
+          </label>
+          <button
+            onClick={handleAddDepot}
+            style={styles.saveBtn}
+            disabled={!newDepot.name || newDepot.lng === '' || newDepot.lat === ''}
+          >
+            + Add Depot
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: { padding: '0' },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '20px'
+  },
+  title: { margin: 0, fontSize: '20px', fontWeight: '600' },
+  loading: { textAlign: 'center', padding: '40px', color: '#64748b' },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '20px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    marginBottom: '20px'
+  },
+  cardTitle: { margin: '0 0 8px 0', fontSize: '16px', fontWeight: '600' },
+  hint: { margin: '0 0 16px 0', fontSize: '13px', color: '#64748b' },
+  subTitle: { margin: '20px 0 4px 0', fontSize: '14px', fontWeight: '600' },
+  overrideRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 1fr 1fr 1fr 1fr auto',
+    gap: '8px',
+    marginBottom: '8px'
+  },
+  checkbox: { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px', fontSize: '14px' },
+  formRow: { display: 'flex', gap: '12px', flexWrap: 'wrap' },
+  formGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    marginBottom: '16px',
+    flex: '1 1 200px',
+    fontSize: '14px'
+  },
+  input: {
+    padding: '10px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px'
+  },
+  footer: { display: 'flex', justifyContent: 'flex-end', alignItems: 'center' },
+  depotRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 0',
+    borderBottom: '1px solid #f1f5f9'
+  },
+  depotInfo: { display: 'flex', alignItems: 'center', gap: '8px', flex: 1, fontSize: '14px' },
+  depotMeta: { color: '#64748b', fontSize: '13px' },
+  defaultBadge: {
+    padding: '2px 8px',
+    backgroundColor: '#dbeafe',
+    color: '#1e40af',
+    borderRadius: '10px',
+    fontSize: '11px'
+  },
+  inactiveBadge: {
+    padding: '2px 8px',
+    backgroundColor: '#f1f5f9',
+    color: '#64748b',
+    borderRadius: '10px',
+    fontSize: '11px'
+  },
+  smallBtn: {
+    padding: '6px 10px',
+    backgroundColor: 'white',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer'
+  },
+  saveBtn: {
+    padding: '10px 20px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  }
+};
+
+export default Settings;
@@ -69,6 +69,57 @@ const Users = () => {
     }
   };
 
+  // Drivers' routes can end at their home instead of a depot
+  const handleSetHome = async (user) => {
+    const current = user.homeLocation?.coordinates?.join(', ') || '';
+    const value = window.prompt(`Home of ${user.name} as "longitude, latitude"`, current);
+    if (value === null) return;
+
+    const coordinates = value.split(',').map(part => parseFloat(part.trim()));
+    if (coordinates.length !== 2 || coordinates.some(Number.isNaN)) {
+      toast.error('Enter the home as "longitude, latitude"');
+      return;
+    }
+
+    try {
+      await usersAPI.update(user._id, { homeLocation: { coordinates } });
+      toast.success('Home location saved');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save home location');
+    }
+  };
+
+  const formatSkill = (skill) => (skill.certifiedUntil
+    ? `${skill.name} until ${skill.certifiedUntil.slice(0, 10)}`
+    : skill.name);
+
+  // Skills decide which hazardous, perishable and age-restricted deliveries a driver may take
+  const handleSetSkills = async (user) => {
+    const current = (user.skills || []).map(formatSkill).join(', ');
+    const value = window.prompt(
+      `Skills of ${user.name} (hazmat, ageVerification), e.g. "hazmat until 2027-06-30, ageVerification"`,
+      current
+    );
+    if (value === null) return;
+
+    const skills = value.split(',')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [name, certifiedUntil] = part.split(/\s+until\s+/);
+        return { name, ...(certifiedUntil && { certifiedUntil }) };
+      });
+
+    try {
+      await usersAPI.update(user._id, { skills });
+      toast.success('Skills saved');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save skills');
+    }
+  };
+
   const getRoleColor = (role) => {
     const colors = {
       admin: '#ef4444',
@@ -128,6 +179,9 @@ const Users = () => {
                       }}>
                         {user.role}
                       </span>
+                      {user.skills?.length > 0 && (
+                        <div style={styles.skills}>{user.skills.map(formatSkill).join(', ')}</div>
+                      )}
                     </td>
                     <td style={styles.td}>{user.phone || '-'}</td>
                     <td style={styles.td}>
@@ -143,6 +197,24 @@ const Users = () => {
                         : 'Never'}
                     </td>
                     <td style={styles.td}>
+                      {user.role === 'driver' && (
+                        <button
+                          onClick={() => handleSetHome(user)}
+                          style={styles.deleteBtn}
+                          title={user.homeLocation?.coordinates?.length ? 'Change home location' : 'Set home location'}
+                        >
+                          🏠
+                        </button>
+                      )}
+                      {user.role === 'driver' && (
+                        <button
+                          onClick={() => handleSetSkills(user)}
+                          style={styles.deleteBtn}
+                          title="Set skills and certifications"
+                        >
+                          🎓
+                        </button>
+                      )}
                       <button
                         onClick={() => handleDelete(user._id)}
                         style={styles.deleteBtn}
@@ -298,6 +370,7 @@ const styles = {
     fontWeight: '500',
     textTransform: 'capitalize'
   },
+  skills: { fontSize: '12px', color: '#64748b', marginTop: '4px' },
   statusDot: {
     display: 'inline-block',
     width: '8px',
@@ -0,0 +1,287 @@
+/**
+ * Delivery Zones Page - Draw and edit the zones deliveries are grouped by
+ */
+
+import React, { useState, useEffect } from 'react';
+import { zonesAPI } from '../services/api';
+import ZoneMap from '../components/ZoneMap';
+import toast from 'react-hot-toast';
+
+const emptyForm = { name: '', color: '#2563eb', notes: '' };
+
+const Zones = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // zone being edited, or {} for a new one
+  const [draft, setDraft] = useState(null); // outline corners as [latitude, longitude]
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const fetchZones = async () => {
+    try {
+      const response = await zonesAPI.getAll();
+      setZones(response.data.data.zones);
+    } catch (error) {
+      toast.error('Failed to load zones');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startNew = () => {
+    setEditing({});
+    setDraft([]);
+    setFormData(emptyForm);
+  };
+
+  const startEdit = (zone) => {
+    setEditing(zone);
+    setDraft(zone.area.coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]));
+    setFormData({ name: zone.name, color: zone.color, notes: zone.notes || '' });
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setDraft(null);
+  };
+
+  // Close the outline into a GeoJSON ring; holes of an existing zone are kept
+  const toArea = () => {
+    const ring = draft.map(([lat, lng]) => [lng, lat]);
+    return { coordinates: [[...ring, ring[0]], ...(editing.area?.coordinates.slice(1) || [])] };
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (draft.length < 3) {
+      toast.error('Click at least three corners on the map');
+      return;
+    }
+
+    const data = { ...formData, area: toArea() };
+    try {
+      if (editing._id) {
+        await zonesAPI.update(editing._id, { ...data, isActive: editing.isActive });
+        toast.success('Zone updated');
+      } else {
+        await zonesAPI.create(data);
+        toast.success('Zone created');
+      }
+      cancelEdit();
+      fetchZones();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to save zone');
+    }
+  };
+
+  const handleToggleActive = async (zone) => {
+    try {
+      await zonesAPI.update(zone._id, {
+        name: zone.name,
+        color: zone.color,
+        area: { coordinates: zone.area.coordinates },
+        isActive: !zone.isActive
+      });
+      toast.success(zone.isActive ? 'Zone deactivated' : 'Zone activated');
+      fetchZones();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update zone');
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    if (window.confirm(`Delete zone ${zone.name}? Its deliveries are moved to any other zone they fall in.`)) {
+      try {
+        await zonesAPI.delete(zone._id);
+        toast.success('Zone deleted');
+        if (editing?._id === zone._id) cancelEdit();
+        fetchZones();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete zone');
+      }
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      {/* Header */}
+      <div style={styles.header}>
+        <h2 style={styles.title}>Delivery Zones</h2>
+        <button onClick={startNew} style={styles.addBtn} disabled={Boolean(editing)}>
+          + New Zone
+        </button>
+      </div>
+
+      <div style={styles.layout}>
+        <div style={styles.sidebar}>
+          {editing ? (
+            <form onSubmit={handleSave} style={styles.card}>
+              <h3 style={styles.cardTitle}>{editing._id ? `Edit ${editing.name}` : 'New Zone'}</h3>
+              <p style={styles.hint}>
+                Click the map to add corners, drag a corner to move it and right-click it to remove it.
+              </p>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  style={styles.input}
+                  required
+                />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Colour</label>
+                <input
+                  type="color"
+                  value={formData.color}
+                  onChange={(e) => setFormData({ ...formData, color: e.target.value })}
+                  style={styles.colorInput}
+                />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Notes</label>
+                <input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  style={styles.input}
+                />
+              </div>
+              <div style={styles.corners}>{draft.length} corner(s)</div>
+              <div style={styles.actions}>
+                <button type="button" onClick={cancelEdit} style={styles.cancelBtn}>Cancel</button>
+                <button type="button" onClick={() => setDraft([])} style={styles.cancelBtn}>Clear</button>
+                <button type="submit" style={styles.saveBtn}>Save</button>
+              </div>
+            </form>
+          ) : null}
+
+          {loading ? (
+            <div style={styles.loading}>Loading zones...</div>
+          ) : zones.length === 0 ? (
+            <div style={styles.empty}>No zones yet. Draw one to group deliveries by area.</div>
+          ) : (
+            zones.map(zone => (
+              <div key={zone._id} style={{ ...styles.zoneRow, opacity: zone.isActive ? 1 : 0.6 }}>
+                <span style={{ ...styles.swatch, backgroundColor: zone.color }} />
+                <div style={styles.zoneInfo}>
+                  <div style={styles.zoneName}>{zone.name}</div>
+                  <div style={styles.zoneMeta}>
+                    {zone.openDeliveries} open deliveries{zone.isActive ? '' : ' · inactive'}
+                  </div>
+                </div>
+                <button onClick={() => startEdit(zone)} style={styles.iconBtn} title="Edit" disabled={Boolean(editing)}>✏️</button>
+                <button onClick={() => handleToggleActive(zone)} style={styles.iconBtn} title={zone.isActive ? 'Deactivate' : 'Activate'}>
+                  {zone.isActive ? '⏸️' : '▶️'}
+                </button>
+                <button onClick={() => handleDelete(zone)} style={styles.iconBtn} title="Delete">🗑️</button>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div style={styles.mapCard}>
+          <ZoneMap
+            zones={zones}
+            editingId={editing?._id}
+            draft={draft}
+            onDraftChange={setDraft}
+            onSelect={startEdit}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: { padding: '0' },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '20px'
+  },
+  title: { margin: 0, fontSize: '20px', fontWeight: '600' },
+  addBtn: {
+    padding: '10px 20px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  layout: { display: 'grid', gridTemplateColumns: '320px 1fr', gap: '20px', alignItems: 'start' },
+  sidebar: { display: 'flex', flexDirection: 'column', gap: '10px' },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '16px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+  },
+  cardTitle: { margin: '0 0 8px', fontSize: '16px', fontWeight: '600' },
+  hint: { margin: '0 0 12px', fontSize: '12px', color: '#64748b' },
+  formGroup: { marginBottom: '12px' },
+  label: { display: 'block', marginBottom: '6px', fontSize: '13px', fontWeight: '500', color: '#374151' },
+  input: {
+    width: '100%',
+    padding: '8px 10px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  },
+  colorInput: { width: '48px', height: '32px', padding: 0, border: 'none', background: 'none' },
+  corners: { fontSize: '12px', color: '#64748b', marginBottom: '12px' },
+  actions: { display: 'flex', gap: '8px', justifyContent: 'flex-end' },
+  cancelBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#f1f5f9',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  saveBtn: {
+    padding: '8px 14px',
+    backgroundColor: '#1a56db',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  loading: { textAlign: 'center', padding: '40px', color: '#64748b' },
+  empty: { textAlign: 'center', padding: '40px', color: '#64748b', fontSize: '14px' },
+  zoneRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    backgroundColor: 'white',
+    borderRadius: '10px',
+    padding: '12px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+  },
+  swatch: { width: '14px', height: '14px', borderRadius: '4px', flexShrink: 0 },
+  zoneInfo: { flex: 1, minWidth: 0 },
+  zoneName: { fontSize: '14px', fontWeight: '600' },
+  zoneMeta: { fontSize: '12px', color: '#64748b' },
+  iconBtn: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '15px',
+    opacity: 0.7
+  },
+  mapCard: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+  }
+};
+
+export default Zones;
@@ -52,12 +52,12 @@ export const authAPI = {
 // Users API
 export const usersAPI = {
   getAll: (params) => api.get('/users', { params }),
-  getDrivers: () => api.get('/users/drivers'),
+  getDrivers: (params) => api.get('/users/drivers', { params }),
   getById: (id) => api.get(`/users/${id}`),
   create: (data) => api.post('/users', data),
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
-  getDrivers: () => api.get('/users/drivers')
+  getDrivers: (params) => api.get('/users/drivers', { params })
 };
 
 // Routes API
@@ -72,7 +72,10 @@ export const routesAPI = {
   complete: (id) => api.post(`/routes/${id}/complete`),
   getDirections: (id, data) => api.post(`/routes/${id}/directions`, data),
   getUpdates: (id) => api.get(`/routes/${id}/updates`),
-  reoptimize: (id) => api.post(`/routes/${id}/reoptimize`)
+  reoptimize: (id) => api.post(`/routes/${id}/reoptimize`),
+  applyReoptimization: (id) => api.post(`/routes/${id}/reoptimize/apply`),
+  simulate: (id, data) => api.post(`/routes/${id}/simulate`, data),
+  promoteAlternative: (id, alternativeId) => api.post(`/routes/${id}/alternatives/${alternativeId}/promote`)
 };
 
 // Deliveries API
@@ -96,7 +99,8 @@ export const analyticsAPI = {
   getRouteAnalytics: (params) => api.get('/analytics/routes', { params }),
   getDeliveryAnalytics: (params) => api.get('/analytics/deliveries', { params }),
   getDriverAnalytics: (params) => api.get('/analytics/drivers', { params }),
-  getCostAnalytics: (params) => api.get('/analytics/costs', { params })
+  getCostAnalytics: (params) => api.get('/analytics/costs', { params }),
+  getEmissionsAnalytics: (params) => api.get('/analytics/emissions', { params })
 };
 
 // Export API
@@ -107,4 +111,92 @@ export const exportAPI = {
   deliveriesCSV: (params) => api.get('/export/deliveries/csv', { params, responseType: 'blob' })
 };
 
+// Settings API
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (data) => api.put('/settings', data)
+};
+
+// Depots API
+export const depotsAPI = {
+  getAll: (params) => api.get('/depots', { params }),
+  create: (data) => api.post('/depots', data),
+  update: (id, data) => api.put(`/depots/${id}`, data),
+  delete: (id) => api.delete(`/depots/${id}`)
+};
+
+// Zones API
+export const zonesAPI = {
+  getAll: (params) => api.get('/zones', { params }),
+  create: (data) => api.post('/zones', data),
+  update: (id, data) => api.put(`/zones/${id}`, data),
+  delete: (id) => api.delete(`/zones/${id}`)
+};
+
+// Route Templates API
+export const routeTemplatesAPI = {
+  getAll: (params) => api.get('/route-templates', { params }),
+  getById: (id) => api.get(`/route-templates/${id}`),
+  create: (data) => api.post('/route-templates', data),
+  update: (id, data) => api.put(`/route-templates/${id}`, data),
+  delete: (id) => api.delete(`/route-templates/${id}`),
+  generate: (id, data) => api.post(`/route-templates/${id}/generate`, data)
+};
+
+// Planner API
+export const plannerAPI = {
+  getWeek: (start) => api.get('/planner/week', { params: { start } }),
+  move: (data) => api.post('/planner/move', data)
+};
+
+// Payload of a server-sent event, if it has one
+const eventData = (event) => event.split('\n').find((line) => line.startsWith('data: '))?.slice(6);
+
+// Optimization Jobs API
+export const optimizationJobsAPI = {
+  submit: (data) => api.post('/optimization-jobs', data),
+  getAll: () => api.get('/optimization-jobs'),
+  getById: (id) => api.get(`/optimization-jobs/${id}`),
+  cancel: (id) => api.post(`/optimization-jobs/${id}/cancel`),
+
+  /**
+   * Follow a job's server-sent progress events; onUpdate receives each job state.
+   * Resolves with the finished job, rejects if the stream breaks.
+   * EventSource cannot send the auth header, so the stream is read with fetch.
+   */
+  stream: async (id, onUpdate, signal) => {
+    const response = await fetch(`${API_URL}/optimization-jobs/${id}/stream`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Progress stream unavailable (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let job = null;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = eventData(event);
+        if (!data) continue;
+        job = JSON.parse(data);
+        onUpdate(job);
+      }
+    }
+
+    if (!job?.isFinished) throw new Error('Progress stream ended early');
+    return job;
+  }
+};
+
 export default api;